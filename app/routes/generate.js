@@ -1,13 +1,34 @@
 /**
  * Unified Generation Route
  *
- * Single endpoint: POST /api/generate
- * Flow: request → GeminiService → (optional) WorkItemOrchestrator → response
+ * Endpoints:
+ *   POST /api/generate        (sync, or async job mode — see handleGenerate)
+ *   POST /api/generate/batch  one ticket + wiki + QA page per frame under a page epic
+ *   POST /api/generate/section  rewrite one section of existing content (optionally push it)
+ * Flow: request → LLM provider chain (ai.config order) → (optional) WorkItemOrchestrator → response
  *
  * Falls back to ContextTemplateBridge (YAML templates) when LLM is unavailable.
  */
 
 import { BaseRoute } from './BaseRoute.js';
+import { findSection, parseSections, replaceSection } from '../../core/ai/ticket-sections.js';
+import { validateTicket } from '../../core/ai/ticket-schema.js';
+import { designSnapshot, diffDesign } from '../../core/context/design-diff.js';
+import { TEST_EXPORT_FORMATS } from '../../core/formats/test-exports.js';
+import { TRACKERS, isProjectKey } from '../../core/trackers/index.js';
+import { jiraFieldsErrors } from '../../core/trackers/JiraFieldMapper.js';
+
+// Designers hand off whole pages (10–20 frames); cap well above that to
+// keep a single request from monopolising the LLM quota.
+const MAX_BATCH_FRAMES = 30;
+
+// Where Steps B and E write the wiki pages (WorkItemOrchestrator._wikiTarget)
+const WIKI_TARGETS = ['confluence', 'repo'];
+
+// History entries scanned for the previous generation of a frame (updateExisting)
+const PREVIOUS_LOOKUP_LIMIT = 200;
+// Step statuses that mean a run wrote something a fresh retry would duplicate
+const CREATED_STATUSES = ['created', 'updated'];
 
 export class GenerateRoutes extends BaseRoute {
   constructor(serviceContainer) {
@@ -16,82 +37,462 @@ export class GenerateRoutes extends BaseRoute {
 
   registerRoutes(router) {
     router.post('/api/generate', this.asyncHandler(this.handleGenerate.bind(this)));
-    this.logger.info('✅ Generate route registered: POST /api/generate');
+    router.post('/api/generate/batch', this.asyncHandler(this.handleBatchGenerate.bind(this)));
+    router.post('/api/generate/section', this.asyncHandler(this.handleSectionGenerate.bind(this)));
+    this.logger.info('✅ Generate routes registered: POST /api/generate, POST /api/generate/batch, POST /api/generate/section');
   }
 
   /**
    * POST /api/generate — main generation endpoint
+   *
+   * Async mode (body.async === true, ?async=true or "Prefer: respond-async"):
+   * responds 202 with a job ID straight away and runs the pipeline in the
+   * background; follow it via GET /api/jobs/:id or /api/jobs/:id/events.
+   *
+   * Active creation is idempotent — see _claimIdempotency.
    */
   async handleGenerate(req, res) {
     this.logAccess(req, 'generate');
 
+    let claim = null;
     try {
       const request = this._normalizeRequest(req.body);
       const validation = this._validate(request);
       if (!validation.valid) {
         return this.sendError(res, 'Validation failed', 400, { errors: validation.errors });
       }
+      const profileError = await this._resolveProfile(request);
+      if (profileError) {
+        return this.sendError(res, 'Validation failed', 400, { errors: [profileError] });
+      }
 
-      this.logger.info(`Generating ${request.platform}/${request.documentType} for "${request.componentName}"`);
+      claim = await this._claimIdempotency(req, res, request, 'generate');
+      if (!claim) {
+        return;
+      }
 
-      // ---- Primary path: GeminiService ----------------------------------
-      // Snapshot everything we send to the LLM (strip raw base64 screenshot to keep JSON lean)
-      const contextSnapshot = {
-        sentAt: new Date().toISOString(),
-        request: {
-          componentName: request.componentName,
-          platform: request.platform,
-          documentType: request.documentType,
-          techStack: request.techStack,
+      // A retry of a run that failed part-way finishes it instead of starting over
+      const previous = claim.partial;
+      const run = previous
+        ? (onProgress) => this._resumeGeneration(previous, onProgress)
+        : (onProgress) => this._runGeneration(request, onProgress);
+
+      if (this._isAsyncRequest(req)) {
+        return await this._startGenerationJob(request, res, claim.key, run);
+      }
+
+      const result = await this._remember(claim.key, () => run());
+      this.sendSuccess(res, result, previous ? 'Continued an earlier identical request that failed part-way' : 'Documentation generated successfully');
+
+    } catch (error) {
+      this.logger.error('Generation failed:', error);
+      await this._releaseClaim(claim);
+      this.sendError(res, 'Generation failed', 500, { error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/generate/batch — one ticket, Implementation Plan and QA page per
+   * selected frame, all linked to a parent epic for the Figma page.
+   *
+   * Extra body fields: epicKey (reuse an existing epic), epicName (defaults to
+   * the Figma page name), screenshots ({ [nodeId]: image }). Supports the same
+   * async job mode as /api/generate — recommended for more than a few frames.
+   */
+  async handleBatchGenerate(req, res) {
+    this.logAccess(req, 'generate-batch');
+
+    let claim = null;
+    try {
+      const request = this._normalizeRequest(req.body);
+      const validation = this._validateBatch(request);
+      if (!validation.valid) {
+        return this.sendError(res, 'Validation failed', 400, { errors: validation.errors });
+      }
+      const profileError = await this._resolveProfile(request);
+      if (profileError) {
+        return this.sendError(res, 'Validation failed', 400, { errors: [profileError] });
+      }
+
+      claim = await this._claimIdempotency(req, res, request, 'generate-batch');
+      if (!claim) {
+        return;
+      }
+
+      if (this._isAsyncRequest(req)) {
+        const jobStore = this.getService('jobStore');
+        const job = await jobStore.create('generate-batch', {
+          frameCount: request.enhancedFrameData.length,
+          epicKey: request.epicKey || null,
+          epicName: request.epicName || null,
+          fileKey: request.fileContext?.fileKey || null,
           enableActiveCreation: request.enableActiveCreation,
-          fileContext: request.fileContext,
-          metadata: request.metadata,
-          frameData: request.frameData,
-          enhancedFrameData: request.enhancedFrameData,
-          // Summarise screenshot rather than embed the full base64
-          screenshot: request.screenshot
-            ? { provided: true, type: typeof request.screenshot, length: JSON.stringify(request.screenshot).length }
-            : null,
-        },
+        });
+        await this._attachJob(claim.key, job.id);
+        jobStore.run(job, (onProgress) => this._remember(claim.key, () => this._runBatch(request, onProgress, claim.partial)));
+        return this._sendJobAccepted(res, job, 'Batch generation job accepted');
+      }
+
+      const result = await this._remember(claim.key, () => this._runBatch(request, null, claim.partial));
+      this.sendSuccess(res, result, `Batch generated: ${result.summary.succeeded}/${result.summary.total} frames`);
+
+    } catch (error) {
+      this.logger.error('Batch generation failed:', error);
+      await this._releaseClaim(claim);
+      this.sendError(res, 'Batch generation failed', 500, { error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/generate/section — regenerate one section of existing content.
+   *
+   * Body: the usual generate fields (frame data etc. — used for the same
+   * unified context) plus content (the full document), section (heading name,
+   * e.g. "Accessibility"), guidance (optional extra instructions). With
+   * push: true the new section is also written into an existing issue
+   * (issueKey, in tracker — the configured default when omitted) and/or
+   * Implementation Plan page (wikiTitle, wikiSpace, wikiTarget). A profile
+   * supplies the tracker, space and target when those are left out.
+   */
+  async handleSectionGenerate(req, res) {
+    this.logAccess(req, 'generate-section');
+
+    const request = this._normalizeRequest(req.body);
+    const { content, section, guidance, issueKey, wikiTitle, wikiSpace } = req.body;
+    if (typeof content !== 'string' || !content.trim() || !section) {
+      return this.sendError(res, 'Validation failed', 400, { errors: ['content and section are required'] });
+    }
+    const targetErrors = [...this._trackerErrors(request), ...this._wikiTargetErrors(request), ...this._profileErrors(request)];
+    if (targetErrors.length > 0) {
+      return this.sendError(res, 'Validation failed', 400, { errors: targetErrors });
+    }
+    const profileError = await this._resolveProfile(request);
+    if (profileError) {
+      return this.sendError(res, 'Validation failed', 400, { errors: [profileError] });
+    }
+    if (!findSection(content, section)) {
+      return this.sendError(res, `Section "${section}" not found in content`, 422, {
+        availableSections: parseSections(content).map(s => s.title),
+      });
+    }
+
+    const startedAt = Date.now();
+    let generated;
+    try {
+      generated = await this.getService('llmService').generateSection({
+        componentName: request.componentName,
+        techStack: request.techStack,
+        platform: request.platform,
+        documentType: request.documentType,
+        figmaContext: request.figmaContext,
+        figmaUrl: request.figmaUrl,
+        frameData: request.frameData,
+        enhancedFrameData: request.enhancedFrameData,
+        screenshot: request.screenshot,
+        fileContext: request.fileContext,
+        metadata: request.metadata,
+        content,
+        section,
+        guidance,
+        provider: request.llmProvider,
+      });
+    } catch (error) {
+      this.logger.error('Section generation failed:', error);
+      return this.sendError(res, 'Section generation failed', 502, { error: error.message });
+    }
+
+    const result = {
+      content: replaceSection(content, section, generated.content),
+      format: request.platform,
+      strategy: generated.metadata?.provider || 'llm',
+      section: { title: findSection(content, section).title, content: generated.content },
+      metadata: { ...generated.metadata },
+    };
+
+    if (req.body.push === true && (issueKey || wikiTitle)) {
+      try {
+        result.push = await this.getService('workItemOrchestrator').updateSection({
+          section,
+          sectionContent: generated.content,
+          issueKey,
+          tracker: request.tracker || request.projectProfile?.tracker,
+          wikiTitle,
+          wikiSpace: wikiSpace || request.projectProfile?.wikiSpace,
+          wikiTarget: request.wikiTarget || request.projectProfile?.wikiTarget,
+        });
+      } catch (error) {
+        this.logger.warn(`Section push failed: ${error.message}`);
+        result.push = { error: error.message };
+      }
+    }
+
+    await this._recordHistory(request, result, startedAt);
+    this.sendSuccess(res, result, `Section "${result.section.title}" regenerated`);
+  }
+
+  /**
+   * Resolve the page epic, then run the single-frame pipeline for each frame
+   * sequentially (keeps LLM and Jira rate limits predictable). A failing frame
+   * is recorded in the matrix and does not stop the batch.
+   *
+   * Given the partial result of an earlier identical batch, its epic and
+   * completed frames are kept, frames with a saved run are resumed, and only
+   * frames that produced nothing are generated again.
+   * @param {Object} request - Normalized request
+   * @param {Function} [onProgress] - Receives progress events (async job mode)
+   * @param {Object} [previous] - Stored partial batch result
+   * @returns {Promise<Object>} { epic, frames, summary }
+   */
+  async _runBatch(request, onProgress = null, previous = null) {
+    const frames = request.enhancedFrameData;
+    let epic = null;
+
+    if (request.enableActiveCreation || request.dryRun) {
+      const orchestrator = this.getService('workItemOrchestrator');
+      const epicName = request.epicName || request.fileContext?.pageName || request.fileContext?.fileName || 'Figma Design Handoff';
+      if (request.epicKey) {
+        epic = { key: request.epicKey, status: 'provided' };
+      } else if (previous?.epic?.key) {
+        epic = previous.epic;
+      } else if (request.dryRun) {
+        // ensureEpic may create — in a dry run only report what would happen
+        epic = { key: null, name: epicName, status: 'planned' };
+      } else {
+        onProgress?.({ phase: 'epic', status: 'started', data: { name: epicName } });
+        try {
+          const profile = request.projectProfile || {};
+          epic = await orchestrator.ensureEpic(epicName, request.ticketProjectKey || profile.projectKey, request.tracker || profile.tracker);
+          onProgress?.({ phase: 'epic', status: 'completed', data: epic });
+        } catch (epicErr) {
+          // Children are still created; they just won't have a parent
+          this.logger.warn(`Epic resolution failed: ${epicErr.message}`);
+          epic = { key: null, status: 'failed', error: epicErr.message };
+          onProgress?.({ phase: 'epic', status: 'failed', data: { error: epicErr.message } });
+        }
+      }
+    }
+
+    const matrix = [];
+    for (const [index, frame] of frames.entries()) {
+      const frameProgress = onProgress
+        ? (event) => onProgress({ ...event, frame: { index, nodeId: frame.id, name: frame.name } })
+        : null;
+      frameProgress?.({ phase: 'frame', status: 'started' });
+
+      // An earlier partial batch: its completed frames are kept, the partial ones resumed
+      const earlier = previous?.frames?.find(row => row.nodeId === frame.id && row.status !== 'failed');
+      if (earlier) {
+        const row = earlier.status === 'completed' ? earlier : await this._resumeBatchRow(index, frame, earlier, frameProgress);
+        matrix.push(row);
+        frameProgress?.({ phase: 'frame', status: row.status, data: { issueKey: row.jira?.issueKey } });
+        continue;
+      }
+
+      const frameRequest = {
+        ...request,
+        frameData: [frame],
+        enhancedFrameData: [frame],
+        componentName: frame.name || `${request.componentName} ${index + 1}`,
+        // The plugin's single screenshot covers the whole selection — only
+        // per-node images are meaningful here; otherwise Figma export kicks in.
+        screenshot: request.screenshots?.[frame.id] || (frames.length === 1 ? request.screenshot : undefined),
+        figmaExportUrl: undefined,
+        epicKey: epic?.key || undefined,
+        // Confirming a batch dry run re-uses each frame's previewed content
+        generatedContent: request.generatedContentByFrame?.[frame.id],
+        generatedTicket: request.generatedTicketByFrame?.[frame.id],
       };
 
-      // --- Fetch Figma export URL for LLM vision + wiki/jira image embedding ---
-      // If the plugin didn't send a screenshot, call the Figma REST Images API to get
-      // a signed CDN URL. This URL is (a) downloaded as base64 so Gemini can see the
-      // actual design, and (b) stored on request.figmaExportUrl for the orchestrator
-      // to embed directly in Confluence/Jira without needing a file upload.
-      let resolvedScreenshot = request.screenshot;
-      if (!resolvedScreenshot) {
-        const fileKey = request.fileContext?.fileKey;
-        const nodeId = (request.enhancedFrameData?.[0] || request.frameData?.[0])?.id;
-        const figmaToken = process.env.FIGMA_ACCESS_TOKEN || process.env.FIGMA_API_KEY;
-        if (fileKey && nodeId && figmaToken) {
-          try {
-            const figmaApiRes = await fetch(
-              `https://api.figma.com/v1/images/${fileKey}?ids=${encodeURIComponent(nodeId)}&format=png&scale=2`,
-              { headers: { 'X-Figma-Token': figmaToken } }
-            );
-            if (figmaApiRes.ok) {
-              const figmaData = await figmaApiRes.json();
-              const exportUrl = figmaData.images?.[nodeId] || Object.values(figmaData.images || {})[0];
-              if (exportUrl) {
-                resolvedScreenshot = exportUrl;     // GeminiService downloads this as base64
-                request.figmaExportUrl = exportUrl; // stored for orchestrator embedding
-                this.logger.info(`📸 Figma export URL fetched for LLM vision: ${exportUrl.substring(0, 70)}...`);
-              }
-            } else {
-              this.logger.warn(`Figma Images API returned ${figmaApiRes.status} — no export URL`);
+      try {
+        const result = await this._runGeneration(frameRequest, frameProgress);
+        const row = this._batchRow(index, frame, result);
+        matrix.push(row);
+        frameProgress?.({ phase: 'frame', status: row.status, data: { issueKey: row.jira?.issueKey } });
+      } catch (frameErr) {
+        this.logger.error(`Batch frame ${index + 1}/${frames.length} ("${frame.name}") failed: ${frameErr.message}`);
+        matrix.push({ index, nodeId: frame.id, name: frame.name, status: 'failed', error: frameErr.message });
+        frameProgress?.({ phase: 'frame', status: 'failed', data: { error: frameErr.message } });
+      }
+    }
+
+    const succeeded = matrix.filter(row => row.status === 'completed').length;
+    return {
+      ...(request.dryRun && { dryRun: true }),
+      epic,
+      frames: matrix,
+      summary: {
+        total: frames.length,
+        succeeded,
+        partial: matrix.filter(row => row.status === 'partial').length,
+        failed: matrix.filter(row => row.status === 'failed').length,
+      },
+    };
+  }
+
+  /**
+   * Finish the saved run of a frame from an earlier batch; the row is kept
+   * as it was when there is no run left to resume.
+   */
+  async _resumeBatchRow(index, frame, earlier, onProgress) {
+    try {
+      const outcome = await this._resumeOrchestration(earlier.orchestrationId, onProgress);
+      if (!outcome) {
+        return earlier;
+      }
+      return this._batchRow(index, frame, {
+        strategy: earlier.strategy,
+        content: earlier.content,
+        ...(earlier.ticket && { ticket: earlier.ticket }),
+        metadata: {
+          orchestrationId: earlier.orchestrationId,
+          orchestration: outcome.results,
+          ...(outcome.error && { orchestrationError: outcome.error }),
+        },
+      });
+    } catch (error) {
+      this.logger.error(`Resuming batch frame ${index + 1} ("${frame.name}") failed: ${error.message}`);
+      return { ...earlier, error: error.message };
+    }
+  }
+
+  /**
+   * Collapse one frame's generation result into a row of the batch matrix.
+   */
+  _batchRow(index, frame, result) {
+    const orch = result.metadata?.orchestration;
+    const row = {
+      index,
+      nodeId: frame.id,
+      name: frame.name,
+      strategy: result.strategy,
+      content: result.content,
+    };
+    if (result.ticket) {
+      row.ticket = result.ticket;
+    }
+    if (result.metadata?.plan) {
+      row.plan = result.metadata.plan;
+    }
+    if (result.metadata?.orchestrationId) {
+      row.orchestrationId = result.metadata.orchestrationId;
+    }
+    if (!orch) {
+      row.status = result.metadata?.orchestrationError ? 'partial' : 'completed';
+      if (result.metadata?.orchestrationError) {
+        row.error = result.metadata.orchestrationError;
+      }
+      return row;
+    }
+
+    row.jira = orch.jira && {
+      status: orch.jira.status,
+      issueKey: orch.jira.issueKey,
+      url: orch.jira.url,
+      epic: orch.jira.epic,
+      error: orch.jira.error,
+    };
+    row.wiki = orch.wiki && { status: orch.wiki.status, url: orch.wiki.url, error: orch.wiki.error };
+    row.qa = orch.qa && { status: orch.qa.status, url: orch.qa.url, error: orch.qa.error };
+    row.git = orch.git && { status: orch.git.status, branch: orch.git.branch || orch.git.content?.branchName, error: orch.git.error };
+
+    const failed = ['jira', 'wiki', 'qa', 'git'].filter(k => /^failed/.test(row[k]?.status || ''));
+    row.status = failed.length === 0 ? 'completed' : 'partial';
+    return row;
+  }
+
+  /**
+   * Full generation pipeline: Figma export → LLM (or template fallback) →
+   * optional WorkItemOrchestrator. Shared by the sync and async paths.
+   * @param {Object} request - Normalized request
+   * @param {Function} [onProgress] - Receives progress events (async job mode)
+   * @returns {Promise<Object>} { content, format, strategy, metadata }
+   */
+  async _runGeneration(request, onProgress = null) {
+    const progress = (event) => onProgress?.(event);
+    const startedAt = Date.now();
+
+    this.logger.info(`Generating ${request.platform}/${request.documentType} for "${request.componentName}"`);
+
+    // ---- Primary path: LLM provider chain -----------------------------
+    // Snapshot everything we send to the LLM (strip raw base64 screenshot to keep JSON lean)
+    const contextSnapshot = {
+      sentAt: new Date().toISOString(),
+      request: {
+        componentName: request.componentName,
+        platform: request.platform,
+        documentType: request.documentType,
+        techStack: request.techStack,
+        enableActiveCreation: request.enableActiveCreation,
+        fileContext: request.fileContext,
+        metadata: request.metadata,
+        frameData: request.frameData,
+        enhancedFrameData: request.enhancedFrameData,
+        // Summarise screenshot rather than embed the full base64
+        screenshot: request.screenshot
+          ? { provided: true, type: typeof request.screenshot, length: JSON.stringify(request.screenshot).length }
+          : null,
+      },
+    };
+
+    // --- Fetch Figma export URL for LLM vision + wiki/jira image embedding ---
+    // If the plugin didn't send a screenshot, call the Figma REST Images API to get
+    // a signed CDN URL. This URL is (a) downloaded as base64 so Gemini can see the
+    // actual design, and (b) stored on request.figmaExportUrl for the orchestrator
+    // to embed directly in Confluence/Jira without needing a file upload.
+    let resolvedScreenshot = request.screenshot;
+    // Pre-generated content (confirming a dry-run plan) skips the LLM, so only
+    // the orchestrator needs the export URL — it fetches that itself.
+    if (!resolvedScreenshot && !request.generatedContent) {
+      const fileKey = request.fileContext?.fileKey;
+      const nodeId = (request.enhancedFrameData?.[0] || request.frameData?.[0])?.id;
+      const figmaToken = process.env.FIGMA_ACCESS_TOKEN || process.env.FIGMA_API_KEY;
+      if (fileKey && nodeId && figmaToken) {
+        progress({ phase: 'figma-export', status: 'started' });
+        try {
+          const figmaApiRes = await fetch(
+            `https://api.figma.com/v1/images/${fileKey}?ids=${encodeURIComponent(nodeId)}&format=png&scale=2`,
+            { headers: { 'X-Figma-Token': figmaToken } }
+          );
+          if (figmaApiRes.ok) {
+            const figmaData = await figmaApiRes.json();
+            const exportUrl = figmaData.images?.[nodeId] || Object.values(figmaData.images || {})[0];
+            if (exportUrl) {
+              resolvedScreenshot = exportUrl;     // LLM provider downloads this as base64
+              request.figmaExportUrl = exportUrl; // stored for orchestrator embedding
+              this.logger.info(`📸 Figma export URL fetched for LLM vision: ${exportUrl.substring(0, 70)}...`);
             }
-          } catch (figmaErr) {
-            this.logger.warn(`Figma export URL fetch failed: ${figmaErr.message}`);
+          } else {
+            this.logger.warn(`Figma Images API returned ${figmaApiRes.status} — no export URL`);
           }
+        } catch (figmaErr) {
+          this.logger.warn(`Figma export URL fetch failed: ${figmaErr.message}`);
         }
+        progress({ phase: 'figma-export', status: 'completed', data: { exportUrl: !!request.figmaExportUrl } });
       }
+    }
 
-      let result;
+    let result;
+    if (request.generatedContent) {
+      this.logger.info('Using pre-generated content from the request (skipping LLM)');
+      result = {
+        content: request.generatedContent,
+        format: request.platform,
+        strategy: 'provided',
+        metadata: { debugContext: contextSnapshot },
+      };
+      if (request.generatedTicket) {
+        const { ticket, errors } = validateTicket(request.generatedTicket);
+        if (ticket) {
+          result.ticket = ticket;
+        } else {
+          this.logger.warn(`Ignoring invalid generatedTicket: ${errors.join('; ')}`);
+        }
+      }
+    } else {
+      progress({ phase: 'generation', status: 'started' });
       try {
-        const gemini = this.getService('geminiService');
-        const generated = await gemini.generate({
+        const llm = this.getService('llmService');
+        const generated = await llm.generate({
           componentName: request.componentName,
           techStack: request.techStack,
           platform: request.platform,
@@ -104,16 +505,19 @@ export class GenerateRoutes extends BaseRoute {
           figmaExportUrl: request.figmaExportUrl,
           fileContext: request.fileContext,
           metadata: request.metadata,
+          provider: request.llmProvider,
         });
 
         result = {
           content: generated.content,
           format: request.platform,
-          strategy: 'gemini',
+          strategy: generated.metadata?.provider || 'llm',
+          // Structured-output providers also return the validated ticket object
+          ...(generated.ticket && { ticket: generated.ticket }),
           metadata: { ...generated.metadata, debugContext: contextSnapshot },
         };
       } catch (aiError) {
-        this.logger.warn('GeminiService failed, falling back to YAML templates:', aiError.message);
+        this.logger.warn('LLM generation failed, falling back to YAML templates:', aiError.message);
 
         // ---- Fallback: ContextTemplateBridge (no LLM) -------------------
         const { ContextTemplateBridge } = await import('../../core/bridge/ContextTemplateBridge.js');
@@ -122,45 +526,380 @@ export class GenerateRoutes extends BaseRoute {
         result = await bridge.generateDocumentation(request);
         result.metadata = { ...(result.metadata || {}), debugContext: { ...contextSnapshot, fallbackReason: aiError.message } };
       }
+      progress({ phase: 'generation', status: 'completed', data: { strategy: result.strategy } });
+    }
 
-      // ---- Optional: Active creation via WorkItemOrchestrator -----------
-      if (request.enableActiveCreation) {
-        try {
-          const orchestrator = this.getService('workItemOrchestrator', false);
-          if (orchestrator) {
-            this.logger.info('Routing to WorkItemOrchestrator for active creation');
-            const orchResult = await orchestrator.run({
-              componentName: request.componentName,
-              frameData: request.frameData,
-              screenshot: resolvedScreenshot,     // use Figma CDN URL if no plugin screenshot
-              figmaExportUrl: request.figmaExportUrl,
-              projectKey: request.ticketProjectKey,
-              wikiSpace: request.wikiSpace,
-              generatedContent: result.content,
-              ...request,
-            }, {
-              enableActiveCreation: true,
-              wikiSpace: request.wikiSpace,
-              ticketProjectKey: request.ticketProjectKey,
-            });
-
-            result.metadata = {
-              ...result.metadata,
-              activeExecution: true,
-              orchestration: orchResult.results,
-            };
+    // ---- Optional: Active creation via WorkItemOrchestrator -----------
+    // dryRun walks the same path but only records the MCP writes it would make.
+    if (request.enableActiveCreation || request.dryRun) {
+      try {
+        const orchestrator = this.getService('workItemOrchestrator', false);
+        if (orchestrator) {
+          const update = request.updateExisting ? await this._findPreviousGeneration(request) : null;
+          if (request.updateExisting) {
+            result.metadata = { ...result.metadata, update: this._updateSummary(update) };
+          }
+          this.logger.info(`Routing to WorkItemOrchestrator for ${request.dryRun ? 'dry run' : 'active creation'}`);
+          const orchResult = await orchestrator.run({
+            componentName: request.componentName,
+            frameData: request.frameData,
+            screenshot: resolvedScreenshot,     // use Figma CDN URL if no plugin screenshot
+            figmaExportUrl: request.figmaExportUrl,
+            projectKey: request.ticketProjectKey,
+            wikiSpace: request.wikiSpace,
+            generatedContent: result.content,
+            ...request,
+            ticket: result.ticket,
+          }, {
+            enableActiveCreation: true,
+            wikiSpace: request.wikiSpace,
+            ticketProjectKey: request.ticketProjectKey,
+            epicKey: request.epicKey,
+            tracker: request.tracker,
+            wikiTarget: request.wikiTarget,
+            pipeline: request.pipeline,
+            profile: request.projectProfile,
+            jiraFields: request.jiraFields,
+            linkIssue: request.linkIssue,
+            dryRun: request.dryRun,
+            update,
+            testExports: request.testExports,
+            onProgress,
+          });
+
+          result.metadata = {
+            ...result.metadata,
+            activeExecution: !request.dryRun,
+            orchestration: orchResult.results,
+            // Saved run state — POST /api/orchestrations/:id/resume or /rollback
+            ...(orchResult.orchestrationId && { orchestrationId: orchResult.orchestrationId }),
+          };
+          if (request.dryRun) {
+            result.metadata.dryRun = true;
+            result.metadata.plan = orchResult.plan;
           }
-        } catch (orchError) {
-          this.logger.error('Orchestration failed (content still returned):', orchError.message);
-          result.metadata = { ...result.metadata, orchestrationError: orchError.message };
         }
+      } catch (orchError) {
+        this.logger.error('Orchestration failed (content still returned):', orchError.message);
+        result.metadata = { ...result.metadata, orchestrationError: orchError.message };
       }
+    }
 
-      this.sendSuccess(res, result, 'Documentation generated successfully');
+    await this._recordHistory(request, result, startedAt);
+    return result;
+  }
 
+  /**
+   * Persist the generation so it can be reopened via /api/history without
+   * calling the LLM again. Never fails the request.
+   */
+  async _recordHistory(request, result, startedAt) {
+    const historyStore = this.getService('historyStore', false);
+    if (!historyStore) {
+      return;
+    }
+
+    const { debugContext, orchestration, orchestrationId, plan, update, ...generation } = result.metadata || {};
+    const frames = request.enhancedFrameData || request.frameData || [];
+    try {
+      const entry = await historyStore.record({
+        request: {
+          componentName: request.componentName,
+          platform: request.platform,
+          documentType: request.documentType,
+          techStack: request.techStack,
+          fileKey: request.fileContext?.fileKey || null,
+          fileName: request.fileContext?.fileName || null,
+          pageName: request.fileContext?.pageName || null,
+          nodeIds: frames.map(frame => frame?.id).filter(Boolean),
+          figmaUrl: request.figmaUrl || null,
+          enableActiveCreation: request.enableActiveCreation,
+          dryRun: request.dryRun,
+          epicKey: request.epicKey || null,
+          tracker: request.tracker || null,
+          wikiTarget: request.wikiTarget || null,
+          pipeline: request.pipeline || null,
+          profile: request.profile || null,
+          jiraFields: request.jiraFields || null,
+          linkIssue: request.linkIssue || null,
+        },
+        // Compared against by the next updateExisting run for these frames
+        design: designSnapshot(frames),
+        updateOf: update?.previousId || null,
+        revision: update?.revision || 1,
+        generation: { ...generation, strategy: result.strategy, format: result.format },
+        content: result.content,
+        ticket: result.ticket || null,
+        // The QA page's test cases, for GET /api/history/:id/tests exports
+        testCases: orchestration?.qa?.testCases || null,
+        orchestration: this._historyOrchestration(orchestration),
+        orchestrationId: orchestrationId || null,
+        plan: plan || null,
+        timing: {
+          startedAt: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+        },
+        debugContext: debugContext || null,
+      });
+      result.metadata = { ...result.metadata, historyId: entry.id };
     } catch (error) {
-      this.logger.error('Generation failed:', error);
-      this.sendError(res, 'Generation failed', 500, { error: error.message });
+      this.logger.warn(`Failed to record generation history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Links and statuses only — retry payloads and page bodies duplicate `content`.
+   */
+  _historyOrchestration(orchestration) {
+    if (!orchestration) {
+      return null;
+    }
+    const pick = ({ status, tracker, target, url, issueKey, title, pageId, branch, error, reason, epic } = {}) =>
+      Object.fromEntries(Object.entries({ status, tracker, target, url, issueKey, title, pageId, branch, error, reason, epic }).filter(([, v]) => v !== undefined));
+    return Object.fromEntries(Object.entries(orchestration).map(([name, step]) => [name, pick(step || {})]));
+  }
+
+  // ---- Update mode ------------------------------------------------------
+
+  /**
+   * The latest non-dry-run generation of the same frame that produced a Jira
+   * issue, as the orchestrator's `update` option: where its issue and pages
+   * are, and how the design changed since.
+   * @returns {Promise<Object|null>} null when the frame hasn't been generated before
+   */
+  async _findPreviousGeneration(request) {
+    const historyStore = this.getService('historyStore', false);
+    const fileKey = request.fileContext?.fileKey;
+    const frames = request.enhancedFrameData || request.frameData || [];
+    const nodeId = frames[0]?.id;
+    if (!historyStore || !fileKey || !nodeId) {
+      return null;
+    }
+
+    try {
+      const { entries } = await historyStore.list({ fileKey, nodeId, limit: PREVIOUS_LOOKUP_LIMIT });
+      const match = entries.find(entry => !entry.dryRun && entry.jiraKey);
+      const previous = match && await historyStore.get(match.id);
+      if (!previous) {
+        return null;
+      }
+      // Entries recorded before snapshots were kept still have the frames in debugContext
+      const before = previous.design || designSnapshot(previous.debugContext?.request?.enhancedFrameData || []);
+      const jira = previous.orchestration?.jira || {};
+      return {
+        previousId: previous.id,
+        since: previous.createdAt,
+        revision: (previous.revision || 1) + 1,
+        issueKey: jira.issueKey,
+        issueUrl: jira.url || null,
+        // Entries from before pluggable trackers are all Jira
+        tracker: jira.tracker || 'jira',
+        wiki: previous.orchestration?.wiki || null,
+        qa: previous.orchestration?.qa || null,
+        changes: diffDesign(before, designSnapshot(frames)),
+      };
+    } catch (error) {
+      this.logger.warn(`Previous generation lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * What the response reports about update mode.
+   */
+  _updateSummary(update) {
+    if (!update) {
+      return { status: 'no-previous' };
+    }
+    const { previousId, since, revision, issueKey, changes } = update;
+    return { status: 'updating', previousId, since, revision, issueKey, changes };
+  }
+
+  // ---- Async job mode ---------------------------------------------------
+
+  _isAsyncRequest(req) {
+    return req.body?.async === true
+      || req.query?.async === 'true'
+      || /respond-async/i.test(req.get('Prefer') || '');
+  }
+
+  /**
+   * Queue the pipeline as a background job and answer 202 immediately.
+   * @param {string|null} [idempotencyKey] - Claimed key; the job result is stored under it
+   * @param {Function} [run] - async (onProgress) => result; the full pipeline by default
+   */
+  async _startGenerationJob(request, res, idempotencyKey = null, run = (onProgress) => this._runGeneration(request, onProgress)) {
+    const jobStore = this.getService('jobStore');
+    const job = await jobStore.create('generate', {
+      componentName: request.componentName,
+      platform: request.platform,
+      documentType: request.documentType,
+      fileKey: request.fileContext?.fileKey || null,
+      nodeId: (request.enhancedFrameData?.[0] || request.frameData?.[0])?.id || null,
+      enableActiveCreation: request.enableActiveCreation,
+    });
+
+    await this._attachJob(idempotencyKey, job.id);
+
+    // Fire-and-forget: JobStore.run() records completion/failure itself
+    jobStore.run(job, (onProgress) => this._remember(idempotencyKey, () => run(onProgress)));
+
+    this._sendJobAccepted(res, job, 'Generation job accepted');
+  }
+
+  _sendJobAccepted(res, job, message) {
+    this.sendSuccess(res, {
+      jobId: job.id,
+      status: job.status,
+      links: {
+        self: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`,
+      },
+    }, message, 202);
+  }
+
+  // ---- Idempotency --------------------------------------------------------
+
+  /**
+   * Guard side-effecting requests against client retries. The key is the
+   * Idempotency-Key header or, when active creation is on, derived from
+   * fileKey + node IDs + design version. A repeat gets the stored response (or
+   * the still-running job) instead of a second Jira ticket and wiki pages.
+   * A repeat of a run that failed part-way gets `partial`, the stored result,
+   * to finish. Dry runs create nothing and are never claimed.
+   * @returns {Promise<{ key: string|null, partial?: Object }|null>} null when the response was already sent
+   */
+  async _claimIdempotency(req, res, request, scope) {
+    const store = this.getService('idempotencyStore', false);
+    const headerKey = req.get('Idempotency-Key');
+    if (!store || request.dryRun || (!headerKey && !request.enableActiveCreation)) {
+      return { key: null };
+    }
+
+    const key = headerKey ? `${scope}:${headerKey}` : store.deriveKey(scope, request);
+    if (!key) {
+      return { key: null };
+    }
+
+    const { state, record } = await store.begin(key, store.fingerprint(request));
+    switch (state) {
+      case 'claimed':
+        return { key };
+      case 'partial':
+        this.logger.info(`🔁 Finishing the partial result stored for idempotency key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return { key, partial: record.response };
+      case 'completed':
+        this.logger.info(`🔁 Replaying stored result for idempotency key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        this.sendSuccess(res, record.response, 'Replayed result of an earlier identical request', 200, {
+          idempotencyKey: key,
+          originalCompletedAt: record.completedAt,
+        });
+        return null;
+      case 'mismatch':
+        this.sendError(res, 'Idempotency-Key was already used for a different request', 422, { idempotencyKey: key });
+        return null;
+      default:
+        if (record.jobId) {
+          this._sendJobAccepted(res, { id: record.jobId, status: 'running' }, 'Identical request already in progress');
+        } else {
+          res.set('Retry-After', '30');
+          this.sendError(res, 'An identical request is still in progress', 409, { idempotencyKey: key });
+        }
+        return null;
+    }
+  }
+
+  /**
+   * Run a request body, storing its result under the claimed key (if any).
+   * A result with a failed step is kept as partial when the run had already
+   * created something — the retry resumes it — and dropped when it had not,
+   * so the retry after a transient Jira/Confluence failure runs again.
+   */
+  _remember(key, body) {
+    return key ? this.getService('idempotencyStore').track(key, body, result => this._outcome(result)) : body();
+  }
+
+  /**
+   * @returns {'completed'|'partial'|'failed'} See IdempotencyStore.track
+   */
+  _outcome(result) {
+    if (!this._hasFailures(result)) {
+      return 'completed';
+    }
+    const created = step => CREATED_STATUSES.includes(step?.status);
+    const createdAnything = result?.summary
+      ? created(result.epic) || (result.frames || []).some(row => [row.jira, row.wiki, row.qa, row.git].some(created))
+      : Object.values(result?.metadata?.orchestration || {}).some(created);
+    return createdAnything ? 'partial' : 'failed';
+  }
+
+  /**
+   * Whether a generate or batch result reports a failure: an orchestration
+   * error, a failed step, or failed / partial batch frames or epic.
+   */
+  _hasFailures(result) {
+    if (result?.summary) {
+      return result.summary.failed > 0 || result.summary.partial > 0 || result.epic?.status === 'failed';
+    }
+    const metadata = result?.metadata || {};
+    return Boolean(metadata.orchestrationError)
+      || Object.values(metadata.orchestration || {}).some(step => /^failed/.test(step?.status || ''));
+  }
+
+  /**
+   * Finish an earlier generation whose orchestration failed part-way: the
+   * content is not generated again, and the stored result gets the step
+   * results of the resumed run.
+   * @param {Object} previous - Stored partial result of an identical request
+   * @param {Function} [onProgress]
+   * @returns {Promise<Object>} The updated result; the stored one when there is no saved run
+   */
+  async _resumeGeneration(previous, onProgress = null) {
+    const outcome = await this._resumeOrchestration(previous.metadata?.orchestrationId, onProgress);
+    if (!outcome) {
+      return previous;
+    }
+    const { orchestrationError: _error, ...metadata } = previous.metadata;
+    return {
+      ...previous,
+      metadata: { ...metadata, orchestration: outcome.results, ...(outcome.error && { orchestrationError: outcome.error }) },
+    };
+  }
+
+  /**
+   * Resume a saved run (WorkItemOrchestrator.resume) so only its failed and
+   * unfinished steps run again. A run completed since — through
+   * POST /api/orchestrations/:id/resume — just reports its results.
+   * @param {string} [id] - orchestrationId of the earlier run
+   * @param {Function} [onProgress]
+   * @returns {Promise<Object|null>} { results, error? }; null when there is no run to resume
+   */
+  async _resumeOrchestration(id, onProgress = null) {
+    const store = this.getService('orchestrationStore', false);
+    const record = id && store ? await store.get(id) : null;
+    if (record?.status === 'completed') {
+      return { results: record.results };
+    }
+    if (record?.status !== 'failed') {
+      return null;
+    }
+    this.logger.info(`🔁 Resuming orchestration ${id} for a retried request`);
+    record.status = 'running';
+    await store.save(record);
+    return this.getService('workItemOrchestrator').resume(record, { onProgress });
+  }
+
+  async _attachJob(key, jobId) {
+    if (key) {
+      await this.getService('idempotencyStore').attachJob(key, jobId);
+    }
+  }
+
+  async _releaseClaim(claim) {
+    if (claim?.key) {
+      await this.getService('idempotencyStore').release(claim.key);
     }
   }
 
@@ -182,6 +921,34 @@ export class GenerateRoutes extends BaseRoute {
       enableActiveCreation: raw.enableActiveCreation || false,
       wikiSpace: raw.wikiSpace,
       ticketProjectKey: raw.ticketProjectKey,
+      epicKey: raw.epicKey,
+      // Issue tracker (jira, github, gitlab); TRACKER when omitted
+      tracker: raw.tracker,
+      // Where the wiki pages go (confluence, repo); WIKI_TARGET when omitted
+      wikiTarget: raw.wikiTarget,
+      // Orchestration pipeline by name (config/pipelines); the project's own or default when omitted
+      pipeline: raw.pipeline,
+      // Project profile by name (GET /api/profiles) — team settings in place of the env defaults
+      profile: raw.profile,
+      // Jira fields by logical name, e.g. { storyPoints: 5, components: ['Web'] } — over the profile's
+      jiraFields: raw.jiraFields,
+      // Existing issue to use instead of filing a new one — picked from the plan's similar issues
+      linkIssue: typeof raw.linkIssue === 'string' ? raw.linkIssue.trim() : raw.linkIssue,
+      // Re-run for a frame generated before: comment on its issue and update its wiki page
+      updateExisting: raw.updateExisting === true,
+      // Preview mode: return the MCP write plan instead of creating anything
+      dryRun: raw.dryRun === true,
+      // Content from a previous (dry-run) response — confirms the plan without regenerating
+      generatedContent: raw.generatedContent,
+      generatedTicket: raw.generatedTicket,
+      generatedContentByFrame: raw.generatedContentByFrame,
+      generatedTicketByFrame: raw.generatedTicketByFrame,
+      epicName: raw.epicName,
+      // Attach the QA test cases to the issue in these formats (xray, testrail, gherkin)
+      testExports: raw.testExports,
+      // Restrict generation to specific provider(s), e.g. 'ollama' for projects cleared only for internal models
+      llmProvider: raw.llmProvider,
+      screenshots: raw.screenshots,
       context: raw.context,
       metadata: raw.metadata,
     };
@@ -193,8 +960,106 @@ export class GenerateRoutes extends BaseRoute {
     if (!hasData) {
       errors.push('At least one of frameData, screenshot, or figmaUrl is required');
     }
+    errors.push(...this._testExportErrors(request));
+    errors.push(...this._trackerErrors(request));
+    errors.push(...this._projectKeyErrors(request));
+    errors.push(...this._wikiTargetErrors(request));
+    errors.push(...this._pipelineErrors(request));
+    errors.push(...this._profileErrors(request));
+    errors.push(...this._jiraFieldsErrors(request));
+    errors.push(...this._linkIssueErrors(request));
     return { valid: errors.length === 0, errors };
   }
+
+  _validateBatch(request) {
+    const errors = [];
+    const frames = request.enhancedFrameData || [];
+    if (frames.length === 0) {
+      errors.push('frameData must contain at least one frame');
+    }
+    if (frames.length > MAX_BATCH_FRAMES) {
+      errors.push(`A batch is limited to ${MAX_BATCH_FRAMES} frames (got ${frames.length})`);
+    }
+    if (frames.some(frame => !frame?.id)) {
+      errors.push('Every frame needs an id');
+    }
+    errors.push(...this._testExportErrors(request));
+    errors.push(...this._trackerErrors(request));
+    errors.push(...this._projectKeyErrors(request));
+    errors.push(...this._wikiTargetErrors(request));
+    errors.push(...this._pipelineErrors(request));
+    errors.push(...this._profileErrors(request));
+    errors.push(...this._jiraFieldsErrors(request));
+    if (request.linkIssue !== undefined) {
+      errors.push('linkIssue is only for single-frame requests');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  _wikiTargetErrors({ wikiTarget }) {
+    return wikiTarget === undefined || WIKI_TARGETS.includes(wikiTarget) ? [] : [`Unknown wikiTarget "${wikiTarget}" (expected ${WIKI_TARGETS.join(', ')})`];
+  }
+
+  // Only the shape — whether a pipeline of that name exists is known when the run loads it
+  _pipelineErrors({ pipeline }) {
+    return pipeline === undefined || (typeof pipeline === 'string' && /^[A-Za-z][\w-]*$/.test(pipeline)) ? [] : ['pipeline must be a pipeline name'];
+  }
+
+  _profileErrors({ profile }) {
+    return profile === undefined || (typeof profile === 'string' && /^[A-Za-z][\w-]*$/.test(profile)) ? [] : ['profile must be a profile name'];
+  }
+
+  _jiraFieldsErrors({ jiraFields }) {
+    return jiraFields === undefined ? [] : jiraFieldsErrors(jiraFields);
+  }
+
+  _linkIssueErrors({ linkIssue, updateExisting }) {
+    if (linkIssue === undefined) {
+      return [];
+    }
+    if (typeof linkIssue !== 'string' || !linkIssue.trim()) {
+      return ['linkIssue must be an issue key'];
+    }
+    return updateExisting ? ['linkIssue and updateExisting can\'t be combined — update mode finds the issue itself'] : [];
+  }
+
+  /**
+   * Load the named project profile onto the request as projectProfile.
+   * @returns {Promise<string|null>} Error message when there is no such profile
+   */
+  async _resolveProfile(request) {
+    if (!request.profile) {
+      return null;
+    }
+    request.projectProfile = await this.getService('configurationService').getProfile(request.profile);
+    return request.projectProfile ? null : `Unknown profile "${request.profile}"`;
+  }
+
+  _trackerErrors({ tracker }) {
+    return tracker === undefined || TRACKERS.includes(tracker) ? [] : [`Unknown tracker "${tracker}" (expected ${TRACKERS.join(', ')})`];
+  }
+
+  // The project goes into GitHub/GitLab API paths — refuse anything but a key or owner/name path
+  _projectKeyErrors({ ticketProjectKey, tracker }) {
+    if (ticketProjectKey === undefined || ticketProjectKey === null || ticketProjectKey === '') {
+      return [];
+    }
+    const name = TRACKERS.includes(tracker) ? tracker : undefined;
+    return isProjectKey(name, ticketProjectKey)
+      ? []
+      : [`ticketProjectKey must be a Jira project key, a GitHub owner/name or a GitLab group/name path (got "${ticketProjectKey}")`];
+  }
+
+  _testExportErrors({ testExports }) {
+    if (testExports === undefined) {
+      return [];
+    }
+    if (!Array.isArray(testExports)) {
+      return [`testExports must be an array of formats (${TEST_EXPORT_FORMATS.join(', ')})`];
+    }
+    const unknown = testExports.filter(format => !TEST_EXPORT_FORMATS.includes(format));
+    return unknown.length > 0 ? [`Unknown testExports format(s): ${unknown.join(', ')} (expected ${TEST_EXPORT_FORMATS.join(', ')})`] : [];
+  }
 }
 
 export default GenerateRoutes;
@@ -0,0 +1,86 @@
+/**
+ * History Routes — browse and reopen earlier generations.
+ *
+ * GET /api/history      → newest-first summaries
+ *                         (?fileKey, ?nodeId, ?component, ?from, ?to, ?limit)
+ * GET /api/history/:id  → full record: content, orchestration links, debugContext
+ * GET /api/history/:id/tests?format=xray|testrail|gherkin
+ *                       → the QA page's test cases as a test-management import file
+ *
+ * Entries are written by the generate route after every generation.
+ */
+
+import { BaseRoute } from './BaseRoute.js';
+import { TEST_EXPORT_FORMATS, exportTestCases } from '../../core/formats/test-exports.js';
+
+export class HistoryRoutes extends BaseRoute {
+  constructor(serviceContainer) {
+    super('History', serviceContainer);
+  }
+
+  registerRoutes(router) {
+    router.get('/api/history', this.asyncHandler(this.handleList.bind(this)));
+    router.get('/api/history/:id', this.asyncHandler(this.handleGet.bind(this)));
+    router.get('/api/history/:id/tests', this.asyncHandler(this.handleTests.bind(this)));
+    this.logger.info('✅ History routes registered: GET /api/history, GET /api/history/:id, GET /api/history/:id/tests');
+  }
+
+  /**
+   * GET /api/history — filtered list
+   */
+  async handleList(req, res) {
+    const { fileKey, nodeId, component, from, to, limit } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return this.sendError(res, `Invalid "${name}" date: ${value}`, 400);
+      }
+    }
+
+    const result = await this.getService('historyStore').list({ fileKey, nodeId, component, from, to, limit });
+    this.sendSuccess(res, result, `${result.entries.length} of ${result.total} history entries`);
+  }
+
+  /**
+   * GET /api/history/:id — one stored generation
+   */
+  async handleGet(req, res) {
+    const entry = await this.getService('historyStore').get(req.params.id);
+    if (!entry) {
+      return this.sendError(res, `History entry ${req.params.id} not found`, 404);
+    }
+    this.sendSuccess(res, entry, 'History entry retrieved');
+  }
+
+  /**
+   * GET /api/history/:id/tests — QA test cases as an import file, linked to
+   * the generation's Jira issue and Figma frame
+   */
+  async handleTests(req, res) {
+    const { format } = req.query;
+    if (!TEST_EXPORT_FORMATS.includes(format)) {
+      return this.sendError(res, `Query parameter "format" must be one of: ${TEST_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const entry = await this.getService('historyStore').get(req.params.id);
+    if (!entry) {
+      return this.sendError(res, `History entry ${req.params.id} not found`, 404);
+    }
+    const testCases = entry.testCases;
+    if (!testCases?.cases?.length) {
+      return this.sendError(res, `History entry ${req.params.id} has no QA test cases`, 404);
+    }
+
+    const file = exportTestCases(format, testCases.cases, {
+      componentName: entry.request?.componentName,
+      issueKey: testCases.issueKey || entry.orchestration?.jira?.issueKey,
+      figmaUrl: testCases.figmaUrl || entry.request?.figmaUrl,
+    });
+    res.set({
+      'Content-Type': `${file.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+    });
+    res.send(file.body);
+  }
+}
+
+export default HistoryRoutes;
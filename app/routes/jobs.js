@@ -0,0 +1,106 @@
+/**
+ * Job Routes — follow async generation jobs.
+ *
+ * GET /api/jobs/:id         → current job state (poll)
+ * GET /api/jobs/:id/events  → Server-Sent Events stream of progress events
+ *
+ * Jobs are created by POST /api/generate in async mode.
+ */
+
+import { BaseRoute } from './BaseRoute.js';
+
+const KEEP_ALIVE_MS = 15000;
+
+export class JobRoutes extends BaseRoute {
+  constructor(serviceContainer) {
+    super('Jobs', serviceContainer);
+  }
+
+  registerRoutes(router) {
+    router.get('/api/jobs/:id', this.asyncHandler(this.handleGetJob.bind(this)));
+    router.get('/api/jobs/:id/events', this.asyncHandler(this.handleJobEvents.bind(this)));
+    this.logger.info('✅ Job routes registered: GET /api/jobs/:id, GET /api/jobs/:id/events');
+  }
+
+  /**
+   * GET /api/jobs/:id — poll job state
+   */
+  async handleGetJob(req, res) {
+    const job = await this.getService('jobStore').get(req.params.id);
+    if (!job) {
+      return this.sendError(res, `Job ${req.params.id} not found`, 404);
+    }
+    this.sendSuccess(res, job, `Job ${job.status}`);
+  }
+
+  /**
+   * GET /api/jobs/:id/events — SSE stream.
+   * Replays events the client has not seen yet (Last-Event-ID / ?since=),
+   * then streams live ones until the job completes or fails.
+   */
+  async handleJobEvents(req, res) {
+    const jobStore = this.getService('jobStore');
+    const job = await jobStore.get(req.params.id);
+    if (!job) {
+      return this.sendError(res, `Job ${req.params.id} not found`, 404);
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+
+    const since = parseInt(req.get('Last-Event-ID') || req.query.since || '0', 10) || 0;
+    for (const event of job.events.filter(e => e.seq > since)) {
+      this._writeEvent(res, 'progress', event, event.seq);
+    }
+
+    if (jobStore.isTerminal(job)) {
+      this._writeEvent(res, 'done', this._summary(job));
+      return res.end();
+    }
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    const unsubscribe = jobStore.subscribe(job.id, (update) => {
+      if (update.type === 'progress') {
+        this._writeEvent(res, 'progress', update.event, update.event.seq);
+        return;
+      }
+      this._writeEvent(res, 'done', this._summary(update.job));
+      cleanup();
+      res.end();
+    });
+
+    function cleanup() {
+      clearInterval(keepAlive);
+      unsubscribe();
+    }
+    req.on('close', cleanup);
+  }
+
+  // ---- Helpers ----------------------------------------------------------
+
+  _writeEvent(res, type, data, id = null) {
+    if (id !== null) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _summary(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      error: job.error,
+      completedAt: job.completedAt,
+      result: job.result,
+    };
+  }
+}
+
+export default JobRoutes;
@@ -0,0 +1,118 @@
+/**
+ * Orchestration Routes — saved active runs (Jira, wiki pages, QA page, branch).
+ *
+ * GET  /api/orchestrations/:id           → status, one record per step, IDs and URLs
+ * POST /api/orchestrations/:id/resume    → run the failed and unfinished steps again,
+ *                                          then redo the cross-links
+ * POST /api/orchestrations/:id/rollback  → archive the artifacts the run created
+ *
+ * Runs are saved by WorkItemOrchestrator after every step; the generate route
+ * returns the id as metadata.orchestrationId.
+ */
+
+import { BaseRoute } from './BaseRoute.js';
+
+// A run still marked running after this long was interrupted (server restart)
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+export class OrchestrationRoutes extends BaseRoute {
+  constructor(serviceContainer) {
+    super('Orchestrations', serviceContainer);
+    // Runs this process is resuming — a second POST can't slip in before the record says running
+    this.resuming = new Set();
+  }
+
+  registerRoutes(router) {
+    router.get('/api/orchestrations/:id', this.asyncHandler(this.handleGet.bind(this)));
+    router.post('/api/orchestrations/:id/resume', this.asyncHandler(this.handleResume.bind(this)));
+    router.post('/api/orchestrations/:id/rollback', this.asyncHandler(this.handleRollback.bind(this)));
+    this.logger.info('✅ Orchestration routes registered: GET /api/orchestrations/:id, POST /api/orchestrations/:id/resume, POST /api/orchestrations/:id/rollback');
+  }
+
+  /**
+   * GET /api/orchestrations/:id — the saved run
+   */
+  async handleGet(req, res) {
+    const record = await this._find(req, res);
+    if (record) {
+      const { input: _input, ...run } = record;
+      this.sendSuccess(res, run, `Orchestration ${record.status}`);
+    }
+  }
+
+  /**
+   * POST /api/orchestrations/:id/resume
+   */
+  async handleResume(req, res) {
+    const record = await this._find(req, res);
+    if (!record) {
+      return;
+    }
+    const conflict = this.resuming.has(record.id) ? `Orchestration ${record.id} is still running` : this._resumeConflict(record);
+    if (conflict) {
+      return this.sendError(res, conflict, 409);
+    }
+
+    // Marked running, and saved, before any step starts, so other processes see it too
+    this.resuming.add(record.id);
+    let outcome;
+    try {
+      record.status = 'running';
+      await this.getService('orchestrationStore').save(record);
+      outcome = await this.getService('workItemOrchestrator').resume(record);
+    } finally {
+      this.resuming.delete(record.id);
+    }
+    if (outcome.error) {
+      return this.sendError(res, `Resume of orchestration ${record.id} failed: ${outcome.error}`, 500);
+    }
+    this.sendSuccess(res, this._summary(record, outcome.results), `Orchestration ${record.status}`);
+  }
+
+  /**
+   * POST /api/orchestrations/:id/rollback
+   */
+  async handleRollback(req, res) {
+    const record = await this._find(req, res);
+    if (!record) {
+      return;
+    }
+    if (record.status === 'running' && !this._isStale(record)) {
+      return this.sendError(res, `Orchestration ${record.id} is still running`, 409);
+    }
+
+    const rollback = await this.getService('workItemOrchestrator').rollback(record);
+    this.sendSuccess(res, { ...this._summary(record, record.results), rollback }, 'Orchestration rolled back');
+  }
+
+  async _find(req, res) {
+    const record = await this.getService('orchestrationStore').get(req.params.id);
+    if (!record) {
+      this.sendError(res, `Orchestration ${req.params.id} not found`, 404);
+    }
+    return record;
+  }
+
+  _resumeConflict(record) {
+    if (record.status === 'completed') {
+      return `Orchestration ${record.id} completed — nothing to resume`;
+    }
+    if (record.status === 'rolled_back') {
+      return `Orchestration ${record.id} was rolled back`;
+    }
+    if (record.status === 'running' && !this._isStale(record)) {
+      return `Orchestration ${record.id} is still running`;
+    }
+    return null;
+  }
+
+  _isStale(record) {
+    return Date.now() - Date.parse(record.updatedAt) > STALE_RUN_MS;
+  }
+
+  _summary(record, results) {
+    return { id: record.id, status: record.status, steps: record.steps, results };
+  }
+}
+
+export default OrchestrationRoutes;
@@ -0,0 +1,70 @@
+/**
+ * Project Profile Routes — named per-team settings picked in the plugin.
+ *
+ * GET    /api/profiles        → every profile
+ * GET    /api/profiles/:name  → one profile
+ * PUT    /api/profiles/:name  → create or replace it (body: the settings)
+ * DELETE /api/profiles/:name  → remove it
+ *
+ * The generate routes take a profile by name (body.profile); its Jira
+ * project, issue type, wiki space, parent pages, … replace the env defaults
+ * for that run. Stored by ConfigurationService.
+ */
+
+import { BaseRoute } from './BaseRoute.js';
+
+export class ProfileRoutes extends BaseRoute {
+  constructor(serviceContainer) {
+    super('Profiles', serviceContainer);
+  }
+
+  registerRoutes(router) {
+    router.get('/api/profiles', this.asyncHandler(this.handleList.bind(this)));
+    router.get('/api/profiles/:name', this.asyncHandler(this.handleGet.bind(this)));
+    router.put('/api/profiles/:name', this.asyncHandler(this.handleSave.bind(this)));
+    router.delete('/api/profiles/:name', this.asyncHandler(this.handleDelete.bind(this)));
+    this.logger.info('✅ Profile routes registered: GET /api/profiles, GET|PUT|DELETE /api/profiles/:name');
+  }
+
+  /**
+   * GET /api/profiles
+   */
+  async handleList(req, res) {
+    const profiles = await this.getService('configurationService').listProfiles();
+    this.sendSuccess(res, { profiles }, `${profiles.length} project profile(s)`);
+  }
+
+  /**
+   * GET /api/profiles/:name
+   */
+  async handleGet(req, res) {
+    const profile = await this.getService('configurationService').getProfile(req.params.name);
+    if (!profile) {
+      return this.sendError(res, `Project profile ${req.params.name} not found`, 404);
+    }
+    this.sendSuccess(res, profile, `Project profile ${profile.name}`);
+  }
+
+  /**
+   * PUT /api/profiles/:name — the body replaces the whole profile
+   */
+  async handleSave(req, res) {
+    const { valid, errors, profile, created } = await this.getService('configurationService').saveProfile(req.params.name, req.body);
+    if (!valid) {
+      return this.sendError(res, 'Validation failed', 400, { errors });
+    }
+    this.sendSuccess(res, profile, `Project profile ${profile.name} ${created ? 'created' : 'updated'}`, created ? 201 : 200);
+  }
+
+  /**
+   * DELETE /api/profiles/:name
+   */
+  async handleDelete(req, res) {
+    if (!await this.getService('configurationService').deleteProfile(req.params.name)) {
+      return this.sendError(res, `Project profile ${req.params.name} not found`, 404);
+    }
+    this.sendSuccess(res, { name: req.params.name }, `Project profile ${req.params.name} deleted`);
+  }
+}
+
+export default ProfileRoutes;
@@ -34,7 +34,9 @@ export class RetryWikiRoutes {
 
       // Directly reuse the existing createWikiPage which already has the
       // stub+update fallback strategy for large-content timeout scenarios.
-      const result = await mcpAdapter.createWikiPage(title, content, spaceKey, parentId);
+      // retryContext content is Markdown; storage-format spaces get it converted.
+      const body = mcpAdapter.formatWikiContent ? mcpAdapter.formatWikiContent(content, spaceKey) : content;
+      const result = await mcpAdapter.createWikiPage(title, body, spaceKey, parentId);
 
       // Extract URL from the various response shapes Confluence MCP can return
       let url = null;
@@ -0,0 +1,70 @@
+/**
+ * Webhook Routes — events from other services.
+ *
+ * POST /api/webhooks/figma → Figma webhook (v2). FILE_UPDATE and
+ *                            FILE_VERSION_UPDATE flag the open Jira issues
+ *                            linked to the file (StaleTicketFlagger); PING
+ *                            and other events are acknowledged and ignored.
+ *
+ * Figma sends the passcode the webhook was created with in the body; it must
+ * equal FIGMA_WEBHOOK_PASSCODE. Without one configured every call is refused.
+ */
+
+import crypto from 'crypto';
+import { BaseRoute } from './BaseRoute.js';
+import { FIGMA_EVENTS } from '../../core/trackers/StaleTicketFlagger.js';
+
+const FILE_KEY = /^[A-Za-z0-9]+$/;
+
+export class WebhookRoutes extends BaseRoute {
+  constructor(serviceContainer) {
+    super('Webhooks', serviceContainer);
+  }
+
+  registerRoutes(router) {
+    router.post('/api/webhooks/figma', this.asyncHandler(this.handleFigma.bind(this)));
+    this.logger.info('✅ Webhook routes registered: POST /api/webhooks/figma');
+  }
+
+  /**
+   * POST /api/webhooks/figma
+   */
+  async handleFigma(req, res) {
+    const event = req.body || {};
+    const expected = process.env.FIGMA_WEBHOOK_PASSCODE;
+    if (!expected) {
+      return this.sendError(res, 'Figma webhooks are not configured (FIGMA_WEBHOOK_PASSCODE)', 503);
+    }
+    if (!this._passcodeMatches(event.passcode, expected)) {
+      return this.sendError(res, 'Invalid webhook passcode', 401);
+    }
+
+    if (!FIGMA_EVENTS.includes(event.event_type)) {
+      // PING when the webhook is created; FILE_COMMENT, LIBRARY_PUBLISH, … aren't design changes
+      return this.sendSuccess(res, { event: event.event_type || null, ignored: true }, `Ignored ${event.event_type || 'unknown'} event`);
+    }
+    if (typeof event.file_key !== 'string' || !FILE_KEY.test(event.file_key)) {
+      return this.sendError(res, 'Validation failed', 400, { errors: ['file_key must be a Figma file key'] });
+    }
+
+    try {
+      const result = await this.getService('staleTicketFlagger').flag(event);
+      const flagged = result.issues.filter(issue => issue.status === 'flagged').length;
+      this.sendSuccess(res, { event: event.event_type, ...result }, `${flagged} of ${result.issues.length} linked issue(s) flagged`);
+    } catch (error) {
+      // Figma retries the delivery on errors
+      this.sendError(res, `Could not flag the issues of ${event.file_key}: ${error.message}`, 503);
+    }
+  }
+
+  // Constant-time comparison of the digests, so the length doesn't leak either
+  _passcodeMatches(passcode, expected) {
+    if (typeof passcode !== 'string') {
+      return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(passcode), digest(expected));
+  }
+}
+
+export default WebhookRoutes;
@@ -4,7 +4,7 @@
  * Figma AI Ticket Generator — Server
  *
  * Streamlined Express server with explicit service/route registration.
- * Services: GeminiService → TicketGenerationService → WorkItemOrchestrator
+ * Services: LLMProviderChain → TicketGenerationService → WorkItemOrchestrator
  */
 
 import './env-setup.js';
@@ -14,8 +14,12 @@ import { Logger } from '../core/utils/logger.js';
 
 // Services
 import { ServiceContainer } from './controllers/ServiceContainer.js';
-import { GeminiService } from '../core/ai/GeminiService.js';
+import { LLMProviderChain } from '../core/ai/LLMProviderChain.js';
 import { MCPAdapter } from '../core/adapters/MCPAdapter.js';
+import { LocalGitAdapter } from '../core/adapters/LocalGitAdapter.js';
+import { RepoDocsAdapter } from '../core/adapters/RepoDocsAdapter.js';
+import { JiraFieldMapper } from '../core/trackers/JiraFieldMapper.js';
+import { StaleTicketFlagger } from '../core/trackers/StaleTicketFlagger.js';
 import { WorkItemOrchestrator } from '../core/orchestration/WorkItemOrchestrator.js';
 import { TicketGenerationService } from './services/TicketGenerationService.js';
 import { ScreenshotService } from './services/ScreenshotService.js';
@@ -24,12 +28,22 @@ import { ContextManager } from '../core/context/ContextManager.js';
 import { RedisClient } from '../core/data/redis-client.js';
 import { SessionManager } from '../core/data/session-manager.js';
 import { FigmaSessionManager } from '../core/data/figma-session-manager.js';
+import { JobStore } from '../core/data/job-store.js';
+import { IdempotencyStore } from '../core/data/idempotency-store.js';
+import { HistoryStore } from '../core/data/history-store.js';
+import { OrchestrationStore } from '../core/data/orchestration-store.js';
+import { BaselineStore } from '../core/data/baseline-store.js';
 
 // Routes
 import { GenerateRoutes } from './routes/generate.js';
 import { HealthRoutes } from './routes/health.js';
 import { FigmaRoutes } from './routes/figma/figma.js';
 import { RetryWikiRoutes } from './routes/retry-wiki.js';
+import { JobRoutes } from './routes/jobs.js';
+import { HistoryRoutes } from './routes/history.js';
+import { OrchestrationRoutes } from './routes/orchestrations.js';
+import { ProfileRoutes } from './routes/profiles.js';
+import { WebhookRoutes } from './routes/webhooks.js';
 
 export class Server {
   constructor() {
@@ -71,16 +85,18 @@ export class Server {
     sc.register('redis', () => new RedisClient(), true, []);
     sc.register('sessionManager', () => new SessionManager(), true, []);
     sc.register('figmaSessionManager', () => new FigmaSessionManager(), true, []);
+    sc.register('jobStore', (_c, redis) => new JobStore(redis), true, ['redis']);
+    sc.register('idempotencyStore', (_c, redis) => new IdempotencyStore(redis), true, ['redis']);
+    sc.register('historyStore', (_c, redis) => new HistoryStore(redis), true, ['redis']);
+    sc.register('orchestrationStore', (_c, redis) => new OrchestrationStore(redis), true, ['redis']);
+    sc.register('baselineStore', () => new BaselineStore(), true, []);
 
     // Configuration
     sc.register('configurationService', (_c, redis) => new ConfigurationService(redis), true, ['redis']);
 
-    // AI — GeminiService (primary generation engine)
-    sc.register('geminiService', (_c, _r, cfg) => {
-      const apiKey = cfg?.get('ai.gemini.apiKey') || process.env.GEMINI_API_KEY;
-      if (!apiKey) throw new Error('GEMINI_API_KEY not found');
-      return new GeminiService({ apiKey, configService: cfg });
-    }, true, ['redis', 'configurationService']);
+    // AI — LLM providers from ai.config, tried in fallback order (Gemini, OpenAI-compatible, Ollama).
+    // Missing keys just drop a provider; with none left the route uses YAML templates.
+    sc.register('llmService', (_c, _r, cfg) => LLMProviderChain.fromConfig(undefined, { configService: cfg }), true, ['redis', 'configurationService']);
 
     // Screenshot
     sc.register('screenshotService', (_c, redis, cfg, figma) => new ScreenshotService(redis, cfg, figma), true, ['redis', 'configurationService', 'figmaSessionManager']);
@@ -93,13 +109,21 @@ export class Server {
       mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:3000',
       enableMultiAgent: true,
     }), true, []);
-
-    // Ticket generation (delegates to GeminiService)
-    sc.register('ticketGenerationService', (_c, gemini) => new TicketGenerationService(gemini), true, ['geminiService']);
+    // Step D without a git MCP server (GIT_PROVIDER=local)
+    sc.register('localGitAdapter', () => new LocalGitAdapter(), true, []);
+    // Steps B and E as Markdown files in the repo (WIKI_TARGET=repo)
+    sc.register('repoDocsAdapter', () => new RepoDocsAdapter(), true, []);
+    // Jira custom fields by logical name, checked against the create screen (JIRA_FIELD_MAP)
+    sc.register('jiraFieldMapper', (_c, redis, mcp) => new JiraFieldMapper({ redis, mcpAdapter: mcp }), true, ['redis', 'mcpAdapter']);
+    // Flags the Jira issues of a Figma file that changed (Figma webhooks)
+    sc.register('staleTicketFlagger', (_c, mcp) => new StaleTicketFlagger({ mcpAdapter: mcp }), true, ['mcpAdapter']);
+
+    // Ticket generation (delegates to the LLM provider chain)
+    sc.register('ticketGenerationService', (_c, llm) => new TicketGenerationService(llm), true, ['llmService']);
     sc.register('ticketService', (c) => c.get('ticketGenerationService'), true, ['ticketGenerationService']);
 
     // WorkItem orchestrator (Jira + Wiki + Git via MCP)
-    sc.register('workItemOrchestrator', (c) => new WorkItemOrchestrator(c), true, ['mcpAdapter', 'ticketGenerationService', 'screenshotService']);
+    sc.register('workItemOrchestrator', (c) => new WorkItemOrchestrator(c), true, ['mcpAdapter', 'ticketGenerationService', 'screenshotService', 'baselineStore', 'localGitAdapter', 'repoDocsAdapter', 'orchestrationStore', 'jiraFieldMapper']);
 
     // Instantiate + initialize all registered services
     for (const name of sc.getRegisteredServices()) {
@@ -119,7 +143,7 @@ export class Server {
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Prefer, Last-Event-ID, Idempotency-Key');
       res.header('Access-Control-Allow-Credentials', 'false');
       if (req.method === 'OPTIONS') return res.sendStatus(200);
       next();
@@ -176,6 +200,26 @@ export class Server {
     const retryWikiRoutes = new RetryWikiRoutes(sc);
     retryWikiRoutes.registerRoutes(router);
 
+    // Async generation jobs (poll + SSE progress)
+    const jobRoutes = new JobRoutes(sc);
+    jobRoutes.registerRoutes(router);
+
+    // Generation history (browse + reopen without regenerating)
+    const historyRoutes = new HistoryRoutes(sc);
+    historyRoutes.registerRoutes(router);
+
+    // Orchestration routes (resume / roll back saved runs)
+    const orchestrationRoutes = new OrchestrationRoutes(sc);
+    orchestrationRoutes.registerRoutes(router);
+
+    // Project profile routes (per-team Jira / wiki settings)
+    const profileRoutes = new ProfileRoutes(sc);
+    profileRoutes.registerRoutes(router);
+
+    // Webhook routes (Figma file updates flag stale tickets)
+    const webhookRoutes = new WebhookRoutes(sc);
+    webhookRoutes.registerRoutes(router);
+
     this.app.use(router);
     this.logger.info('Routes registered');
   }
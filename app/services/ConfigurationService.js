@@ -8,14 +8,35 @@
  */
 
 import { BaseService } from './BaseService.js';
-import { readFile, writeFile } from 'fs/promises';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
-import { join } from 'path';
+import { dirname, join } from 'path';
+import { TRACKERS } from '../../core/trackers/index.js';
+import { jiraFieldsErrors } from '../../core/trackers/JiraFieldMapper.js';
+
+// Redis key holding every project profile, keyed by name
+const PROFILES_KEY = 'project-profiles';
+const PROFILE_NAME = /^[A-Za-z][\w-]*$/;
+// Wiki targets, as accepted by the generate route
+const WIKI_TARGETS = ['confluence', 'repo'];
+
+// Project profile settings. Apart from the label, each one replaces an env
+// default for the runs that pick the profile (README "Project profiles").
+export const PROFILE_FIELDS = [
+  'label', 'tracker', 'projectKey', 'issueType', 'assignee', 'epicKey', 'storyPointsField', 'storyPoints',
+  'priority', 'jiraFields', 'wikiTarget', 'wikiSpace', 'wikiParentId', 'qaParentId', 'pipeline',
+];
 
 export class ConfigurationService extends BaseService {
-  constructor(redis) {
+  /**
+   * @param {RedisClient} redis - Shared cache client
+   * @param {Object} [options]
+   * @param {string} [options.profilesFile] - Project profiles without Redis (PROFILES_FILE, default data/profiles.json)
+   */
+  constructor(redis, options = {}) {
     super('ConfigurationService');
     this.redis = redis;
+    this.profilesFile = options.profilesFile || process.env.PROFILES_FILE || join(process.cwd(), 'data', 'profiles.json');
     this.config = new Map();
     this.watchers = new Map();
     this.configPath = join(process.cwd(), 'config');
@@ -584,7 +605,8 @@ export class ConfigurationService extends BaseService {
         'runtime-updates',
         'configuration-watching',
         'validation',
-        'persistence'
+        'persistence',
+        'project-profiles'
       ]
     };
   }
@@ -606,6 +628,155 @@ export class ConfigurationService extends BaseService {
     return Array.from(sections);
   }
 
+  // ---- Project profiles ------------------------------------------------------
+  // Named per-team settings (Jira project, issue type, wiki space, …) picked in
+  // the plugin, so one server can file work for several teams. Kept in Redis
+  // when it is connected, otherwise in PROFILES_FILE — no expiry either way.
+
+  /**
+   * @returns {Promise<Object[]>} Every profile, by name
+   */
+  async listProfiles() {
+    const profiles = await this._readProfiles();
+    return Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(name) {
+    const profiles = await this._readProfiles();
+    return Object.hasOwn(profiles, name) ? profiles[name] : null;
+  }
+
+  /**
+   * Create or replace a profile. Nothing is stored when it is invalid.
+   * @param {string} name
+   * @param {Object} value - PROFILE_FIELDS settings
+   * @returns {Promise<{ valid: boolean, errors: string[], profile: Object|null, created?: boolean }>}
+   */
+  async saveProfile(name, value) {
+    const validation = this.validateProfile(name, value);
+    if (!validation.valid) {
+      return validation;
+    }
+    const profiles = await this._readProfiles();
+    const created = !Object.hasOwn(profiles, name);
+    const profile = { ...validation.profile, updatedAt: new Date().toISOString() };
+    await this._writeProfiles({ ...profiles, [name]: profile });
+    this.logger.info(`Project profile ${name} ${created ? 'created' : 'updated'}`);
+    return { ...validation, profile, created };
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<boolean>} false when there was no such profile
+   */
+  async deleteProfile(name) {
+    const profiles = await this._readProfiles();
+    if (!Object.hasOwn(profiles, name)) {
+      return false;
+    }
+    delete profiles[name];
+    await this._writeProfiles(profiles);
+    this.logger.info(`Project profile ${name} deleted`);
+    return true;
+  }
+
+  /**
+   * Check a profile and normalise it: empty values dropped, story points as
+   * a number, page IDs as strings. jiraFields only has its shape checked —
+   * Step A checks the values against Jira.
+   * @param {string} name
+   * @param {Object} value
+   * @returns {{ valid: boolean, errors: string[], profile: Object|null }}
+   */
+  validateProfile(name, value) {
+    const errors = [];
+    if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+      errors.push('name must start with a letter and contain only letters, digits, "-" and "_"');
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, errors: [...errors, 'profile must be an object'], profile: null };
+    }
+
+    const profile = { name };
+    for (const [key, raw] of Object.entries(value)) {
+      if (key === 'name' || key === 'updatedAt' || raw === undefined || raw === null || raw === '') {
+        continue;
+      }
+      if (!PROFILE_FIELDS.includes(key)) {
+        errors.push(`unknown setting "${key}" (expected ${PROFILE_FIELDS.join(', ')})`);
+      } else if (key === 'storyPoints') {
+        const points = typeof raw === 'string' ? Number(raw) : raw;
+        if (typeof points !== 'number' || !Number.isFinite(points) || points < 0) {
+          errors.push('storyPoints must be a number');
+        }
+        profile.storyPoints = points;
+      } else if (key === 'wikiParentId' || key === 'qaParentId') {
+        if (!['string', 'number'].includes(typeof raw)) {
+          errors.push(`${key} must be a page ID`);
+        }
+        profile[key] = String(raw);
+      } else if (key === 'jiraFields') {
+        errors.push(...jiraFieldsErrors(raw));
+        profile.jiraFields = raw;
+      } else if (typeof raw !== 'string') {
+        errors.push(`${key} must be a string`);
+      } else {
+        profile[key] = raw.trim();
+      }
+    }
+
+    if (profile.tracker && !TRACKERS.includes(profile.tracker)) {
+      errors.push(`Unknown tracker "${profile.tracker}" (expected ${TRACKERS.join(', ')})`);
+    }
+    if (profile.wikiTarget && !WIKI_TARGETS.includes(profile.wikiTarget)) {
+      errors.push(`Unknown wikiTarget "${profile.wikiTarget}" (expected ${WIKI_TARGETS.join(', ')})`);
+    }
+    if (profile.pipeline && !PROFILE_NAME.test(profile.pipeline)) {
+      errors.push('pipeline must be a pipeline name');
+    }
+    if (profile.storyPointsField && !/^[\w-]+$/.test(profile.storyPointsField)) {
+      errors.push('storyPointsField must be a Jira field ID such as customfield_10003');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, profile: null };
+    }
+    return { valid: true, errors: [], profile };
+  }
+
+  _useRedis() {
+    return !!this.redis?.isConnected?.();
+  }
+
+  async _readProfiles() {
+    if (this._useRedis()) {
+      return (await this.redis.get(PROFILES_KEY)) || {};
+    }
+    try {
+      return JSON.parse(await readFile(this.profilesFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async _writeProfiles(profiles) {
+    if (this._useRedis()) {
+      await this.redis.set(PROFILES_KEY, profiles);
+      return;
+    }
+    await mkdir(dirname(this.profilesFile), { recursive: true });
+    const tmp = `${this.profilesFile}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(profiles, null, 2));
+    await rename(tmp, this.profilesFile);
+  }
+
   /**
    * Cleanup service resources
    */
@@ -1,21 +1,24 @@
 /**
- * Ticket Generation Service — Thin wrapper around GeminiService
+ * Ticket Generation Service — Thin wrapper around the LLM provider chain
  *
  * Kept for backward compatibility with WorkItemOrchestrator and other callers.
- * Delegates all generation to GeminiService; falls back to a hardcoded
- * template when the LLM is unavailable.
+ * Delegates all generation to LLMProviderChain (or a single provider such as
+ * GeminiService); falls back to a hardcoded template when no LLM answers.
  */
 
 import { BaseService } from './BaseService.js';
 
 export class TicketGenerationService extends BaseService {
+  /**
+   * @param {LLMProviderChain|BaseLLMProvider} geminiService - Anything with generate(params)
+   */
   constructor(geminiService) {
     super('TicketGenerationService');
     this.geminiService = geminiService;
   }
 
   async onInitialize() {
-    this.logger.info('TicketGenerationService ready (delegates to GeminiService)');
+    this.logger.info('TicketGenerationService ready (delegates to LLM providers)');
   }
 
   /**
@@ -43,22 +46,54 @@ export class TicketGenerationService extends BaseService {
         screenshot: request.screenshot,
         fileContext: request.fileContext,
         metadata: request.metadata,
+        provider: request.llmProvider,
       });
 
       return {
         content: result.content,
         metadata: {
           ...result.metadata,
-          strategy: 'gemini',
+          strategy: result.metadata?.provider || 'gemini',
           service: 'TicketGenerationService',
         },
       };
     } catch (error) {
-      this.logger.error('GeminiService failed, using hardcoded fallback:', error.message);
+      this.logger.error('LLM generation failed, using hardcoded fallback:', error.message);
       return this._hardcodedFallback(componentName, request);
     }
   }
 
+  /**
+   * Generate QA test cases for the QA Test Case wiki page.
+   * @param {Object} request - As generateTicket(), plus optional `ticket` (structured ticket)
+   * @returns {Promise<{ testCases: Object[], metadata: Object }|null>} null when no LLM
+   *   answers — the orchestrator then writes its default test case table
+   */
+  async generateQaCases(request) {
+    if (typeof this.geminiService?.generateQaCases !== 'function') {
+      return null;
+    }
+    try {
+      return await this.geminiService.generateQaCases({
+        componentName: request.componentName || request.enhancedFrameData?.[0]?.name || 'Component',
+        techStack: request.techStack || 'AEM 6.5',
+        platform: request.platform || 'Jira',
+        documentType: request.documentType || 'component',
+        figmaContext: request.figmaContext,
+        frameData: request.frameData,
+        enhancedFrameData: request.enhancedFrameData,
+        screenshot: request.screenshot,
+        fileContext: request.fileContext,
+        metadata: request.metadata,
+        ticket: request.ticket,
+        provider: request.llmProvider,
+      });
+    } catch (error) {
+      this.logger.warn('QA test case generation failed, using the default test cases:', error.message);
+      return null;
+    }
+  }
+
   _hardcodedFallback(componentName, request) {
     const techStack = Array.isArray(request.techStack) ? request.techStack.join(', ') : (request.techStack || 'AEM 6.5');
     return {
@@ -9,7 +9,10 @@ figma.showUI(__html__, { width: 500, height: 700 });
 const API_BASE = 'http://localhost:3000';
 const SCREENSHOT_API = `${API_BASE}/api/figma/screenshot`;
 const GENERATE_API = `${API_BASE}/api/generate`;
+const JOBS_API = `${API_BASE}/api/jobs`;
 const MAX_RETRIES = 3;
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
 // ─── Screenshot helpers ────────────────────────────────────────────────
 async function fetchScreenshot(fileKey, nodeId) {
     var _a, _b;
@@ -257,15 +260,40 @@ async function handleCaptureScreenshot() {
     });
 }
 // ─── Proxy AI request to server ────────────────────────────────────────
+// Active creation (Jira + wiki + git) can run well past the plugin's fetch
+// timeout, so those requests use async job mode and poll for the result.
+// Batch mode (one ticket per frame under a page epic) always runs as a job.
 async function handleMakeAIRequest(msg) {
+    var _a, _b, _c;
     try {
-        const res = await fetch(GENERATE_API, {
+        const batch = !!((_a = msg.params) === null || _a === void 0 ? void 0 : _a.batch);
+        const useJob = batch || !!((_b = msg.params) === null || _b === void 0 ? void 0 : _b.enableActiveCreation);
+        const res = await fetch(batch ? `${GENERATE_API}/batch` : GENERATE_API, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(msg.params)
+            body: JSON.stringify(useJob ? Object.assign(Object.assign({}, msg.params), { async: true }) : msg.params)
         });
         const data = await res.json();
-        figma.ui.postMessage({ type: 'ai-generation-result', success: res.ok, data, requestId: msg.requestId });
+        if (useJob && res.status === 202 && ((_c = data.data) === null || _c === void 0 ? void 0 : _c.jobId)) {
+            const job = await pollJob(data.data.jobId, msg.requestId);
+            const ok = job.status === 'completed';
+            figma.ui.postMessage({
+                type: 'ai-generation-result',
+                success: ok,
+                data: ok ? { success: true, data: job.result } : undefined,
+                error: ok ? undefined : (job.error || 'Generation job failed'),
+                requestId: msg.requestId
+            });
+            return;
+        }
+        // Not a job: a sync result, a replayed idempotent result, or an error
+        figma.ui.postMessage({
+            type: 'ai-generation-result',
+            success: res.ok,
+            data,
+            error: res.ok ? undefined : data === null || data === void 0 ? void 0 : data.error,
+            requestId: msg.requestId
+        });
     }
     catch (error) {
         figma.ui.postMessage({
@@ -276,6 +304,26 @@ async function handleMakeAIRequest(msg) {
         });
     }
 }
+/** Poll GET /api/jobs/:id until the job settles, relaying progress to the UI */
+async function pollJob(jobId, requestId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    let lastSeq = 0;
+    while (Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, JOB_POLL_INTERVAL_MS));
+        const res = await fetch(`${JOBS_API}/${encodeURIComponent(jobId)}`);
+        if (!res.ok)
+            throw new Error(`Job status ${res.status}`);
+        const job = (await res.json()).data;
+        const fresh = (job.events || []).filter((e) => e.seq > lastSeq);
+        if (fresh.length > 0) {
+            lastSeq = fresh[fresh.length - 1].seq;
+            figma.ui.postMessage({ type: 'ai-generation-progress', jobId, events: fresh, requestId });
+        }
+        if (job.status === 'completed' || job.status === 'failed')
+            return job;
+    }
+    throw new Error('Generation job timed out');
+}
 // ─── Hierarchy builder (recursive) ────────────────────────────────────
 async function buildHierarchy(node) {
     const layers = [];
@@ -301,6 +349,13 @@ async function buildHierarchy(node) {
             semanticRole: determineSemanticRole(n),
             tokens: extracted
         };
+        // Copy and prototype wiring — the QA pass writes test cases from these
+        if (n.type === 'TEXT' && n.characters) {
+            layer.text = n.characters.slice(0, 500);
+        }
+        const reactions = summarizeReactions(n);
+        if (reactions.length)
+            layer.reactions = reactions;
         if (n.type === 'INSTANCE') {
             try {
                 const master = await n.getMainComponentAsync();
@@ -331,6 +386,27 @@ async function buildHierarchy(node) {
         }
     };
 }
+// ─── Prototype reactions ───────────────────────────────────────────────
+function summarizeReactions(node) {
+    var _a;
+    if (!('reactions' in node) || !Array.isArray(node.reactions))
+        return [];
+    const out = [];
+    for (const reaction of node.reactions) {
+        const actions = reaction.actions || (reaction.action ? [reaction.action] : []);
+        for (const action of actions) {
+            if (!action)
+                continue;
+            out.push({
+                trigger: ((_a = reaction.trigger) === null || _a === void 0 ? void 0 : _a.type) || null,
+                action: action.type === 'NODE' ? (action.navigation || 'NAVIGATE') : action.type,
+                destinationId: action.destinationId || null,
+                url: action.type === 'URL' ? action.url : undefined
+            });
+        }
+    }
+    return out;
+}
 // ─── Design-token extraction (single node) ─────────────────────────────
 function extractDesignTokens(node) {
     var _a, _b, _c, _d;
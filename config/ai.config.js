@@ -1,37 +1,71 @@
 /**
  * AI Configuration
  *
- * Configuration for AI providers including Gemini, Claude, GPT-4
- * and fallback strategies.
+ * Configuration for LLM providers (Gemini, OpenAI-compatible endpoints,
+ * Ollama) and the fallback strategy used by LLMProviderChain.
+ *
+ * A provider entry's `type` selects the implementation (defaults to its key),
+ * so several OpenAI-compatible endpoints can be declared side by side.
  */
 
+const csv = (value) => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : null);
+
 export const aiConfig = {
   // AI system enabled
   enabled: true,
 
   // Primary AI provider
-  primaryProvider: 'gemini',
+  primaryProvider: process.env.AI_PRIMARY_PROVIDER || 'gemini',
 
   // Provider configurations
   providers: {
     gemini: {
       enabled: Boolean(process.env.GEMINI_API_KEY),
       apiKey: process.env.GEMINI_API_KEY,
-      model: 'gemini-2.0-flash',
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
       maxTokens: 8192,
       temperature: 0.7,
+      // Schema-constrained ticket JSON, rendered per platform (core/ai/ticket-schema.js)
+      structuredOutput: process.env.GEMINI_STRUCTURED_OUTPUT !== 'false',
       vision: {
         enabled: true,
         model: 'gemini-2.0-flash'
       }
+    },
+    openai: {
+      type: 'openai',
+      enabled: Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      maxTokens: 8192,
+      temperature: 0.7,
+      structuredOutput: process.env.OPENAI_STRUCTURED_OUTPUT === 'true',
+      vision: {
+        enabled: process.env.OPENAI_VISION !== 'false'
+      }
+    },
+    ollama: {
+      type: 'ollama',
+      enabled: Boolean(process.env.OLLAMA_BASE_URL || process.env.OLLAMA_MODEL),
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1',
+      maxTokens: 8192,
+      temperature: 0.7,
+      structuredOutput: process.env.OLLAMA_STRUCTURED_OUTPUT === 'true',
+      timeout: 300000, // local models on CPU can be slow
+      vision: {
+        enabled: process.env.OLLAMA_VISION === 'true'
+      }
     }
   },
 
   // Fallback strategy
   fallback: {
     enabled: true,
-    strategy: 'waterfall', // 'waterfall' or 'round-robin'
-    order: ['gemini', 'standard']
+    strategy: process.env.AI_FALLBACK_STRATEGY || 'waterfall', // 'waterfall' or 'round-robin'
+    // 'standard' = ContextTemplateBridge (YAML templates, no LLM) — handled by the route
+    order: csv(process.env.AI_PROVIDER_ORDER) || ['gemini', 'openai', 'ollama', 'standard']
   },
 
   // Rate limiting
@@ -59,4 +93,6 @@ export const aiConfig = {
     typographyAnalysis: true,
     layoutAnalysis: true
   }
-};
\ No newline at end of file
+};
+
+export default aiConfig;
\ No newline at end of file
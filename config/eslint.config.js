@@ -34,6 +34,7 @@ export default [
         exports: 'readonly',
         performance: 'readonly',
         URL: 'readonly',
+        AbortSignal: 'readonly',
         // Figma API Types
         SceneNode: 'readonly',
         FrameNode: 'readonly',
@@ -10,11 +10,16 @@ export default {
     servers: {
         jira: {
             url: process.env.MCP_JIRA_URL || "https://mcp-jira.usm-cpr.corp.nandps.com/mcp/",
-            auth: process.env.MCP_JIRA_KEY ? formatToken(process.env.MCP_JIRA_KEY) : "Token ${input:jira-key}"
+            auth: process.env.MCP_JIRA_KEY ? formatToken(process.env.MCP_JIRA_KEY) : "Token ${input:jira-key}",
+            // Description format for this instance: 'wiki' (Server/DC) or 'adf' (Cloud REST v3)
+            descriptionFormat: process.env.JIRA_DESCRIPTION_FORMAT || 'wiki'
         },
         confluence: {
             url: process.env.MCP_CONFLUENCE_URL || "https://mcp-confluence.usm-cpr.corp.nandps.com/mcp/",
-            auth: process.env.MCP_WIKI_KEY ? formatToken(process.env.MCP_WIKI_KEY) : "Token ${input:wiki-key}"
+            auth: process.env.MCP_WIKI_KEY ? formatToken(process.env.MCP_WIKI_KEY) : "Token ${input:wiki-key}",
+            // Space keys (comma-separated, or *) whose pages are written in storage format
+            // over REST instead of Markdown through the MCP — needs CONFLUENCE_BASE_URL
+            storageSpaces: process.env.CONFLUENCE_STORAGE_SPACES || ''
         },
         default: {
             url: process.env.MCP_SERVER_URL || "http://localhost:3000/api/mcp", 
@@ -30,6 +35,7 @@ export default {
         "jira_get_issue": "jira",
         "jira_search_fields": "jira",
         "jira_update_issue": "jira",
+        "jira_add_comment": "jira",
         "jira_create_remote_issue_link": "jira",
         "confluence_create_page": "confluence",
         "confluence_create_attachment": "confluence", // Added route for attachments
@@ -38,6 +44,44 @@ export default {
         "confluence_get_page": "confluence",
         "git_create_branch": "default" // or 'git' if we add a git server later
     },
+    // Step A — where the work item is filed: 'jira', 'github' or 'gitlab'.
+    // Requests pick one with `tracker`; the project is their ticketProjectKey
+    trackers: {
+        default: process.env.TRACKER || 'jira',
+        github: {
+            url: process.env.GITHUB_API_URL || 'https://api.github.com',
+            token: process.env.GITHUB_TOKEN || '',
+            repo: process.env.GITHUB_REPO || '', // owner/name
+            milestone: process.env.GITHUB_MILESTONE || ''
+        },
+        gitlab: {
+            url: process.env.GITLAB_URL || 'https://gitlab.com',
+            token: process.env.GITLAB_TOKEN || '',
+            project: process.env.GITLAB_PROJECT || '', // group/name
+            milestone: process.env.GITLAB_MILESTONE || ''
+        }
+    },
+    // Steps B and E — 'confluence' (MCP) or 'repo' (Markdown files in DOCS_DIR of GIT_REPO_PATH).
+    // Requests pick one with `wikiTarget`
+    docs: {
+        target: process.env.WIKI_TARGET || 'confluence',
+        dir: process.env.DOCS_DIR || 'docs/design',
+        // Web URL of DOCS_DIR (e.g. a GitHub tree URL); page links are repo-relative paths without it
+        baseUrl: process.env.DOCS_BASE_URL || ''
+    },
+    // Step D — feature branch per ticket
+    git: {
+        // 'mcp' (git_create_branch on GIT_MCP_URL) or 'local' (git CLI in GIT_REPO_PATH).
+        // Unset: 'mcp' when GIT_MCP_URL is set, otherwise Step D is skipped
+        provider: process.env.GIT_PROVIDER || '',
+        // Tokens: {type} {issueKey} {slug}; separators left by a missing issue key are dropped
+        branchPattern: process.env.GIT_BRANCH_PATTERN || '{type}/{issueKey}-{slug}',
+        // Local provider only
+        baseBranch: process.env.GIT_BASE_BRANCH || '',
+        remote: process.env.GIT_REMOTE || '',
+        scaffold: process.env.GIT_SCAFFOLD === 'true',
+        scaffoldDir: process.env.GIT_SCAFFOLD_DIR || 'components'
+    },
     defaults: {
         jiraProjectKey: process.env.JIRA_PROJECT_KEY || 'DS',
         confluenceSpaceKey: process.env.CONFLUENCE_SPACE_KEY || 'DCUX',
@@ -0,0 +1,153 @@
+/**
+ * DryRunMCPAdapter — records MCPAdapter writes instead of performing them
+ *
+ * Drop-in replacement for MCPAdapter used by WorkItemOrchestrator's dryRun
+ * mode. Reads (wiki title lookups, JQL duplicate checks) still go to the real
+ * adapter so the plan reflects reality — e.g. the title _getUniqueWikiTitle
+ * would actually pick. Every write is appended to an ordered plan and answered
+ * with a synthetic result shaped like the real MCP response, so the
+ * orchestrator runs its normal control flow end to end.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { jiraImageMarkup } from './MCPAdapter.js';
+
+// Tools that only read — safe to forward during a dry run
+const READ_ONLY_TOOL = /^(jira|confluence|git)_(get|search)/;
+
+export class DryRunMCPAdapter {
+  /**
+   * @param {MCPAdapter|null} adapter - Real adapter used for read-only calls
+   */
+  constructor(adapter) {
+    this.logger = new Logger('DryRunMCPAdapter');
+    this.adapter = adapter;
+    this.dryRun = true;
+    // The plan must be producible even when the MCP servers are unreachable
+    this.isAvailable = true;
+    this.plan = [];
+    this.step = null;
+    this.issueCount = 0;
+    this.pageCount = 0;
+  }
+
+  // ---- Reads (forwarded) -------------------------------------------------
+
+  async searchJiraIssues(jql, limit, fields) {
+    if (!this._canRead()) {
+      return { issues: [] };
+    }
+    return this.adapter.searchJiraIssues(jql, limit, fields);
+  }
+
+  async getWikiPage(title, spaceKey) {
+    if (!this._canRead()) {
+      return null;
+    }
+    return this.adapter.getWikiPage(title, spaceKey);
+  }
+
+  async getProjects() {
+    return this._canRead() ? this.adapter.getProjects() : [];
+  }
+
+  formatJiraDescription(markup, media) {
+    return this.adapter?.formatJiraDescription ? this.adapter.formatJiraDescription(markup, media) : markup;
+  }
+
+  usesStorageFormat(spaceKey) {
+    return this.adapter?.usesStorageFormat ? this.adapter.usesStorageFormat(spaceKey) : false;
+  }
+
+  formatWikiContent(markdown, spaceKey) {
+    return this.adapter?.formatWikiContent ? this.adapter.formatWikiContent(markdown, spaceKey) : markdown;
+  }
+
+  // ---- Writes (recorded) -------------------------------------------------
+
+  async createJiraTicket(ticketData) {
+    const key = `DRY-RUN-${++this.issueCount}`;
+    this._record('createJiraTicket', 'jira_create_issue', `Create ${ticketData.issueType || 'Task'} "${ticketData.summary}" in ${ticketData.projectKey}`, { ticketData });
+    return { issue: { key, url: `dry-run://jira/${key}` }, dryRun: true };
+  }
+
+  async linkIssueToEpic(issueKey, epicKey) {
+    this._record('linkIssueToEpic', 'jira_link_to_epic', `Link ${issueKey} to epic ${epicKey}`, { issueKey, epicKey });
+    return { success: true, dryRun: true };
+  }
+
+  async addJiraAttachment(issueKey, filePaths) {
+    const paths = [].concat(filePaths);
+    const filenames = paths.map(p => p.split(/[\\/]/).pop());
+    this._record('addJiraAttachment', 'jira_add_attachment', `Attach ${filenames.join(', ')} to ${issueKey}`, { issueKey, filenames });
+    return { success: true, filenames, dryRun: true };
+  }
+
+  async updateJiraDescription(issueKey, currentDescription, filename) {
+    this._record('updateJiraDescription', 'jira_update_issue', `Embed design image ${filename} in ${issueKey} description`, { issueKey, filename });
+    return { success: true, description: `${currentDescription || ''}\n\n${jiraImageMarkup(filename)}`, media: {}, dryRun: true };
+  }
+
+  async addJiraComment(issueKey, markup) {
+    this._record('addJiraComment', 'jira_add_comment', `Comment on ${issueKey}`, { issueKey, markup });
+    return { success: true, dryRun: true };
+  }
+
+  async createRemoteLink(issueKey, url, title, relationship = 'Wiki Page') {
+    this._record('createRemoteLink', 'jira_create_remote_issue_link', `Link ${issueKey} → "${title}"`, { issueKey, url, title, relationship });
+    return { success: true, dryRun: true };
+  }
+
+  async createWikiPage(title, content, spaceKey, parentId) {
+    const id = `dry-run-page-${++this.pageCount}`;
+    this._record('createWikiPage', 'confluence_create_page', `Create wiki page "${title}" in ${spaceKey}${parentId ? ` under ${parentId}` : ''}`, { title, spaceKey, parentId, content });
+    return {
+      id,
+      page: { id, url: `dry-run://wiki/${encodeURIComponent(title)}`, version: { number: 1 } },
+      dryRun: true,
+    };
+  }
+
+  async updateWikiPage(pageId, title, content, version) {
+    this._record('updateWikiPage', 'confluence_update_page', `Update wiki page "${title}"`, { pageId, title, version, content });
+    return { id: pageId, dryRun: true };
+  }
+
+  async addWikiAttachment(pageId, filePath) {
+    const filename = String(filePath).split(/[\\/]/).pop();
+    this._record('addWikiAttachment', 'confluence_create_attachment', `Attach ${filename} to wiki page ${pageId}`, { pageId, filename });
+    return { success: true, dryRun: true };
+  }
+
+  async createGitBranch(branchName, repoPath, { files = {} } = {}) {
+    const scaffold = Object.keys(files);
+    this._record('createGitBranch', 'git_create_branch', `Create branch ${branchName}${repoPath ? ` in ${repoPath}` : ''}${scaffold.length ? ` with ${scaffold.length} scaffold file(s)` : ''}`, { branchName, repoPath, files: scaffold });
+    return { branch: branchName, files: scaffold, dryRun: true };
+  }
+
+  /**
+   * Raw tool calls made by the orchestrator (e.g. jira_update_issue for the
+   * Related Resources block). Read-only tools are forwarded.
+   */
+  async _callMCP(method, params) {
+    if (READ_ONLY_TOOL.test(method)) {
+      return this._canRead() ? this.adapter._callMCP(method, params) : null;
+    }
+    const target = params?.issue_key || params?.page_id || params?.title || '';
+    this._record('_callMCP', method, `${method}${target ? ` on ${target}` : ''}`, params);
+    return { success: true, dryRun: true };
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  _canRead() {
+    return !!(this.adapter && this.adapter.isAvailable);
+  }
+
+  _record(method, tool, summary, params) {
+    const entry = { seq: this.plan.length + 1, step: this.step, method, tool, summary, params };
+    this.plan.push(entry);
+    this.logger.info(`📝 [dry-run] ${entry.seq}. ${summary}`);
+    return entry;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Local Git Adapter — Step D without a git MCP server
+ *
+ * Creates the feature branch in a local working copy (GIT_REPO_PATH) with the
+ * git CLI. The branch is built with plumbing commands and a temporary index,
+ * so the working copy, its index and the checked-out branch are never
+ * touched — safe on a clone someone is working in. Scaffold files become one
+ * commit on the new branch, which is then pushed when GIT_REMOTE is set.
+ * Commit identity comes from the repo's git config or GIT_AUTHOR_* /
+ * GIT_COMMITTER_* in the environment.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import mcpConfig from '../../config/mcp.config.js';
+
+// Pushes to a slow remote are the long pole
+const GIT_TIMEOUT_MS = 60000;
+
+export class LocalGitAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.repoPath] - Working copy (GIT_REPO_PATH)
+   * @param {string} [options.baseBranch] - Branch point (GIT_BASE_BRANCH, default HEAD)
+   * @param {string} [options.remote] - Remote to push to (GIT_REMOTE); no push when empty
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('LocalGitAdapter');
+    this.repoPath = options.repoPath ?? mcpConfig.defaults.repoPath;
+    this.baseBranch = options.baseBranch ?? mcpConfig.git?.baseBranch ?? '';
+    this.remote = options.remote ?? mcpConfig.git?.remote ?? '';
+  }
+
+  /**
+   * Same contract as MCPAdapter.createGitBranch, plus files to commit.
+   * @param {string} branchName
+   * @param {string} [repoPath] - Overrides the configured working copy
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.files] - Repo-relative path → content, committed on the branch
+   * @param {string} [options.message] - Commit message for the files
+   * @returns {Promise<Object>} { branch, repoPath, base, commit, files, remote, pushed, pushError? }
+   * @throws {Error} When the name is invalid, the branch exists or git fails
+   */
+  async createGitBranch(branchName, repoPath, { files = {}, message } = {}) {
+    const cwd = repoPath || this.repoPath;
+    await this._git(cwd, ['check-ref-format', '--branch', branchName]);
+    const base = (await this._git(cwd, ['rev-parse', '--verify', `${this.baseBranch || 'HEAD'}^{commit}`])).trim();
+    if (await this._refExists(cwd, `refs/heads/${branchName}`)) {
+      throw new Error(`Branch ${branchName} already exists in ${cwd}`);
+    }
+
+    const paths = Object.keys(files);
+    const commit = paths.length > 0
+      ? await this._commitFiles(cwd, base, files, message || `Scaffold ${branchName}`)
+      : base;
+    // Empty old value: only create, never move a branch that appeared meanwhile
+    await this._git(cwd, ['update-ref', `refs/heads/${branchName}`, commit, '']);
+    this.logger.info(`🌿 Branch ${branchName} created in ${cwd}${paths.length ? ` with ${paths.length} scaffold file(s)` : ''}`);
+
+    const result = { branch: branchName, repoPath: cwd, base, commit, files: paths, remote: this.remote || null, pushed: false };
+    if (this.remote) {
+      // The branch stays even if the push fails — it can be pushed by hand
+      try {
+        await this._git(cwd, ['push', this.remote, `refs/heads/${branchName}:refs/heads/${branchName}`]);
+        result.pushed = true;
+        this.logger.info(`⬆️ Branch ${branchName} pushed to ${this.remote}`);
+      } catch (error) {
+        this.logger.warn(`Push of ${branchName} to ${this.remote} failed: ${error.message}`);
+        result.pushError = error.message;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Rollback: rename the branch to archive/<name>, locally and — when
+   * GIT_REMOTE is set — on the remote. The commits stay reachable.
+   * @param {string} branchName
+   * @param {string} [repoPath] - Overrides the configured working copy
+   * @returns {Promise<Object>} { branch, commit, pushed, pushError? }
+   * @throws {Error} When the branch is gone or checked out
+   */
+  async archiveBranch(branchName, repoPath) {
+    const cwd = repoPath || this.repoPath;
+    const archived = `archive/${branchName}`;
+    const head = (await this._git(cwd, ['symbolic-ref', '-q', 'HEAD']).catch(() => '')).trim();
+    if (head === `refs/heads/${branchName}`) {
+      throw new Error(`Branch ${branchName} is checked out in ${cwd}`);
+    }
+    const commit = (await this._git(cwd, ['rev-parse', '--verify', `refs/heads/${branchName}^{commit}`])).trim();
+    await this._git(cwd, ['update-ref', `refs/heads/${archived}`, commit, '']);
+    // Only delete the old name while it still points at the archived commit
+    await this._git(cwd, ['update-ref', '-d', `refs/heads/${branchName}`, commit]);
+    this.logger.info(`🗄️ Branch ${branchName} renamed to ${archived} in ${cwd}`);
+
+    const result = { branch: archived, commit, pushed: false };
+    if (this.remote) {
+      try {
+        await this._git(cwd, ['push', this.remote, `refs/heads/${archived}:refs/heads/${archived}`, `:refs/heads/${branchName}`]);
+        result.pushed = true;
+      } catch (error) {
+        this.logger.warn(`Push of ${archived} to ${this.remote} failed: ${error.message}`);
+        result.pushError = error.message;
+      }
+    }
+    return result;
+  }
+
+  // Commit `files` on top of `base` through a temporary index
+  async _commitFiles(cwd, base, files, message) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-index-'));
+    const env = { GIT_INDEX_FILE: path.join(dir, 'index') };
+    try {
+      await this._git(cwd, ['read-tree', base], { env });
+      for (const [file, content] of Object.entries(files)) {
+        const blob = (await this._git(cwd, ['hash-object', '-w', '--stdin'], { input: content })).trim();
+        await this._git(cwd, ['update-index', '--add', '--cacheinfo', `100644,${blob},${file}`], { env });
+      }
+      const tree = (await this._git(cwd, ['write-tree'], { env })).trim();
+      return (await this._git(cwd, ['commit-tree', tree, '-p', base, '-m', message])).trim();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async _refExists(cwd, ref) {
+    try {
+      await this._git(cwd, ['show-ref', '--verify', '--quiet', ref]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run git in `cwd`; resolves with stdout.
+   * @param {string} cwd
+   * @param {string[]} args
+   * @param {Object} [options]
+   * @param {string} [options.input] - Written to stdin
+   * @param {Object} [options.env] - Added to the environment
+   * @returns {Promise<string>}
+   */
+  _git(cwd, args, { input, env = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, {
+        cwd,
+        stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+        // Never wait on a credential prompt nobody can answer
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
+        timeout: GIT_TIMEOUT_MS,
+      });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+        }
+      });
+      if (input !== undefined) {
+        // git may exit before reading stdin; the exit code reports that
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      }
+    });
+  }
+}
+
+export default LocalGitAdapter;
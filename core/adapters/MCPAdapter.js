@@ -17,6 +17,18 @@ import { ErrorHandler } from '../utils/error-handler.js';
 import fs from 'fs';
 import path from 'path';
 import mcpConfig from '../../config/mcp.config.js'; // Import the new config
+import { jiraToAdf } from '../formats/jira-adf.js';
+import { markdownToStorage, isStorageBody } from '../formats/confluence-storage.js';
+
+/**
+ * Jira wiki markup for an embedded design image: an uploaded attachment
+ * (shown as a thumbnail) or an external URL.
+ * @param {string} source - Attachment filename or http(s) URL
+ * @returns {string}
+ */
+export function jiraImageMarkup(source) {
+  return /^https?:\/\//i.test(source) ? `!${source}!` : `!${source}|thumbnail!`;
+}
 
 export class MCPAdapter {
   constructor(config = {}) {
@@ -33,6 +45,12 @@ export class MCPAdapter {
       ...config
     };
 
+    // 'wiki' (Jira Server/DC, REST v2) or 'adf' (Jira Cloud, REST v3) — see mcp.config.js
+    this.jiraDescriptionFormat = this.config.servers?.jira?.descriptionFormat === 'adf' ? 'adf' : 'wiki';
+    // Confluence spaces written in storage format rather than Markdown — see mcp.config.js
+    this.confluenceStorageSpaces = new Set(String(this.config.servers?.confluence?.storageSpaces || '')
+      .split(',').map(key => key.trim().toUpperCase()).filter(Boolean));
+
     this.isAvailable = false;
     this.capabilities = new Set();
     this.connectedTools = new Map();
@@ -344,7 +362,7 @@ export class MCPAdapter {
        const result = await this._callMCP('jira_create_issue', {
             project_key: ticketData.projectKey,
             summary: ticketData.summary,
-            description: ticketData.description,
+            description: this.formatJiraDescription(ticketData.description),
             issue_type: ticketData.issueType || 'Task',
             assignee: ticketData.assignee,
             components: ticketData.components ? ticketData.components.join(',') : undefined,
@@ -360,18 +378,30 @@ export class MCPAdapter {
     }
   }
 
+  /**
+   * Value for a Jira description field. Content is always produced as wiki
+   * markup; Jira instances configured for ADF get it converted.
+   * @param {string} markup - Jira wiki markup
+   * @param {Object} [media] - Uploaded attachments by filename (see jiraToAdf)
+   * @returns {string|Object} Wiki markup or an ADF document
+   */
+  formatJiraDescription(markup, media = {}) {
+    return this.jiraDescriptionFormat === 'adf' ? jiraToAdf(markup, { media }) : markup;
+  }
+
   /**
    * Search Jira Issues
    * @param {string} jql - JQL query
    * @param {number} limit - Results limit
+   * @param {string} [fields] - Comma-separated fields to return
    */
-  async searchJiraIssues(jql, limit = 10) {
+  async searchJiraIssues(jql, limit = 10, fields = 'summary,status,priority,assignee') {
       if (!this.isAvailable) throw new Error('MCP Adapter unavailable');
       
       return this._callMCP('jira_search', {
           jql: jql,
           limit: limit,
-          fields: 'summary,status,priority,assignee'
+          fields: fields
       });
   }
 
@@ -379,6 +409,64 @@ export class MCPAdapter {
     return this._callMCP('jira_get_all_projects', {});
   }
 
+  /**
+   * Every Jira field (system and custom) with its ID, name and schema
+   * @returns {Promise<Object[]>} [{ id, name, custom, schema }]
+   */
+  async searchJiraFields() {
+      const result = await this._callMCP('jira_search_fields', { keyword: '', limit: 1000 });
+      return Array.isArray(result) ? result : result?.fields || [];
+  }
+
+  /**
+   * The create screen of a project's issue type: its fields, which are
+   * required and their allowed values. The MCP server has no tool for this,
+   * so it is read over Jira REST (JIRA_BASE_URL).
+   * @param {string} projectKey
+   * @param {string} issueType - Issue type name
+   * @returns {Promise<Object|null>} { issueTypes: string[], fields: [{ fieldId, name, required, hasDefaultValue, schema, allowedValues }] | null }
+   *   fields is null when the project has no such issue type; null without JIRA_BASE_URL
+   */
+  async getJiraCreateMeta(projectKey, issueType) {
+      const jiraUrl = (process.env.JIRA_BASE_URL || process.env.JIRA_URL || '').replace(/\/$/, '');
+      if (!jiraUrl) {
+          return null;
+      }
+      const base = `${jiraUrl}/rest/api/2/issue/createmeta/${encodeURIComponent(projectKey)}/issuetypes`;
+      // Jira Server / DC answer with values, Jira Cloud with issueTypes and fields
+      const types = await this._jiraRestGet(base);
+      const issueTypes = types.values || types.issueTypes || [];
+      const type = issueTypes.find(candidate => candidate.name.toLowerCase() === String(issueType).toLowerCase());
+      if (!type) {
+          return { issueTypes: issueTypes.map(candidate => candidate.name), fields: null };
+      }
+
+      const fields = [];
+      for (;;) {
+          const page = await this._jiraRestGet(`${base}/${type.id}?startAt=${fields.length}&maxResults=100`);
+          const values = page.values || page.fields || [];
+          fields.push(...values);
+          if (values.length === 0 || page.isLast || fields.length >= (page.total ?? 0)) {
+              break;
+          }
+      }
+      return { issueTypes: issueTypes.map(candidate => candidate.name), fields };
+  }
+
+  async _jiraRestGet(url) {
+      const headers = { Accept: 'application/json' };
+      const auth = this.config.servers?.jira?.auth || process.env.JIRA_API_TOKEN;
+      if (auth && !auth.includes('${input')) {
+          headers['Authorization'] = auth;
+      }
+      const response = await fetch(url, { headers });
+      if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          throw new Error(`Jira GET ${url} failed: ${response.status} ${text}`.trim());
+      }
+      return response.json();
+  }
+
   /**
    * Get Wiki Page by Title
    * @param {string} title 
@@ -407,6 +495,14 @@ export class MCPAdapter {
    */
   async updateWikiPage(pageId, title, content, version) {
       this.logger.info(`📝 Updating Wiki Page ${pageId}...`);
+      if (isStorageBody(content)) {
+          try {
+              return await this._putConfluenceStorage(pageId, title, content.value);
+          } catch (error) {
+              this.logger.warn(`⚠️ Storage-format update failed (${error.message}). Writing Markdown instead...`);
+              content = content.markdown;
+          }
+      }
       // Note: confluence_update_page schema does NOT accept a 'version' param —
       // the server auto-increments it. content_format defaults to 'markdown'.
       return this._callMCP('confluence_update_page', {
@@ -427,6 +523,23 @@ export class MCPAdapter {
    *    large payloads than the create endpoint.
    */
   async createWikiPage(title, content, spaceKey, parentId) {
+    if (isStorageBody(content)) {
+      // The MCP only takes Markdown: create the page from it, then replace
+      // the body in storage format over REST. A failed replace leaves the
+      // Markdown page in place.
+      const result = await this.createWikiPage(title, content.markdown, spaceKey, parentId);
+      const pageId = result?.id || result?.page?.id || null;
+      if (pageId) {
+        try {
+          await this._putConfluenceStorage(pageId, title, content.value, result?._links?.self || result?.page?._links?.self);
+          this.logger.info(`✅ Wiki page ${pageId} written in storage format`);
+        } catch (error) {
+          this.logger.warn(`⚠️ Storage-format write failed (${error.message}). Page keeps its Markdown body.`);
+        }
+      }
+      return result;
+    }
+
     this.logger.info('📄 Creating Wiki page via MCP...', { title, spaceKey, parentId, contentLength: content?.length });
     this.logger.debug('📄 Wiki content preview:', content?.substring(0, 300));
 
@@ -493,6 +606,31 @@ export class MCPAdapter {
     return stubResult;
   }
 
+  /**
+   * Whether pages in a space are written in Confluence storage format.
+   * @param {string} [spaceKey] - Defaults to the configured space
+   * @returns {boolean}
+   */
+  usesStorageFormat(spaceKey) {
+    const key = String(spaceKey || mcpConfig.defaults?.confluenceSpaceKey || '').toUpperCase();
+    return this.confluenceStorageSpaces.has('*') || this.confluenceStorageSpaces.has(key);
+  }
+
+  /**
+   * Wiki page body in the format the space is configured for. Pages are built
+   * as Markdown; storage-format spaces get { representation: 'storage', value,
+   * markdown }, which createWikiPage / updateWikiPage write over REST.
+   * @param {string} markdown
+   * @param {string} [spaceKey]
+   * @returns {string|Object}
+   */
+  formatWikiContent(markdown, spaceKey) {
+    if (!this.usesStorageFormat(spaceKey)) {
+      return markdown;
+    }
+    return { representation: 'storage', value: markdownToStorage(markdown), markdown };
+  }
+
   /**
    * Add attachment to Wiki Page
    * @param {string} pageId - Confluence Page ID
@@ -526,7 +664,8 @@ export class MCPAdapter {
 
   /**
    * Add attachment to Jira Issue.
-   * Returns { success, filenames } where filenames is an array of uploaded basenames.
+   * Returns { success, filenames, media } where filenames is an array of uploaded
+   * basenames and media maps them to what an ADF description needs to embed them.
    * @param {string} issueKey - Jira Issue Key
    * @param {string|string[]} filePaths - Path(s) to files to attach
    * @param {string} [issueSelfUrl] - Optional full REST API URL for the issue (optimizes upload)
@@ -539,11 +678,20 @@ export class MCPAdapter {
      // Strategy: Direct REST API first (multipart/form-data – the only way Jira accepts file uploads).
      // jira_update_issue does NOT support binary file uploads; removed as primary strategy.
      try {
+         const media = {};
          for (const filePath of paths) {
-             await this._uploadToJiraDirect(issueKey, filePath, issueSelfUrl);
+             const uploaded = await this._uploadToJiraDirect(issueKey, filePath, issueSelfUrl);
+             for (const attachment of Array.isArray(uploaded) ? uploaded : []) {
+                 // Jira Cloud exposes the Media API id ADF needs; otherwise embed by content URL
+                 if (attachment.mediaApiFileId) {
+                     media[attachment.filename] = { id: attachment.mediaApiFileId };
+                 } else if (attachment.content) {
+                     media[attachment.filename] = { url: attachment.content };
+                 }
+             }
          }
          this.logger.info(`✅ Attachment(s) added to Jira (Direct): ${filenames.join(', ')}`);
-         return { success: true, filenames };
+         return { success: true, filenames, media };
      } catch (directError) {
          this.logger.warn(`⚠️ Direct Jira upload failed: ${directError.message}. Trying MCP fallback...`);
          // Fallback: some on-prem MCP servers expose a jira_add_attachment tool
@@ -568,30 +716,53 @@ export class MCPAdapter {
    * Patch a Jira issue description to embed an uploaded image using Jira Wiki Markup.
    * Call this AFTER a successful addJiraAttachment to complete the two-step process.
    * @param {string} issueKey - Jira Issue Key
-   * @param {string} currentDescription - The existing description body
+   * @param {string} currentDescription - The existing description body (wiki markup)
    * @param {string} filename - Basename of the already-uploaded attachment (e.g. "preview-nav.png")
+   * @param {Object} [attachment] - Upload result for filename from addJiraAttachment's `media` (ADF only)
+   * @returns {Promise<Object|null>} { success, description, media } — the new markup and media
+   *          lookup, so later description updates keep the image
    */
-  async updateJiraDescription(issueKey, currentDescription, filename) {
+  async updateJiraDescription(issueKey, currentDescription, filename, attachment) {
      // filename may be either an uploaded attachment name or a full URL (Figma CDN fallback)
      const isUrl = /^https?:\/\//i.test(filename);
-     const imageMarkup = isUrl
-         ? `\n\n![Design Preview](${filename})`   // markdown for external URL
-         : `\n\n!${filename}|thumbnail!`;           // Jira wiki markup for attachment
      this.logger.info(`🖼️  Embedding image in Jira ${issueKey} description (${isUrl ? 'URL' : 'attachment'})`);
-     const updatedDescription = (currentDescription || '') + imageMarkup;
+     const updatedDescription = `${currentDescription || ''}\n\n${jiraImageMarkup(filename)}`;
+     const media = attachment ? { [filename]: attachment } : {};
      try {
          await this._callMCP('jira_update_issue', {
              issue_key: issueKey,
-             fields: { description: updatedDescription }
+             fields: { description: this.formatJiraDescription(updatedDescription, media) }
          });
          this.logger.info(`✅ Jira description updated with image reference !${filename}!`);
-         return { success: true };
+         return { success: true, description: updatedDescription, media };
      } catch (error) {
          this.logger.warn(`⚠️ Failed to update Jira description with image: ${error.message}`);
          return null;
      }
   }
 
+  /**
+   * Add a comment to a Jira issue
+   * @param {string} issueKey - Jira Issue Key
+   * @param {string} markup - Comment body (Jira wiki markup)
+   * @param {Object} [media] - Uploaded attachments by filename (ADF only, see formatJiraDescription)
+   * @returns {Promise<Object|null>} MCP result, or null when the comment failed
+   */
+  async addJiraComment(issueKey, markup, media = {}) {
+      this.logger.info(`💬 Commenting on Jira ${issueKey}...`);
+      try {
+          const result = await this._callMCP('jira_add_comment', {
+              issue_key: issueKey,
+              comment: this.formatJiraDescription(markup, media)
+          });
+          this.logger.info('✅ Comment added');
+          return result;
+      } catch (error) {
+          this.logger.error('❌ Failed to add comment', error);
+          return null;
+      }
+  }
+
   /**
    * Direct Upload to Jira REST API
    */
@@ -646,7 +817,8 @@ export class MCPAdapter {
           const text = await response.text();
           throw new Error(`Jira Upload Failed: ${response.status} ${text}`);
       }
-      return true;
+      // Jira answers with the created attachment records
+      return response.json().catch(() => []);
   }
 
   /**
@@ -707,6 +879,57 @@ export class MCPAdapter {
       return true;
   }
 
+  /**
+   * Replace a page body with storage-format XHTML over the Confluence REST API.
+   * The Confluence MCP rejects content_format, so macros can't go through it.
+   */
+  async _putConfluenceStorage(pageId, title, storage, pageSelfUrl) {
+      const serverConfig = this.config.servers['confluence'];
+      if (!serverConfig) {
+          throw new Error('Confluence server not configured');
+      }
+
+      let contentUrl = pageSelfUrl;
+      if (!contentUrl) {
+          const confluenceUrl = process.env.CONFLUENCE_BASE_URL || process.env.CONFLUENCE_URL;
+          if (!confluenceUrl) {
+              throw new Error('CONFLUENCE_BASE_URL environment variable is missing and no self-link provided - cannot write storage format');
+          }
+          contentUrl = `${confluenceUrl.replace(/\/$/, '')}/rest/api/content/${pageId}`;
+      }
+
+      const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+      const auth = serverConfig.auth || process.env.CONFLUENCE_API_TOKEN;
+      if (auth) {
+           headers['Authorization'] = auth;
+      }
+
+      // REST updates must carry the next version number
+      const current = await fetch(`${contentUrl}?expand=version`, { headers });
+      if (!current.ok) {
+          throw new Error(`Confluence page lookup failed: ${current.status}`);
+      }
+      const page = await current.json();
+
+      const response = await fetch(contentUrl, {
+          method: 'PUT',
+          headers,
+          body: JSON.stringify({
+              id: String(pageId),
+              type: 'page',
+              title,
+              version: { number: (page.version?.number || 1) + 1 },
+              body: { storage: { value: storage, representation: 'storage' } }
+          })
+      });
+
+      if (!response.ok) {
+          const text = await response.text();
+          throw new Error(`Confluence Update Failed: ${response.status} ${text}`);
+      }
+      return response.json().catch(() => ({ id: pageId }));
+  }
+
   /**
    * Create a remote link on Jira Issue (e.g. to Confluence)
    * @param {string} issueKey - Jira Issue Key
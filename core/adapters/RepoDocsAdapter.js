@@ -0,0 +1,209 @@
+/**
+ * Repo Docs Adapter — Steps B and E without Confluence (docs as code)
+ *
+ * Writes the Implementation Plan and QA Test Case pages as Markdown files
+ * into DOCS_DIR of the working copy at GIT_REPO_PATH, with the same wiki
+ * methods the orchestrator calls on MCPAdapter. A page's id is its
+ * repo-relative path; front-matter holds the title, Figma link, issue key and
+ * date, and the design image is copied next to the page. An index.md listing
+ * every page is rebuilt after each write. Files are left uncommitted.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import mcpConfig from '../../config/mcp.config.js';
+
+const INDEX_FILE = 'index.md';
+const ARCHIVE_DIR = 'archive';
+
+export class RepoDocsAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.repoPath] - Working copy (GIT_REPO_PATH)
+   * @param {string} [options.dir] - Folder inside it (DOCS_DIR)
+   * @param {string} [options.baseUrl] - Web URL of that folder (DOCS_BASE_URL); page URLs are repo-relative paths without it
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('RepoDocsAdapter');
+    this.repoPath = options.repoPath ?? mcpConfig.defaults.repoPath;
+    this.dir = options.dir ?? mcpConfig.docs?.dir ?? 'docs/design';
+    this.baseUrl = (options.baseUrl ?? mcpConfig.docs?.baseUrl ?? '').replace(/\/+$/, '');
+    // Set on dry-run planners (see planner)
+    this.recorder = null;
+  }
+
+  get isAvailable() {
+    return !!this.repoPath;
+  }
+
+  /**
+   * This adapter for a dry run: reads hit the files, writes go on the plan.
+   * @param {DryRunMCPAdapter} recorder
+   */
+  planner(recorder) {
+    return Object.assign(Object.create(this), { recorder });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { id, title, url, content, version } or null when there is no such page
+   */
+  async getWikiPage(title) {
+    const id = this._pageId(title);
+    const text = await fs.readFile(this._absolute(id), 'utf8').catch(() => null);
+    if (text === null) {
+      return null;
+    }
+    const { meta, body } = parsePage(text);
+    return { id, title: meta.title || title, url: this._url(id), content: body, version: { number: 1 } };
+  }
+
+  /**
+   * @param {string} title
+   * @param {string} content - Markdown
+   * @param {string} [_spaceKey] - Unused; pages go to DOCS_DIR
+   * @param {string} [_parentId] - Unused
+   * @param {Object} [meta] - { figmaUrl, issueKey, issueUrl } for the front-matter
+   * @returns {Promise<Object>} { id, page: { id, url, version } }
+   * @throws {Error} When a page with that title exists — the orchestrator retries with a suffix
+   */
+  async createWikiPage(title, content, _spaceKey, _parentId, meta = {}) {
+    const id = this._pageId(title);
+    if (await this.getWikiPage(title)) {
+      throw new Error(`Page ${id} already exists`);
+    }
+    const front = {
+      title,
+      figma: meta.figmaUrl || null,
+      issue: meta.issueKey || null,
+      issueUrl: meta.issueUrl || null,
+      date: new Date().toISOString().slice(0, 10),
+    };
+    if (this.recorder) {
+      this.recorder._record('createWikiPage', 'docs_write_page', `Write ${id}`, { title, path: id, front, content });
+    } else {
+      await this._write(id, renderPage(front, content));
+      this.logger.info(`✅ Wrote ${id}`);
+    }
+    return { id, page: { id, url: this._url(id), version: { number: 1 } } };
+  }
+
+  /**
+   * Replace the page body; the front-matter written at creation is kept.
+   */
+  async updateWikiPage(pageId, title, content) {
+    if (this.recorder) {
+      this.recorder._record('updateWikiPage', 'docs_write_page', `Rewrite ${pageId}`, { title, path: pageId, content });
+      return { id: pageId };
+    }
+    const text = await fs.readFile(this._absolute(pageId), 'utf8');
+    await this._write(pageId, renderPage(parsePage(text).meta, content));
+    this.logger.info(`✅ Updated ${pageId}`);
+    return { id: pageId };
+  }
+
+  /**
+   * Copy a file next to the page, where relative image links find it.
+   * @returns {Promise<Object>} { success, filename }
+   */
+  async addWikiAttachment(pageId, filePath) {
+    const filename = path.basename(filePath);
+    const target = path.join(path.dirname(pageId), filename);
+    if (this.recorder) {
+      this.recorder._record('addWikiAttachment', 'docs_add_file', `Copy ${filename} to ${path.dirname(pageId)}`, { pageId, filename });
+      return { success: true, filename };
+    }
+    await fs.copyFile(filePath, this._absolute(target));
+    return { success: true, filename };
+  }
+
+  /**
+   * Rollback: move the page into archive/ next to it, which takes it out of
+   * the index. Copied images stay where they are.
+   * @returns {Promise<Object>} { id, url } of the moved page
+   */
+  async archiveWikiPage(pageId) {
+    const id = path.posix.join(path.posix.dirname(pageId), ARCHIVE_DIR, path.posix.basename(pageId));
+    await fs.mkdir(path.dirname(this._absolute(id)), { recursive: true });
+    await fs.rename(this._absolute(pageId), this._absolute(id));
+    await this._writeIndex().catch(error => this.logger.warn(`⚠️ Failed to rebuild ${INDEX_FILE}: ${error.message}`));
+    this.logger.info(`🗄️ Moved ${pageId} to ${id}`);
+    return { id, url: this._url(id) };
+  }
+
+  async _write(id, text) {
+    // Without DOCS_BASE_URL page links are repo-relative; between pages they must be sibling-relative
+    text = text.split(`](${path.posix.dirname(id)}/`).join('](');
+    await fs.mkdir(path.dirname(this._absolute(id)), { recursive: true });
+    await fs.writeFile(this._absolute(id), text);
+    await this._writeIndex().catch(error => this.logger.warn(`⚠️ Failed to rebuild ${INDEX_FILE}: ${error.message}`));
+  }
+
+  // One row per page, newest first
+  async _writeIndex() {
+    const folder = path.join(this.repoPath, this.dir);
+    const files = (await fs.readdir(folder)).filter(file => file.endsWith('.md') && file !== INDEX_FILE);
+    const pages = await Promise.all(files.map(async file => ({ file, ...parsePage(await fs.readFile(path.join(folder, file), 'utf8')).meta })));
+    pages.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')) || String(a.title || a.file).localeCompare(String(b.title || b.file)));
+
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+    const rows = pages.map(page => [
+      `[${cell(page.title || page.file)}](${encodeURI(page.file)})`,
+      page.issue ? (page.issueUrl ? `[${cell(page.issue)}](${page.issueUrl})` : cell(page.issue)) : '',
+      page.figma ? `[View Design](${page.figma})` : '',
+      cell(page.date),
+    ]);
+    const table = [['Page', 'Issue', 'Figma', 'Date'], ['---', '---', '---', '---'], ...rows]
+      .map(row => `| ${row.join(' | ')} |`).join('\n');
+    await fs.writeFile(path.join(folder, INDEX_FILE), `# Design Documentation\n\n_Generated by Figma AI Ticket Generator — rebuilt on every write._\n\n${table}\n`);
+  }
+
+  // "Implementation Plan: Nav Bar" → docs/design/implementation-plan-nav-bar.md
+  _pageId(title) {
+    const slug = String(title).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'page';
+    return path.posix.join(this.dir.split(path.sep).join('/'), `${slug}.md`);
+  }
+
+  _absolute(id) {
+    return path.join(this.repoPath, id);
+  }
+
+  _url(id) {
+    return this.baseUrl ? `${this.baseUrl}/${encodeURI(path.posix.relative(this.dir, id))}` : id;
+  }
+}
+
+/**
+ * Front-matter values are JSON strings, which YAML reads as double-quoted scalars.
+ */
+function renderPage(meta, content) {
+  const front = Object.entries(meta)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  // The wiki header puts `---` straight under a paragraph, which Markdown reads
+  // as a heading underline; a blank line keeps it a rule
+  const body = String(content).replace(/([^\n])\n---\n/g, '$1\n\n---\n');
+  return `---\n${front.join('\n')}\n---\n\n${body}`;
+}
+
+function parsePage(text) {
+  const match = /^---\n([\s\S]*?)\n---\n\n?/.exec(text);
+  if (!match) {
+    return { meta: {}, body: text };
+  }
+  const meta = {};
+  for (const line of match[1].split('\n')) {
+    const at = line.indexOf(':');
+    if (at > 0) {
+      const raw = line.slice(at + 1).trim();
+      try {
+        meta[line.slice(0, at).trim()] = JSON.parse(raw);
+      } catch {
+        meta[line.slice(0, at).trim()] = raw;
+      }
+    }
+  }
+  return { meta, body: text.slice(match[0].length) };
+}
+
+export default RepoDocsAdapter;
@@ -0,0 +1,181 @@
+/**
+ * LLMProviderChain — walks the configured LLM providers in fallback order
+ *
+ * Exposes the same generate() contract as a single provider, so callers
+ * (generate route, TicketGenerationService) don't care which model answered.
+ * When every provider fails the error propagates and the route falls back to
+ * ContextTemplateBridge ('standard' in ai.config's fallback order).
+ */
+
+import { Logger } from '../utils/logger.js';
+import { aiConfig } from '../../config/ai.config.js';
+import { GeminiService } from './GeminiService.js';
+import { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider.js';
+import { OllamaProvider } from './providers/OllamaProvider.js';
+
+// Order entries that are not LLMs — the template fallback lives in the route
+const NON_LLM_ENTRIES = new Set(['standard', 'templates']);
+
+const PROVIDER_TYPES = {
+  gemini: (cfg, deps) => new GeminiService({ ...cfg, ...deps }),
+  openai: (cfg, deps) => new OpenAICompatibleProvider({ ...cfg, ...deps }),
+  ollama: (cfg, deps) => new OllamaProvider({ ...cfg, ...deps }),
+};
+
+export class LLMProviderChain {
+  /**
+   * @param {Map<string, BaseLLMProvider>} providers - Instantiated providers by key
+   * @param {Object} [options]
+   * @param {string[]} [options.order] - Provider keys in fallback order
+   * @param {string} [options.strategy='waterfall'] - 'waterfall' | 'round-robin'
+   */
+  constructor(providers, options = {}) {
+    this.logger = new Logger('LLMProviderChain');
+    this.providers = providers;
+    this.order = (options.order || [...providers.keys()]).filter(name => providers.has(name));
+    this.strategy = options.strategy || 'waterfall';
+    this.nextStart = 0;
+
+    if (this.order.length === 0) {
+      this.logger.warn('No LLM provider configured — generation will use YAML templates only');
+    } else {
+      this.logger.info(`LLM providers (${this.strategy}): ${this.order.join(' → ')}`);
+    }
+  }
+
+  /**
+   * Build the chain from ai.config. Providers that are disabled or fail to
+   * construct (e.g. missing API key) are skipped rather than aborting startup.
+   * @param {Object} [config=aiConfig]
+   * @param {Object} [deps] - Shared constructor options, e.g. { configService }
+   * @returns {LLMProviderChain}
+   */
+  static fromConfig(config = aiConfig, deps = {}) {
+    const logger = new Logger('LLMProviderChain');
+    const providers = new Map();
+
+    const order = [config.primaryProvider, ...(config.fallback?.order || [])]
+      .filter((name, i, all) => name && all.indexOf(name) === i && !NON_LLM_ENTRIES.has(name));
+
+    for (const name of order) {
+      const providerConfig = config.providers?.[name];
+      if (!providerConfig || providerConfig.enabled === false) {
+        continue;
+      }
+      const type = providerConfig.type || name;
+      const factory = PROVIDER_TYPES[type];
+      if (!factory) {
+        logger.warn(`Unknown LLM provider type "${type}" for "${name}" — skipped`);
+        continue;
+      }
+      try {
+        providers.set(name, factory({
+          ...providerConfig,
+          name,
+          vision: providerConfig.vision?.enabled ?? providerConfig.vision,
+        }, deps));
+      } catch (error) {
+        logger.warn(`LLM provider "${name}" not available: ${error.message}`);
+      }
+    }
+
+    return new LLMProviderChain(providers, {
+      order,
+      strategy: config.fallback?.enabled === false ? 'single' : config.fallback?.strategy,
+    });
+  }
+
+  /**
+   * Generate with the first provider that succeeds.
+   * @param {Object} params - Same as BaseLLMProvider.generate(), plus optional
+   *   `provider` (string or string[]) restricting which providers may be used —
+   *   e.g. projects that are only cleared for an internally hosted model.
+   * @returns {Promise<{ content: string, metadata: Object }>}
+   */
+  async generate(params) {
+    return this._firstSuccessful('generate', params);
+  }
+
+  /**
+   * Regenerate one section (see BaseLLMProvider.generateSection) with the
+   * same fallback order and `provider` restriction as generate().
+   * @returns {Promise<{ content: string, metadata: Object }>}
+   */
+  async generateSection(params) {
+    return this._firstSuccessful('generateSection', params);
+  }
+
+  /**
+   * Write QA test cases (see BaseLLMProvider.generateQaCases) with the same
+   * fallback order and `provider` restriction as generate().
+   * @returns {Promise<{ testCases: Object[], metadata: Object }>}
+   */
+  async generateQaCases(params) {
+    return this._firstSuccessful('generateQaCases', params);
+  }
+
+  /**
+   * Call `method` on each provider in order until one succeeds.
+   */
+  async _firstSuccessful(method, params) {
+    const { provider, ...generateParams } = params;
+    const order = this.resolveOrder(provider);
+    if (order.length === 0) {
+      const requested = provider ? ` matching "${[].concat(provider).join(', ')}"` : '';
+      throw new Error(`No LLM provider available${requested}`);
+    }
+
+    const failures = [];
+    for (const name of order) {
+      try {
+        const result = await this.providers.get(name)[method](generateParams);
+        if (failures.length > 0) {
+          this.logger.info(`Generated with "${name}" after ${failures.length} failed provider(s)`);
+        }
+        return {
+          ...result,
+          metadata: {
+            ...result.metadata,
+            provider: name,
+            ...(failures.length > 0 && { providerFailures: failures }),
+          },
+        };
+      } catch (error) {
+        this.logger.warn(`LLM provider "${name}" failed: ${error.message}`);
+        failures.push({ provider: name, error: error.message });
+      }
+    }
+
+    throw new Error(`All LLM providers failed — ${failures.map(f => `${f.provider}: ${f.error}`).join('; ')}`);
+  }
+
+  /**
+   * Providers to try for one request, honouring the strategy and any restriction.
+   * @param {string|string[]} [restrictTo]
+   * @returns {string[]}
+   */
+  resolveOrder(restrictTo) {
+    let order = this.order;
+    if (restrictTo) {
+      const allowed = new Set([].concat(restrictTo));
+      order = order.filter(name => allowed.has(name));
+    }
+
+    if (this.strategy === 'single') {
+      return order.slice(0, 1);
+    }
+    if (this.strategy === 'round-robin' && order.length > 1) {
+      const start = this.nextStart++ % order.length;
+      return [...order.slice(start), ...order.slice(0, start)];
+    }
+    return order;
+  }
+
+  healthCheck() {
+    return {
+      strategy: this.strategy,
+      order: this.order,
+      providers: Object.fromEntries([...this.providers].map(([name, p]) => [name, p.healthCheck()])),
+    };
+  }
+}
@@ -0,0 +1,879 @@
+/**
+ * BaseLLMProvider — shared generation pipeline for all LLM providers
+ *
+ * Owns everything that is model-agnostic: unified context building, prompt
+ * construction, screenshot resolution, retry and response cleanup. Concrete
+ * providers (Gemini, OpenAI-compatible, Ollama) only implement _complete().
+ *
+ * Flow: context + screenshot + tech stack → prompt → provider._complete() → ticket content
+ */
+
+import { Logger } from '../../utils/logger.js';
+import { UnifiedContextBuilder } from '../../data/unified-context-builder.js';
+import { findSection } from '../ticket-sections.js';
+import { TICKET_SCHEMA, parseTicketJson, validateTicket } from '../ticket-schema.js';
+import { QA_SCHEMA, MAX_TEST_CASES, validateQaCases } from '../qa-schema.js';
+import { qaDesignFacts } from '../../context/qa-context.js';
+import { formatForPlatform, renderTicket } from '../ticket-renderers.js';
+import { detectMarkup, jiraToMarkdown, markdownToJira } from '../../formats/markup-converter.js';
+import { techStackRules } from '../tech-stack.js';
+
+// Sections the model is asked to produce: [name, detail shown in the prompt]
+export const TICKET_SECTIONS = [
+  ['Summary/Title'],
+  ['Component Overview', 'what it is, design intent'],
+  ['Design References', 'Figma links, screenshot reference'],
+  ['Design Tokens', 'colors, typography, spacing from the design'],
+  ['Technical Implementation', 'component structure, state, props'],
+  ['Accessibility Requirements', 'WCAG AA, keyboard, ARIA'],
+  ['Responsive Behavior', 'mobile, tablet, desktop'],
+  ['Interactive States', 'hover, focus, active, disabled, error'],
+  ['Testing Requirements'],
+  ['Acceptance Criteria', 'specific, testable'],
+];
+
+export const WIKI_SECTIONS = [
+  ['Component Overview', 'purpose, usage context, design rationale'],
+  ['Content Model / Data Structure'],
+  ['Implementation Architecture', 'file structure, key classes/components'],
+  ['Props/API Reference'],
+  ['Responsive Behavior', 'breakpoints and adaptations'],
+  ['Accessibility Requirements', 'WCAG AA compliance, keyboard nav, ARIA'],
+  ['Testing Strategy'],
+  ['Related Components and Dependencies'],
+];
+
+export class BaseLLMProvider {
+  /**
+   * @param {string} name - Provider key as used in ai.config (e.g. 'gemini', 'ollama')
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model identifier sent to the provider
+   * @param {boolean} [options.vision=true] - Whether the model accepts image input
+   * @param {number} [options.temperature]
+   * @param {number} [options.maxTokens]
+   * @param {number} [options.timeout=120000] - HTTP timeout in ms (HTTP-based providers)
+   * @param {number} [options.maxRetries=2]
+   * @param {boolean} [options.structuredOutput=false] - Ask for schema JSON (see ticket-schema.js)
+   *        and render the ticket from it instead of asking for markup
+   * @param {Object} [options.configService]
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.logger = new Logger(this.constructor.name);
+    this.modelName = options.model || null;
+    this.supportsVision = options.vision !== false;
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 8192;
+    this.timeout = options.timeout || 120000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.structuredOutput = options.structuredOutput === true;
+
+    // Context builder for merging Figma data into a unified object
+    this.contextBuilder = new UnifiedContextBuilder({
+      configService: options.configService,
+      logger: this.logger,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Generate a ticket/wiki page from Figma design context.
+   *
+   * @param {Object} params
+   * @param {string} params.componentName  - Name of the selected Figma frame/component
+   * @param {string|string[]} params.techStack - e.g. "AEM 6.5" or ["React", "TypeScript"]
+   * @param {string} params.platform       - Output platform: "Jira" | "Wiki" | "Confluence" | "Markdown"
+   * @param {string} params.documentType   - "component" | "feature" | "wiki" | etc.
+   * @param {Object} params.figmaContext   - File context from the Figma plugin
+   * @param {Object} params.frameData      - Enriched frame/node data array
+   * @param {Object} params.enhancedFrameData - Extended frame data with design tokens
+   * @param {Object} params.screenshot     - { base64, format, url }
+   * @param {Object} params.fileContext    - { fileKey, fileName, pageId, pageName }
+   * @param {Object} [params.metadata]     - Extra metadata
+   * @returns {{ content: string, metadata: Object }}
+   */
+  async generate(params) {
+    const startTime = Date.now();
+    const {
+      componentName,
+      techStack = 'AEM 6.5',
+      platform = 'Jira',
+      documentType = 'component',
+    } = params;
+
+    this.logger.info(`Generating ${platform}/${documentType} for "${componentName}" [${techStack}] via ${this.name}`);
+
+    try {
+      // 1. Build unified context from all Figma data sources
+      const context = await this._buildContext(params, { componentName, techStack, platform, documentType });
+
+      // 2. Resolve the screenshot for vision-capable models
+      let imageBase64 = null;
+      if (this.supportsVision) {
+        imageBase64 = await this._resolveScreenshot(params, context);
+        if (imageBase64) {
+          this.logger.info('Screenshot attached to LLM request');
+        }
+      }
+
+      const options = { componentName, techStack, platform, documentType };
+      if (this.structuredOutput && documentType !== 'wiki') {
+        return await this._generateStructured(context, options, imageBase64, startTime);
+      }
+
+      // 3. Build the prompt
+      const prompt = this._buildPrompt(context, options);
+
+      // 4. Call the provider with retry
+      const generatedText = await this._callWithRetry({ prompt, imageBase64 });
+
+      // 5. Clean up response
+      const content = this._cleanResponse(generatedText, platform);
+      const duration = Date.now() - startTime;
+
+      this.logger.info(`Generation complete in ${duration}ms (${content.length} chars)`);
+
+      return {
+        content,
+        metadata: {
+          generationMethod: `${this.name}-service`,
+          provider: this.name,
+          model: this.modelName,
+          platform,
+          documentType,
+          componentName,
+          techStack,
+          duration,
+          promptTokens: Math.ceil(prompt.length / 4),
+          responseTokens: Math.ceil(content.length / 4),
+          hasScreenshot: !!imageBase64,
+          generatedAt: new Date().toISOString(),
+        },
+      };
+    } catch (error) {
+      this.logger.error('Generation failed:', error.message);
+      throw new Error(`AI generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Structured mode: ask for TICKET_SCHEMA JSON, validate it (one corrective
+   * retry with the validation errors) and render the platform text from it.
+   * The validated object is returned as `ticket` next to the rendered content.
+   */
+  async _generateStructured(context, options, imageBase64, startTime) {
+    const { componentName, techStack, platform, documentType } = options;
+    const prompt = this._buildStructuredPrompt(context, options);
+    const ticket = await this._completeValidated({ prompt, imageBase64, schema: TICKET_SCHEMA }, (text) => {
+      const { ticket: value, errors } = validateTicket(parseTicketJson(text));
+      return { value, errors };
+    });
+
+    const content = renderTicket(ticket, formatForPlatform(platform), {
+      figmaUrl: this._buildFigmaDeepLink(context),
+    });
+    const duration = Date.now() - startTime;
+    this.logger.info(`Structured generation complete in ${duration}ms (${ticket.acceptanceCriteria.length} acceptance criteria)`);
+
+    return {
+      content,
+      ticket,
+      metadata: {
+        generationMethod: `${this.name}-structured`,
+        provider: this.name,
+        model: this.modelName,
+        platform,
+        documentType,
+        componentName,
+        techStack,
+        structured: true,
+        duration,
+        promptTokens: Math.ceil(prompt.length / 4),
+        responseTokens: Math.ceil(JSON.stringify(ticket).length / 4),
+        hasScreenshot: !!imageBase64,
+        generatedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Ask for schema JSON and validate it, with one corrective retry that
+   * lists the validation errors. `validate(text)` returns { value, errors }
+   * (value null when rejected) and may throw on unparseable text.
+   * @param {Object} request - { prompt, imageBase64, schema } for _callWithRetry()
+   * @param {Function} validate
+   * @returns {Promise<Object>} The validated value
+   * @throws {Error} When both attempts are rejected
+   */
+  async _completeValidated(request, validate) {
+    let value = null;
+    let errors = [];
+    for (let attempt = 1; attempt <= 2 && !value; attempt++) {
+      const prompt = attempt === 1 ? request.prompt : `${request.prompt}
+
+## Previous Response Rejected
+${errors.map(error => `- ${error}`).join('\n')}
+Return the corrected JSON object only.`;
+      const generatedText = await this._callWithRetry({ ...request, prompt });
+      try {
+        ({ value, errors } = validate(generatedText));
+      } catch (parseError) {
+        errors = [parseError.message];
+      }
+      if (!value) {
+        this.logger.warn(`Structured output rejected (attempt ${attempt}/2): ${errors.join('; ')}`);
+      }
+    }
+    if (!value) {
+      throw new Error(`Structured output failed validation: ${errors.join('; ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Write component-specific QA test cases (QA_SCHEMA JSON) from the unified
+   * context, the interactive elements, prototype interactions and copy in the
+   * frame data (qa-context.js), the component states and the acceptance
+   * criteria of the structured ticket when there is one.
+   *
+   * @param {Object} params - Same as generate(), plus optional `ticket`
+   *   (validated TICKET_SCHEMA object) or `acceptanceCriteria` (string[])
+   * @returns {{ testCases: Object[], metadata: Object }}
+   */
+  async generateQaCases(params) {
+    const startTime = Date.now();
+    const {
+      componentName,
+      techStack = 'AEM 6.5',
+      platform = 'Jira',
+      documentType = 'component',
+    } = params;
+
+    this.logger.info(`Generating QA test cases for "${componentName}" via ${this.name}`);
+
+    try {
+      const options = { componentName, techStack, platform, documentType };
+      const context = await this._buildContext(params, options);
+      const prompt = this._buildQaPrompt(context, options, {
+        facts: qaDesignFacts(params.enhancedFrameData || []),
+        states: params.ticket?.states?.length
+          ? params.ticket.states
+          : Object.entries(context.design?.states || {}).map(([name, description]) => ({ name, description })),
+        acceptanceCriteria: params.ticket?.acceptanceCriteria || params.acceptanceCriteria || [],
+      });
+
+      let imageBase64 = null;
+      if (this.supportsVision) {
+        imageBase64 = await this._resolveScreenshot(params, context);
+      }
+
+      const testCases = await this._completeValidated({ prompt, imageBase64, schema: QA_SCHEMA }, (text) => {
+        const { testCases: value, errors } = validateQaCases(parseTicketJson(text));
+        return { value, errors };
+      });
+
+      return {
+        testCases,
+        metadata: {
+          generationMethod: `${this.name}-qa`,
+          provider: this.name,
+          model: this.modelName,
+          componentName,
+          duration: Date.now() - startTime,
+          promptTokens: Math.ceil(prompt.length / 4),
+          hasScreenshot: !!imageBase64,
+          generatedAt: new Date().toISOString(),
+        },
+      };
+    } catch (error) {
+      this.logger.error('QA test case generation failed:', error.message);
+      throw new Error(`AI QA generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Regenerate one section of an existing document with the same unified
+   * context and prompt rules as generate(). Returns only the new section
+   * (heading included); splicing it back is up to the caller.
+   *
+   * @param {Object} params - Same as generate(), plus:
+   * @param {string} params.content   - The full existing document
+   * @param {string} params.section   - Section name, e.g. "Accessibility"
+   * @param {string} [params.guidance] - Extra instructions for this section
+   * @returns {{ content: string, metadata: Object }}
+   */
+  async generateSection(params) {
+    const startTime = Date.now();
+    const {
+      componentName,
+      techStack = 'AEM 6.5',
+      platform = 'Jira',
+      documentType = 'component',
+    } = params;
+
+    const current = findSection(params.content, params.section);
+    if (!current) {
+      throw new Error(`Section "${params.section}" not found in the document`);
+    }
+
+    this.logger.info(`Regenerating section "${current.title}" of "${componentName}" via ${this.name}`);
+
+    try {
+      const options = { componentName, techStack, platform, documentType };
+      const context = await this._buildContext(params, options);
+      const prompt = this._buildSectionPrompt(context, options, {
+        section: current,
+        document: params.content,
+        guidance: params.guidance,
+      });
+
+      let imageBase64 = null;
+      if (this.supportsVision) {
+        imageBase64 = await this._resolveScreenshot(params, context);
+      }
+
+      const generatedText = await this._callWithRetry({ prompt, imageBase64 });
+      const content = this._cleanResponse(generatedText, platform);
+
+      return {
+        content,
+        metadata: {
+          generationMethod: `${this.name}-section`,
+          provider: this.name,
+          model: this.modelName,
+          platform,
+          documentType,
+          componentName,
+          techStack,
+          section: current.title,
+          duration: Date.now() - startTime,
+          promptTokens: Math.ceil(prompt.length / 4),
+          responseTokens: Math.ceil(content.length / 4),
+          hasScreenshot: !!imageBase64,
+          generatedAt: new Date().toISOString(),
+        },
+      };
+    } catch (error) {
+      this.logger.error('Section generation failed:', error.message);
+      throw new Error(`AI section generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send one prompt (plus optional image) to the model and return its text.
+   * `schema` is set in structured mode; providers that support constrained
+   * JSON output should pass it on, others can rely on the prompt.
+   * @param {Object} _request - { prompt: string, imageBase64: string|null, schema?: Object }
+   * @returns {Promise<string>}
+   */
+  async _complete(_request) {
+    throw new Error(`${this.constructor.name} must implement _complete()`);
+  }
+
+  healthCheck() {
+    return { provider: this.name, model: this.modelName, vision: this.supportsVision };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prompt Building
+  // ---------------------------------------------------------------------------
+
+  _buildContext(params, { componentName, techStack, platform, documentType }) {
+    return this.contextBuilder.buildUnifiedContext({
+      componentName,
+      techStack,
+      figmaContext: params.figmaContext,
+      requestData: params,
+      fileContext: params.fileContext,
+      frameData: params.frameData,
+      enhancedFrameData: params.enhancedFrameData,
+      imageUrls: params.imageUrls,
+      metadata: params.metadata,
+      platform,
+      documentType,
+    });
+  }
+
+  _buildFigmaDeepLink(context) {
+    // Primary: use the already-built live_link from unified context builder (includes node-id)
+    if (context.figma?.live_link && context.figma.live_link !== 'https://www.figma.com/file/unknown') {
+      return context.figma.live_link;
+    }
+
+    // Fallback: construct manually from available pieces
+    const base = context.figma?.url
+      || context.figmaUrl
+      || null;
+
+    const fileKey = this._extractFileKey(context);
+    if (!fileKey || fileKey === 'unknown') return base || null;
+
+    let url = base ? base.split('?')[0] : `https://www.figma.com/design/${fileKey}`;
+
+    const nodeId = context.figma?.frame_id || context.figma?.node_id;
+    if (nodeId) {
+      const encodedNodeId = nodeId.replace(/:/g, '-').replace(/;/g, '%3B');
+      url += `?node-id=${encodedNodeId}`;
+    }
+    return url;
+  }
+
+  _buildPrompt(context, options) {
+    const { componentName, techStack, platform, documentType } = options;
+    const techStackStr = Array.isArray(techStack) ? techStack.join(' + ') : techStack;
+    const markup = this._getMarkupHelpers(platform);
+
+    return `${this._systemPrompt(techStackStr, platform)}
+
+${this._platformRules(platform, markup)}
+
+## Task
+Generate a professional ${documentType} ticket for implementing the "${componentName}" component.
+Tech Stack: ${techStackStr}
+Platform: ${platform}
+
+${this._designBrief(context, options)}
+
+## Output Requirements
+${this._outputRequirements(platform, documentType, markup)}
+
+IMPORTANT:
+- Return ONLY clean ${platform} markup content. No JSON, no YAML wrapping.
+- Extract real data from context — never use placeholders like "TBD" or "unknown".
+- If data is missing, infer intelligently from the component type and ${techStackStr} conventions.
+- Include ALL sections with actionable, developer-ready content.`;
+  }
+
+  /**
+   * Prompt for structured mode: the same design brief, answered as
+   * TICKET_SCHEMA JSON. Renderers add all markup, so strings stay plain.
+   */
+  _buildStructuredPrompt(context, options) {
+    const { componentName, techStack, platform, documentType } = options;
+    const techStackStr = Array.isArray(techStack) ? techStack.join(' + ') : techStack;
+
+    return `${this._systemPrompt(techStackStr, platform)}
+
+## Task
+Analyze the "${componentName}" component and describe a professional ${documentType} ticket for implementing it.
+Tech Stack: ${techStackStr}
+
+${this._designBrief(context, options)}
+
+## Output Format
+Return ONLY a JSON object that matches this JSON schema:
+${JSON.stringify(TICKET_SCHEMA, null, 2)}
+
+IMPORTANT:
+- Plain text in every string — no Jira or Markdown markup. Wrap code identifiers in \`backticks\`.
+- Do not include Figma links — design references are added automatically.
+- Extract real data from context — never use placeholders like "TBD" or "unknown".
+- If data is missing, infer intelligently from the component type and ${techStackStr} conventions.
+- acceptanceCriteria must list specific, testable criteria; use [] only for lists that truly have nothing.`;
+  }
+
+  /**
+   * Prompt for regenerating one section: the same design brief, plus the
+   * current document so the new section stays consistent with the rest.
+   */
+  _buildSectionPrompt(context, options, { section, document, guidance }) {
+    const { componentName, techStack, platform, documentType } = options;
+    const techStackStr = Array.isArray(techStack) ? techStack.join(' + ') : techStack;
+    const markup = this._getMarkupHelpers(platform);
+
+    return `${this._systemPrompt(techStackStr, platform)}
+
+${this._platformRules(platform, markup)}
+
+## Task
+Rewrite ONLY the "${section.title}" section of an existing ${documentType} ticket for the "${componentName}" component.
+Tech Stack: ${techStackStr}
+Platform: ${platform}
+
+${this._designBrief(context, options)}
+
+## Current Document (for consistency — do not repeat its other sections)
+${document}
+
+## Section To Rewrite
+${section.text}
+${guidance ? `\n## Guidance\n${guidance}\n` : ''}
+IMPORTANT:
+- Return ONLY the rewritten section, starting with the heading line: ${section.heading}
+- Keep the same heading level and ${platform} markup; do not add any other section.
+- Stay consistent with names, tokens and props used elsewhere in the document.
+- Extract real data from context — never use placeholders like "TBD" or "unknown".`;
+  }
+
+  /**
+   * Prompt for the QA pass: design context plus what a tester can act on,
+   * answered as QA_SCHEMA JSON.
+   */
+  _buildQaPrompt(context, options, { facts, states, acceptanceCriteria }) {
+    const { componentName, techStack } = options;
+    const techStackStr = Array.isArray(techStack) ? techStack.join(' + ') : techStack;
+    const list = (items, format) => (items.length > 0 ? items.map(item => `- ${format(item)}`).join('\n') : '- None found in the design data');
+    const hasImage = !!(context.figma?.screenshot_url || context.requestData?.figmaExportUrl || context.requestData?.screenshot);
+
+    return `# Expert QA Engineer
+
+You are a senior QA engineer who writes manual test cases for UI components built from Figma designs.
+You know ${techStackStr}, WCAG AA and cross-browser testing, and your test cases are precise enough for anyone to run.
+
+## Task
+Write the test cases for the "${componentName}" component.
+${hasImage ? 'Screenshot: Attached as image — use it to name elements and expected visuals.\n' : ''}
+## Design Context Data
+${this._formatContext(context)}
+
+### Interactive Elements
+${list(facts.interactive, item => `${item.name} (${item.kind})`)}
+
+### Prototype Interactions
+${list(facts.interactions, item => `${item.element}: ${item.trigger} → ${item.action}${item.destination ? ` "${item.destination}"` : ''}`)}
+
+### Text Content
+${list(facts.text, item => `"${item}"`)}
+
+### Component States
+${list(states, state => `${state.name}: ${state.description}`)}
+
+### Acceptance Criteria
+${list(acceptanceCriteria, criterion => criterion)}
+
+## Output Format
+Return ONLY a JSON object that matches this JSON schema:
+${JSON.stringify(QA_SCHEMA, null, 2)}
+
+IMPORTANT:
+- Plain text in every string — no Jira or Markdown markup.
+- Name the real elements, text and destinations above — never "the interactive elements" or "the button".
+- Cover every acceptance criterion, every prototype interaction and every listed state; add responsive, keyboard and screen reader cases specific to this component.
+- One behaviour per test case; expected results must be observable.
+- Between 5 and ${MAX_TEST_CASES} test cases.`;
+  }
+
+  /**
+   * Figma reference, design context and tech stack rules shared by the
+   * full-document and single-section prompts.
+   */
+  _designBrief(context, options) {
+    const { componentName, techStack, platform } = options;
+    const figmaDeepLink = this._buildFigmaDeepLink(context);
+    const figmaLinkText = figmaDeepLink
+      ? (platform === 'jira' || platform === 'Jira'
+          ? `[View in Figma|${figmaDeepLink}]`
+          : `[View in Figma](${figmaDeepLink})`)
+      : 'See Figma file context below';
+
+    // Figma export URL — CDN image of the selected frame (passed from route via requestData)
+    const figmaExportUrl = context.requestData?.figmaExportUrl || null;
+    const hasImage = !!(context.figma?.screenshot_url || figmaExportUrl || context.requestData?.screenshot);
+
+    return `## Figma Design Reference
+- Component: ${componentName}
+- Figma URL: ${figmaDeepLink || 'Not available'}
+- Figma Link (use this EXACT link text in the Design References section, do not replace it): ${figmaLinkText}
+- File: ${context.figma?.file_name || context.fileContext?.fileName || context.requestData?.fileContext?.fileName || 'See context'}
+${figmaExportUrl ? `- Design Image URL: ${figmaExportUrl}` : ''}
+${hasImage ? `- Screenshot: Attached as image — analyze it carefully for layout, colors, spacing, and components.` : ''}
+
+## Design Context Data
+${this._formatContext(context)}
+
+## Tech Stack Rules
+${this._techStackRules(techStack)}`;
+  }
+
+  _systemPrompt(techStack, platform) {
+    return `# Expert Technical Ticket Generator
+
+You are a senior technical analyst who converts Figma design specifications into comprehensive ${platform} tickets.
+You have deep expertise in ${techStack}, design systems, accessibility (WCAG AA), and component architecture.
+Your output is always structured, actionable, and directly usable by development teams.`;
+  }
+
+  _platformRules(platform, markup) {
+    const rules = {
+      Jira: `Output ONLY in Jira wiki markup syntax. Follow these rules EXACTLY:
+- Headings: h1. Title | h2. Section | h3. Subsection
+- Bold: *bold text* (asterisks touching the word — no spaces inside)
+- Italic: _italic text_ (underscores touching the word — use ONLY for inline emphasis, NEVER as a bullet)
+- Bullet list items: level 1 = "* ", level 2 = "** ", level 3 = "*** ". NOTHING else.
+- NEVER use underscore "_" or double-underscore "__" at the start of a line as a bullet marker.
+- Links: [link text|https://example.com]
+- Inline code: {{variable}}
+- Code blocks: {code:java}...{code}
+
+Correct list example:
+* First item
+** *Bold label:* nested description
+*** Level 3 detail item
+*** _italic label:_ another detail
+* Second item
+
+Incorrect (NEVER do this):
+_ _Focus:* description   ← WRONG: underscore is not a bullet
+__ {{variable}} text     ← WRONG: double-underscore is not a bullet
+__* {{variable}} text    ← WRONG: double-underscore is not a bullet`,
+      Wiki: 'Output using Confluence wiki markup syntax: h1. h2. h3. for headings, *bold*, _italic_, [text|url] for links, * for bullet list items (asterisk space), ** for nested bullets.',
+      Confluence: 'Output using Confluence storage format: h1. h2. h3. headings, *bold*, {panel}, {info}, {code}. Use * for bullet items, ** for nested.',
+      Markdown: 'Output using standard Markdown: # ## ### headings, **bold**, *italic*, [text](url), - bullets, `code`.',
+    };
+    return `## Formatting Rules\n${rules[platform] || rules.Jira}`;
+  }
+
+  // Rules per stack live in tech-stack.js, shared with the sub-task breakdown
+  _techStackRules(techStack) {
+    return techStackRules(techStack).map(rule => `- ${rule}`).join('\n');
+  }
+
+  _outputRequirements(platform, documentType, markup) {
+    const list = (sections) => sections
+      .map(([name, detail], i) => `${i + 1}. ${name}${detail ? ` (${detail})` : ''}`)
+      .join('\n');
+
+    if (documentType === 'wiki') {
+      return `Generate a comprehensive technical documentation page including:
+${list(WIKI_SECTIONS)}`;
+    }
+
+    // Default: Jira-style ticket
+    return `Generate a complete implementation ticket including:
+${list(TICKET_SECTIONS)}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Context Formatting
+  // ---------------------------------------------------------------------------
+
+  _formatContext(context) {
+    const sections = [];
+
+    // Component info
+    const comp = context.figma || {};
+    if (comp.component_name || comp.file_name) {
+      sections.push(`### Component Info
+- Name: ${comp.component_name || 'See frame data'}
+- File: ${comp.file_name || 'Unknown'}
+- Page: ${comp.page_name || 'Unknown'}
+- Type: ${comp.component_type || 'FRAME'}
+- File Key: ${comp.file_key || 'Unknown'}`);
+    }
+
+    // Design data
+    const design = context.design || {};
+    if (design.colors || design.typography || design.spacing) {
+      // colors / fonts may be arrays, objects, or scalars — normalise to string
+      const toStr = (v) => {
+        if (!v) return null;
+        if (Array.isArray(v)) return v.join(', ');
+        if (typeof v === 'object') return Object.values(v).flat().join(', ');
+        return String(v);
+      };
+      const colors = toStr(design.colors) || 'Extract from screenshot';
+      const fonts  = toStr(design.typography?.fonts) || 'Extract from screenshot';
+      sections.push(`### Design Tokens
+- Colors: ${colors}
+- Typography: ${fonts}
+- Spacing: ${design.spacing?.base_unit || '8px base unit'}`);
+    }
+
+    // Frame data (raw from Figma plugin)
+    if (context.requestData?.enhancedFrameData?.length) {
+      const frames = context.requestData.enhancedFrameData.slice(0, 5);
+      const frameInfo = frames.map(f =>
+        `  - ${f.name} (${f.type}, ${f.width}x${f.height})`
+      ).join('\n');
+      sections.push(`### Frame Hierarchy\n${frameInfo}`);
+    }
+
+    // Tech stack
+    if (context.project?.tech_stack) {
+      sections.push(`### Project
+- Tech Stack: ${context.project.tech_stack}
+- Platform: ${context.project.platform || 'web'}`);
+    }
+
+    if (sections.length === 0) {
+      sections.push('Context data limited — infer from screenshot and component name.');
+    }
+
+    return sections.join('\n\n');
+  }
+
+  _extractFileKey(context) {
+    return context.figma?.file_key
+      || context.fileContext?.fileKey
+      || context.requestData?.fileContext?.fileKey
+      || context.requestData?.fileKey
+      || 'unknown';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Screenshot handling
+  // ---------------------------------------------------------------------------
+
+  async _resolveScreenshot(params, context) {
+    // Direct base64 from plugin
+    let screenshot = params.screenshot || context.requestData?.screenshot;
+    if (!screenshot) return null;
+
+    let base64 = null;
+
+    if (typeof screenshot === 'string') {
+      if (screenshot.startsWith('data:image')) {
+        base64 = screenshot.split(',')[1];
+      } else if (screenshot.startsWith('http')) {
+        base64 = await this._downloadAsBase64(screenshot);
+      } else {
+        base64 = screenshot;
+      }
+    } else if (typeof screenshot === 'object') {
+      if (screenshot.base64) {
+        base64 = screenshot.base64;
+      } else if (screenshot.dataUrl?.startsWith('data:')) {
+        base64 = screenshot.dataUrl.split(',')[1];
+      } else if (screenshot.url || screenshot.dataUrl) {
+        const url = screenshot.url || screenshot.dataUrl;
+        if (url.startsWith('http')) {
+          base64 = await this._downloadAsBase64(url);
+        }
+      } else if (screenshot.content) {
+        base64 = screenshot.content;
+      }
+    }
+
+    // Strip data URL prefix if still present
+    if (base64?.startsWith('data:image')) {
+      base64 = base64.split(',')[1];
+    }
+
+    // Reject SVG (can't send to LLM vision)
+    if (base64 && /^PHN2Zy|data:image\/svg/.test(base64)) {
+      this.logger.warn('SVG screenshot detected — skipping (vision models require raster images)');
+      return null;
+    }
+
+    return base64 || null;
+  }
+
+  async _downloadAsBase64(url) {
+    try {
+      this.logger.info(`Downloading screenshot: ${url.substring(0, 60)}...`);
+      const response = await fetch(url);
+      if (!response.ok) {
+        this.logger.warn(`Screenshot download failed: ${response.status}`);
+        return null;
+      }
+      const buffer = await response.arrayBuffer();
+      return Buffer.from(buffer).toString('base64');
+    } catch (err) {
+      this.logger.warn('Screenshot download error:', err.message);
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Provider call with retry
+  // ---------------------------------------------------------------------------
+
+  async _callWithRetry(request, attempt = 1) {
+    try {
+      return await this._complete(request);
+    } catch (error) {
+      if (attempt <= this.maxRetries) {
+        this.logger.warn(`${this.name} API error (attempt ${attempt}/${this.maxRetries}), retrying: ${error.message}`);
+        await new Promise(r => setTimeout(r, 1000 * attempt));
+        return this._callWithRetry(request, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * POST JSON to an HTTP model endpoint and return the parsed body.
+   * Non-2xx responses throw with the status and the start of the body.
+   */
+  async _postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${this.name} returned ${response.status}: ${detail.substring(0, 200)}`);
+    }
+    return response.json();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Response cleanup
+  // ---------------------------------------------------------------------------
+
+  _cleanResponse(text, platform) {
+    let cleaned = text;
+    // Remove trailing "Design Analysis" sections models sometimes append
+    cleaned = cleaned.split(/\n#+\s*Design Analysis/i)[0];
+    // Remove markdown code fences that wrap the entire output
+    cleaned = cleaned.replace(/^```(?:markdown|jira|text)?\n/i, '').replace(/\n```\s*$/, '');
+    // Models sometimes answer in the other markup than the prompt asked for
+    if (platform) {
+      // Same split as _getMarkupHelpers: Wiki and Markdown prompts ask for Markdown
+      const expected = ['wiki', 'markdown'].includes(String(platform).toLowerCase()) ? 'markdown' : 'jira';
+      const actual = detectMarkup(cleaned);
+      if (actual === 'markdown' && expected === 'jira') {
+        cleaned = markdownToJira(cleaned);
+      } else if (actual === 'jira' && expected === 'markdown') {
+        cleaned = jiraToMarkdown(cleaned);
+      }
+    }
+    // Fix Jira bullet formatting: AI sometimes emits "_ _Label:* text" instead of "** *Label:* text"
+    if (platform === 'Jira' || platform === 'jira') {
+      cleaned = this._fixJiraBullets(cleaned);
+    }
+    return cleaned.trim();
+  }
+
+  /**
+   * Post-process Jira markdown to fix AI-generated _ _ pseudo-bullets.
+   * Converts patterns like "_ _Focus:* desc" → "** *Focus:* desc"
+   */
+  _fixJiraBullets(text) {
+    return text
+      // "__* text" or "__ text" (double-underscore as level-3 bullet) → "*** text"
+      .replace(/^__\* /gm, '*** ')
+      .replace(/^__ /gm, '*** ')
+      // "_ _Label*: description" → "** *Label:* description"  (asterisk before colon)
+      .replace(/^_ _([^*\n]+)\*:[^\S\r\n]*(.*)$/gm, '** *$1:* $2')
+      // "_ _Label:* description" → "** *Label:* description"  (asterisk after colon)
+      .replace(/^_ _([^:\n]+):\*[^\S\r\n]*(.*)$/gm, '** *$1:* $2')
+      // "_ _Label:_ description" → "** _Label:_ description"  (nested bullet with italic label)
+      .replace(/^_ _([^:\n]+):_[^\S\r\n]*(.*)$/gm, '** _$1:_ $2')
+      // Any remaining "_ _text" at line start → "** text"
+      .replace(/^_ _/gm, '** ')
+      // Any remaining "_ text" at line start (underscore used as a bullet) → "* text"
+      .replace(/^_ (?!_)/gm, '* ')
+      // Strip trailing spaces left by empty $2 captures
+      .replace(/ +$/gm, '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Markup helpers
+  // ---------------------------------------------------------------------------
+
+  _getMarkupHelpers(platform) {
+    const helpers = {
+      Jira: { h1: 'h1. ', h2: 'h2. ', h3: 'h3. ', bold: '*', bullet: '*', link: (t, u) => `[${t}|${u}]` },
+      Wiki: { h1: '# ', h2: '## ', h3: '### ', bold: '**', bullet: '-', link: (t, u) => `[${t}](${u})` },
+      Confluence: { h1: 'h1. ', h2: 'h2. ', h3: 'h3. ', bold: '*', bullet: '*', link: (t, u) => `[${t}|${u}]` },
+      Markdown: { h1: '# ', h2: '## ', h3: '### ', bold: '**', bullet: '-', link: (t, u) => `[${t}](${u})` },
+    };
+    return helpers[platform] || helpers.Jira;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * OllamaProvider — local/self-hosted models via the Ollama HTTP API
+ *
+ * Nothing leaves the network, which makes it the provider of choice for
+ * projects that may not send designs to a hosted LLM. Vision is opt-in
+ * because most local models (llama3, mistral) are text-only; enable it for
+ * llava / llama3.2-vision.
+ */
+
+import { BaseLLMProvider } from './BaseLLMProvider.js';
+
+export class OllamaProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - See BaseLLMProvider, plus:
+   * @param {string} [options.baseUrl='http://localhost:11434'] - Ollama server root
+   */
+  constructor(options = {}) {
+    super(options.name || 'ollama', {
+      ...options,
+      model: options.model || 'llama3.1',
+      vision: options.vision === true,
+    });
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+
+    this.logger.info(`Ollama provider initialized (${this.baseUrl}, ${this.modelName})`);
+  }
+
+  async _complete({ prompt, imageBase64, schema }) {
+    const message = { role: 'user', content: prompt };
+    if (imageBase64) {
+      message.images = [imageBase64];
+    }
+
+    const data = await this._postJson(`${this.baseUrl}/api/chat`, {
+      model: this.modelName,
+      messages: [message],
+      stream: false,
+      // Ollama constrains decoding to a JSON schema passed as `format`
+      ...(schema && { format: schema }),
+      options: {
+        temperature: this.temperature,
+        num_predict: this.maxTokens,
+      },
+    });
+
+    const text = data.message?.content;
+    if (!text) {
+      throw new Error(`${this.name} returned no completion`);
+    }
+    return text;
+  }
+
+  healthCheck() {
+    return { ...super.healthCheck(), baseUrl: this.baseUrl };
+  }
+}
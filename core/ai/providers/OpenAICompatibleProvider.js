@@ -0,0 +1,59 @@
+/**
+ * OpenAICompatibleProvider — any endpoint speaking the OpenAI Chat Completions API
+ *
+ * Covers OpenAI itself as well as internally hosted gateways (vLLM, LiteLLM,
+ * Azure OpenAI proxies, TGI) — point baseUrl at the server's /v1 root.
+ */
+
+import { BaseLLMProvider } from './BaseLLMProvider.js';
+
+export class OpenAICompatibleProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - See BaseLLMProvider, plus:
+   * @param {string} options.baseUrl - API root, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey] - Sent as a Bearer token when present
+   * @param {string} [options.name='openai'] - Provider key (several compatible endpoints may be configured)
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('OpenAI-compatible provider requires a baseUrl');
+    }
+    if (!options.model) {
+      throw new Error('OpenAI-compatible provider requires a model');
+    }
+
+    super(options.name || 'openai', options);
+    this.baseUrl = options.baseUrl.replace(/\/$/, '');
+    this.apiKey = options.apiKey || null;
+
+    this.logger.info(`OpenAI-compatible provider initialized (${this.baseUrl}, ${this.modelName})`);
+  }
+
+  async _complete({ prompt, imageBase64, schema }) {
+    const content = imageBase64
+      ? [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: `data:image/png;base64,${imageBase64}` } },
+      ]
+      : prompt;
+
+    const data = await this._postJson(`${this.baseUrl}/chat/completions`, {
+      model: this.modelName,
+      messages: [{ role: 'user', content }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      // JSON mode is the widely supported subset; the schema itself is in the prompt
+      ...(schema && { response_format: { type: 'json_object' } }),
+    }, this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {});
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`${this.name} returned no completion`);
+    }
+    return text;
+  }
+
+  healthCheck() {
+    return { ...super.healthCheck(), baseUrl: this.baseUrl };
+  }
+}
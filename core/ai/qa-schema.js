@@ -0,0 +1,87 @@
+/**
+ * QA test case schema — the typed object the QA generation pass returns.
+ *
+ * Same conventions as ticket-schema.js: QA_SCHEMA is in the OpenAPI subset
+ * Gemini's responseSchema accepts, and validateQaCases() checks and
+ * normalises a parsed response before the orchestrator renders it into the
+ * QA Test Case wiki page.
+ */
+
+// More than this and the QA page stops being a checklist
+export const MAX_TEST_CASES = 20;
+
+// The generic checklist the QA page falls back to when no LLM answers
+export const DEFAULT_TEST_CASES = [
+  ['Component renders as designed', 'Navigate to the component', 'Matches Figma design'],
+  ['Responsive — mobile (< 768px)', 'Resize to mobile width', 'Layout adapts correctly'],
+  ['Responsive — tablet (768–1024px)', 'Resize to tablet width', 'Layout adapts correctly'],
+  ['Responsive — desktop (> 1024px)', 'View at full width', 'Matches desktop design'],
+  ['Keyboard navigation', 'Tab through all interactive elements', 'All reachable and operable'],
+  ['Screen reader compatibility', 'Run with VoiceOver / NVDA', 'Correct labels announced'],
+  ['Focus indicator visible', 'Tab to each interactive element', 'Visible focus ring present'],
+  ['Interactive states (hover / active)', 'Hover and click elements', 'States match design spec'],
+].map(([title, step, expected]) => ({ title, preconditions: '', steps: [step], expected }));
+
+export const QA_SCHEMA = {
+  type: 'object',
+  properties: {
+    testCases: {
+      type: 'array',
+      description: 'Component-specific test scenarios, most important first',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Short scenario name, e.g. "Submit with an empty email field"' },
+          preconditions: { type: 'string', description: 'State before the first step, e.g. viewport, data, logged-in user' },
+          steps: { type: 'array', description: 'Actions in order, one per item', items: { type: 'string' } },
+          expected: { type: 'string', description: 'Observable result that decides pass or fail' },
+        },
+        required: ['title', 'steps', 'expected'],
+      },
+    },
+  },
+  required: ['testCases'],
+};
+
+/**
+ * Check a parsed response against QA_SCHEMA and normalise it: strings
+ * trimmed, blank steps dropped, preconditions defaulted to '', at most
+ * MAX_TEST_CASES cases.
+ * @param {Object} value
+ * @returns {{ valid: boolean, errors: string[], testCases: Object[]|null }}
+ */
+export function validateQaCases(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.testCases)) {
+    return { valid: false, errors: ['testCases must be an array'], testCases: null };
+  }
+  if (value.testCases.length === 0) {
+    return { valid: false, errors: ['testCases must contain at least one test case'], testCases: null };
+  }
+
+  const errors = [];
+  value.testCases.forEach((testCase, i) => {
+    for (const key of ['title', 'expected']) {
+      if (typeof testCase?.[key] !== 'string' || !testCase[key].trim()) {
+        errors.push(`testCases[${i}].${key} must be a non-empty string`);
+      }
+    }
+    const steps = testCase?.steps;
+    if (!Array.isArray(steps) || steps.some(step => typeof step !== 'string') || !steps.some(step => step.trim())) {
+      errors.push(`testCases[${i}].steps must be a non-empty array of strings`);
+    }
+    if (testCase?.preconditions !== undefined && testCase.preconditions !== null && typeof testCase.preconditions !== 'string') {
+      errors.push(`testCases[${i}].preconditions must be a string`);
+    }
+  });
+  if (errors.length > 0) {
+    return { valid: false, errors, testCases: null };
+  }
+
+  const testCases = value.testCases.slice(0, MAX_TEST_CASES).map(({ title, preconditions, steps, expected }) => ({
+    title: title.trim(),
+    preconditions: (preconditions || '').trim(),
+    steps: steps.map(step => step.trim()).filter(Boolean),
+    expected: expected.trim(),
+  }));
+  return { valid: true, errors: [], testCases };
+}
@@ -0,0 +1,105 @@
+/**
+ * Sub-task breakdown — the generated ticket split into the sub-tasks a sprint
+ * plans with: markup, logic, styling, accessibility and QA.
+ *
+ * No extra LLM call: the items come from the ticket's own sections (the
+ * structured ticket's lists, or the headings of free-form content) and the
+ * conventions from the tech stack's rules (tech-stack.js).
+ *
+ *   markup, logic   Technical Implementation, split by the stack's markup test
+ *   styling         Design Tokens, Responsive Behavior, Interactive States
+ *   a11y            Accessibility Requirements
+ *   qa              Testing Requirements, Acceptance Criteria
+ *
+ * Each sub-task gets a rough story-point estimate from how many items it
+ * holds. Kinds with no items are left out.
+ */
+
+import { findSection } from './ticket-sections.js';
+import { SUBTASK_KINDS, techStackRules, techStackSubtasks } from './tech-stack.js';
+
+// Story points, and how much one item of each kind weighs towards them
+const POINTS = [1, 2, 3, 5, 8];
+const WEIGHTS = { markup: 1, logic: 1.5, styling: 0.5, a11y: 1, qa: 1 };
+
+// Headings of free-form content, as TICKET_SECTIONS asks the model for them
+const SECTIONS = {
+  implementation: 'Technical Implementation',
+  tokens: 'Design Tokens',
+  responsive: 'Responsive Behavior',
+  states: 'Interactive States',
+  a11y: 'Accessibility',
+  testing: 'Testing',
+  acceptanceCriteria: 'Acceptance Criteria',
+};
+
+const BULLET = /^\s*(?:[*#-]+|\d+[.)])\s+(.+)$/;
+
+/**
+ * @param {Object} input
+ * @param {Object} [input.ticket] - Validated structured ticket (ticket-schema.js)
+ * @param {string} [input.content] - Free-form ticket markup, used without a ticket
+ * @param {string|string[]} [input.techStack]
+ * @param {string} input.componentName
+ * @returns {Array<{ kind: string, summary: string, items: string[], rules: string[], estimate: number }>}
+ */
+export function breakdownSubtasks({ ticket, content, techStack = 'AEM 6.5', componentName }) {
+  const sections = ticket ? ticketSections(ticket) : contentSections(content);
+  const { subtasks, markup } = techStackSubtasks(techStack);
+  const items = {
+    markup: sections.implementation.filter(item => markup.test(item)),
+    logic: sections.implementation.filter(item => !markup.test(item)),
+    styling: [...sections.tokens, ...sections.responsive, ...sections.states],
+    a11y: sections.a11y,
+    qa: [...sections.testing, ...sections.acceptanceCriteria],
+  };
+
+  return SUBTASK_KINDS.filter(kind => items[kind].length > 0).map(kind => ({
+    kind,
+    summary: `${subtasks[kind]}: ${componentName}`,
+    items: items[kind],
+    rules: techStackRules(techStack, kind),
+    estimate: estimate(kind, items[kind].length),
+  }));
+}
+
+/**
+ * Jira wiki markup description of a sub-task.
+ * @param {Object} subtask - From breakdownSubtasks
+ * @param {string} parentKey - The issue it belongs to
+ * @returns {string}
+ */
+export function renderSubtask(subtask, parentKey) {
+  const list = items => items.map(item => `* ${item}`).join('\n');
+  return [
+    `Part of ${parentKey}.`,
+    `h3. Scope\n${list(subtask.items)}`,
+    subtask.rules.length > 0 ? `h3. Conventions\n${list(subtask.rules)}` : null,
+    `h3. Estimate\n${subtask.estimate} story point${subtask.estimate === 1 ? '' : 's'} (${subtask.items.length} item${subtask.items.length === 1 ? '' : 's'})`,
+  ].filter(Boolean).join('\n\n');
+}
+
+function estimate(kind, count) {
+  return POINTS[Math.min(POINTS.length - 1, Math.floor(Math.ceil(count * WEIGHTS[kind]) / 3))];
+}
+
+function ticketSections(ticket) {
+  return {
+    implementation: ticket.implementation || [],
+    tokens: (ticket.tokens || []).map(token => `${token.name}: ${token.value}${token.usage ? ` — ${token.usage}` : ''}`),
+    responsive: ticket.responsive || [],
+    states: (ticket.states || []).map(state => `${state.name}: ${state.description}`),
+    a11y: ticket.a11y || [],
+    testing: ticket.testing || [],
+    acceptanceCriteria: ticket.acceptanceCriteria || [],
+  };
+}
+
+// The bullet items under each heading; sections the content lacks are empty
+function contentSections(content) {
+  return Object.fromEntries(Object.entries(SECTIONS).map(([key, name]) => {
+    const section = findSection(content || '', name);
+    const lines = section ? section.text.split('\n').slice(1) : [];
+    return [key, lines.map(line => line.match(BULLET)?.[1].trim()).filter(Boolean)];
+  }));
+}
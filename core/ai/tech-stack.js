@@ -0,0 +1,113 @@
+/**
+ * Tech stacks — the conventions each stack's tickets follow.
+ *
+ * The rules go into the generation prompt (BaseLLMProvider._techStackRules)
+ * and into the sub-tasks filed under the issue (subtask-breakdown.js). Each
+ * rule is tagged with the sub-task it concerns; a stack names its markup and
+ * logic sub-tasks and says which Technical Implementation notes are markup.
+ */
+
+// Sub-task kinds in the order they are filed
+export const SUBTASK_KINDS = ['markup', 'logic', 'styling', 'a11y', 'qa'];
+
+const COMMON_SUBTASKS = { styling: 'Styling', a11y: 'Accessibility', qa: 'QA and tests' };
+
+export const TECH_STACKS = [
+  {
+    names: ['aem 6.5', 'aem'],
+    subtasks: { markup: 'HTL markup and dialog', logic: 'Sling Model' },
+    markup: /htl|markup|template|dialog|touch ui|author|polic|core component|clientlib/i,
+    rules: [
+      ['markup', 'Include AEM component structure: HTL templates, Sling Models, Touch UI dialogs'],
+      ['logic', 'Specify OSGi bundle requirements and JCR node structure'],
+      ['markup', 'Include content policies, component configuration, and authoring requirements'],
+      ['markup', 'Reference AEM Core Components where applicable'],
+    ],
+  },
+  {
+    names: ['react'],
+    subtasks: { markup: 'Component markup (JSX)', logic: 'Props, state and hooks' },
+    markup: /jsx|markup|structure|composition|render|element|layout/i,
+    rules: [
+      ['logic', 'Include component props interface, state management, and hooks'],
+      ['markup', 'Specify component composition patterns and prop validation'],
+      ['qa', 'Include testing guidance with React Testing Library'],
+    ],
+  },
+  {
+    names: ['typescript'],
+    rules: [
+      ['logic', 'Include TypeScript interfaces for props, state, and data models'],
+      ['logic', 'Use strict typing — no `any` types'],
+    ],
+  },
+  {
+    names: ['vue.js', 'vue', 'vue 3'],
+    subtasks: { markup: 'Template and slots', logic: 'Props, emits and composables' },
+    markup: /template|slot|markup|structure|layout/i,
+    rules: [
+      ['logic', 'Use Vue 3 Composition API with <script setup>'],
+      ['logic', 'Include props, emits, slots, and composable patterns'],
+    ],
+  },
+  {
+    names: ['angular'],
+    subtasks: { markup: 'Component template', logic: 'Component class and services' },
+    markup: /template|markup|structure|layout|binding/i,
+    rules: [
+      ['logic', 'Include Angular component with @Input/@Output decorators'],
+      ['logic', 'Specify services, dependency injection, and module structure'],
+    ],
+  },
+  {
+    names: ['next.js', 'nextjs'],
+    subtasks: { markup: 'Pages and components', logic: 'Data fetching' },
+    markup: /route|page|layout|markup|jsx|structure|server component|client component/i,
+    rules: [
+      ['markup', 'Include Next.js patterns: App Router, Server/Client Components, SSR/SSG'],
+      ['logic', 'Specify data fetching strategy and optimization requirements'],
+    ],
+  },
+];
+
+// Stacks not in the table
+const GENERIC = {
+  subtasks: { markup: 'Markup', logic: 'Logic' },
+  markup: /markup|html|template|structure|layout|jsx/i,
+};
+
+/**
+ * Table entries for a tech stack, one per named stack; unknown names get a
+ * generic entry with a single best-practices rule.
+ * @param {string|string[]} techStack - e.g. 'AEM 6.5' or ['React', 'TypeScript']
+ * @returns {Object[]}
+ */
+export function resolveTechStacks(techStack) {
+  return (Array.isArray(techStack) ? techStack : [techStack]).map(tech =>
+    TECH_STACKS.find(stack => stack.names.includes(tech?.toLowerCase()))
+      || { ...GENERIC, rules: [['logic', `Follow ${tech} best practices and conventions`]] });
+}
+
+/**
+ * Prompt lines for a tech stack.
+ * @param {string|string[]} techStack
+ * @param {string} [kind] - Only the rules for this sub-task kind
+ * @returns {string[]}
+ */
+export function techStackRules(techStack, kind) {
+  return resolveTechStacks(techStack)
+    .flatMap(stack => stack.rules)
+    .filter(([ruleKind]) => !kind || ruleKind === kind)
+    .map(([, text]) => text);
+}
+
+/**
+ * Sub-task titles and the markup test of a tech stack. The first stack that
+ * names its own sub-tasks wins (['React', 'TypeScript'] → React's).
+ * @param {string|string[]} techStack
+ * @returns {{ subtasks: Object, markup: RegExp }} subtasks: kind → title
+ */
+export function techStackSubtasks(techStack) {
+  const stack = resolveTechStacks(techStack).find(candidate => candidate.subtasks) || GENERIC;
+  return { subtasks: { ...stack.subtasks, ...COMMON_SUBTASKS }, markup: stack.markup };
+}
@@ -0,0 +1,97 @@
+/**
+ * Ticket renderers — build platform text from a validated structured ticket
+ * (see ticket-schema.js).
+ *
+ *   jira       Jira wiki markup — the ticket description (also what the
+ *              Wiki/Confluence platforms get, as their prompts ask for h1. markup)
+ *   confluence Markdown body for the Implementation Plan page; no h1, the
+ *              page header supplies the title
+ *   markdown   Plain Markdown with the summary as h1
+ *
+ * Section titles match TICKET_SECTIONS so /api/generate/section and the
+ * orchestrator's section lookups work on rendered output.
+ */
+
+const SYNTAX = {
+  jira: {
+    heading: (level, text) => `h${level}. ${text}`,
+    bullet: text => `* ${text}`,
+    numbered: text => `# ${text}`,
+    bold: text => `*${text}*`,
+    link: (text, url) => `[${text}|${url}]`,
+    tableHeader: cells => `|| ${cells.join(' || ')} ||`,
+    tableRow: cells => `| ${cells.join(' | ')} |`,
+    // Models write `code` in JSON strings; Jira's inline code is {{code}}
+    inline: text => text.replace(/`([^`\n]+)`/g, '{{$1}}'),
+    cell: text => text.replace(/\|/g, '\\|').replace(/\n+/g, ' '),
+  },
+  markdown: {
+    heading: (level, text) => `${'#'.repeat(level)} ${text}`,
+    bullet: text => `- ${text}`,
+    numbered: (text, i) => `${i + 1}. ${text}`,
+    bold: text => `**${text}**`,
+    link: (text, url) => `[${text}](${url})`,
+    tableHeader: cells => `| ${cells.join(' | ')} |\n|${cells.map(() => '---').join('|')}|`,
+    tableRow: cells => `| ${cells.join(' | ')} |`,
+    inline: text => text,
+    cell: text => text.replace(/\|/g, '\\|').replace(/\n+/g, ' '),
+  },
+};
+
+export const TICKET_FORMATS = ['jira', 'confluence', 'markdown'];
+
+/**
+ * Renderer format for a generate-request platform ("Jira", "Markdown", …).
+ * @param {string} platform
+ * @returns {'jira'|'markdown'}
+ */
+export function formatForPlatform(platform) {
+  return String(platform || '').toLowerCase() === 'markdown' ? 'markdown' : 'jira';
+}
+
+/**
+ * @param {Object} ticket - Output of validateTicket()
+ * @param {string} [format='jira'] - One of TICKET_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.figmaUrl] - Adds a Design References section linking the frame
+ * @returns {string}
+ */
+export function renderTicket(ticket, format = 'jira', options = {}) {
+  if (!TICKET_FORMATS.includes(format)) {
+    throw new Error(`Unknown ticket format "${format}" (expected ${TICKET_FORMATS.join(', ')})`);
+  }
+  const s = SYNTAX[format === 'jira' ? 'jira' : 'markdown'];
+  const text = value => s.inline(value);
+  const blocks = [];
+  const section = (title, body) => {
+    if (body) {
+      blocks.push(`${s.heading(2, title)}\n${body}`);
+    }
+  };
+  const bullets = list => list.map(item => s.bullet(text(item))).join('\n');
+
+  if (format !== 'confluence') {
+    blocks.push(s.heading(1, ticket.summary));
+  }
+  section('Component Overview', text(ticket.overview));
+  if (options.figmaUrl) {
+    section('Design References', s.bullet(s.link('View in Figma', options.figmaUrl)));
+  }
+  if (ticket.tokens.length > 0) {
+    section('Design Tokens', [
+      s.tableHeader(['Token', 'Value', 'Usage']),
+      ...ticket.tokens.map(t => s.tableRow([t.name, t.value, t.usage || ' '].map(cell => s.cell(text(cell))))),
+    ].join('\n'));
+  }
+  section('Technical Implementation', bullets(ticket.implementation));
+  section('Accessibility Requirements', bullets(ticket.a11y));
+  section('Responsive Behavior', bullets(ticket.responsive));
+  section('Interactive States', ticket.states
+    .map(state => s.bullet(`${s.bold(`${state.name}:`)} ${text(state.description)}`))
+    .join('\n'));
+  section('Testing Requirements', bullets(ticket.testing));
+  section('Acceptance Criteria', ticket.acceptanceCriteria.map((item, i) => s.numbered(text(item), i)).join('\n'));
+  section('Risks and Open Questions', bullets(ticket.risks));
+
+  return `${blocks.join('\n\n')}\n`;
+}
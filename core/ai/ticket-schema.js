@@ -0,0 +1,147 @@
+/**
+ * Ticket schema — the typed object structured-output providers return.
+ *
+ * TICKET_SCHEMA is written in the OpenAPI subset Gemini's responseSchema
+ * accepts (type/properties/required/items/description only), so the same
+ * object can be sent to the model and used by validateTicket(). Renderers in
+ * ticket-renderers.js turn a validated ticket into Jira, Confluence or
+ * Markdown text.
+ */
+
+const stringList = (description) => ({ type: 'array', description, items: { type: 'string' } });
+
+export const TICKET_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Jira issue title, imperative, under 100 characters' },
+    overview: { type: 'string', description: 'What the component is and the design intent (1–3 short paragraphs)' },
+    tokens: {
+      type: 'array',
+      description: 'Design tokens read from the design',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Token or property name, e.g. color-primary' },
+          value: { type: 'string', description: 'Value as designed, e.g. #1A73E8 or 16px' },
+          usage: { type: 'string', description: 'Where it is applied' },
+        },
+        required: ['name', 'value'],
+      },
+    },
+    implementation: stringList('Technical implementation notes: structure, state, props'),
+    responsive: stringList('Responsive behaviour per breakpoint'),
+    states: {
+      type: 'array',
+      description: 'Interactive states (hover, focus, active, disabled, error …)',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+        },
+        required: ['name', 'description'],
+      },
+    },
+    a11y: stringList('Accessibility requirements (WCAG AA, keyboard, ARIA)'),
+    testing: stringList('Testing requirements'),
+    acceptanceCriteria: stringList('Specific, testable acceptance criteria'),
+    risks: stringList('Risks, open questions and assumptions'),
+  },
+  required: ['summary', 'overview', 'tokens', 'acceptanceCriteria', 'a11y', 'states', 'testing', 'risks'],
+};
+
+const LIST_FIELDS = ['implementation', 'responsive', 'a11y', 'testing', 'acceptanceCriteria', 'risks'];
+
+/**
+ * Parse a model response into an object. Tolerates a ```json fence and
+ * leading/trailing prose around the JSON.
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} If no JSON object can be parsed
+ */
+export function parseTicketJson(text) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Response contains no JSON object');
+  }
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check a parsed ticket against TICKET_SCHEMA and normalise it: strings
+ * trimmed, blank list items dropped, optional lists defaulted to [].
+ * @param {Object} value
+ * @returns {{ valid: boolean, errors: string[], ticket: Object|null }}
+ */
+export function validateTicket(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['ticket must be an object'], ticket: null };
+  }
+
+  for (const field of TICKET_SCHEMA.required) {
+    if (value[field] === undefined || value[field] === null) {
+      errors.push(`${field} is required`);
+    }
+  }
+  for (const field of ['summary', 'overview']) {
+    if (value[field] !== undefined && (typeof value[field] !== 'string' || !value[field].trim())) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  for (const field of LIST_FIELDS) {
+    const list = value[field];
+    if (list !== undefined && list !== null
+      && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+  const checkObjects = (field, keys) => {
+    const list = value[field];
+    if (list === undefined || list === null) {
+      return;
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    list.forEach((item, i) => {
+      for (const key of keys) {
+        if (typeof item?.[key] !== 'string' || !item[key].trim()) {
+          errors.push(`${field}[${i}].${key} must be a non-empty string`);
+        }
+      }
+    });
+  };
+  checkObjects('tokens', ['name', 'value']);
+  checkObjects('states', ['name', 'description']);
+  if (Array.isArray(value.acceptanceCriteria) && value.acceptanceCriteria.every(item => !String(item).trim())) {
+    errors.push('acceptanceCriteria must contain at least one criterion');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, ticket: null };
+  }
+
+  const clean = list => (list || []).map(item => item.trim()).filter(Boolean);
+  const ticket = {
+    summary: value.summary.trim(),
+    overview: value.overview.trim(),
+    tokens: value.tokens.map(({ name, value: tokenValue, usage }) => ({
+      name: name.trim(),
+      value: tokenValue.trim(),
+      usage: typeof usage === 'string' ? usage.trim() : '',
+    })),
+    states: value.states.map(({ name, description }) => ({ name: name.trim(), description: description.trim() })),
+  };
+  for (const field of LIST_FIELDS) {
+    ticket[field] = clean(value[field]);
+  }
+  return { valid: true, errors: [], ticket };
+}
@@ -0,0 +1,162 @@
+/**
+ * Ticket sections — locate and replace one heading-delimited section of a
+ * generated document.
+ *
+ * Understands both heading styles the pipeline produces: Jira/Confluence
+ * wiki markup (`h2. Accessibility`) and Markdown (`## Accessibility`, as
+ * written to the Implementation Plan wiki). A section runs from its heading
+ * to the next heading of the same or a higher level. Level-1 headings are the
+ * document title, so their section ends at the first heading of any level.
+ * Jira Cloud descriptions stored as ADF are handled by the *AdfSection
+ * variants, which apply the same rules to the document's top-level headings.
+ */
+
+const HEADING = /^(?:h([1-6])\.[ \t]+(.+)|(#{1,6})[ \t]+(.+))$/gm;
+
+/**
+ * Comparable form of a heading: no numbering, emoji, markup or punctuation.
+ * "3. ♿ *Accessibility Requirements*" → "accessibility requirements"
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeSectionName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[*_{}[\]`]/g, '')
+    .replace(/^\s*\d+[.)]\s*/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * All headings of a document with their section boundaries.
+ * @param {string} content
+ * @returns {Array<{ title: string, heading: string, level: number, start: number, end: number, text: string }>}
+ */
+export function parseSections(content) {
+  const text = String(content || '');
+  const headings = [...text.matchAll(HEADING)].map(match => ({
+    title: (match[2] || match[4]).trim(),
+    heading: match[0],
+    level: match[1] ? Number(match[1]) : match[3].length,
+    start: match.index,
+  }));
+
+  return headings.map((heading, i) => {
+    const next = headings.slice(i + 1).find(h => heading.level === 1 || h.level <= heading.level);
+    const end = next ? next.start : text.length;
+    return { ...heading, end, text: text.slice(heading.start, end).trimEnd() };
+  });
+}
+
+/**
+ * Find a section by name. Exact (normalized) matches win; otherwise the first
+ * heading that contains the name, so "Accessibility" finds
+ * "Accessibility Requirements".
+ * @param {string} content
+ * @param {string} name
+ * @returns {Object|null} Section from parseSections()
+ */
+export function findSection(content, name) {
+  return matchSection(parseSections(content), name);
+}
+
+function matchSection(sections, name) {
+  const wanted = normalizeSectionName(name);
+  if (!wanted) {
+    return null;
+  }
+  return sections.find(s => normalizeSectionName(s.title) === wanted)
+    || sections.find(s => normalizeSectionName(s.title).includes(wanted))
+    || null;
+}
+
+/**
+ * Replace one section, leaving the rest of the document untouched.
+ * The replacement is trimmed to a single section and given the original
+ * heading if the model dropped it.
+ * @param {string} content
+ * @param {string} name - Section name (see findSection)
+ * @param {string} replacement - New section text, heading included
+ * @returns {string}
+ */
+export function replaceSection(content, name, replacement) {
+  const section = findSection(content, name);
+  if (!section) {
+    throw new Error(`Section "${name}" not found`);
+  }
+
+  let body = String(replacement || '').trim();
+  if (parseSections(body)[0]?.start !== 0) {
+    body = `${section.heading}\n${body}`;
+  }
+  // Drop anything the model appended after its own section
+  const [first, ...rest] = parseSections(body);
+  const overflow = rest.find(s => s.level <= first.level);
+  if (overflow) {
+    body = body.slice(0, overflow.start).trimEnd();
+  }
+
+  const before = content.slice(0, section.start);
+  const after = content.slice(section.end).replace(/^\s+/, '');
+  return after ? `${before}${body}\n\n${after}` : `${before}${body}\n`;
+}
+
+/**
+ * Top-level headings of an ADF document with their section boundaries,
+ * as indexes into doc.content.
+ * @param {Object} doc - ADF document
+ * @returns {Array<{ title: string, level: number, start: number, end: number }>}
+ */
+export function parseAdfSections(doc) {
+  const nodes = doc?.content || [];
+  const headings = nodes.flatMap((node, index) => (node.type === 'heading'
+    ? [{ title: adfText(node).trim(), level: node.attrs?.level || 1, start: index }]
+    : []));
+
+  return headings.map((heading, i) => {
+    const next = headings.slice(i + 1).find(h => heading.level === 1 || h.level <= heading.level);
+    return { ...heading, end: next ? next.start : nodes.length };
+  });
+}
+
+/**
+ * findSection for an ADF document.
+ * @param {Object} doc - ADF document
+ * @param {string} name
+ * @returns {Object|null} Section from parseAdfSections()
+ */
+export function findAdfSection(doc, name) {
+  return matchSection(parseAdfSections(doc), name);
+}
+
+/**
+ * replaceSection for an ADF document. Nodes outside the section — media,
+ * panels, anything Jira added — are kept as they are.
+ * @param {Object} doc - ADF document
+ * @param {string} name - Section name (see findSection)
+ * @param {Object} replacement - New section as an ADF document, heading included
+ * @returns {Object} New ADF document
+ */
+export function replaceAdfSection(doc, name, replacement) {
+  const section = findAdfSection(doc, name);
+  if (!section) {
+    throw new Error(`Section "${name}" not found`);
+  }
+
+  let body = replacement?.content || [];
+  if (body[0]?.type !== 'heading') {
+    body = [doc.content[section.start], ...body];
+  }
+  const [first, ...rest] = parseAdfSections({ content: body });
+  const overflow = rest.find(s => s.level <= first.level);
+  if (overflow) {
+    body = body.slice(0, overflow.start);
+  }
+
+  return { ...doc, content: [...doc.content.slice(0, section.start), ...body, ...doc.content.slice(section.end)] };
+}
+
+function adfText(node) {
+  return (node.content || []).map(child => child.text ?? child.attrs?.text ?? adfText(child)).join('');
+}
@@ -0,0 +1,173 @@
+/**
+ * Design Diff — what changed in a frame between two generations
+ *
+ * designSnapshot() reduces the plugin's frame data (hierarchy layers and
+ * design tokens) to a small comparable record that the history store keeps
+ * with each generation. diffDesign() compares two snapshots: colors,
+ * typography, spacing, radii and shadows added or removed, layers added,
+ * removed or renamed (matched by Figma node id, which survives edits), and
+ * resized frames. designChangeList() turns a diff into a markup AST list so
+ * the Jira comment and the wiki note render it with the usual escaping.
+ */
+
+const TOKEN_KINDS = [
+  ['colors', 'Colors'],
+  ['typography', 'Typography'],
+  ['spacing', 'Spacing'],
+  ['borderRadius', 'Corner radius'],
+  ['shadows', 'Shadows'],
+];
+
+// Long lists are cut down in the rendered summary
+const MAX_LISTED = 8;
+
+/**
+ * @param {Object[]} frames - enhancedFrameData from the plugin
+ * @returns {Object} { frames: [{ id, name, width, height }], layers: [{ id, name, type }], tokens: { colors, ... } }
+ */
+export function designSnapshot(frames = []) {
+  const layers = new Map();
+  const tokens = Object.fromEntries(TOKEN_KINDS.map(([kind]) => [kind, new Set()]));
+
+  for (const frame of frames.filter(Boolean)) {
+    const hierarchy = frame.hierarchy || {};
+    for (const layer of hierarchy.layers?.length ? hierarchy.layers : [frame]) {
+      if (layer?.id && !layers.has(layer.id)) {
+        layers.set(layer.id, { id: layer.id, name: layer.name || '', type: layer.type || '' });
+      }
+    }
+    const frameTokens = hierarchy.designTokens || fallbackTokens(frame);
+    for (const [kind] of TOKEN_KINDS) {
+      for (const value of frameTokens[kind] || []) {
+        tokens[kind].add(kind === 'colors' ? String(value).toUpperCase() : value);
+      }
+    }
+  }
+
+  return {
+    frames: frames.filter(Boolean).map(frame => ({
+      id: frame.id,
+      name: frame.name || '',
+      width: round(frame.width ?? frame.dimensions?.width),
+      height: round(frame.height ?? frame.dimensions?.height),
+    })),
+    layers: [...layers.values()],
+    tokens: Object.fromEntries(TOKEN_KINDS.map(([kind]) => [kind, sortTokens([...tokens[kind]])])),
+  };
+}
+
+/**
+ * @param {Object} before - designSnapshot of the earlier generation
+ * @param {Object} after - designSnapshot of the current frames
+ * @returns {Object} { changed, tokens: { [kind]: { added, removed } }, layers: { added, removed, renamed }, resized }
+ */
+export function diffDesign(before = {}, after = {}) {
+  const tokens = {};
+  for (const [kind] of TOKEN_KINDS) {
+    const old = new Set(before.tokens?.[kind] || []);
+    const now = new Set(after.tokens?.[kind] || []);
+    tokens[kind] = {
+      added: [...now].filter(value => !old.has(value)),
+      removed: [...old].filter(value => !now.has(value)),
+    };
+  }
+
+  const oldLayers = new Map((before.layers || []).map(layer => [layer.id, layer]));
+  const newLayers = new Map((after.layers || []).map(layer => [layer.id, layer]));
+  const layers = {
+    added: [...newLayers.values()].filter(layer => !oldLayers.has(layer.id)),
+    removed: [...oldLayers.values()].filter(layer => !newLayers.has(layer.id)),
+    renamed: [...newLayers.values()]
+      .filter(layer => oldLayers.has(layer.id) && oldLayers.get(layer.id).name !== layer.name)
+      .map(layer => ({ id: layer.id, from: oldLayers.get(layer.id).name, to: layer.name })),
+  };
+
+  const oldFrames = new Map((before.frames || []).map(frame => [frame.id, frame]));
+  const resized = (after.frames || [])
+    .filter(frame => {
+      const old = oldFrames.get(frame.id);
+      return old && (old.width !== frame.width || old.height !== frame.height);
+    })
+    .map(frame => ({ id: frame.id, name: frame.name, from: sizeOf(oldFrames.get(frame.id)), to: sizeOf(frame) }));
+
+  const changed = Object.values(tokens).some(change => change.added.length + change.removed.length > 0)
+    || layers.added.length + layers.removed.length + layers.renamed.length + resized.length > 0;
+
+  return { changed, tokens, layers, resized };
+}
+
+/**
+ * One bullet per kind of change, as a markup AST bulletList (see markup-ast.js).
+ * @param {Object} diff - diffDesign result
+ * @returns {Object|null} bulletList node, or null when nothing changed
+ */
+export function designChangeList(diff) {
+  const items = [];
+  for (const frame of diff.resized || []) {
+    items.push([text(`Frame "${frame.name}" resized: `), code(frame.from), text(' → '), code(frame.to)]);
+  }
+  for (const [kind, label] of TOKEN_KINDS) {
+    const { added = [], removed = [] } = diff.tokens?.[kind] || {};
+    if (added.length > 0) {
+      items.push([text(`${label} added: `), ...codeList(added)]);
+    }
+    if (removed.length > 0) {
+      items.push([text(`${label} removed: `), ...codeList(removed)]);
+    }
+  }
+  const { added = [], removed = [], renamed = [] } = diff.layers || {};
+  if (added.length > 0) {
+    items.push([text(`Layers added: ${nameList(added.map(layer => layer.name))}`)]);
+  }
+  if (removed.length > 0) {
+    items.push([text(`Layers removed: ${nameList(removed.map(layer => layer.name))}`)]);
+  }
+  if (renamed.length > 0) {
+    items.push([text(`Layers renamed: ${nameList(renamed.map(layer => `${layer.from} → ${layer.to}`))}`)]);
+  }
+
+  if (items.length === 0) {
+    return null;
+  }
+  return {
+    type: 'bulletList',
+    content: items.map(content => ({ type: 'listItem', content: [{ type: 'paragraph', content }] })),
+  };
+}
+
+// Tokens of a frame without hierarchy data (older plugin builds)
+function fallbackTokens(frame) {
+  const colors = [...(frame.metadata?.colors || []), ...(frame.fills || []).map(fill => fill.hex).filter(Boolean)];
+  const typography = frame.fontSize ? [`${frame.fontName?.family || 'Mixed'}-${frame.fontSize}px`] : [];
+  return { colors, typography };
+}
+
+function sortTokens(values) {
+  return values.sort((a, b) => (typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b))));
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value) : null;
+}
+
+function sizeOf(frame) {
+  return `${frame.width}×${frame.height}`;
+}
+
+function text(value) {
+  return { type: 'text', text: value };
+}
+
+function code(value) {
+  return { type: 'text', text: String(value), marks: [{ type: 'code' }] };
+}
+
+function codeList(values) {
+  const shown = values.slice(0, MAX_LISTED).flatMap((value, i) => (i > 0 ? [text(', '), code(value)] : [code(value)]));
+  return values.length > MAX_LISTED ? [...shown, text(` and ${values.length - MAX_LISTED} more`)] : shown;
+}
+
+function nameList(names) {
+  const shown = names.slice(0, MAX_LISTED).map(name => `"${name}"`).join(', ');
+  return names.length > MAX_LISTED ? `${shown} and ${names.length - MAX_LISTED} more` : shown;
+}
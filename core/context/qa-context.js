@@ -0,0 +1,67 @@
+/**
+ * QA Context — what a tester can do with a frame
+ *
+ * qaDesignFacts() reads the plugin's frame data (hierarchy layers with their
+ * text and prototype reactions) and lists the interactive elements, the
+ * prototype interactions wired between them and the copy shown to the user.
+ * The QA test case prompt is built from these facts plus the component
+ * states and acceptance criteria, so scenarios name real buttons, fields and
+ * destinations instead of generic "interactive elements".
+ */
+
+// Roles determineSemanticRole() (code.ts) gives to controls
+const INTERACTIVE_ROLES = new Set(['button', 'input', 'navigation', 'modal']);
+
+// Layer or main component names that read as controls
+const INTERACTIVE_NAME = /\b(button|btn|cta|link|input|field|text ?area|checkbox|radio|toggle|switch|select|dropdown|combo ?box|tab|menu|slider|search|accordion|chip|pagination|stepper|close)\b/i;
+
+// Facts are cut down so the prompt stays small on large frames
+const MAX_FACTS = 30;
+
+/**
+ * @param {Object[]} frames - enhancedFrameData from the plugin
+ * @returns {Object} { interactive: [{ name, kind }], interactions: [{ element, trigger, action, destination }], text: string[] }
+ */
+export function qaDesignFacts(frames = []) {
+  const layers = frames.flatMap(frame => frame.hierarchy?.layers?.length ? frame.hierarchy.layers : [frame]);
+  const names = new Map(layers.map(layer => [layer.id, layer.name]));
+
+  const interactive = new Map();
+  const interactions = [];
+  const text = new Set();
+
+  for (const layer of layers) {
+    const component = layer.masterComponent?.name || '';
+    const kind = INTERACTIVE_ROLES.has(layer.semanticRole)
+      ? layer.semanticRole
+      : (layer.name?.match(INTERACTIVE_NAME) || component.match(INTERACTIVE_NAME))?.[1]?.toLowerCase();
+    if ((kind || layer.reactions?.length) && !interactive.has(layer.name)) {
+      interactive.set(layer.name, { name: layer.name, kind: kind || 'prototype hotspot' });
+    }
+
+    for (const reaction of layer.reactions || []) {
+      interactions.push({
+        element: layer.name,
+        trigger: humanize(reaction.trigger) || 'interaction',
+        action: humanize(reaction.action) || 'action',
+        destination: reaction.url || names.get(reaction.destinationId) || reaction.destinationId || null,
+      });
+    }
+
+    const copy = String(layer.text || '').replace(/\s+/g, ' ').trim();
+    if (copy) {
+      text.add(copy.length > 120 ? `${copy.slice(0, 117)}...` : copy);
+    }
+  }
+
+  return {
+    interactive: [...interactive.values()].slice(0, MAX_FACTS),
+    interactions: interactions.slice(0, MAX_FACTS),
+    text: [...text].slice(0, MAX_FACTS),
+  };
+}
+
+// ON_CLICK → on click, SMART_ANIMATE → smart animate
+function humanize(value) {
+  return value ? String(value).toLowerCase().replace(/_/g, ' ') : '';
+}
@@ -0,0 +1,95 @@
+/**
+ * Visual Diff — pixel comparison of two design screenshots
+ *
+ * Pixels are compared by perceived color difference (YIQ, as pixelmatch
+ * does) after blending onto white, so anti-aliasing noise below the
+ * threshold is ignored. The diff image shows the new design faded to gray
+ * with changed pixels in red. Images of different sizes are compared over
+ * the larger canvas; pixels only one of them covers count as changed.
+ */
+
+import { decodePng, encodePng } from '../formats/png.js';
+
+// 0–1; pixelmatch's default. Higher ignores more subtle color changes.
+export const DEFAULT_THRESHOLD = 0.1;
+
+// Largest possible YIQ delta (black vs white)
+const MAX_DELTA = 35215;
+
+const HIGHLIGHT = [255, 0, 0];
+
+/**
+ * @param {{ width, height, data }} before - RGBA image (see png.js)
+ * @param {{ width, height, data }} after
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.1]
+ * @returns {Object} { width, height, changedPixels, totalPixels, changedPercent, sizeChanged, image }
+ */
+export function diffImages(before, after, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const image = { width, height, data: new Uint8Array(width * height * 4) };
+  const maxDelta = MAX_DELTA * threshold * threshold;
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const a = pixel(before, x, y);
+      const b = pixel(after, x, y);
+      const out = (y * width + x) * 4;
+      if (!a || !b || colorDelta(a, b) > maxDelta) {
+        changedPixels++;
+        image.data.set(HIGHLIGHT, out);
+      } else {
+        // Unchanged: the new design, gray and faded, for context
+        const gray = 255 + (luma(b) - 255) * 0.1;
+        image.data[out] = image.data[out + 1] = image.data[out + 2] = gray;
+      }
+      image.data[out + 3] = 255;
+    }
+  }
+
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    changedPixels,
+    totalPixels,
+    changedPercent: totalPixels ? Math.round((changedPixels / totalPixels) * 10000) / 100 : 0,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    image,
+  };
+}
+
+/**
+ * diffImages for PNG files, with the diff image encoded as PNG.
+ * @param {Buffer} beforePng
+ * @param {Buffer} afterPng
+ * @param {Object} [options] - As diffImages
+ * @returns {Object} diffImages result with `png` instead of `image`
+ */
+export function diffPngs(beforePng, afterPng, options = {}) {
+  const { image, ...stats } = diffImages(decodePng(beforePng), decodePng(afterPng), options);
+  return { ...stats, png: encodePng(image) };
+}
+
+// RGB blended onto white, or null outside the image
+function pixel({ width, height, data }, x, y) {
+  if (x >= width || y >= height) {
+    return null;
+  }
+  const i = (y * width + x) * 4;
+  const alpha = data[i + 3] / 255;
+  return [0, 1, 2].map(c => 255 + (data[i + c] - 255) * alpha);
+}
+
+function luma([r, g, b]) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+function colorDelta([r1, g1, b1], [r2, g2, b2]) {
+  const y = luma([r1, g1, b1]) - luma([r2, g2, b2]);
+  const i = (r1 * 0.59597799 - g1 * 0.2741761 - b1 * 0.32180189) - (r2 * 0.59597799 - g2 * 0.2741761 - b2 * 0.32180189);
+  const q = (r1 * 0.21147017 - g1 * 0.52261711 + b1 * 0.31114694) - (r2 * 0.21147017 - g2 * 0.52261711 + b2 * 0.31114694);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
@@ -0,0 +1,72 @@
+/**
+ * Baseline Store - Data Layer
+ *
+ * Keeps the last design screenshot generated for each Figma node, so the
+ * next generation of that node can be diffed against it pixel by pixel.
+ * Images are PNG files under BASELINE_DIR (default data/baselines), one
+ * directory per Figma file, with a small JSON sidecar ({ savedAt, ... }).
+ * Always file-based — screenshots are too large for the shared Redis.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+
+export class BaselineStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Storage directory (BASELINE_DIR, default data/baselines)
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('BaselineStore');
+    this.dir = options.dir || process.env.BASELINE_DIR || path.join(process.cwd(), 'data', 'baselines');
+  }
+
+  /**
+   * @param {string} fileKey - Figma file key
+   * @param {string} nodeId - Figma node id (e.g. "12:34")
+   * @returns {Promise<Object|null>} { png, savedAt, ...meta } or null when there is no baseline
+   */
+  async get(fileKey, nodeId) {
+    const file = this._file(fileKey, nodeId);
+    try {
+      const [png, meta] = await Promise.all([
+        fs.readFile(`${file}.png`),
+        fs.readFile(`${file}.json`, 'utf8').then(JSON.parse).catch(() => ({})),
+      ]);
+      return { ...meta, png };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read baseline for ${fileKey}/${nodeId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Replace the node's baseline.
+   * @param {string} fileKey
+   * @param {string} nodeId
+   * @param {Buffer} png
+   * @param {Object} [meta] - Stored alongside (e.g. componentName)
+   * @returns {Promise<Object>} The stored meta, with savedAt
+   */
+  async save(fileKey, nodeId, png, meta = {}) {
+    const file = this._file(fileKey, nodeId);
+    const stored = { ...meta, fileKey, nodeId, savedAt: new Date().toISOString() };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Image first: a sidecar without its image reads as no baseline
+    await fs.writeFile(`${file}.png`, png);
+    await fs.writeFile(`${file}.json`, JSON.stringify(stored, null, 2));
+    this.logger.info(`🖼️ Baseline stored for ${fileKey}/${nodeId}`);
+    return stored;
+  }
+
+  // Keys come from request bodies — keep them inside the baseline directory
+  _file(fileKey, nodeId) {
+    const safe = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.dir, safe(fileKey), safe(nodeId));
+  }
+}
+
+export default BaselineStore;
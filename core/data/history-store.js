@@ -0,0 +1,184 @@
+/**
+ * History Store - Data Layer
+ *
+ * Keeps every generation (request summary, prompt metadata, generated
+ * content, created Jira/wiki/QA links, timing) so earlier output can be
+ * browsed and reopened without calling the LLM again. Uses Redis when the
+ * RedisClient has a live connection; otherwise — the default memory-only
+ * mode would lose history on restart — entries are written as JSON files
+ * under HISTORY_DIR with a newest-first index.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export class HistoryStore {
+  /**
+   * @param {RedisClient} redis - Shared cache client (used only when connected)
+   * @param {Object} [options]
+   * @param {string} [options.dir] - File fallback directory (HISTORY_DIR, default data/history)
+   * @param {number} [options.maxEntries=1000] - Oldest entries beyond this are dropped
+   * @param {number} [options.ttlDays=30] - Redis expiry for entries
+   */
+  constructor(redis, options = {}) {
+    this.logger = new Logger('HistoryStore');
+    this.redis = redis;
+    this.dir = options.dir || process.env.HISTORY_DIR || path.join(process.cwd(), 'data', 'history');
+    this.maxEntries = options.maxEntries || parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 1000;
+    this.ttl = (options.ttlDays || parseInt(process.env.HISTORY_TTL_DAYS, 10) || 30) * 86400;
+    this.keyPrefix = 'history:';
+    this.indexKey = 'history:index';
+
+    // File index updates are read-modify-write; run them one at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Store one generation.
+   * @param {Object} entry - { request, generation, content, orchestration, timing, ... }
+   * @returns {Promise<Object>} The stored record (with id and createdAt)
+   */
+  async record(entry) {
+    const record = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...entry,
+    };
+
+    if (this._useRedis()) {
+      await this.redis.setex(this.keyPrefix + record.id, this.ttl, JSON.stringify(record));
+      await this.redis.lpush(this.indexKey, JSON.stringify(this._summarize(record)));
+      await this.redis.ltrim(this.indexKey, 0, this.maxEntries - 1);
+    } else {
+      await this._enqueue(() => this._writeFile(record));
+    }
+
+    this.logger.info(`🕘 History ${record.id} stored (${record.request?.componentName || 'unknown'})`);
+    return record;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Full record
+   */
+  async get(id) {
+    // IDs are UUIDs — anything else could escape the history directory
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      return null;
+    }
+    if (this._useRedis()) {
+      return this.redis.get(this.keyPrefix + id);
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read history ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Newest-first summaries, optionally filtered.
+   * @param {Object} [filters]
+   * @param {string} [filters.fileKey]
+   * @param {string} [filters.nodeId] - Matches entries that included this node
+   * @param {string} [filters.component] - Case-insensitive substring of the component name
+   * @param {string} [filters.from] - ISO date/time (inclusive)
+   * @param {string} [filters.to] - ISO date/time; a bare date covers that whole day
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<{ entries: Object[], total: number }>}
+   */
+  async list(filters = {}) {
+    const index = await this._readIndex();
+    const from = filters.from ? Date.parse(filters.from) : null;
+    let to = filters.to ? Date.parse(filters.to) : null;
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      to += 86400000 - 1;
+    }
+    const component = filters.component?.toLowerCase();
+
+    const matches = index.filter((entry) => {
+      const at = Date.parse(entry.createdAt);
+      return (!filters.fileKey || entry.fileKey === filters.fileKey)
+        && (!filters.nodeId || entry.nodeIds?.includes(filters.nodeId))
+        && (!component || entry.componentName?.toLowerCase().includes(component))
+        && (from === null || at >= from)
+        && (to === null || at <= to);
+    });
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { entries: matches.slice(0, limit), total: matches.length };
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  _useRedis() {
+    return !!this.redis?.isConnected?.();
+  }
+
+  /**
+   * Index row — enough to render a history list without loading each record.
+   */
+  _summarize(record) {
+    return {
+      id: record.id,
+      createdAt: record.createdAt,
+      componentName: record.request?.componentName || null,
+      fileKey: record.request?.fileKey || null,
+      pageName: record.request?.pageName || null,
+      nodeIds: record.request?.nodeIds || [],
+      strategy: record.generation?.strategy || null,
+      dryRun: !!record.request?.dryRun,
+      jiraKey: record.orchestration?.jira?.issueKey || null,
+      durationMs: record.timing?.durationMs ?? null,
+    };
+  }
+
+  async _readIndex() {
+    if (this._useRedis()) {
+      const rows = await this.redis.lrange(this.indexKey, 0, -1);
+      return rows.map(row => (typeof row === 'string' ? JSON.parse(row) : row));
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, 'index.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read history index: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  async _writeFile(record) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await this._atomicWrite(path.join(this.dir, `${record.id}.json`), record);
+
+    const index = [this._summarize(record), ...await this._readIndex()];
+    const dropped = index.splice(this.maxEntries);
+    await this._atomicWrite(path.join(this.dir, 'index.json'), index);
+
+    await Promise.all(dropped.map(entry => fs.rm(path.join(this.dir, `${entry.id}.json`), { force: true })));
+  }
+
+  async _atomicWrite(file, value) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  _enqueue(task) {
+    const run = this.writeQueue.then(task);
+    // Keep the queue alive after a failed write
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default HistoryStore;
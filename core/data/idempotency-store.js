@@ -0,0 +1,244 @@
+/**
+ * Idempotency Store - Data Layer
+ *
+ * Remembers the outcome of side-effecting generate requests (Jira ticket,
+ * wiki pages, QA page) so a retried request replays the original response
+ * instead of creating a second set of artifacts. A result with failed steps
+ * is kept as 'partial' so the retry finishes it rather than starting over.
+ * Records live in the
+ * RedisClient (memory fallback when Redis is not configured); in-flight
+ * claims are also held in-process because the cache has no atomic SETNX.
+ */
+
+import { createHash } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+export class IdempotencyStore {
+  /**
+   * @param {RedisClient} redis - Shared cache client
+   * @param {Object} [options]
+   * @param {number} [options.ttl=86400] - Seconds a completed result is replayed
+   * @param {number} [options.lockTtl=900] - Seconds an unfinished claim blocks retries
+   *   (bounds the damage if the process dies mid-orchestration)
+   */
+  constructor(redis, options = {}) {
+    this.logger = new Logger('IdempotencyStore');
+    this.redis = redis;
+    this.ttl = options.ttl || parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400;
+    this.lockTtl = options.lockTtl || 900;
+    this.keyPrefix = 'idem:';
+
+    // Claims owned by this process — checked synchronously so two requests
+    // arriving together cannot both start.
+    this.pending = new Map();
+  }
+
+  /**
+   * Key for requests that don't send an Idempotency-Key header:
+   * fileKey + selected node IDs + design version. The plugin has no access to
+   * the Figma file version, so without fileContext.version a hash of the
+   * frame data stands in — editing the design yields a new key. The request
+   * fingerprint is appended so e.g. a different tech stack, profile or tracker
+   * counts as a new request rather than a conflicting reuse.
+   * @param {string} scope - Endpoint scope, e.g. 'generate'
+   * @param {Object} request - Normalized generate request
+   * @returns {string|null} null when the request has no fileKey/node to key on
+   */
+  deriveKey(scope, request) {
+    const fileKey = request.fileContext?.fileKey;
+    const nodeIds = (request.enhancedFrameData || request.frameData || []).map(frame => frame?.id).filter(Boolean);
+    if (!fileKey || nodeIds.length === 0) {
+      return null;
+    }
+    const version = request.fileContext?.version || this._hash(request.enhancedFrameData || request.frameData);
+    return `${scope}:${fileKey}:${nodeIds.join(',')}:${version}:${this.fingerprint(request)}`;
+  }
+
+  /**
+   * Hash of the request fields that change what gets created. A reused
+   * Idempotency-Key with a different fingerprint is a client error.
+   * @param {Object} request - Normalized generate request
+   * @returns {string}
+   */
+  fingerprint(request) {
+    return this._hash({
+      fileKey: request.fileContext?.fileKey || null,
+      frames: request.enhancedFrameData || request.frameData || [],
+      techStack: request.techStack,
+      platform: request.platform,
+      documentType: request.documentType,
+      ticketProjectKey: request.ticketProjectKey || null,
+      wikiSpace: request.wikiSpace || null,
+      epicKey: request.epicKey || null,
+      profile: request.profile || null,
+      tracker: request.tracker || null,
+      wikiTarget: request.wikiTarget || null,
+      pipeline: request.pipeline || null,
+      jiraFields: request.jiraFields || null,
+      linkIssue: request.linkIssue || null,
+      updateExisting: request.updateExisting === true,
+    });
+  }
+
+  /**
+   * Claim a key before running the request. A 'partial' record is claimed
+   * too: its stored response had failed steps, and the caller finishes that
+   * run (record.response) instead of starting a new one.
+   * @param {string} key
+   * @param {string} fingerprint - From fingerprint()
+   * @returns {Promise<{ state: 'claimed'|'partial'|'completed'|'in_progress'|'mismatch', record?: Object }>}
+   */
+  async begin(key, fingerprint) {
+    const cached = this.pending.get(key) || await this._read(key);
+    // A concurrent begin() may have claimed the key while the cache was read
+    const record = this.pending.get(key) || cached;
+
+    if (record) {
+      if (record.fingerprint !== fingerprint) {
+        return { state: 'mismatch', record };
+      }
+      if (record.status === 'partial') {
+        this.pending.set(key, { ...record, status: 'processing' });
+        return { state: 'partial', record };
+      }
+      return { state: record.status === 'completed' ? 'completed' : 'in_progress', record };
+    }
+
+    const claim = {
+      key,
+      status: 'processing',
+      fingerprint,
+      jobId: null,
+      response: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    this.pending.set(key, claim);
+    await this._write(claim, this.lockTtl);
+    return { state: 'claimed', record: claim };
+  }
+
+  /**
+   * Associate an async job with a claim so retries can follow the same job.
+   */
+  async attachJob(key, jobId) {
+    const claim = this.pending.get(key);
+    if (!claim) {
+      return;
+    }
+    claim.jobId = jobId;
+    await this._write(claim, this.lockTtl);
+  }
+
+  /**
+   * Store the final response for replay.
+   * @param {string} key
+   * @param {Object} response - The `data` payload originally sent to the client
+   */
+  async complete(key, response) {
+    await this._finish(key, 'completed', response);
+    this.logger.info(`🔑 Stored result for idempotency key ${key}`);
+  }
+
+  /**
+   * Store a response whose run failed part-way, after creating something.
+   * The next identical request gets state 'partial' from begin().
+   * @param {string} key
+   * @param {Object} response - The `data` payload originally sent to the client
+   */
+  async keepPartial(key, response) {
+    await this._finish(key, 'partial', response);
+    this.logger.info(`🧩 Stored partial result for idempotency key ${key}`);
+  }
+
+  /**
+   * Drop a claim after a failure so the request can be retried. A claim on
+   * a partial record goes back to that record, which the next retry finishes.
+   */
+  async release(key) {
+    const claim = this.pending.get(key);
+    this.pending.delete(key);
+    if (!this.redis) {
+      return;
+    }
+    if (claim?.response) {
+      await this._write({ ...claim, status: 'partial' }, this.ttl);
+      return;
+    }
+    try {
+      await this.redis.del(this.keyPrefix + key);
+    } catch (error) {
+      this.logger.warn(`Failed to release idempotency key ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a claimed request: store its result on success, release on failure.
+   * @param {string} key
+   * @param {Function} body - async () => response
+   * @param {Function} [classify] - response => 'completed', 'partial' (some
+   *   steps failed after others created something; kept for the retry to
+   *   finish) or 'failed' (nothing was created; the claim is released so a
+   *   retry runs again)
+   * @returns {Promise<Object>} The body's result
+   */
+  async track(key, body, classify = () => 'completed') {
+    try {
+      const response = await body();
+      const outcome = classify(response);
+      if (outcome === 'failed') {
+        this.logger.info(`🔓 Not storing failed result for idempotency key ${key}`);
+        await this.release(key);
+      } else if (outcome === 'partial') {
+        await this.keepPartial(key, response);
+      } else {
+        await this.complete(key, response);
+      }
+      return response;
+    } catch (error) {
+      await this.release(key);
+      throw error;
+    }
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  async _finish(key, status, response) {
+    const claim = this.pending.get(key) || await this._read(key);
+    if (!claim) {
+      return;
+    }
+    Object.assign(claim, { status, response, completedAt: new Date().toISOString() });
+    await this._write(claim, this.ttl);
+    this.pending.delete(key);
+  }
+
+  _hash(value) {
+    return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 16);
+  }
+
+  async _read(key) {
+    if (!this.redis) {
+      return null;
+    }
+    try {
+      return await this.redis.get(this.keyPrefix + key);
+    } catch (error) {
+      this.logger.warn(`Failed to read idempotency key ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _write(record, ttl) {
+    if (!this.redis) {
+      return;
+    }
+    try {
+      await this.redis.setex(this.keyPrefix + record.key, ttl, JSON.stringify(record));
+    } catch (error) {
+      this.logger.warn(`Failed to persist idempotency key ${record.key}: ${error.message}`);
+    }
+  }
+}
+
+export default IdempotencyStore;
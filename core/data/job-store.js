@@ -0,0 +1,189 @@
+/**
+ * Job Store - Data Layer
+ *
+ * Tracks long-running generation jobs (Figma export → LLM → orchestration)
+ * so the HTTP request can return immediately with a job ID. Job state is
+ * written through to the RedisClient (memory fallback when Redis is not
+ * configured); progress events are also fanned out in-process so SSE
+ * subscribers receive them as they happen.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed']);
+
+export class JobStore {
+  /**
+   * @param {RedisClient} redis - Shared cache client
+   * @param {Object} [options]
+   * @param {number} [options.ttl=86400] - Seconds a job record is kept after its last update
+   */
+  constructor(redis, options = {}) {
+    this.logger = new Logger('JobStore');
+    this.redis = redis;
+    this.ttl = options.ttl || 86400;
+    this.keyPrefix = 'job:';
+
+    // Authoritative copy for jobs owned by this process — avoids lost updates
+    // when several progress events land between an async get and set.
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Create a queued job.
+   * @param {string} type - Job type, e.g. 'generate'
+   * @param {Object} [input] - Lean summary of the request (no base64 payloads)
+   * @returns {Promise<Object>} The job record
+   */
+  async create(type, input = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      input,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    await this._persist(job);
+    this.logger.info(`🆕 Job ${job.id} created (${type})`);
+    return job;
+  }
+
+  /**
+   * Fetch a job by ID (local copy first, then the cache).
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (this.jobs.has(id)) {
+      return this.jobs.get(id);
+    }
+    return this.redis ? this.redis.get(this.keyPrefix + id) : null;
+  }
+
+  /**
+   * Record a progress event and notify subscribers.
+   * @param {string} id - Job ID
+   * @param {Object} event - { phase, step, status, message, data }
+   * @returns {Promise<Object|null>} The stored event
+   */
+  async appendEvent(id, event) {
+    const job = await this.get(id);
+    if (!job) {
+      this.logger.warn(`Progress event for unknown job ${id} dropped`);
+      return null;
+    }
+
+    const stored = {
+      seq: job.events.length + 1,
+      at: new Date().toISOString(),
+      ...event,
+    };
+    job.events.push(stored);
+    if (job.status === 'queued') {
+      job.status = 'running';
+    }
+    job.updatedAt = stored.at;
+
+    await this._persist(job);
+    this.emitter.emit(id, { type: 'progress', event: stored, job });
+    return stored;
+  }
+
+  /**
+   * Mark a job as completed with its final result.
+   */
+  async complete(id, result) {
+    return this._finish(id, 'completed', { result });
+  }
+
+  /**
+   * Mark a job as failed.
+   */
+  async fail(id, error) {
+    return this._finish(id, 'failed', { error: error instanceof Error ? error.message : String(error) });
+  }
+
+  /**
+   * Run a job body in the background. The body receives an onProgress
+   * callback; its resolved value becomes the job result.
+   * @param {Object} job - Record returned by create()
+   * @param {Function} body - async (onProgress) => result
+   * @returns {Promise<void>} Resolves when the job settles (callers normally don't await it)
+   */
+  async run(job, body) {
+    const onProgress = (event) => this.appendEvent(job.id, event).catch((err) => {
+      this.logger.warn(`Failed to record progress for job ${job.id}: ${err.message}`);
+    });
+
+    try {
+      await this.appendEvent(job.id, { phase: 'job', status: 'started' });
+      const result = await body(onProgress);
+      await this.complete(job.id, result);
+    } catch (error) {
+      this.logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+      await this.fail(job.id, error);
+    }
+  }
+
+  /**
+   * Subscribe to live updates for one job.
+   * @param {string} id - Job ID
+   * @param {Function} listener - Receives { type: 'progress'|'done', event?, job }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  /**
+   * @param {Object} job
+   * @returns {boolean} Whether the job has reached a final state
+   */
+  isTerminal(job) {
+    return TERMINAL_STATUSES.has(job?.status);
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  async _finish(id, status, fields) {
+    const job = await this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(job, fields, { status, updatedAt: now, completedAt: now });
+    await this._persist(job);
+    this.emitter.emit(id, { type: 'done', job });
+
+    // The cache copy now serves reads; drop the local one so memory stays bounded.
+    this.jobs.delete(id);
+    this.logger.info(`🏁 Job ${id} ${status}`);
+    return job;
+  }
+
+  async _persist(job) {
+    if (!this.redis) {
+      return;
+    }
+    try {
+      await this.redis.setex(this.keyPrefix + job.id, this.ttl, JSON.stringify(job));
+    } catch (error) {
+      this.logger.warn(`Failed to persist job ${job.id}: ${error.message}`);
+    }
+  }
+}
+
+export default JobStore;
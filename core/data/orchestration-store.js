@@ -0,0 +1,97 @@
+/**
+ * Orchestration Store - Data Layer
+ *
+ * Keeps the state of each active WorkItemOrchestrator run — one record per
+ * step (A Jira, B Implementation Plan, E QA page, C cross-links, D branch)
+ * with its status and the IDs and URLs it produced — so a run that failed
+ * part-way can be resumed from the failed step or rolled back. Saved after
+ * every step. Uses Redis when the RedisClient has a live connection;
+ * otherwise records are JSON files under ORCHESTRATION_DIR.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+export class OrchestrationStore {
+  /**
+   * @param {RedisClient} redis - Shared cache client (used only when connected)
+   * @param {Object} [options]
+   * @param {string} [options.dir] - File fallback directory (ORCHESTRATION_DIR, default data/orchestrations)
+   * @param {number} [options.ttlDays=30] - Redis expiry for records
+   */
+  constructor(redis, options = {}) {
+    this.logger = new Logger('OrchestrationStore');
+    this.redis = redis;
+    this.dir = options.dir || process.env.ORCHESTRATION_DIR || path.join(process.cwd(), 'data', 'orchestrations');
+    this.ttl = (options.ttlDays || parseInt(process.env.ORCHESTRATION_TTL_DAYS, 10) || 30) * 86400;
+    this.keyPrefix = 'orchestration:';
+  }
+
+  /**
+   * Store a new run.
+   * @param {Object} entry - { status, steps, state, input, results }
+   * @returns {Promise<Object>} The stored record (with id, createdAt, updatedAt)
+   */
+  async create(entry) {
+    const now = new Date().toISOString();
+    const record = { id: randomUUID(), createdAt: now, updatedAt: now, ...entry };
+    await this._write(record);
+    this.logger.info(`🧭 Orchestration ${record.id} started (${record.input?.context?.componentName || 'unknown'})`);
+    return record;
+  }
+
+  /**
+   * Overwrite a record after a step; bumps updatedAt.
+   * @param {Object} record
+   * @returns {Promise<Object>} The record
+   */
+  async save(record) {
+    record.updatedAt = new Date().toISOString();
+    await this._write(record);
+    return record;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} Full record
+   */
+  async get(id) {
+    // IDs are UUIDs — anything else could escape the orchestrations directory
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      return null;
+    }
+    if (this._useRedis()) {
+      return this.redis.get(this.keyPrefix + id);
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to read orchestration ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  _useRedis() {
+    return !!this.redis?.isConnected?.();
+  }
+
+  async _write(record) {
+    if (this._useRedis()) {
+      await this.redis.setex(this.keyPrefix + record.id, this.ttl, JSON.stringify(record));
+      return;
+    }
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${record.id}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+    await fs.rename(tmp, file);
+  }
+}
+
+export default OrchestrationStore;
@@ -186,14 +186,15 @@ export class RedisClient {
    * @returns {Promise<boolean>} - Success status
    */
   async del(key) {
+    // Always drop the memory copy — otherwise a deleted key keeps being served until its TTL
+    const inMemory = this.deleteMemoryCache(key);
     if (!this.connected || !this.client) {
-      this.logger.warn('Redis not connected, operation skipped:', key);
-      return false;
+      return inMemory;
     }
 
     try {
       const result = await this.client.del(key);
-      return result > 0;
+      return result > 0 || inMemory;
     } catch (error) {
       this.logger.error('Redis DEL error:', error);
       return false;
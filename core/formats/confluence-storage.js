@@ -0,0 +1,168 @@
+/**
+ * Markdown → Confluence storage format (XHTML with ac:/ri: macros)
+ *
+ * The Implementation Plan and QA pages are built as Markdown. Sent as is,
+ * Confluence imports them with plain <pre> code, no panels and the design
+ * image at full size. For spaces that opt in (servers.confluence.storageSpaces)
+ * the page is written in storage format instead, via the markup AST:
+ *
+ *   code blocks        → code macro (language, syntax highlighting)
+ *   images             → ac:image with a width, ri:attachment for uploaded files
+ *   panels/alerts      → info / note / warning / tip macros
+ *   [KEY](…/browse/KEY) → Jira issue macro
+ *   first h2 and below → preceded by a table-of-contents macro
+ */
+
+import { parseMarkdown } from './markdown.js';
+import { serializeInline, plainText } from './markup-ast.js';
+
+export const DEFAULT_IMAGE_WIDTH = 800;
+
+const PANEL_MACROS = { info: 'info', note: 'note', warning: 'warning', success: 'tip', error: 'warning' };
+
+// Fence languages Confluence's code macro names differently
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+  sh: 'bash', shell: 'bash', zsh: 'bash', html: 'xml', yml: 'yaml', py: 'python',
+};
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+/**
+ * @param {string} markdown
+ * @param {Object} [options] - As toStorage
+ * @returns {string} Storage-format XHTML
+ */
+export function markdownToStorage(markdown, options = {}) {
+  return toStorage(parseMarkdown(markdown), options);
+}
+
+/**
+ * @param {Object} doc - Markup AST document (see markup-ast.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.toc=true] - Add a table of contents before the first section heading
+ * @param {number} [options.imageWidth=800] - Width for images that don't set one
+ * @returns {string} Storage-format XHTML
+ */
+export function toStorage(doc, { toc = true, imageWidth = DEFAULT_IMAGE_WIDTH } = {}) {
+  const options = { imageWidth };
+  // HTML comments in the Markdown are placeholders (e.g. <!-- design-preview -->), not content
+  const blocks = (doc.content || []).filter(node => !(node.type === 'paragraph' && /^<!--[\s\S]*-->$/.test(plainText(node.content).trim())));
+  const out = blocks.map(node => block(node, options));
+  if (toc) {
+    const first = blocks.findIndex(node => node.type === 'heading' && node.attrs.level >= 2);
+    if (first !== -1) {
+      out.splice(first, 0, macro('toc', { maxLevel: 3 }));
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * True for a storage-format page body produced by MCPAdapter.formatWikiContent
+ * (as opposed to a Markdown string).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStorageBody(value) {
+  return !!value && typeof value === 'object' && value.representation === 'storage' && typeof value.value === 'string';
+}
+
+function block(node, options) {
+  switch (node.type) {
+  case 'heading':
+    return `<h${node.attrs.level}>${inline(node.content)}</h${node.attrs.level}>`;
+  case 'paragraph':
+    return `<p>${inline(node.content)}</p>`;
+  case 'bulletList':
+  case 'orderedList': {
+    const tag = node.type === 'orderedList' ? 'ol' : 'ul';
+    return `<${tag}>${node.content.map(item => `<li>${flow(item.content, options)}</li>`).join('')}</${tag}>`;
+  }
+  case 'table':
+    return `<table><tbody>${node.content.map(row => `<tr>${row.content.map(cell => {
+      const tag = cell.type === 'tableHeader' ? 'th' : 'td';
+      return `<${tag}>${flow(cell.content, options)}</${tag}>`;
+    }).join('')}</tr>`).join('')}</tbody></table>`;
+  case 'codeBlock': {
+    const language = node.attrs?.language?.toLowerCase();
+    const params = language ? { language: LANGUAGE_ALIASES[language] || language } : {};
+    return macro('code', params, `<ac:plain-text-body>${cdata(plainText(node.content))}</ac:plain-text-body>`);
+  }
+  case 'panel': {
+    const params = node.attrs.title ? { title: node.attrs.title } : {};
+    const body = node.content.map(child => block(child, options)).join('');
+    return macro(PANEL_MACROS[node.attrs.panelType] || 'info', params, `<ac:rich-text-body>${body}</ac:rich-text-body>`);
+  }
+  case 'blockquote':
+    return `<blockquote>${node.content.map(child => block(child, options)).join('')}</blockquote>`;
+  case 'rule':
+    return '<hr />';
+  case 'image':
+    return image(node.attrs, options);
+  default:
+    return node.content ? node.content.map(child => block(child, options)).join('') : '';
+  }
+}
+
+// List items and table cells: a lone leading paragraph is written inline,
+// as the Confluence editor does
+function flow(content, options) {
+  return content.map((child, i) => (i === 0 && child.type === 'paragraph' ? inline(child.content) : block(child, options))).join('');
+}
+
+function image({ src, alt, width }, { imageWidth }) {
+  const attrs = { 'ac:align': 'center', 'ac:width': width || imageWidth };
+  if (alt) {
+    attrs['ac:alt'] = alt;
+  }
+  const resource = /^https?:\/\//i.test(src)
+    ? `<ri:url ri:value="${escapeXml(src)}" />`
+    : `<ri:attachment ri:filename="${escapeXml(src)}" />`;
+  return `<p><ac:image${attributes(attrs)}>${resource}</ac:image></p>`;
+}
+
+const WRAP = {
+  strong: inner => `<strong>${inner}</strong>`,
+  em: inner => `<em>${inner}</em>`,
+  strike: inner => `<s>${inner}</s>`,
+  underline: inner => `<u>${inner}</u>`,
+  code: inner => `<code>${inner}</code>`,
+  textColor: (inner, attrs) => `<span style="color: ${escapeXml(attrs.color)}">${inner}</span>`,
+  link: (inner, attrs) => {
+    // A link to an issue labelled with its key becomes the Jira issue macro
+    const key = inner.trim();
+    if (ISSUE_KEY.test(key) && new RegExp(`/browse/${key}/?$`).test(attrs.href)) {
+      return macro('jira', { key });
+    }
+    return `<a href="${escapeXml(attrs.href)}">${inner}</a>`;
+  },
+};
+
+function inline(nodes = []) {
+  return serializeInline(nodes, {
+    wrap: (mark, inner) => (WRAP[mark.type] ? WRAP[mark.type](inner, mark.attrs || {}) : inner),
+    text: text => escapeXml(text),
+    hardBreak: '<br />',
+  });
+}
+
+function macro(name, params = {}, body = '') {
+  const parameters = Object.entries(params)
+    .map(([key, value]) => `<ac:parameter ac:name="${key}">${escapeXml(String(value))}</ac:parameter>`)
+    .join('');
+  return `<ac:structured-macro ac:name="${name}">${parameters}${body}</ac:structured-macro>`;
+}
+
+function attributes(attrs) {
+  return Object.entries(attrs).map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`).join('');
+}
+
+// "]]>" can't appear inside CDATA — split it across two sections
+function cdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,95 @@
+/**
+ * Jira wiki markup → Atlassian Document Format (ADF)
+ *
+ * Jira Cloud's REST API v3 takes descriptions as ADF; wiki markup and
+ * Markdown image syntax sent there render as literal text. Everything the
+ * pipeline writes to Jira is produced as wiki markup first (LLM output,
+ * ticket renderers, the Related Resources block, image embeds), so this
+ * module is the single place that knows ADF. Parsing is jira-markup.js; the
+ * markup AST already uses ADF node names, so this is a light walk that
+ * resolves images to media and drops attributes ADF doesn't allow.
+ */
+
+import { parseJira } from './jira-markup.js';
+
+/**
+ * @param {string} markup - Jira wiki markup
+ * @param {Object} [options]
+ * @param {Object} [options.media] - Attachment lookup by filename:
+ *        { [filename]: { id, collection? } } for uploaded media (Media API file id),
+ *        or { url } to embed by URL. Unknown attachments become a text mention.
+ * @returns {Object} ADF document ({ version: 1, type: 'doc', content })
+ */
+export function jiraToAdf(markup, options = {}) {
+  return toAdf(parseJira(markup), options);
+}
+
+/**
+ * @param {Object} doc - Markup AST document (see markup-ast.js)
+ * @param {Object} [options] - As jiraToAdf
+ * @returns {Object} ADF document
+ */
+export function toAdf(doc, options = {}) {
+  return { version: 1, type: 'doc', content: (doc.content || []).map(node => block(node, options)) };
+}
+
+/**
+ * True for an ADF document (as opposed to a wiki markup string).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isAdf(value) {
+  return !!value && typeof value === 'object' && value.type === 'doc' && Array.isArray(value.content);
+}
+
+function block(node, options) {
+  switch (node.type) {
+  case 'image':
+    return image(node.attrs, options);
+  case 'panel': {
+    const content = node.content.map(child => block(child, options));
+    if (node.attrs.title) {
+      content.unshift({ type: 'paragraph', content: [{ type: 'text', text: node.attrs.title, marks: [{ type: 'strong' }] }] });
+    }
+    if (content.length === 0) {
+      content.push({ type: 'paragraph', content: [] });
+    }
+    return { type: 'panel', attrs: { panelType: node.attrs.panelType }, content };
+  }
+  case 'blockquote':
+    return { ...node, content: node.content.length > 0 ? node.content.map(child => block(child, options)) : [{ type: 'paragraph', content: [] }] };
+  case 'paragraph':
+  case 'heading':
+    return { ...node, content: node.content.map(inline) };
+  case 'codeBlock':
+  case 'rule':
+    return node;
+  default:
+    return node.content ? { ...node, content: node.content.map(child => block(child, options)) } : node;
+  }
+}
+
+function inline(node) {
+  // ADF only allows link alongside the code mark
+  if (node.marks?.some(mark => mark.type === 'code')) {
+    return { ...node, marks: node.marks.filter(mark => mark.type === 'link' || mark.type === 'code') };
+  }
+  return node;
+}
+
+function image({ src, width }, options) {
+  const known = options.media?.[src];
+  let media = null;
+  if (known?.id) {
+    media = { type: 'file', id: known.id, collection: known.collection ?? '' };
+  } else if (known?.url || /^https?:\/\//i.test(src)) {
+    media = { type: 'external', url: known?.url || src };
+  }
+  if (!media) {
+    return { type: 'paragraph', content: [{ type: 'text', text: `Attachment: ${src}`, marks: [{ type: 'em' }] }] };
+  }
+  if (width) {
+    media.width = width;
+  }
+  return { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: media }] };
+}
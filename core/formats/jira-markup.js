@@ -0,0 +1,387 @@
+/**
+ * Jira wiki markup ⇄ markup AST (see markup-ast.js)
+ *
+ * Blocks: h1.–h6., paragraphs (newlines are line breaks), bullet/ordered
+ * lists (nested, mixed; *, # and - markers), tables (|| header, | cell),
+ * {code}/{noformat}, {panel}/{info}/{note}/{warning}/{tip}, {quote}/bq.,
+ * ---- rules and standalone images (!file|thumbnail!, !https://…!).
+ * Inline: *strong*, _em_, -strike-, +underline+, {{code}}, [text|url], [url],
+ * {color:…}…{color}, \\ line breaks and backslash escapes.
+ */
+
+import {
+  protectEscapes, restoreEscapes, parseInline, textNodes, buildLists, serializeInline, escapeMarkup, plainText,
+} from './markup-ast.js';
+
+const ESCAPABLE = '*_{}[]|!-+^~?#';
+
+const MACRO_OPEN = /^\{(code|noformat|panel|info|note|warning|tip|quote)(?::([^}]*))?\}(.*)$/;
+const HEADING = /^h([1-6])\.\s+(.*)$/;
+const LIST_ITEM = /^([*#-]+)\s+(.*)$/;
+const IMAGE = /^!([^!|\s][^!|]*)(?:\|([^!]*))?!$/;
+const RULE = /^-{4,}$/;
+
+const PANEL_TYPES = { panel: 'info', info: 'info', note: 'note', warning: 'warning', tip: 'success' };
+const PANEL_MACROS = { info: 'info', note: 'note', warning: 'warning', success: 'tip', error: 'warning' };
+const NAMED_COLORS = {
+  red: '#ff5630', green: '#36b37e', blue: '#0065ff', orange: '#ff991f',
+  yellow: '#ffc400', purple: '#6554c0', grey: '#97a0af', gray: '#97a0af', black: '#172b4d',
+};
+
+const SPAN = {
+  code: /\{\{(.+?)\}\}/,
+  color: /\{color:([^}]+)\}([\s\S]+?)\{color\}/,
+  link: /\[([^\]|]*)\|([^\]\s]+)\]/,
+  url: /\[((?:https?:\/\/|mailto:)[^\]\s]+)\]/,
+  strong: /(?<![\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/,
+  em: /(?<![\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/,
+  strike: /(?<![\w-])-(?=[^\s-])([^-\n]*?\S)-(?![\w-])/,
+  underline: /(?<![\w+])\+(?=\S)([^+\n]*?\S)\+(?![\w+])/,
+};
+
+const INLINE_RULES = [
+  { pattern: SPAN.code, build: (m, marks) => textNodes(m[1], [...marks, { type: 'code' }]) },
+  {
+    pattern: SPAN.color,
+    build: (m, marks, parse) => {
+      const color = colorHex(m[1]);
+      return parse(m[2], color ? [...marks, { type: 'textColor', attrs: { color } }] : marks);
+    },
+  },
+  { pattern: SPAN.link, build: (m, marks, parse) => parse(m[1] || m[2], [...marks, link(m[2])]) },
+  { pattern: SPAN.url, build: (m, marks) => textNodes(m[1], [...marks, link(m[1])]) },
+  { pattern: /\\\\/, build: () => [{ type: 'hardBreak' }] },
+  ...['strong', 'em', 'strike', 'underline'].map(type => ({
+    pattern: SPAN[type],
+    build: (m, marks, parse) => parse(m[1], [...marks, { type }]),
+  })),
+];
+
+// ---- Parse -----------------------------------------------------------------
+
+/**
+ * @param {string} markup - Jira wiki markup
+ * @returns {Object} Markup AST document
+ */
+export function parseJira(markup) {
+  const lines = protectEscapes(String(markup || '').replace(/\r\n?/g, '\n'), ESCAPABLE).split('\n');
+  return { type: 'doc', content: parseBlocks(lines) };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', content: inlineLines(paragraph) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    let match;
+
+    if (!trimmed) {
+      flush();
+    } else if ((match = trimmed.match(MACRO_OPEN))) {
+      flush();
+      const [, name, params, rest] = match;
+      const closeTag = `{${name}}`;
+      const body = [];
+      let end = i;
+      let after = '';
+      // The body may start on the opening line and end on the closing one: {code}x = 1;{code}
+      let line = rest;
+      for (;;) {
+        const close = line.indexOf(closeTag);
+        if (close !== -1) {
+          body.push(line.slice(0, close));
+          after = line.slice(close + closeTag.length);
+          break;
+        }
+        body.push(line);
+        if (++end >= lines.length) {
+          break;
+        }
+        line = lines[end];
+      }
+      if (body.length > 1 && !body[0].trim()) {
+        body.shift();
+      }
+      if (body.length > 1 && !body[body.length - 1].trim()) {
+        body.pop();
+      }
+      blocks.push(macroBlock(name, parseParams(params), body));
+      if (after.trim()) {
+        lines[end] = after;
+        i = end - 1;
+      } else {
+        i = end;
+      }
+    } else if ((match = trimmed.match(HEADING))) {
+      flush();
+      blocks.push({ type: 'heading', attrs: { level: Number(match[1]) }, content: inline(match[2]) });
+    } else if (RULE.test(trimmed)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (LIST_ITEM.test(trimmed)) {
+      flush();
+      const items = [];
+      while (i < lines.length && (match = lines[i].trim().match(LIST_ITEM))) {
+        const markers = match[1];
+        items.push({ depth: markers.length, ordered: markers[markers.length - 1] === '#', content: inline(match[2]) });
+        i++;
+      }
+      i--;
+      blocks.push(...buildLists(items));
+    } else if (trimmed.startsWith('|')) {
+      flush();
+      const rows = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(lines[i].trim());
+        i++;
+      }
+      i--;
+      blocks.push(table(rows));
+    } else if (trimmed.startsWith('bq. ')) {
+      flush();
+      blocks.push({ type: 'blockquote', content: [{ type: 'paragraph', content: inline(trimmed.slice(4)) }] });
+    } else if ((match = trimmed.match(IMAGE))) {
+      flush();
+      // Image parameters are comma-separated: !file.png|thumbnail,width=300!
+      blocks.push(image(match[1], parseParams(String(match[2] || '').replace(/,/g, '|'))));
+    } else {
+      paragraph.push(trimmed);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function inline(text) {
+  return parseInline(text, INLINE_RULES);
+}
+
+function inlineLines(lines) {
+  return lines.flatMap((line, i) => (i > 0 ? [{ type: 'hardBreak' }, ...inline(line)] : inline(line)));
+}
+
+function macroBlock(name, params, body) {
+  if (name === 'code' || name === 'noformat') {
+    // Language is the bare first parameter: {code:java} or {code:language=java}
+    const language = name === 'code' ? params.language || params._ : undefined;
+    const text = restoreEscapes(body.join('\n'), { keepBackslash: true });
+    const node = { type: 'codeBlock', content: text ? [{ type: 'text', text }] : [] };
+    return language ? { ...node, attrs: { language } } : node;
+  }
+
+  const content = parseBlocks(body);
+  if (name === 'quote') {
+    return { type: 'blockquote', content };
+  }
+  const attrs = { panelType: PANEL_TYPES[name] };
+  if (params.title) {
+    attrs.title = restoreEscapes(params.title);
+  }
+  return { type: 'panel', attrs, content };
+}
+
+/**
+ * "title=Notes|bgColor=#fff" → { title, bgColor }; a bare value is `_`.
+ */
+function parseParams(raw) {
+  const params = {};
+  for (const part of String(raw || '').split('|')) {
+    const [key, ...rest] = part.split('=');
+    if (!key.trim()) {
+      continue;
+    }
+    if (rest.length === 0) {
+      params._ = params._ || key.trim();
+    } else {
+      params[key.trim()] = rest.join('=').trim();
+    }
+  }
+  return params;
+}
+
+function table(rows) {
+  return {
+    type: 'table',
+    content: rows.map(row => ({
+      type: 'tableRow',
+      content: splitCells(row).map(cell => ({
+        type: cell.header ? 'tableHeader' : 'tableCell',
+        content: [{ type: 'paragraph', content: inline(cell.text.trim()) }],
+      })),
+    })),
+  };
+}
+
+/**
+ * Split "|| a || b |" style rows. Pipes inside [links] and {{code}} are not
+ * delimiters; escaped pipes were already protected.
+ */
+function splitCells(row) {
+  const cells = [];
+  let current = null;
+  let depth = 0;
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '[' || (ch === '{' && row[i + 1] === '{')) {
+      depth++;
+    } else if ((ch === ']' || (ch === '}' && row[i + 1] === '}')) && depth > 0) {
+      depth--;
+    }
+    if (ch === '|' && depth === 0) {
+      const header = row[i + 1] === '|';
+      if (current) {
+        cells.push(current);
+      }
+      current = { header, text: '' };
+      if (header) {
+        i++;
+      }
+    } else if (current) {
+      current.text += ch;
+    }
+  }
+  // A trailing delimiter opens an empty cell that isn't one
+  if (current && current.text.trim()) {
+    cells.push(current);
+  }
+  return cells;
+}
+
+function image(source, params) {
+  const attrs = { src: restoreEscapes(source) };
+  const width = parseInt(params.width, 10);
+  if (width) {
+    attrs.width = width;
+  }
+  if (params.alt) {
+    attrs.alt = params.alt;
+  }
+  if (params._ === 'thumbnail') {
+    attrs.thumbnail = true;
+  }
+  return { type: 'image', attrs };
+}
+
+function link(href) {
+  return { type: 'link', attrs: { href: restoreEscapes(href) } };
+}
+
+function colorHex(value) {
+  const color = value.trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(color)) {
+    return color;
+  }
+  if (/^#[0-9a-f]{3}$/.test(color)) {
+    return `#${[...color.slice(1)].map(c => c + c).join('')}`;
+  }
+  return NAMED_COLORS[color] || null;
+}
+
+// ---- Render ----------------------------------------------------------------
+
+const MARK_SYNTAX = {
+  strong: inner => `*${inner}*`,
+  em: inner => `_${inner}_`,
+  strike: inner => `-${inner}-`,
+  underline: inner => `+${inner}+`,
+  code: inner => `{{${inner}}}`,
+  textColor: (inner, attrs) => `{color:${attrs.color}}${inner}{color}`,
+  link: (inner, attrs) => (inner === attrs.href ? `[${inner}]` : `[${inner}|${attrs.href}]`),
+};
+
+// Text that would parse as markup: every inline span, escapable characters
+// after a backslash, and the markup-like line starts
+const TEXT_PATTERNS = [...Object.values(SPAN), /\\(?=[\\*_{}[\]|!\-+^~?#])/];
+// Inside table cells a bare pipe would start a new cell
+const CELL_PATTERNS = [...TEXT_PATTERNS, /\|/];
+const BLOCK_START = /^(?:[*#-]+\s|\||!.*!$|\{(?:code|noformat|panel|info|note|warning|tip|quote)\b|-{4,}$)/;
+
+/**
+ * @param {Object} doc - Markup AST document
+ * @returns {string} Jira wiki markup
+ */
+export function renderJira(doc) {
+  return renderBlocks(doc.content || []);
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+function renderBlock(node) {
+  switch (node.type) {
+  case 'heading':
+    return `h${node.attrs.level}. ${renderInline(node.content)}`;
+  case 'paragraph':
+    return renderInline(node.content, '\n')
+      .split('\n')
+      .map(line => (BLOCK_START.test(line) ? `\\${line}` : line))
+      .join('\n');
+  case 'bulletList':
+  case 'orderedList':
+    return renderList(node, '');
+  case 'table':
+    return node.content.map(row => {
+      const cells = row.content.map(cell => {
+        const delimiter = cell.type === 'tableHeader' ? '||' : '|';
+        const text = cell.content.map(block => renderInline(block.content || [], ' \\\\ ', CELL_PATTERNS)).join(' \\\\ ');
+        return { delimiter, text: text || ' ' };
+      });
+      return `${cells.map(cell => `${cell.delimiter} ${cell.text} `).join('')}${cells[cells.length - 1]?.delimiter || '|'}`;
+    }).join('\n');
+  case 'codeBlock': {
+    const text = plainText(node.content);
+    const language = node.attrs?.language;
+    return language ? `{code:${language}}\n${text}\n{code}` : `{noformat}\n${text}\n{noformat}`;
+  }
+  case 'panel': {
+    const macro = PANEL_MACROS[node.attrs?.panelType] || 'info';
+    const title = node.attrs?.title ? `:title=${node.attrs.title}` : '';
+    return `{${macro}${title}}\n${renderBlocks(node.content)}\n{${macro}}`;
+  }
+  case 'blockquote': {
+    const [only] = node.content;
+    if (node.content.length === 1 && only.type === 'paragraph' && !only.content.some(n => n.type === 'hardBreak')) {
+      return `bq. ${renderInline(only.content)}`;
+    }
+    return `{quote}\n${renderBlocks(node.content)}\n{quote}`;
+  }
+  case 'rule':
+    return '----';
+  case 'image': {
+    const { src, width, alt, thumbnail } = node.attrs;
+    const params = [thumbnail && 'thumbnail', width && `width=${width}`, alt && `alt=${alt}`].filter(Boolean);
+    return `!${src}${params.length ? `|${params.join(',')}` : ''}!`;
+  }
+  default:
+    return node.content ? renderBlocks(node.content) : '';
+  }
+}
+
+function renderList(list, prefix) {
+  const marker = prefix + (list.type === 'orderedList' ? '#' : '*');
+  return list.content.map(item => {
+    const [first, ...rest] = item.content;
+    const head = `${marker} ${first?.type === 'paragraph' ? renderInline(first.content, ' \\\\ ') : ''}`;
+    const nested = rest.map(child => (child.type === 'bulletList' || child.type === 'orderedList'
+      ? renderList(child, marker)
+      : `${marker} ${renderInline(child.content || [], ' \\\\ ')}`));
+    return [head, ...nested].join('\n');
+  }).join('\n');
+}
+
+function renderInline(nodes, hardBreak = '\n', patterns = TEXT_PATTERNS) {
+  return serializeInline(nodes, {
+    hardBreak,
+    wrap: (mark, inner) => (MARK_SYNTAX[mark.type] ? MARK_SYNTAX[mark.type](inner, mark.attrs || {}) : inner),
+    text: (text, inCode) => (inCode ? text : escapeMarkup(text, patterns)),
+  });
+}
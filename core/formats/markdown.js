@@ -0,0 +1,367 @@
+/**
+ * Markdown ⇄ markup AST (see markup-ast.js)
+ *
+ * The GitHub-flavoured subset the Implementation Plan / QA wiki pages and
+ * LLM output use: ATX headings, paragraphs (newlines are kept as line
+ * breaks, as the wiki renders them), nested -/+/* and 1. lists, pipe tables,
+ * fenced code, blockquotes, > [!NOTE] alerts (panels), rules and standalone
+ * images. Inline: **strong**, _em_/*em*, ~~strike~~, <u>underline</u>,
+ * `code`, [text](url), <url>, <br> and backslash escapes.
+ */
+
+import {
+  protectEscapes, restoreEscapes, parseInline, textNodes, buildLists, serializeInline, escapeMarkup, plainText,
+} from './markup-ast.js';
+
+const ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+const FENCE = /^(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_DELIMITER = /^\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const IMAGE = /^!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)$/;
+const ALERT = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i;
+
+const ALERT_PANELS = { NOTE: 'info', TIP: 'success', IMPORTANT: 'note', WARNING: 'warning', CAUTION: 'error' };
+const PANEL_ALERTS = { info: 'NOTE', success: 'TIP', note: 'IMPORTANT', warning: 'WARNING', error: 'CAUTION' };
+
+const SPAN = {
+  code: /(`+)(?!`)([\s\S]*?[^`])\1(?!`)/,
+  link: /\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/,
+  autolink: /<((?:https?:\/\/|mailto:)[^>\s]+)>/,
+  hardBreak: /<br\s*\/?>/i,
+  underline: /<u>([\s\S]+?)<\/u>/,
+  strong: /\*\*(?=\S)([\s\S]*?\S)\*\*/,
+  strongAlt: /(?<![\w_])__(?=\S)([\s\S]*?\S)__(?![\w_])/,
+  strike: /~~(?=\S)([\s\S]*?\S)~~/,
+  em: /(?<![\w*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?![\w*])/,
+  emAlt: /(?<![\w_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])/,
+};
+
+const wrapIn = type => (m, marks, parse) => parse(m[1], [...marks, { type }]);
+
+const INLINE_RULES = [
+  {
+    pattern: SPAN.code,
+    build: (m, marks) => {
+      // One space of padding is stripped when both sides have it: `` `x` ``
+      const text = /^ [\s\S]* $/.test(m[2]) && m[2].trim() ? m[2].slice(1, -1) : m[2];
+      return textNodes(text, [...marks, { type: 'code' }]);
+    },
+  },
+  { pattern: SPAN.link, build: (m, marks, parse) => parse(m[1] || m[2], [...marks, link(m[2])]) },
+  { pattern: SPAN.autolink, build: (m, marks) => textNodes(m[1], [...marks, link(m[1])]) },
+  { pattern: SPAN.hardBreak, build: () => [{ type: 'hardBreak' }] },
+  { pattern: SPAN.underline, build: wrapIn('underline') },
+  { pattern: SPAN.strong, build: wrapIn('strong') },
+  { pattern: SPAN.strongAlt, build: wrapIn('strong') },
+  { pattern: SPAN.strike, build: wrapIn('strike') },
+  { pattern: SPAN.em, build: wrapIn('em') },
+  { pattern: SPAN.emAlt, build: wrapIn('em') },
+];
+
+// ---- Parse -----------------------------------------------------------------
+
+/**
+ * @param {string} markdown
+ * @returns {Object} Markup AST document
+ */
+export function parseMarkdown(markdown) {
+  const lines = protectEscapes(String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    '), ESCAPABLE).split('\n');
+  return { type: 'doc', content: parseBlocks(lines) };
+}
+
+const startsBlock = (line, next) => {
+  const trimmed = line.trim();
+  return FENCE.test(trimmed) || HEADING.test(trimmed) || RULE.test(trimmed) || LIST_ITEM.test(line)
+    || QUOTE.test(line) || IMAGE.test(trimmed) || isTableStart(trimmed, next);
+};
+
+const isTableStart = (trimmed, next) => trimmed.startsWith('|') && next !== undefined
+  && next.includes('-') && TABLE_DELIMITER.test(next.trim());
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', content: inlineLines(paragraph) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    let match;
+
+    if (!trimmed) {
+      flush();
+    } else if ((match = trimmed.match(FENCE))) {
+      flush();
+      const fence = match[1];
+      const body = [];
+      while (++i < lines.length && !(lines[i].trim().startsWith(fence) && FENCE.test(lines[i].trim()))) {
+        body.push(lines[i]);
+      }
+      const text = restoreEscapes(body.join('\n'), { keepBackslash: true });
+      const node = { type: 'codeBlock', content: text ? [{ type: 'text', text }] : [] };
+      blocks.push(match[2] ? { ...node, attrs: { language: match[2] } } : node);
+    } else if ((match = trimmed.match(HEADING))) {
+      flush();
+      blocks.push({ type: 'heading', attrs: { level: match[1].length }, content: inline(match[2]) });
+    } else if (RULE.test(trimmed)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (LIST_ITEM.test(line)) {
+      flush();
+      i = parseList(lines, i, blocks);
+    } else if (QUOTE.test(line)) {
+      flush();
+      const inner = [];
+      while (i < lines.length && (match = lines[i].match(QUOTE))) {
+        inner.push(match[1]);
+        i++;
+      }
+      i--;
+      blocks.push(quoteBlock(inner));
+    } else if (isTableStart(trimmed, lines[i + 1])) {
+      flush();
+      const rows = [trimmed];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(lines[i].trim());
+        i++;
+      }
+      i--;
+      blocks.push(table(rows));
+    } else if ((match = trimmed.match(IMAGE))) {
+      flush();
+      blocks.push(image(match[1], match[2]));
+    } else {
+      paragraph.push(trimmed);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Consume a list starting at lines[start]; returns the index of its last line.
+ * Nesting follows indentation: an item indented at least two columns past the
+ * previous level's marker is its child. Unmarked lines continue the item.
+ */
+function parseList(lines, start, blocks) {
+  const items = [];
+  const levels = [];
+  let i = start;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM);
+    if (match && !RULE.test(line.trim())) {
+      const indent = match[1].length;
+      while (levels.length > 0 && levels[levels.length - 1] > indent) {
+        levels.pop();
+      }
+      if (levels.length === 0 || indent >= levels[levels.length - 1] + 2) {
+        levels.push(indent);
+      } else {
+        levels[levels.length - 1] = indent;
+      }
+      items.push({ depth: levels.length, ordered: /\d/.test(match[2]), lines: [match[3].trim()] });
+    } else if (line.trim()) {
+      if (startsBlock(line, lines[i + 1]) || (!/^\s/.test(line) && !lines[i - 1].trim())) {
+        break;
+      }
+      items[items.length - 1].lines.push(line.trim());
+    } else {
+      // A blank line ends the list unless an item or indented continuation follows
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (next === undefined || !(LIST_ITEM.test(next) || /^\s{2,}\S/.test(next))) {
+        break;
+      }
+    }
+  }
+  blocks.push(...buildLists(items.map(item => ({ ...item, content: inlineLines(item.lines) }))));
+  return i - 1;
+}
+
+function quoteBlock(lines) {
+  const alert = lines[0]?.trim().match(ALERT);
+  if (alert) {
+    return { type: 'panel', attrs: { panelType: ALERT_PANELS[alert[1].toUpperCase()] }, content: parseBlocks(lines.slice(1)) };
+  }
+  return { type: 'blockquote', content: parseBlocks(lines) };
+}
+
+function table(rows) {
+  return {
+    type: 'table',
+    content: rows.map((row, r) => ({
+      type: 'tableRow',
+      content: splitRow(row).map(cell => ({
+        type: r === 0 ? 'tableHeader' : 'tableCell',
+        content: [{ type: 'paragraph', content: inline(cell) }],
+      })),
+    })),
+  };
+}
+
+/**
+ * "| a | `b|c` |" → ['a', '`b|c`']. Escaped pipes were already protected.
+ */
+function splitRow(row) {
+  const cells = [''];
+  let inCode = false;
+  for (const ch of row.replace(/^\|/, '').replace(/\|$/, '')) {
+    if (ch === '`') {
+      inCode = !inCode;
+    }
+    if (ch === '|' && !inCode) {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += ch;
+    }
+  }
+  return cells.map(cell => cell.trim());
+}
+
+function image(alt, src) {
+  const attrs = { src: restoreEscapes(src) };
+  if (alt) {
+    attrs.alt = restoreEscapes(alt);
+  }
+  // A bare filename is an uploaded attachment, shown as a thumbnail
+  if (!/^[a-z][\w+.-]*:/i.test(attrs.src)) {
+    attrs.thumbnail = true;
+  }
+  return { type: 'image', attrs };
+}
+
+function link(href) {
+  return { type: 'link', attrs: { href: restoreEscapes(href) } };
+}
+
+function inline(text) {
+  return parseInline(text, INLINE_RULES);
+}
+
+function inlineLines(lines) {
+  return lines.flatMap((line, i) => (i > 0 ? [{ type: 'hardBreak' }, ...inline(line)] : inline(line)));
+}
+
+// ---- Render ----------------------------------------------------------------
+
+const codeSpan = (inner) => {
+  const longest = Math.max(0, ...(inner.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = inner.startsWith('`') || inner.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${inner}${pad}${fence}`;
+};
+
+const MARK_SYNTAX = {
+  strong: inner => `**${inner}**`,
+  em: inner => `_${inner}_`,
+  strike: inner => `~~${inner}~~`,
+  underline: inner => `<u>${inner}</u>`,
+  code: codeSpan,
+  link: (inner, attrs) => (inner === attrs.href && /^(?:https?:|mailto:)/.test(inner) ? `<${inner}>` : `[${inner}](${attrs.href})`),
+};
+
+const TEXT_PATTERNS = [...Object.values(SPAN), /\\(?=[!-/:-@[-`{-~])/];
+const CELL_PATTERNS = [...TEXT_PATTERNS, /\|/];
+const BLOCK_START = /^(?:#{1,6}(?:\s|$)|>|[-*+]\s|`{3,}|~{3,}|\||(?:[-*_]\s*){3,}$|!\[)/;
+const ORDERED_START = /^(\d{1,9})([.)]\s)/;
+
+/**
+ * @param {Object} doc - Markup AST document
+ * @returns {string} Markdown
+ */
+export function renderMarkdown(doc) {
+  return renderBlocks(doc.content || []);
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+function renderBlock(node) {
+  switch (node.type) {
+  case 'heading':
+    return `${'#'.repeat(node.attrs.level)} ${renderInline(node.content)}`;
+  case 'paragraph':
+    return renderInline(node.content)
+      .split('\n')
+      .map(line => {
+        if (ORDERED_START.test(line)) {
+          return line.replace(ORDERED_START, '$1\\$2');
+        }
+        return BLOCK_START.test(line) ? `\\${line}` : line;
+      })
+      .join('\n');
+  case 'bulletList':
+  case 'orderedList':
+    return renderList(node, '');
+  case 'table':
+    return renderTable(node);
+  case 'codeBlock': {
+    const text = plainText(node.content);
+    const fence = text.includes('```') ? '~~~' : '```';
+    return `${fence}${node.attrs?.language || ''}\n${text}\n${fence}`;
+  }
+  case 'panel': {
+    // Alerts have no title; it becomes a bold first paragraph, as in ADF
+    const alert = `[!${PANEL_ALERTS[node.attrs?.panelType] || 'NOTE'}]`;
+    const title = node.attrs?.title ? `**${escapeMarkup(node.attrs.title, TEXT_PATTERNS)}**` : '';
+    const body = [title, renderBlocks(node.content)].filter(Boolean).join('\n\n');
+    return quote(body ? `${alert}\n${body}` : alert);
+  }
+  case 'blockquote':
+    return quote(renderBlocks(node.content));
+  case 'rule':
+    return '---';
+  case 'image':
+    return `![${node.attrs.alt || ''}](${node.attrs.src})`;
+  default:
+    return node.content ? renderBlocks(node.content) : '';
+  }
+}
+
+function quote(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+function renderList(list, indent) {
+  return list.content.map((item, i) => {
+    const marker = list.type === 'orderedList' ? `${i + 1}. ` : '- ';
+    const childIndent = indent + ' '.repeat(marker.length);
+    const [first, ...rest] = item.content;
+    const text = first?.type === 'paragraph' ? renderInline(first.content).replace(/\n/g, `\n${childIndent}`) : '';
+    const nested = rest.map(child => (child.type === 'bulletList' || child.type === 'orderedList'
+      ? renderList(child, childIndent)
+      : childIndent + renderBlock(child).replace(/\n/g, `\n${childIndent}`)));
+    return [`${indent}${marker}${text}`, ...nested].join('\n');
+  }).join('\n');
+}
+
+function renderTable(node) {
+  const rows = node.content.map(row => row.content.map(cell => cell.content
+    .map(block => renderInline(block.content || [], '<br>', CELL_PATTERNS))
+    .join('<br>')));
+  const width = Math.max(...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || ' ').join(' | ')} |`;
+  // Markdown tables always have a header row; Jira's first row stands in for it
+  const [header, ...body] = rows;
+  return [line(header), `|${Array(width).fill('---').join('|')}|`, ...body.map(line)].join('\n');
+}
+
+function renderInline(nodes, hardBreak = '\n', patterns = TEXT_PATTERNS) {
+  return serializeInline(nodes, {
+    hardBreak,
+    wrap: (mark, inner) => (MARK_SYNTAX[mark.type] ? MARK_SYNTAX[mark.type](inner, mark.attrs || {}) : inner),
+    text: (text, inCode) => (inCode ? text : escapeMarkup(text, patterns)),
+  });
+}
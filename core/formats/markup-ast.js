@@ -0,0 +1,232 @@
+/**
+ * Markup AST — the document tree shared by the Jira wiki markup and Markdown
+ * parsers/renderers (jira-markup.js, markdown.js) and the ADF writer
+ * (jira-adf.js). Node names follow Atlassian Document Format, so ADF output
+ * is close to a copy of the tree:
+ *
+ *   doc          { content: Block[] }
+ *   paragraph    { content: Inline[] }
+ *   heading      { attrs: { level }, content: Inline[] }
+ *   bulletList / orderedList { content: listItem[] }
+ *   listItem     { content: [paragraph, ...nested lists] }
+ *   table        { content: tableRow[] }   tableRow { content: (tableHeader|tableCell)[] }
+ *   tableHeader / tableCell { content: [paragraph] }
+ *   codeBlock    { attrs?: { language }, content: [text] }
+ *   panel        { attrs: { panelType: info|note|warning|success|error, title? }, content: Block[] }
+ *   blockquote   { content: Block[] }
+ *   rule
+ *   image        { attrs: { src, alt?, width?, thumbnail? } }  — not ADF; jira-adf.js resolves it
+ *
+ *   text         { text, marks?: Mark[] }  strong, em, strike, underline, code,
+ *                                          link { href }, textColor { color }
+ *   hardBreak
+ *
+ * Text is stored unescaped. Each renderer escapes only what its own parser
+ * would otherwise read as markup, so render → parse returns the same tree.
+ */
+
+// Backslash-escaped punctuation is swapped for a private-use character while
+// parsing so block and inline patterns skip it
+const ESCAPE_BASE = 0xF000;
+
+/**
+ * @param {string} text
+ * @param {string} chars - Punctuation the syntax allows to be escaped
+ * @returns {string}
+ */
+export function protectEscapes(text, chars) {
+  return text.replace(/\\([!-/:-@[-`{-~])/g, (match, ch) => (
+    chars.includes(ch) ? String.fromCharCode(ESCAPE_BASE + ch.charCodeAt(0)) : match
+  ));
+}
+
+/**
+ * Undo protectEscapes. Code keeps the backslash — escapes are literal there.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.keepBackslash=false]
+ * @returns {string}
+ */
+export function restoreEscapes(text, { keepBackslash = false } = {}) {
+  return text.replace(/[\uF000-\uF07F]/g, ch => (keepBackslash ? '\\' : '') + String.fromCharCode(ch.charCodeAt(0) - ESCAPE_BASE));
+}
+
+/**
+ * Tokenise inline text. The earliest match among `rules` wins (ties go to the
+ * earlier rule); `rule.build(match, marks, parse)` returns the nodes for it,
+ * calling parse(text, marks) to recurse into nested marks.
+ * @param {string} text - Text with escapes protected
+ * @param {Array<{pattern: RegExp, build: Function}>} rules
+ * @param {Object[]} [marks] - Marks inherited from the enclosing span
+ * @returns {Object[]} Inline nodes
+ */
+export function parseInline(text, rules, marks = []) {
+  const nodes = [];
+  const parse = (inner, innerMarks) => parseInline(inner, rules, innerMarks);
+  let rest = text;
+  while (rest) {
+    let best = null;
+    for (const rule of rules) {
+      const match = rest.match(rule.pattern);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { rule, match };
+      }
+    }
+    if (!best) {
+      nodes.push(...textNodes(rest, marks));
+      break;
+    }
+    nodes.push(...textNodes(rest.slice(0, best.match.index), marks));
+    nodes.push(...best.rule.build(best.match, marks, parse));
+    rest = rest.slice(best.match.index + best.match[0].length);
+  }
+  return nodes;
+}
+
+/**
+ * A text node (or none for empty text), restoring protected escapes.
+ * @param {string} text
+ * @param {Object[]} [marks]
+ * @returns {Object[]}
+ */
+export function textNodes(text, marks = []) {
+  if (!text) {
+    return [];
+  }
+  const isCode = marks.some(mark => mark.type === 'code');
+  const node = { type: 'text', text: restoreEscapes(text, { keepBackslash: isCode }) };
+  if (marks.length > 0) {
+    node.marks = marks;
+  }
+  return [node];
+}
+
+/**
+ * Nest flat list items into bullet/ordered lists. A list can't skip levels,
+ * so each item is clamped to at most one deeper than the previous one.
+ * @param {Array<{depth: number, ordered: boolean, content: Object[]}>} items
+ * @returns {Object[]} bulletList / orderedList nodes
+ */
+export function buildLists(items) {
+  let previous = 0;
+  const clamped = items.map(item => {
+    const depth = Math.min(item.depth, previous + 1);
+    previous = depth;
+    return { ...item, depth };
+  });
+  return nestLists(clamped, 1);
+}
+
+function nestLists(items, depth) {
+  const lists = [];
+  let list = null;
+  for (let i = 0; i < items.length;) {
+    const item = items[i];
+    let j = i + 1;
+    while (j < items.length && items[j].depth > depth) {
+      j++;
+    }
+    const type = item.ordered ? 'orderedList' : 'bulletList';
+    if (!list || list.type !== type) {
+      list = { type, content: [] };
+      lists.push(list);
+    }
+    list.content.push({
+      type: 'listItem',
+      content: [{ type: 'paragraph', content: item.content }, ...nestLists(items.slice(i + 1, j), depth + 1)],
+    });
+    i = j;
+  }
+  return lists;
+}
+
+// Code is always the innermost mark — its content is written verbatim
+const MARK_ORDER = ['link', 'textColor', 'strong', 'em', 'underline', 'strike', 'code'];
+
+const sameMark = (a, b) => a.type === b.type && JSON.stringify(a.attrs || {}) === JSON.stringify(b.attrs || {});
+
+/**
+ * Serialise inline nodes. A mark stays open across adjacent nodes that share
+ * it, so a link inside bold text is written once as bold around the link
+ * rather than as three bold runs. Whitespace at a span's edges is moved
+ * outside the delimiters, where both syntaxes require it.
+ * @param {Object[]} nodes
+ * @param {Object} syntax
+ * @param {Function} syntax.wrap - (mark, inner) → marked-up span
+ * @param {Function} syntax.text - (text, inCode) → escaped text
+ * @param {string} syntax.hardBreak
+ * @returns {string}
+ */
+export function serializeInline(nodes, syntax) {
+  let out = '';
+  const stack = [];
+  const closeTo = (depth) => {
+    while (stack.length > depth) {
+      const { mark, start } = stack.pop();
+      const inner = out.slice(start);
+      if (mark.type === 'code' || !inner.trim()) {
+        out = out.slice(0, start) + (inner ? syntax.wrap(mark, inner) : '');
+      } else {
+        const [, lead, body, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        out = out.slice(0, start) + lead + syntax.wrap(mark, body) + trail;
+      }
+    }
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'hardBreak') {
+      closeTo(0);
+      out += syntax.hardBreak;
+      continue;
+    }
+    const marks = [...(node.marks || [])].sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+    let keep = 0;
+    while (keep < stack.length && marks.some(mark => sameMark(mark, stack[keep].mark))) {
+      keep++;
+    }
+    closeTo(keep);
+    for (const mark of marks) {
+      if (!stack.some(open => sameMark(open.mark, mark))) {
+        stack.push({ mark, start: out.length });
+      }
+    }
+    out += syntax.text(node.text, marks.some(mark => mark.type === 'code'));
+  }
+  closeTo(0);
+  return out;
+}
+
+/**
+ * Backslash-escape the first character of every span `patterns` would read
+ * as markup, rescanning after each escape.
+ * @param {string} text
+ * @param {RegExp[]} patterns
+ * @returns {string}
+ */
+export function escapeMarkup(text, patterns) {
+  let out = '';
+  let rest = text;
+  for (;;) {
+    let index = -1;
+    for (const pattern of patterns) {
+      const match = rest.match(pattern);
+      if (match && (index === -1 || match.index < index)) {
+        index = match.index;
+      }
+    }
+    if (index === -1) {
+      return out + rest;
+    }
+    out += `${rest.slice(0, index)}\\${rest[index]}`;
+    rest = rest.slice(index + 1);
+  }
+}
+
+/**
+ * Plain text of inline nodes (marks dropped, breaks as spaces).
+ * @param {Object[]} nodes
+ * @returns {string}
+ */
+export function plainText(nodes = []) {
+  return nodes.map(node => (node.type === 'hardBreak' ? ' ' : node.text || '')).join('');
+}
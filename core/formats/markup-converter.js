@@ -0,0 +1,155 @@
+/**
+ * Markup converter — Jira wiki markup ⇄ Markdown through the shared markup
+ * AST (markup-ast.js), plus a heuristic for telling the two apart in LLM
+ * output and templates, and a line-based pass for text that mixes both.
+ */
+
+import { parseJira, renderJira } from './jira-markup.js';
+import { parseMarkdown, renderMarkdown } from './markdown.js';
+
+export { parseJira, renderJira, parseMarkdown, renderMarkdown };
+
+/**
+ * @param {string} markup - Jira wiki markup
+ * @returns {string} Markdown
+ */
+export function jiraToMarkdown(markup) {
+  return renderMarkdown(parseJira(markup));
+}
+
+/**
+ * @param {string} markdown
+ * @returns {string} Jira wiki markup
+ */
+export function markdownToJira(markdown) {
+  return renderJira(parseMarkdown(markdown));
+}
+
+const SIGNALS = {
+  jira: [
+    /^h[1-6]\.\s/m,
+    /^\{(?:code|noformat|panel|info|note|warning|tip|quote)[:}]/m,
+    /^\|\|/m,
+    /\[[^\]|\n]+\|(?:https?:|mailto:|#)[^\]\n]*\]/,
+    /\{\{[^}\n]+\}\}/,
+    /^bq\.\s/m,
+  ],
+  markdown: [
+    /^#{1,6}\s/m,
+    /^(?:```|~~~)/m,
+    /\[[^\]\n]*\]\([^)\n]+\)/,
+    /\*\*[^*\n]+\*\*/,
+    /^\|?\s*:?-{3,}:?\s*\|/m,
+    /`[^`\n]+`/,
+  ],
+};
+
+/**
+ * Which markup a text is written in, going by syntax only one of the two uses.
+ * "# " lines count as Markdown headings, though Jira reads them as numbered items.
+ * @param {string} text
+ * @returns {'jira'|'markdown'|'mixed'|null} null when there's no markup to go by
+ */
+export function detectMarkup(text) {
+  const source = String(text || '');
+  const jira = SIGNALS.jira.some(pattern => pattern.test(source));
+  const markdown = SIGNALS.markdown.some(pattern => pattern.test(source));
+  if (jira && markdown) {
+    return 'mixed';
+  }
+  return jira ? 'jira' : markdown ? 'markdown' : null;
+}
+
+const MACRO = /^\{(code|noformat|panel|info|note|warning|tip|quote)(?::[^}]*)?\}/;
+const MACRO_ALERTS = { panel: 'NOTE', info: 'NOTE', note: 'IMPORTANT', warning: 'WARNING', tip: 'TIP' };
+const FENCE = /^\s*(```|~~~)/;
+const TABLE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*\|/;
+
+/**
+ * Markdown from text that uses both markups, as LLM output often does. Only
+ * the Jira constructs are converted; the Markdown is left as written, so
+ * nothing gets escaped and a table keeps its own separator row.
+ * "# " lines stay Markdown headings (see detectMarkup).
+ * @param {string} text
+ * @returns {string} Markdown
+ */
+export function mixedToMarkdown(text) {
+  const lines = String(text || '').split('\n');
+  const out = [];
+  const counters = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const list = line.match(/^([*#]*\*[*#]*)\s+(.*)$/);
+    if (!list) {
+      counters.length = 0;
+    }
+
+    const fence = line.match(FENCE);
+    const macro = line.match(MACRO);
+    if (fence) {
+      const end = closingLine(lines, i, next => next.trimStart().startsWith(fence[1]));
+      out.push(...lines.slice(i, end + 1));
+      i = end;
+    } else if (macro && (macro[1] === 'code' || macro[1] === 'noformat')) {
+      const end = closingLine(lines, i, next => next.includes(`{${macro[1]}}`), line.slice(macro[0].length));
+      out.push(jiraToMarkdown(lines.slice(i, end + 1).join('\n')));
+      i = end;
+    } else if (macro) {
+      const end = closingLine(lines, i, next => next.trim() === `{${macro[1]}}`);
+      const body = mixedToMarkdown(lines.slice(i + 1, end).join('\n')).trim();
+      const alert = macro[1] === 'quote' ? [] : [`[!${MACRO_ALERTS[macro[1]]}]`];
+      out.push([...alert, ...(body ? body.split('\n') : [])].map(part => (part ? `> ${part}` : '>')).join('\n'));
+      i = end;
+    } else if (/^h[1-6]\.\s/.test(line)) {
+      out.push(`${'#'.repeat(Number(line[1]))} ${mixedInline(line.slice(3).trim())}`);
+    } else if (/^bq\.\s/.test(line)) {
+      out.push(`> ${mixedInline(line.slice(3).trim())}`);
+    } else if (/^----\s*$/.test(line)) {
+      out.push('---');
+    } else if (line.startsWith('||')) {
+      const cells = line.trim().replace(/^\|\||\|\|$/g, '').split('||');
+      out.push(`| ${cells.map(cell => mixedInline(cell.trim())).join(' | ')} |`);
+      if (!TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+        out.push(`|${cells.map(() => '---|').join('')}`);
+      }
+    } else if (list) {
+      out.push(listItem(list[1], mixedInline(list[2]), counters));
+    } else {
+      out.push(mixedInline(line));
+    }
+  }
+  return out.join('\n');
+}
+
+// Index of the line that closes a block opened at `start` (the last line if none does)
+function closingLine(lines, start, isClose, rest = '') {
+  if (rest && isClose(rest)) {
+    return start;
+  }
+  for (let i = start + 1; i < lines.length; i++) {
+    if (isClose(lines[i])) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+}
+
+// "*#" → "  1. " with the same indents renderMarkdown uses for nested lists
+function listItem(marker, text, counters) {
+  const depth = marker.length;
+  counters.length = depth;
+  const count = counters[depth - 1]?.marker === marker ? counters[depth - 1].count + 1 : 1;
+  counters[depth - 1] = { marker, count };
+  const indent = [...marker.slice(0, -1)].map(type => (type === '#' ? '   ' : '  ')).join('');
+  return `${indent}${marker.endsWith('#') ? `${count}.` : '-'} ${text}`;
+}
+
+// Jira inline markup to Markdown, outside `code` spans
+function mixedInline(text) {
+  return text.split(/(`[^`\n]+`)/).map((part, i) => (i % 2 === 1 ? part : part
+    .replace(/\{\{([^}\n]+)\}\}/g, '`$1`')
+    .replace(/\[([^\]|\n]+)\|((?:https?:|mailto:|#)[^\]\n]*)\]/g, '[$1]($2)')
+    .replace(/\{color(?::[^}]*)?\}/g, '')
+    .replace(/(?<![*\w\\])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\w])/g, '**$1**'))).join('');
+}
@@ -0,0 +1,218 @@
+/**
+ * PNG decode/encode in plain JS (node:zlib for the deflate stream)
+ *
+ * Enough of the format for design screenshots: all color types at bit
+ * depths 1–16, palettes with tRNS transparency, all five row filters.
+ * Interlaced (Adam7) images are rejected — Figma never exports them.
+ * Decoded images are { width, height, data } with data as 8-bit RGBA.
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Largest image decoded: 25 megapixels is 100 MB of RGBA, and a 2x export of a
+// 1440 × 8000 page still fits. Checked against IHDR before anything is inflated.
+export const MAX_PIXELS = 25_000_000;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} buffer - PNG file contents
+ * @param {Object} [options]
+ * @param {number} [options.maxPixels=MAX_PIXELS] - Larger images are rejected
+ * @returns {{ width: number, height: number, data: Uint8Array }} RGBA pixels, row-major
+ * @throws {Error} For other files, unsupported PNGs and images over maxPixels
+ */
+export function decodePng(buffer, { maxPixels = MAX_PIXELS } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !CHANNELS[header.colorType]) {
+    throw new Error('Unsupported PNG: missing header or unknown color type');
+  }
+  if (header.interlace) {
+    throw new Error('Unsupported PNG: interlaced images');
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('Invalid PNG: palette image without PLTE');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  if (width === 0 || height === 0 || width * height > maxPixels) {
+    throw new Error(`Unsupported PNG: ${width} × ${height} is over the ${maxPixels} pixel limit`);
+  }
+  const bitsPerPixel = CHANNELS[colorType] * bitDepth;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  // The stream can't hold more than the rows plus their filter bytes — stops decompression bombs
+  let inflated;
+  try {
+    inflated = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: rowBytes * height + height });
+  } catch (error) {
+    throw new Error(`Invalid PNG: ${error.code === 'ERR_BUFFER_TOO_LARGE' ? 'more image data than the header allows' : error.message}`);
+  }
+  const raw = unfilter(inflated, rowBytes, height, Math.max(1, bitsPerPixel >> 3));
+
+  const data = new Uint8Array(width * height * 4);
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  const sample = (row, index) => {
+    if (bitDepth === 16) {
+      return raw[row + index * 2]; // high byte
+    }
+    if (bitDepth === 8) {
+      return raw[row + index];
+    }
+    const bit = index * bitDepth;
+    return (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  // Low bit depth gray is scaled up to 0–255; palette indices are not
+  const scale = colorType === 3 ? 1 : 255 / maxSample;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = sample(row, x);
+        data[out] = palette[index * 3];
+        data[out + 1] = palette[index * 3 + 1];
+        data[out + 2] = palette[index * 3 + 2];
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = Math.round(sample(row, x * CHANNELS[colorType]) * scale);
+        data[out] = data[out + 1] = data[out + 2] = gray;
+        data[out + 3] = colorType === 4 ? sample(row, x * 2 + 1) : 255;
+      } else {
+        const base = x * CHANNELS[colorType];
+        data[out] = sample(row, base);
+        data[out + 1] = sample(row, base + 1);
+        data[out + 2] = sample(row, base + 2);
+        data[out + 3] = colorType === 6 ? sample(row, base + 3) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * @param {{ width: number, height: number, data: Uint8Array }} image - 8-bit RGBA
+ * @returns {Buffer} PNG file contents (RGBA, no filtering)
+ */
+export function encodePng({ width, height, data }) {
+  const rowBytes = width * 4;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter byte 0 (None) then the row
+    raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Undo the per-row filters; returns the rows without their filter bytes
+function unfilter(inflated, rowBytes, height, bpp) {
+  const out = Buffer.alloc(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = inflated[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    const prev = row - rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bpp ? out[row + i - bpp] : 0;
+      const up = y > 0 ? out[prev + i] : 0;
+      const upLeft = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        predictor = paeth(left, up, upLeft);
+      } else if (filter !== 0) {
+        throw new Error(`Invalid PNG: unknown row filter ${filter}`);
+      }
+      out[row + i] = (inflated[src + i] + predictor) & 0xff;
+    }
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+function chunk(type, body) {
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const out = Buffer.alloc(typeAndBody.length + 8);
+  out.writeUInt32BE(body.length, 0);
+  typeAndBody.copy(out, 4);
+  out.writeUInt32BE(crc32(typeAndBody), out.length - 4);
+  return out;
+}
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const byte of bytes) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
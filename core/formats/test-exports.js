@@ -0,0 +1,143 @@
+/**
+ * Test Exports — QA test cases in test-management import formats
+ *
+ * The QA Test Case wiki page is for people; these are for tools. Each writer
+ * takes the test cases behind that page ({ title, preconditions, steps[],
+ * expected }, see core/ai/qa-schema.js) and links every case back to the
+ * Jira issue and the Figma frame:
+ *
+ *   xray      Xray test case import JSON — manual tests with steps, linked
+ *             to the issue with the "Test" link type
+ *   testrail  TestRail CSV ("Test Case (Text)" template), issue in References
+ *   gherkin   A .feature file, one Scenario per case, issue as a tag
+ */
+
+export const TEST_EXPORT_FORMATS = ['xray', 'testrail', 'gherkin'];
+
+// Xray only links to Jira issues; GitHub/GitLab keys (octo/web#42) stay in the text
+const JIRA_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+/**
+ * @param {string} format - One of TEST_EXPORT_FORMATS
+ * @param {Object[]} testCases
+ * @param {Object} [meta]
+ * @param {string} [meta.componentName]
+ * @param {string} [meta.issueKey] - Jira key the cases test
+ * @param {string} [meta.figmaUrl] - Figma deep link of the frame
+ * @returns {{ filename: string, contentType: string, body: string }}
+ * @throws {Error} For unknown formats
+ */
+export function exportTestCases(format, testCases, meta = {}) {
+  const base = fileBase(meta);
+  switch (format) {
+    case 'xray':
+      return { filename: `${base}-xray.json`, contentType: 'application/json', body: toXrayJson(testCases, meta) };
+    case 'testrail':
+      return { filename: `${base}-testrail.csv`, contentType: 'text/csv', body: toTestRailCsv(testCases, meta) };
+    case 'gherkin':
+      return { filename: `${base}.feature`, contentType: 'text/plain', body: toGherkin(testCases, meta) };
+    default:
+      throw new Error(`Unknown test export format "${format}" (expected ${TEST_EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Xray import JSON: an array of manual tests. Preconditions and the links go
+ * in the description; the expected result belongs to the last step. The
+ * project and the "Test" link are only set for a Jira issue key — another
+ * tracker's key is named in the description only.
+ */
+export function toXrayJson(testCases, { componentName, issueKey, figmaUrl } = {}) {
+  const jiraKey = JIRA_KEY.test(issueKey || '') ? issueKey : null;
+  const projectKey = jiraKey?.split('-')[0];
+  const tests = testCases.map(testCase => ({
+    testtype: 'Manual',
+    fields: {
+      summary: componentName ? `${componentName}: ${testCase.title}` : testCase.title,
+      ...(projectKey && { project: { key: projectKey } }),
+      description: [
+        testCase.preconditions && `Preconditions: ${testCase.preconditions}`,
+        issueKey && `${jiraKey ? 'Jira' : 'Issue'}: ${issueKey}`,
+        figmaUrl && `Figma: ${figmaUrl}`,
+      ].filter(Boolean).join('\n'),
+      labels: ['figma-generated'],
+    },
+    ...(jiraKey && {
+      update: { issuelinks: [{ add: { type: { name: 'Test' }, outwardIssue: { key: jiraKey } } }] },
+    }),
+    steps: testCase.steps.map((action, i) => ({
+      action,
+      data: '',
+      result: i === testCase.steps.length - 1 ? testCase.expected : '',
+    })),
+  }));
+  return `${JSON.stringify(tests, null, 2)}\n`;
+}
+
+/**
+ * TestRail CSV, one row per case. Steps are numbered lines in one cell.
+ */
+export function toTestRailCsv(testCases, { componentName, issueKey, figmaUrl } = {}) {
+  const header = ['Title', 'Section', 'Template', 'Type', 'Preconditions', 'Steps', 'Expected Result', 'References'];
+  const rows = testCases.map(testCase => [
+    testCase.title,
+    componentName || '',
+    'Test Case (Text)',
+    'Functional',
+    [testCase.preconditions, figmaUrl && `Design: ${figmaUrl}`].filter(Boolean).join('\n'),
+    testCase.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'),
+    testCase.expected,
+    issueKey || '',
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Gherkin feature: preconditions become Given, steps When/And, the expected
+ * result Then. The issue key is a tag on the feature and every scenario.
+ */
+export function toGherkin(testCases, { componentName, issueKey, figmaUrl } = {}) {
+  const tag = issueKey ? `@${issueKey}` : null;
+  const lines = [];
+  if (tag) {
+    lines.push(tag);
+  }
+  lines.push(`Feature: ${oneLine(componentName || 'Component')}`);
+  if (issueKey) {
+    lines.push(`  Jira: ${issueKey}`);
+  }
+  if (figmaUrl) {
+    lines.push(`  Figma: ${figmaUrl}`);
+  }
+
+  for (const testCase of testCases) {
+    lines.push('');
+    if (tag) {
+      lines.push(`  ${tag}`);
+    }
+    lines.push(`  Scenario: ${oneLine(testCase.title)}`);
+    if (testCase.preconditions) {
+      lines.push(`    Given ${oneLine(testCase.preconditions)}`);
+    }
+    testCase.steps.forEach((step, i) => lines.push(`    ${i === 0 ? 'When' : 'And'} ${oneLine(step)}`));
+    lines.push(`    Then ${oneLine(testCase.expected)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// RFC 4180: quote fields with commas, quotes or line breaks; double the quotes
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Gherkin keywords are line-based
+function oneLine(text) {
+  return String(text).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+function fileBase({ componentName, issueKey }) {
+  const name = String(componentName || 'component').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'component';
+  // GitHub / GitLab keys (octo/web#42) are not filename-safe
+  return issueKey ? `${String(issueKey).replace(/[^A-Za-z0-9-]+/g, '-')}-${name}` : name;
+}
@@ -1,15 +1,58 @@
 import { Logger } from '../utils/logger.js';
 import mcpConfig from '../../config/mcp.config.js';
+import { DryRunMCPAdapter } from '../adapters/DryRunMCPAdapter.js';
+import { findAdfSection, findSection, replaceAdfSection, replaceSection } from '../ai/ticket-sections.js';
+import { renderTicket } from '../ai/ticket-renderers.js';
+import { breakdownSubtasks, renderSubtask } from '../ai/subtask-breakdown.js';
+import { detectMarkup, jiraToMarkdown, mixedToMarkdown, renderJira, renderMarkdown } from '../formats/markup-converter.js';
+import { designChangeList } from '../context/design-diff.js';
+import { diffImages } from '../context/visual-diff.js';
+import { decodePng, encodePng } from '../formats/png.js';
+import { isAdf, jiraToAdf } from '../formats/jira-adf.js';
+import { exportTestCases } from '../formats/test-exports.js';
+import { DEFAULT_TEST_CASES } from '../ai/qa-schema.js';
+import { componentScaffold } from '../template/component-scaffold.js';
+import { createTracker } from '../trackers/index.js';
+import { JiraFieldMapper } from '../trackers/JiraFieldMapper.js';
+import { DryRunTracker } from '../trackers/DryRunTracker.js';
+import { DEFAULT_TITLES, loadPipeline, renderTitle } from './pipeline.js';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 
+// How each pipeline step type runs: its method, the progress letter it
+// reports (see _emitProgress) and the results key of its artifact.
+// Linking steps run again on resume whenever an earlier step did.
+const STEP_TYPES = {
+  jira: { runner: '_stepIssue', progress: 'A', result: 'jira' },
+  implementationPlan: { runner: '_stepImplementationPlan', progress: 'B', result: 'wiki' },
+  wikiPage: { runner: '_stepWikiPage', progress: 'B' },
+  qaPage: { runner: '_stepQaPage', progress: 'E', result: 'qa' },
+  remoteLinks: { runner: '_stepRemoteLinks', progress: 'C', rerun: true },
+  resourcesBlock: { runner: '_stepResourcesBlock', progress: 'C', rerun: true },
+  gitBranch: { runner: '_stepBranch', progress: 'D', result: 'git' },
+  subtasks: { runner: '_stepSubtasks', progress: 'A', result: 'subtasks' },
+};
+
 export class WorkItemOrchestrator {
   constructor(serviceContainer) {
     this.logger = new Logger('WorkItemOrchestrator');
     this.mcpAdapter = serviceContainer.get('mcpAdapter');
     this.ticketGenerator = serviceContainer.get('ticketService');
     this.screenshotService = serviceContainer.get('screenshotService');
+    // Optional — without it there are no visual diffs between generations
+    this.baselineStore = serviceContainer.has?.('baselineStore') ? serviceContainer.get('baselineStore') : null;
+    // Optional — Step D's branch in a local working copy (GIT_PROVIDER=local)
+    this.localGit = serviceContainer.has?.('localGitAdapter') ? serviceContainer.get('localGitAdapter') : null;
+    // Optional — Steps B and E as Markdown files in the repo (WIKI_TARGET=repo)
+    this.repoDocs = serviceContainer.has?.('repoDocsAdapter') ? serviceContainer.get('repoDocsAdapter') : null;
+    // Optional — without it runs are not saved and cannot be resumed or rolled back
+    this.orchestrationStore = serviceContainer.has?.('orchestrationStore') ? serviceContainer.get('orchestrationStore') : null;
+    // Jira custom fields — shared so its metadata cache outlives a run. Bound to
+    // the real adapter, so dry runs check fields against the real metadata too.
+    this.jiraFields = serviceContainer.has?.('jiraFieldMapper')
+      ? serviceContainer.get('jiraFieldMapper')
+      : new JiraFieldMapper({ mcpAdapter: this.mcpAdapter });
   }
 
   /**
@@ -21,7 +64,7 @@ export class WorkItemOrchestrator {
    * Helper to find a unique Wiki page title by appending generic counters (1), (2), etc.
    * This avoids overwriting changes and history.
    */
-  async _getUniqueWikiTitle(baseTitle, space) {
+  async _getUniqueWikiTitle(baseTitle, space, wiki = this.mcpAdapter) {
       let candidateTitle = baseTitle;
       
       // Ensure title fits Confluence limit (255)
@@ -38,7 +81,7 @@ export class WorkItemOrchestrator {
                   candidateTitle = `${baseTitle} (${counter})`;
               }
               this.logger.info(`🔍 Checking availability for Wiki Title: "${candidateTitle}"`);
-              const searchResult = await this.mcpAdapter.getWikiPage(candidateTitle, space);
+              const searchResult = await wiki.getWikiPage(candidateTitle, space);
               
               // Robust check for existence
               // Standard Confluence API returns { results: [...] } or a single page object
@@ -70,7 +113,197 @@ export class WorkItemOrchestrator {
     return this.processWorkItem(context, options);
   }
 
+  /**
+   * Find an open Epic (a milestone on GitHub / GitLab) with the given name or create one.
+   * Used by batch generation so every frame on a Figma page lands under one parent.
+   * @param {string} name - Epic summary (usually the Figma page name)
+   * @param {string} [projectKey] - Jira project key, repository or project path
+   * @param {string} [trackerName] - TRACKERS entry; the configured default when omitted
+   * @returns {Promise<Object>} { key, url, status: 'existing'|'created' }
+   * @throws {Error} For Jira when MCP is unavailable; GitHub and GitLab need only their token
+   */
+  async ensureEpic(name, projectKey, trackerName) {
+    const tracker = this._tracker(trackerName);
+    if (tracker.name === 'jira') {
+      this._requireMCP('create epic');
+    }
+    return tracker.ensureParent(name, projectKey || tracker.defaultProject);
+  }
+
+  /**
+   * The tracker Step A files the issue in. During a dry run REST trackers are
+   * wrapped so their writes land on the plan; Jira goes through this.mcpAdapter,
+   * which records already.
+   * @param {string} [name] - TRACKERS entry; the configured default when omitted
+   */
+  _tracker(name) {
+    const tracker = createTracker(name, { mcpAdapter: this.mcpAdapter, fieldMapper: this.jiraFields });
+    return this.mcpAdapter?.dryRun && tracker.name !== 'jira' ? new DryRunTracker(tracker, this.mcpAdapter) : tracker;
+  }
+
+  /**
+   * Where Steps B and E write the pages: Confluence through this.mcpAdapter,
+   * or Markdown files in the repo (RepoDocsAdapter), which has the same wiki methods.
+   * @param {string} [name] - 'confluence' or 'repo'; WIKI_TARGET when omitted
+   */
+  _wikiTarget(name) {
+    const target = name || mcpConfig.docs?.target || 'confluence';
+    if (target !== 'repo') {
+      return this.mcpAdapter;
+    }
+    if (!this.repoDocs) {
+      throw new Error('Repo docs target requested but RepoDocsAdapter is not registered');
+    }
+    return this.mcpAdapter?.dryRun ? this.repoDocs.planner(this.mcpAdapter) : this.repoDocs;
+  }
+
+  /**
+   * Push one regenerated section into an existing Jira issue and/or wiki page.
+   * Each target is read first and only the matching section is replaced, so
+   * edits made elsewhere in the issue or page since generation are kept.
+   * ADF descriptions (Jira Cloud) are edited node by node, so uploaded media
+   * survives. Only the Jira and Confluence targets go through MCP; without it
+   * they report 'failed' while GitHub, GitLab and repo docs still update.
+   * @param {Object} params
+   * @param {string} params.section - Section name (see ticket-sections findSection)
+   * @param {string} params.sectionContent - New section in Jira wiki markup, heading included
+   * @param {string} [params.issueKey] - Issue to update
+   * @param {string} [params.tracker] - Tracker the issue is in (TRACKERS entry)
+   * @param {string} [params.wikiTitle] - Implementation Plan page title to update
+   * @param {string} [params.wikiSpace] - Confluence space (defaults to the configured space)
+   * @param {string} [params.wikiTarget] - 'confluence' or 'repo' (defaults to WIKI_TARGET)
+   * @returns {Promise<Object>} { jira?, wiki? } each { status: 'updated'|'skipped'|'failed', ... }
+   */
+  async updateSection({ section, sectionContent, issueKey, tracker: trackerName, wikiTitle, wikiSpace, wikiTarget }) {
+    const results = {};
+
+    if (issueKey) {
+      try {
+        const tracker = this._tracker(trackerName);
+        if (tracker.name === 'jira') {
+          this._requireMCP('update section');
+        }
+        const description = await tracker.getDescription(issueKey);
+        if (isAdf(description)) {
+          if (!findAdfSection(description, section)) {
+            results.jira = { status: 'skipped', issueKey, reason: `Section "${section}" not found in ${issueKey}` };
+          } else {
+            await tracker.updateDescription(issueKey, replaceAdfSection(description, section, jiraToAdf(sectionContent)));
+            this.logger.info(`✅ Updated "${section}" in ${issueKey}`);
+            results.jira = { status: 'updated', issueKey, url: tracker.issueUrl(issueKey) };
+          }
+        } else if (typeof description !== 'string') {
+          results.jira = { status: 'skipped', issueKey, reason: `${issueKey} description is neither wiki markup nor ADF` };
+        } else if (!findSection(description, section)) {
+          results.jira = { status: 'skipped', issueKey, reason: `Section "${section}" not found in ${issueKey}` };
+        } else {
+          // Markdown trackers get the Jira markup the model wrote converted
+          const content = tracker.markup === 'jira' ? sectionContent : this._jiraToMarkdown(sectionContent);
+          await tracker.updateDescription(issueKey, replaceSection(description, section, content));
+          this.logger.info(`✅ Updated "${section}" in ${issueKey}`);
+          results.jira = { status: 'updated', issueKey, url: tracker.issueUrl(issueKey) };
+        }
+      } catch (error) {
+        this.logger.warn(`Section update failed for ${issueKey}: ${error.message}`);
+        results.jira = { status: 'failed', issueKey, error: error.message };
+      }
+    }
+
+    if (wikiTitle) {
+      try {
+        const space = wikiSpace || mcpConfig.defaults.confluenceSpaceKey;
+        const wiki = this._wikiTarget(wikiTarget);
+        if (wiki === this.mcpAdapter) {
+          this._requireMCP('update section');
+        }
+        const page = await wiki.getWikiPage(wikiTitle, space);
+        const pageId = page?.id || page?.page?.id || page?.metadata?.id;
+        const body = [page?.content, page?.content?.value, page?.page?.content, page?.body?.storage?.value]
+          .find(value => typeof value === 'string') || '';
+        if (!pageId) {
+          results.wiki = { status: 'skipped', title: wikiTitle, reason: `Wiki page "${wikiTitle}" not found in ${space}` };
+        } else if (wiki.usesStorageFormat?.(space)) {
+          // Storage-format pages carry macros a Markdown round trip would drop
+          results.wiki = { status: 'skipped', title: wikiTitle, reason: `Pages in ${space} are written in storage format` };
+        } else if (!findSection(body, section)) {
+          results.wiki = { status: 'skipped', title: wikiTitle, reason: `Section "${section}" not found on the wiki page` };
+        } else {
+          // The wiki is Markdown — convert the Jira markup the model wrote
+          const updated = replaceSection(body, section, this._jiraToMarkdown(sectionContent));
+          await wiki.updateWikiPage(pageId, wikiTitle, updated);
+          this.logger.info(`✅ Updated "${section}" on wiki page "${wikiTitle}"`);
+          results.wiki = { status: 'updated', title: wikiTitle, pageId };
+        }
+      } catch (error) {
+        this.logger.warn(`Section update failed for wiki page "${wikiTitle}": ${error.message}`);
+        results.wiki = { status: 'failed', title: wikiTitle, error: error.message };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Jira and Confluence go through MCP; the REST trackers and repo docs don't.
+   * @param {string} action - What needs it, for the error message
+   */
+  _requireMCP(action) {
+    if (!this.mcpAdapter || !this.mcpAdapter.isAvailable) {
+      throw new Error(`MCP Adapter unavailable — cannot ${action}`);
+    }
+  }
+
+  /**
+   * Report step progress to an optional listener (async job mode).
+   * Listener failures are swallowed so they can never break orchestration.
+   * @param {Object} options - processWorkItem options (may carry onProgress)
+   * @param {string} step - Step letter: A (Jira), B (Wiki), E (QA), C (Cross-link), D (Git)
+   * @param {string} status - 'started' | 'completed' | 'skipped' | 'failed'
+   * @param {Object} [data] - Extra detail (issue key, URL, error message)
+   */
+  _emitProgress(options, step, status, data = {}) {
+    if (typeof options?.onProgress !== 'function') {
+      return;
+    }
+    const names = { A: 'jira', B: 'wiki', E: 'qa', C: 'crossLink', D: 'git' };
+    try {
+      options.onProgress({ phase: 'orchestration', step, name: names[step] || step, status, data });
+    } catch (e) {
+      this.logger.debug(`Progress listener threw: ${e.message}`);
+    }
+  }
+
+  /**
+   * Run the full orchestration against a DryRunMCPAdapter: reads hit the real
+   * MCP servers, writes are only recorded. Returns the ordered plan of MCP
+   * calls that a real run would make.
+   * @returns {Promise<Object>} { dryRun: true, plan, results, content }
+   */
+  async planWorkItem(context, options = {}) {
+    const recorder = new DryRunMCPAdapter(this.mcpAdapter);
+    // Same orchestrator, different adapter — keeps this.* helpers intact
+    const planner = Object.assign(Object.create(this), { mcpAdapter: recorder });
+
+    this.logger.info('🧪 Dry run: planning WorkItem orchestration (no writes)', { component: context.componentName });
+    const outcome = await planner.processWorkItem(context, {
+      ...options,
+      enableActiveCreation: true,
+      onProgress: (event) => {
+        if (event.status === 'started') {
+          recorder.step = event.step;
+        }
+        options.onProgress?.(event);
+      },
+    });
+
+    return { ...outcome, dryRun: true, plan: recorder.plan };
+  }
+
   async processWorkItem(context, options = {}) {
+    if (options.dryRun && !this.mcpAdapter?.dryRun) {
+      return this.planWorkItem(context, options);
+    }
+
     this.logger.info('🎼 Starting WorkItem Orchestration', { 
       component: context.componentName,
       activeMode: options.enableActiveCreation
@@ -84,6 +317,8 @@ export class WorkItemOrchestrator {
 
     // To prevent UI crash, ensure we capture the content even if creation fails
     let generatedContentForUI = '';
+    // Saved run state (OrchestrationStore) — its id resumes or rolls back this run
+    let orchestration = null;
 
     try {
       // 1. Generate Content — use pre-generated content if available
@@ -118,43 +353,77 @@ export class WorkItemOrchestrator {
 
       generatedContentForUI = fullDescription;
 
+      // A structured ticket (validated schema JSON) gives the title directly and
+      // is rendered per target, with no Design References section to strip later.
+      const structuredTicket = context.ticket || null;
+
       // A. Prepare Jira Content (User/Product Focused)
       const pageName = context.fileContext?.pageName || '';
       let jiraTitle = `Implement ${context.componentName}`;
       
-      // Try to extract title safely if ticketContent is an object
-      if (typeof ticketContent === 'object' && ticketContent !== null) {
+      if (structuredTicket) {
+          jiraTitle = structuredTicket.summary;
+      } else if (typeof ticketContent === 'object' && ticketContent !== null) {
+          // Try to extract title safely if ticketContent is an object
           if (ticketContent.title) jiraTitle = ticketContent.title;
           else if (ticketContent.content && ticketContent.content.title) jiraTitle = ticketContent.content.title;
       }
 
+      // The pipeline's title template can use it as {summary}
+      const generatedSummary = jiraTitle;
+
       // Append Figma page name for traceability — helps when the same component
       // appears on multiple pages, and makes Jira search results self-explanatory.
       if (pageName && pageName !== context.componentName && !jiraTitle.includes(pageName)) {
           jiraTitle = `${jiraTitle} — ${pageName}`;
       }
       
-      const jiraDescription = this._formatForJira(fullDescription);
-      
-      const projectKey = context.projectKey || options.projectKey || mcpConfig.defaults.jiraProjectKey;
-      
-      // Read configurable defaults from env vars so this tool works across any project.
-      // Fall back to sensible values when not set.
-      let issueType = process.env.JIRA_ISSUE_TYPE || 'Task';
-      let assignee = process.env.JIRA_DEFAULT_ASSIGNEE || undefined;
-      let epicLink = process.env.JIRA_DEFAULT_EPIC || null;
-      let additionalFields = {};
-
-      // Optional numeric story points
-      if (process.env.JIRA_STORY_POINTS) {
-          const sp = parseFloat(process.env.JIRA_STORY_POINTS);
-          if (!isNaN(sp)) additionalFields['customfield_10003'] = sp;
-      }
-
-      // Optional priority override (e.g. "P3-Medium", "High")
-      if (process.env.JIRA_DEFAULT_PRIORITY) {
-          additionalFields['priority'] = { name: process.env.JIRA_DEFAULT_PRIORITY };
+      // Project profile picked in the plugin (ConfigurationService): the team's
+      // project, issue defaults and wiki locations. The request can still override
+      // them; without a profile the env defaults apply.
+      const profile = options.profile || {};
+
+      // Issue tracker for Step A (Jira, GitHub, GitLab). The jira* names below
+      // predate the other trackers and hold whichever tracker's issue.
+      // Update mode stays with the tracker the issue was filed in.
+      const tracker = this._tracker(options.update?.tracker || options.tracker || profile.tracker);
+
+      const jiraDescription = tracker.markup === 'jira'
+          ? this._formatForJira(structuredTicket ? renderTicket(structuredTicket, 'jira') : fullDescription)
+          // Markdown trackers: the body without an h1 — the issue title is separate
+          : this._generatedMarker('markdown') + (structuredTicket ? renderTicket(structuredTicket, 'confluence') : this._jiraToMarkdown(fullDescription));
+
+      const projectKey = context.projectKey || options.projectKey || profile.projectKey || tracker.defaultProject;
+
+      // Steps, titles, spaces and parent pages for this project (config/pipelines).
+      // A resumed run keeps the pipeline it started with.
+      const pipeline = options.resume?.pipeline || await loadPipeline({ name: options.pipeline || profile.pipeline, projectKey });
+      const issueStep = pipeline.steps.find(step => step.type === 'jira');
+      const planStep = pipeline.steps.find(step => step.type === 'implementationPlan') || {};
+      // Title template tokens — {issueKey} is added once Step A has the issue
+      const titleValues = { componentName: context.componentName, pageName: pageName !== context.componentName ? pageName : '', projectKey };
+      if (issueStep?.title) {
+          jiraTitle = renderTitle(issueStep.title, { ...titleValues, summary: generatedSummary });
       }
+      
+      // Issue defaults come from the profile, else from env vars, so this tool
+      // works across any project. Fall back to sensible values when not set.
+      let issueType = profile.issueType || process.env.JIRA_ISSUE_TYPE || 'Task';
+      let assignee = tracker.name === 'jira' ? profile.assignee || process.env.JIRA_DEFAULT_ASSIGNEE || undefined : undefined;
+      // Batch handoffs pass the page epic explicitly; otherwise use the project default
+      let epicLink = options.epicKey || profile.epicKey || tracker.defaultParent || null;
+
+      // Jira fields by logical name (storyPoints, team, components, labels,
+      // sprint, fixVersion, priority) — Step A's field mapper finds their IDs,
+      // checks the values against the project's create screen and sends them
+      // as additional fields. Request values win over the profile's.
+      const jiraFields = {
+          storyPoints: profile.storyPoints ?? process.env.JIRA_STORY_POINTS,
+          // e.g. "P3-Medium", "High"
+          priority: profile.priority || process.env.JIRA_DEFAULT_PRIORITY,
+          ...profile.jiraFields,
+          ...options.jiraFields,
+      };
 
       const jiraData = {
         projectKey: projectKey,
@@ -162,604 +431,1301 @@ export class WorkItemOrchestrator {
         description: jiraDescription,
         issueType: issueType,
         assignee: assignee,
-        // Components often cause failure if they don't exist in Jira. 
-        // Removing for safety unless we validate them first.
-        // components: [context.componentName], 
-        additionalFields: additionalFields
+        additionalFields: {},
+        fields: jiraFields,
+        fieldMap: profile.storyPointsField ? { storyPoints: profile.storyPointsField } : {}
       };
 
-      // Sanitize keys in additional_fields for Jira API requirements
-      // Specifically ensure numeric values are numbers, etc.
-      if (jiraData.additionalFields) {
-          for (const key of Object.keys(jiraData.additionalFields)) {
-               // Ensure Story Points is a number if it looks like a number string
-               if (key === 'customfield_10003' && typeof jiraData.additionalFields[key] === 'string') {
-                   jiraData.additionalFields[key] = parseFloat(jiraData.additionalFields[key]);
-               }
-          }
-      }
-
       // B. Prepare Wiki Content (Technical/Dev Focused)
       // Standard title without timestamp to allow for idempotency (Search-Updates)
-      const wikiTitle = pageName && pageName !== context.componentName
-          ? `Implementation Plan: ${context.componentName} — ${pageName}`
-          : `Implementation Plan: ${context.componentName}`;
+      const wikiTitle = renderTitle(planStep.title || DEFAULT_TITLES.implementationPlan, titleValues);
       
       // Add extra technical context to Wiki version if available
-      const wikiContent = this._formatForWiki(fullDescription, context);
-      const wikiSpace = context.wikiSpace || options.wikiSpace || mcpConfig.defaults.confluenceSpaceKey;
-      const wikiParentId = options.wikiParentId || mcpConfig.defaults.wikiParentId;
-      // Parent page for QA test case wiki pages — override via QA_WIKI_PARENT_ID env var
-      const qaWikiParentId = process.env.QA_WIKI_PARENT_ID || '874419925';
-
-      // C. Prepare Git Content
+      const wikiContent = structuredTicket
+          ? this._wikiHeader(context) + renderTicket(structuredTicket, 'confluence')
+          : this._formatForWiki(fullDescription, context);
+      const wikiSpace = context.wikiSpace || options.wikiSpace || planStep.space || profile.wikiSpace || mcpConfig.defaults.confluenceSpaceKey;
+      const wikiParentId = options.wikiParentId || planStep.parentId || profile.wikiParentId || mcpConfig.defaults.wikiParentId;
+      // Confluence, or Markdown files under GIT_REPO_PATH (docs as code).
+      // Update mode stays with the target the pages were written to.
+      const wikiTarget = options.update?.wiki?.target || options.wikiTarget || profile.wikiTarget || mcpConfig.docs?.target || 'confluence';
+      const wiki = this._wikiTarget(wikiTarget);
+
+      // C. Prepare Git Content — renamed with the Jira key once Step A has one
       const branchName = this._generateBranchName(context.componentName, 'feature');
       const repoPath = options.repoPath || mcpConfig.defaults.repoPath;
 
-      results.jira = { status: 'generated', content: jiraData };
-      results.wiki = { status: 'generated', content: wikiContent, title: wikiTitle, space: wikiSpace };
+      // Re-run for a frame generated before (generate route, updateExisting):
+      // { issueKey, issueUrl, wiki, qa, changes, since, revision } from history.
+      // The issue gets a comment and the pages are reused instead of duplicated.
+      const update = options.update || null;
+
+      results.jira = { status: 'generated', tracker: tracker.name, content: jiraData };
+      results.wiki = { status: 'generated', target: wikiTarget, content: wikiContent, title: wikiTitle, space: wikiSpace };
       results.git = { status: 'generated', branch: branchName, repo: repoPath };
 
       // 2. Execute Artifacts (Active Phase)
       if (options.enableActiveCreation && this.mcpAdapter && this.mcpAdapter.isAvailable) {
-        
-        let jiraIssueKey = null;
-        let jiraWebUrl = null;
-        let wikiPageUrl = null;
-        let qaWikiPageUrl = null;
-        // Tracked so Step E can back-patch the Implementation Plan wiki with the real QA link
-        let wikiPageId = null;
-        let wikiFinalTitle = null;
-        let wikiTrackedContent = null;
-        
-        // Prepare Shared Attachment (once for both Jira and Wiki)
-        // Returns { path, filename, cleanup }
-        let sharedAttachment = null;
-        if (context.screenshot || context.imagePath) {
-             sharedAttachment = await this._prepareImage(context, `preview-${context.componentName}`);
-             if (!sharedAttachment) {
-                this.logger.warn("⚠️ Screenshot image preparation returned null, check logs for details.");
-             }
-        } else {
-             this.logger.warn("⚠️ No screenshot or imagePath found in context. Skipping local attachment.");
+        orchestration = await this._runSteps({
+          context, options, results, update, pipeline, tracker, wiki, wikiTarget, structuredTicket, jiraData, epicLink,
+          titleValues, wikiTitle, wikiContent, wikiSpace, wikiParentId, repoPath,
+          content: generatedContentForUI,
+        });
+      } else {
+        this.logger.info('⏸️ Active creation disabled or MCP unavailable. Returning generated content only.');
+      }
+
+    } catch (error) {
+      this.logger.error('❌ Orchestration failed', error);
+      // Even on failure, return partial results if available
+      return { 
+          results, 
+          error: error.message,
+          content: generatedContentForUI, // Return what we generated so far
+          ...(orchestration && { orchestrationId: orchestration.id })
+      };
+    }
+
+    // Return combined result for UI
+    return { 
+        results,
+        content: generatedContentForUI,
+        ...(orchestration && { orchestrationId: orchestration.id })
+    };
+  }
+
+  /**
+   * Run the pipeline's steps in order. With an OrchestrationStore registered
+   * the run is saved after every step — its status, error and the IDs and
+   * URLs it produced — so it can be resumed or rolled back. A resumed run
+   * (options.resume) skips the steps that are done or skipped; the linking
+   * steps run again whenever an earlier step did.
+   * @param {Object} run - Inputs prepared by processWorkItem
+   * @returns {Promise<Object|null>} The orchestration record, or null when the run is not saved
+   */
+  async _runSteps(run) {
+    const { context, options, results, update } = run;
+    const resumed = options.resume || null;
+    // Shared between the steps and saved with the record: issue key, page IDs, URLs
+    run.state = resumed?.state || {
+      jiraIssueKey: null,
+      jiraWebUrl: null,
+      issueSelfUrl: null,
+      // Description as last written (wiki markup) and its uploaded media, so the
+      // Related Resources rewrite keeps the embedded design image
+      jiraDescription: null,
+      jiraMedia: {},
+      // Tracker upload of the visual diff, for imageMarkup in the update comment
+      visualDiffMedia: {},
+      wikiPageUrl: null,
+      // Tracked so Step E can back-patch the Implementation Plan wiki with the real QA link
+      wikiPageId: null,
+      wikiFinalTitle: null,
+      wikiTrackedContent: null,
+      qaWikiPageUrl: null,
+      qaPageId: null,
+      qaTitle: null,
+      qaTrackedContent: null,
+      // Further wiki pages by step id: { pageId, title, url, space, content }
+      pages: {},
+      // Remote links Step C made, so a re-run does not add them twice
+      linkedUrls: [],
+      // Sub-task keys by kind (markup, logic, …), so a resume files only the missing ones
+      subtasks: {},
+    };
+    if (resumed) {
+      // Results of the finished steps; the steps that run again overwrite theirs
+      Object.assign(results, resumed.results);
+      resumed.status = 'running';
+    } else {
+      // Artifacts of the step types the pipeline leaves out
+      for (const [type, { result }] of Object.entries(STEP_TYPES)) {
+        if (result && !run.pipeline.steps.some(step => step.type === type)) {
+          results[result] = { ...results[result], status: 'skipped', reason: `Not in the ${run.pipeline.name} pipeline` };
         }
+      }
+    }
+    const record = resumed || await this._startOrchestration(run);
+
+    // Prepare Shared Attachment (once for both Jira and Wiki)
+    // Returns { path, filename, cleanup }
+    let sharedAttachment = null;
+    if (context.screenshot || context.imagePath) {
+         // Revisions get their own filename — Jira and Confluence keep the earlier image
+         const imageId = update ? `preview-${context.componentName}-r${update.revision}` : `preview-${context.componentName}`;
+         sharedAttachment = await this._prepareImage(context, imageId);
+         if (!sharedAttachment) {
+            this.logger.warn("⚠️ Screenshot image preparation returned null, check logs for details.");
+         }
+    } else {
+         this.logger.warn("⚠️ No screenshot or imagePath found in context. Skipping local attachment.");
+    }
+
+    // Figma export URL — used as image source when file upload is unavailable.
+    // Prefer whatever was already fetched by the route; otherwise call Figma API ourselves.
+    const figmaExportUrl = context.figmaExportUrl || await this._getFigmaExportUrl(
+        context.fileContext?.fileKey || context.figmaContext?.fileKey,
+        (context.enhancedFrameData?.[0] || context.frameData?.[0])?.id
+    );
+    if (figmaExportUrl) {
+        this.logger.info(`🖼️  Figma export URL available for wiki/jira image embedding`);
+    }
+
+    // Pixel diff against the node's screenshot from the previous generation
+    const visualDiff = await this._visualDiff(context, sharedAttachment, options);
+    if (visualDiff) {
+        const { path: _path, cleanup: _cleanup, ...stats } = visualDiff;
+        results.visualDiff = stats;
+    }
+    Object.assign(run, { sharedAttachment, figmaExportUrl, visualDiff });
 
-        // Figma export URL — used as image source when file upload is unavailable.
-        // Prefer whatever was already fetched by the route; otherwise call Figma API ourselves.
-        const figmaExportUrl = context.figmaExportUrl || await this._getFigmaExportUrl(
-            context.fileContext?.fileKey || context.figmaContext?.fileKey,
-            (context.enhancedFrameData?.[0] || context.frameData?.[0])?.id
-        );
-        if (figmaExportUrl) {
-            this.logger.info(`🖼️  Figma export URL available for wiki/jira image embedding`);
+    const ran = [];
+    try {
+      for (const step of run.pipeline.steps) {
+        const previous = record?.steps[step.id]?.status;
+        if ((previous === 'done' || previous === 'skipped') && !(STEP_TYPES[step.type].rerun && ran.length > 0)) {
+          continue;
+        }
+        const startedAt = new Date().toISOString();
+        const { status, error = null, output = {} } = step.enabled
+          ? await this[STEP_TYPES[step.type].runner](run, step)
+          : this._skipStep(run, step);
+        ran.push(step.id);
+        if (record) {
+          record.steps[step.id] = { status, error, output, startedAt, finishedAt: new Date().toISOString() };
+          await this._saveOrchestration(record, run);
+        }
+      }
+    } finally {
+        // Shared Cleanup at the very end
+        if (sharedAttachment && sharedAttachment.cleanup) {
+            await sharedAttachment.cleanup();
         }
+        await visualDiff?.cleanup?.();
+    }
 
-        try {
+    if (record) {
+      record.status = Object.values(record.steps).some(step => step.status === 'failed') ? 'failed' : 'completed';
+      await this._saveOrchestration(record, run);
+    }
+    return record;
+  }
 
-        // --- Step A: Create Jira Ticket ---
-        try {
-          this.logger.info(`🏗️ MCP: Creating Jira Ticket in ${jiraData.projectKey}...`);
-          
-          // Check for existing tickets to avoid duplicates
-          // Format query carefully to match our generated titles
-          const checkJql = `project = "${jiraData.projectKey}" AND summary ~ "\\"${jiraData.summary}\\"" AND statusCategory != Done`;
-          let existingTicket = null;
-          
-          try {
-             // Only check if we are in active mode
-             const searchResult = await this.mcpAdapter.searchJiraIssues(checkJql, 1);
-             if (searchResult && searchResult.issues && searchResult.issues.length > 0) {
-                 existingTicket = searchResult.issues[0];
-                 this.logger.info(`⚠️ Found existing ticket ${existingTicket.key}, skipping creation.`);
-             }
-          } catch(searchErr) {
-             this.logger.warn(`Search check failed, proceeding with creation: ${searchErr.message}`);
-          }
+  // A step the pipeline switches off: recorded as skipped, and so is its artifact
+  _skipStep({ options, results, pipeline }, step) {
+    const reason = `Disabled in the ${pipeline.name} pipeline`;
+    const key = STEP_TYPES[step.type].result || (step.type === 'wikiPage' ? step.id : null);
+    if (key) {
+      results[key] = { ...results[key], status: 'skipped', reason };
+    }
+    this._emitProgress(options, STEP_TYPES[step.type].progress, 'skipped', { step: step.id, reason });
+    return { status: 'skipped', output: { reason } };
+  }
 
-          let jiraResult;
-          if (existingTicket) {
-              jiraResult = { 
-                  message: "Ticket already exists", 
-                  issue: existingTicket,
-                  isExisting: true
-              };
-          } else {
-              jiraResult = await this.mcpAdapter.createJiraTicket(jiraData);
-          }
-          
-          let webUrl = jiraResult.issue?.url || '';
-          let issueSelfUrl = jiraResult.issue?.self; // Extract REST API URL for the issue if available
-
-          if (jiraResult.issue?.key) jiraIssueKey = jiraResult.issue.key;
-
-          if (webUrl.includes('/rest/api/')) {
-             try {
-                const urlObj = new URL(webUrl);
-                if (jiraIssueKey) {
-                   webUrl = `${urlObj.origin}/browse/${jiraIssueKey}`;
-                   // Heuristic: If we don't have self URL but have this, maybe we can guess? 
-                   // But usually 'issue.self' is reliable from Jira API.
-                }
-             } catch(e) { /* ignore */ }
-          }
-          // Fallback: if MCP didn't return a URL, build one from env var
-          if (!webUrl && jiraIssueKey) {
-              const jiraBase = (process.env.JIRA_BASE_URL || process.env.JIRA_URL || '').replace(/\/$/, '');
-              if (jiraBase) webUrl = `${jiraBase}/browse/${jiraIssueKey}`;
-          }
-          jiraWebUrl = webUrl;
-          
-          results.jira = { status: existingTicket ? 'existing' : 'created', ...jiraResult, url: webUrl, issueKey: jiraIssueKey, content: jiraData };
-
-          // Link to Epic if needed and configured (Only if newly created or link check logic added)
-          if (jiraIssueKey && epicLink && !existingTicket) {
-             try {
-                this.logger.info(`🔗 Linking ${jiraIssueKey} to Epic ${epicLink}...`);
-                await this.mcpAdapter.linkIssueToEpic(jiraIssueKey, epicLink);
-             } catch (linkError) {
-                this.logger.warn(`⚠️ Failed to link epic: ${linkError.message}`);
-             }
-          }
-          
-          // Steps 1+2: Attach design image to Jira ticket
-          // Preferred path: upload file and embed !filename|thumbnail!
-          // Fallback: embed Figma CDN URL directly in description (no upload needed)
-          if (jiraIssueKey && !existingTicket && (sharedAttachment || figmaExportUrl)) {
-               let imageEmbeddedInJira = false;
-               if (sharedAttachment) {
-                   try {
-                       this.logger.info(`📎 [Step 1/2] Uploading screenshot to Jira ${jiraIssueKey}...`);
-                       const attResult = await this.mcpAdapter.addJiraAttachment(jiraIssueKey, sharedAttachment.path, issueSelfUrl);
-                       if (attResult?.success && attResult?.filenames?.length) {
-                           const uploadedFilename = attResult.filenames[0];
-                           this.logger.info(`📎 [Step 2/2] Embedding !${uploadedFilename}! in Jira description...`);
-                           await this.mcpAdapter.updateJiraDescription(
-                               jiraIssueKey,
-                               jiraData.description || '',
-                               uploadedFilename
-                           );
-                           imageEmbeddedInJira = true;
-                       }
-                   } catch(attErr) {
-                       this.logger.warn(`Jira file upload failed: ${attErr.message}`);
-                   }
+  /**
+   * Save a new run, unless there is no OrchestrationStore or this is a dry run.
+   * The screenshot is not kept: a resumed run embeds the Figma export URL instead.
+   * @returns {Promise<Object|null>} The stored record
+   */
+  async _startOrchestration({ context, options, results, pipeline, state, content }) {
+    if (!this.orchestrationStore || this.mcpAdapter.dryRun) {
+      return null;
+    }
+    const { screenshot: _screenshot, screenshots: _screenshots, imagePath: _imagePath, ...storedContext } = context;
+    const { onProgress: _onProgress, dryRun: _dryRun, resume: _resume, ...storedOptions } = options;
+    try {
+      return await this.orchestrationStore.create({
+        status: 'running',
+        // Resolved here so a resume runs the same steps even if the file changed
+        pipeline,
+        steps: Object.fromEntries(pipeline.steps.map(step => [step.id, { status: 'pending' }])),
+        // A resumed run starts from the same content — the LLM is not called again
+        input: { context: { ...storedContext, generatedContent: content }, options: storedOptions },
+        state,
+        results,
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Orchestration state not saved, this run cannot be resumed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _saveOrchestration(record, run) {
+    if (run) {
+      record.state = run.state;
+      record.results = run.results;
+    }
+    try {
+      await this.orchestrationStore?.save(record);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to save orchestration ${record.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Continue a saved run (POST /api/orchestrations/:id/resume): the steps
+   * that failed or never ran are executed again with the stored content,
+   * tracker and wiki target, then cross-linking catches up with whatever
+   * they produced. The record is updated in place.
+   * @param {Object} record - OrchestrationStore record
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - See _emitProgress
+   * @returns {Promise<Object>} processWorkItem result
+   */
+  async resume(record, { onProgress } = {}) {
+    const pending = record.pipeline.steps.map(step => step.id).filter(id => !['done', 'skipped'].includes(record.steps[id]?.status));
+    this.logger.info(`🔁 Resuming orchestration ${record.id}: step(s) ${pending.join(', ') || 'none'} left`);
+    return this.processWorkItem(record.input.context, { ...record.input.options, enableActiveCreation: true, resume: record, onProgress });
+  }
+
+  /**
+   * Archive what a saved run created, last step first: the branch, the QA
+   * page, the pipeline's further wiki pages, the Implementation Plan, the
+   * sub-tasks, then the issue. Whatever the run reused — an existing or updated issue, pages kept
+   * from the previous generation — is left alone, as is anything an earlier
+   * rollback already archived.
+   * @param {Object} record - OrchestrationStore record; updated in place
+   * @returns {Promise<Object>} { at, artifacts: { git, qa, <wikiPage step id>…, wiki, subtasks, jira } },
+   *          each { status: 'archived'|'skipped'|'failed', ... }
+   */
+  async rollback(record) {
+    const { results = {}, state = {} } = record;
+    const previous = record.rollback?.artifacts || {};
+    const reason = `Rolled back: orchestration ${record.id} was undone in Figma AI Ticket Generator.`;
+    const archive = async (name, created, task) => {
+      if (previous[name]?.status === 'archived') {
+        return previous[name];
+      }
+      if (!created) {
+        return { status: 'skipped', reason: 'Not created by this run' };
+      }
+      try {
+        return { status: 'archived', ...await task() };
+      } catch (error) {
+        this.logger.warn(`⚠️ Failed to archive ${name} of orchestration ${record.id}: ${error.message}`);
+        return { status: 'failed', error: error.message };
+      }
+    };
+
+    this.logger.info(`⏪ Rolling back orchestration ${record.id}`);
+    const artifacts = {};
+    artifacts.git = await archive('git', results.git?.status === 'created', () => this._archiveBranch(results.git));
+    const wiki = this._wikiTarget(results.wiki?.target);
+    const space = results.wiki?.space;
+    artifacts.qa = await archive('qa', results.qa?.status === 'created' && state.qaPageId, () =>
+      this._archiveWikiPage(wiki, { id: state.qaPageId, title: state.qaTitle, content: state.qaTrackedContent }, results.qa.space || space, reason));
+    for (const { id } of record.pipeline.steps.filter(step => step.type === 'wikiPage').reverse()) {
+      const page = state.pages?.[id];
+      artifacts[id] = await archive(id, results[id]?.status === 'created' && page?.pageId, () =>
+        this._archiveWikiPage(wiki, { id: page.pageId, title: page.title, content: page.content }, page.space, reason));
+    }
+    artifacts.wiki = await archive('wiki', results.wiki?.status === 'created' && state.wikiPageId, () =>
+      this._archiveWikiPage(wiki, { id: state.wikiPageId, title: state.wikiFinalTitle, content: state.wikiTrackedContent }, space, reason));
+    const subtaskKeys = (results.subtasks?.issues || []).filter(issue => issue.status === 'created').map(issue => issue.key);
+    artifacts.subtasks = await archive('subtasks', subtaskKeys.length > 0, async () => {
+      const tracker = this._tracker(results.jira.tracker);
+      for (const key of subtaskKeys) {
+        await tracker.archiveIssue(key, reason);
+      }
+      return { issueKeys: subtaskKeys };
+    });
+    artifacts.jira = await archive('jira', results.jira?.status === 'created' && state.jiraIssueKey, () =>
+      this._tracker(results.jira.tracker).archiveIssue(state.jiraIssueKey, reason));
+
+    record.status = 'rolled_back';
+    record.rollback = { at: new Date().toISOString(), artifacts };
+    await this._saveOrchestration(record);
+    return record.rollback;
+  }
+
+  // Only local branches can be renamed — the git MCP server has no tool for it
+  async _archiveBranch(git) {
+    if (git.provider !== 'local' || !this.localGit) {
+      return { status: 'skipped', reason: `Branch ${git.branch} was created through the git MCP server, which cannot rename it` };
+    }
+    return this.localGit.archiveBranch(git.branch, git.content?.repoPath);
+  }
+
+  /**
+   * Repo docs pages move into archive/; Confluence pages are retitled
+   * "[Archived] …" with a note on top, keeping their history.
+   */
+  async _archiveWikiPage(wiki, page, space, reason) {
+    if (wiki.archiveWikiPage) {
+      return wiki.archiveWikiPage(page.id);
+    }
+    const title = `[Archived] ${page.title}`;
+    await wiki.updateWikiPage(page.id, title, this._wikiPageBody(`> **Archived.** ${reason}\n\n${page.content || ''}`, space, wiki));
+    return { id: page.id, title };
+  }
+
+  /**
+   * Step A: file the issue (or reuse a duplicate / the previous generation's),
+   * put it under the epic and embed the design image.
+   * @param {Object} run - See _runSteps
+   * @returns {Promise<Object>} { status: 'done'|'failed', error?, output: { issueKey, url } }
+   */
+  async _stepIssue(run) {
+    const { options, results, update, tracker, jiraData, epicLink, sharedAttachment, figmaExportUrl, visualDiff, state } = run;
+    this._emitProgress(options, 'A', 'started');
+    try {
+      this.logger.info(`🏗️ ${tracker.label}: Creating issue in ${jiraData.projectKey}...`);
+      
+      // Check for existing tickets to avoid duplicates
+      let existingTicket = update?.issueKey ? { key: update.issueKey, url: update.issueUrl } : null;
+      
+      // Open issues worded like this one (Jira) — the plugin offers them from the dry-run plan
+      let similar = [];
+      
+      if (existingTicket) {
+         this.logger.info(`🔁 Updating ${existingTicket.key} from the previous generation.`);
+      } else if (options.linkIssue) {
+         existingTicket = { key: options.linkIssue, url: tracker.issueUrl(options.linkIssue) };
+         this.logger.info(`🔗 Using ${existingTicket.key} chosen in the plan instead of a new issue.`);
+      } else {
+         try {
+            // Only check if we are in active mode
+            existingTicket = await tracker.findDuplicate(jiraData.projectKey, jiraData.summary);
+            if (existingTicket) {
+                this.logger.info(`⚠️ Found existing ticket ${existingTicket.key}, skipping creation.`);
+            }
+         } catch(searchErr) {
+            this.logger.warn(`Search check failed, proceeding with creation: ${searchErr.message}`);
+         }
+         if (!existingTicket && typeof tracker.findSimilar === 'function') {
+            try {
+               similar = await tracker.findSimilar(jiraData.projectKey, { summary: jiraData.summary, description: jiraData.description });
+               if (similar.length > 0) {
+                   this.logger.info(`🔎 Similar open issues: ${similar.map(issue => `${issue.key} (${issue.score})`).join(', ')}`);
                }
-               // Fallback: file upload unavailable — embed Figma export URL directly
-               if (!imageEmbeddedInJira && figmaExportUrl) {
-                   try {
-                       this.logger.info(`📎 Embedding Figma export URL in Jira ${jiraIssueKey} description (no upload)...`);
-                       await this.mcpAdapter.updateJiraDescription(
-                           jiraIssueKey,
+            } catch (similarErr) {
+               this.logger.warn(`Similar issue search failed: ${similarErr.message}`);
+            }
+         }
+      }
+
+      let jiraResult;
+      if (existingTicket) {
+          jiraResult = { 
+              message: "Ticket already exists", 
+              issue: existingTicket,
+              isExisting: true
+          };
+      } else {
+          jiraResult = await tracker.createIssue(jiraData);
+      }
+      
+      let webUrl = jiraResult.issue?.url || '';
+      state.issueSelfUrl = jiraResult.issue?.self; // Extract REST API URL for the issue if available
+
+      if (jiraResult.issue?.key) state.jiraIssueKey = jiraResult.issue.key;
+
+      if (webUrl.includes('/rest/api/')) {
+         try {
+            const urlObj = new URL(webUrl);
+            if (state.jiraIssueKey) {
+               webUrl = `${urlObj.origin}/browse/${state.jiraIssueKey}`;
+               // Heuristic: If we don't have self URL but have this, maybe we can guess? 
+               // But usually 'issue.self' is reliable from Jira API.
+            }
+         } catch(e) { /* ignore */ }
+      }
+      // Fallback: if MCP didn't return a URL, build one (JIRA_BASE_URL for Jira)
+      if (!webUrl && state.jiraIssueKey) {
+          webUrl = tracker.issueUrl(state.jiraIssueKey) || '';
+      }
+      state.jiraWebUrl = webUrl;
+      
+      results.jira = {
+        status: existingTicket ? 'existing' : 'created', tracker: tracker.name, ...jiraResult, url: webUrl, issueKey: state.jiraIssueKey, content: jiraData,
+        ...(similar.length > 0 && { similar }),
+        ...(options.linkIssue && !update?.issueKey && { linked: true }),
+      };
+
+      // Link to Epic if configured. Existing tickets are only re-linked when the
+      // caller asked for a specific epic (batch handoff of a whole page).
+      if (state.jiraIssueKey && epicLink && (!existingTicket || options.epicKey)) {
+         try {
+            this.logger.info(`🔗 Linking ${state.jiraIssueKey} to ${epicLink}...`);
+            const linkResult = await tracker.addToParent(state.jiraIssueKey, epicLink);
+            results.jira.epic = { key: epicLink, linked: !!linkResult };
+         } catch (linkError) {
+            this.logger.warn(`⚠️ Failed to link epic: ${linkError.message}`);
+            results.jira.epic = { key: epicLink, linked: false, error: linkError.message };
+         }
+      }
+
+      if (state.jiraIssueKey && visualDiff?.path) {
+         try {
+            const diffUpload = await tracker.attachFiles(state.jiraIssueKey, visualDiff.path, state.issueSelfUrl);
+            results.visualDiff.jira = diffUpload?.success ? 'attached' : 'failed';
+            state.visualDiffMedia = diffUpload?.media || {};
+         } catch (diffErr) {
+            this.logger.warn(`Visual diff upload to Jira failed: ${diffErr.message}`);
+            results.visualDiff.jira = 'failed';
+         }
+      }
+
+      if (state.jiraIssueKey && update) {
+         results.jira.status = 'updated';
+         results.jira.comment = await this._postDesignChangeComment(tracker, state.jiraIssueKey, update, {
+             sharedAttachment, figmaExportUrl, issueSelfUrl: state.issueSelfUrl,
+             visualDiff: results.visualDiff?.jira === 'attached' ? results.visualDiff : null,
+             visualDiffMedia: state.visualDiffMedia,
+         });
+      }
+      
+      // Steps 1+2: Attach design image to Jira ticket
+      // Preferred path: upload file and embed !filename|thumbnail!
+      // Fallback: embed Figma CDN URL directly in description (no upload needed)
+      if (state.jiraIssueKey && !existingTicket && (sharedAttachment || figmaExportUrl)) {
+           let imageEmbeddedInJira = false;
+           if (sharedAttachment) {
+               try {
+                   this.logger.info(`📎 [Step 1/2] Uploading screenshot to ${state.jiraIssueKey}...`);
+                   const attResult = await tracker.attachFiles(state.jiraIssueKey, sharedAttachment.path, state.issueSelfUrl);
+                   if (attResult?.success && attResult?.filenames?.length) {
+                       const uploadedFilename = attResult.filenames[0];
+                       this.logger.info(`📎 [Step 2/2] Embedding ${uploadedFilename} in ${state.jiraIssueKey} description...`);
+                       const embedded = await tracker.embedImage(
+                           state.jiraIssueKey,
                            jiraData.description || '',
-                           figmaExportUrl
+                           uploadedFilename,
+                           attResult.media?.[uploadedFilename]
                        );
-                   } catch(urlErr) {
-                       this.logger.warn(`Failed to embed design image URL in Jira: ${urlErr.message}`);
+                       state.jiraDescription = embedded?.description ?? state.jiraDescription;
+                       state.jiraMedia = embedded?.media ?? state.jiraMedia;
+                       imageEmbeddedInJira = true;
                    }
+               } catch(attErr) {
+                   this.logger.warn(`${tracker.label} file upload failed: ${attErr.message}`);
                }
-          }
+           }
+           // Fallback: file upload unavailable — embed Figma export URL directly
+           if (!imageEmbeddedInJira && figmaExportUrl) {
+               try {
+                   this.logger.info(`📎 Embedding Figma export URL in ${state.jiraIssueKey} description (no upload)...`);
+                   const embedded = await tracker.embedImage(
+                       state.jiraIssueKey,
+                       jiraData.description || '',
+                       figmaExportUrl
+                   );
+                   state.jiraDescription = embedded?.description ?? state.jiraDescription;
+               } catch(urlErr) {
+                   this.logger.warn(`Failed to embed design image URL in ${state.jiraIssueKey}: ${urlErr.message}`);
+               }
+           }
+      }
+
+      this._emitProgress(options, 'A', 'completed', { issueKey: state.jiraIssueKey, url: state.jiraWebUrl, existing: !!existingTicket });
+      return { status: 'done', output: { issueKey: state.jiraIssueKey, url: state.jiraWebUrl } };
+    } catch (error) {
+      this.logger.error(`Failed to create ${tracker.label} issue`, error);
+      results.jira = { status: 'failed', tracker: tracker.name, error: error.message };
+      this._emitProgress(options, 'A', 'failed', { error: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Sub-tasks under the issue (pipeline step `subtasks`, Jira only): the
+   * ticket broken down by subtask-breakdown.js — markup, logic, styling,
+   * accessibility, QA — each with its own description and story-point
+   * estimate (unless the step sets `estimates: false`). Filed with the
+   * step's issueType, else JIRA_SUBTASK_TYPE, else "Sub-task". Sub-tasks an
+   * existing issue already has, or an earlier attempt filed, are kept.
+   * @returns {Promise<Object>} { status: 'done'|'skipped'|'failed', error?, output: { subtasks } }
+   */
+  async _stepSubtasks(run, step) {
+    const { context, options, results, update, tracker, structuredTicket, jiraData, state } = run;
+    const skip = (reason) => {
+      results.subtasks = { status: 'skipped', reason };
+      this._emitProgress(options, 'A', 'skipped', { step: step.id, reason });
+      return { status: 'skipped', output: { reason } };
+    };
+    if (typeof tracker.createSubtask !== 'function') {
+      return skip(`${tracker.label} has no sub-tasks`);
+    }
+    if (update) {
+      return skip('Sub-tasks were filed with the original ticket');
+    }
+    if (!state.jiraIssueKey) {
+      const error = 'No issue to file sub-tasks under';
+      results.subtasks = { status: 'failed', error };
+      this._emitProgress(options, 'A', 'failed', { step: step.id, error });
+      return { status: 'failed', error };
+    }
 
-        } catch (error) {
-          this.logger.error('Failed to create Jira ticket', error);
-          results.jira = { status: 'failed', error: error.message };
+    this._emitProgress(options, 'A', 'started', { step: step.id });
+    // Runs saved before sub-tasks existed have no entry for them
+    state.subtasks ||= {};
+    const breakdown = breakdownSubtasks({
+      ticket: structuredTicket,
+      content: run.content,
+      techStack: context.techStack,
+      componentName: context.componentName,
+    });
+    // A duplicate issue found by Step A may have its sub-tasks already
+    const existing = results.jira?.status === 'existing'
+      ? await tracker.listSubtasks(state.jiraIssueKey).catch(error => {
+          this.logger.warn(`Could not list sub-tasks of ${state.jiraIssueKey}: ${error.message}`);
+          return [];
+        })
+      : [];
+
+    const issues = [];
+    const errors = [];
+    for (const subtask of breakdown) {
+      // Filed by an earlier attempt of this run, or already on the issue
+      const filed = state.subtasks[subtask.kind];
+      const found = filed || existing.find(issue => issue.summary.toLowerCase() === subtask.summary.toLowerCase())?.key;
+      if (found) {
+        issues.push({ key: found, kind: subtask.kind, summary: subtask.summary, estimate: subtask.estimate, url: tracker.issueUrl(found), status: filed ? 'created' : 'existing' });
+        continue;
+      }
+      try {
+        const created = await tracker.createSubtask(state.jiraIssueKey, {
+          projectKey: jiraData.projectKey,
+          summary: subtask.summary,
+          description: renderSubtask(subtask, state.jiraIssueKey),
+          issueType: step.issueType || process.env.JIRA_SUBTASK_TYPE || 'Sub-task',
+          assignee: jiraData.assignee,
+          additionalFields: {},
+          fields: step.estimates === false ? {} : { storyPoints: subtask.estimate },
+          fieldMap: jiraData.fieldMap,
+        });
+        const key = created?.issue?.key;
+        if (!key) {
+          throw new Error('no issue key returned');
         }
+        state.subtasks[subtask.kind] = key;
+        issues.push({ key, kind: subtask.kind, summary: subtask.summary, estimate: subtask.estimate, url: created.issue.url || tracker.issueUrl(key), status: 'created' });
+      } catch (error) {
+        this.logger.warn(`Sub-task "${subtask.summary}" failed: ${error.message}`);
+        errors.push(`${subtask.summary}: ${error.message}`);
+      }
+    }
 
-        // --- Step B: Create Wiki Page ---
-        try {
-          this.logger.info(`docx MCP: Creating/Updating Wiki Page in ${wikiSpace}...`);
+    results.subtasks = {
+      status: errors.length > 0 ? 'failed' : issues.some(issue => issue.status === 'created') ? 'created' : 'existing',
+      issues,
+      ...(errors.length > 0 && { error: errors.join('; ') }),
+    };
+    if (errors.length > 0) {
+      this._emitProgress(options, 'A', 'failed', { step: step.id, error: results.subtasks.error });
+      return { status: 'failed', error: results.subtasks.error, output: { subtasks: state.subtasks } };
+    }
+    this.logger.info(`✅ ${issues.length} sub-task(s) under ${state.jiraIssueKey}`);
+    this._emitProgress(options, 'A', 'completed', { step: step.id, subtasks: issues.map(issue => issue.key) });
+    return { status: 'done', output: { subtasks: state.subtasks } };
+  }
 
-          // Inject Jira Link if available (Wiki -> Jira)
-          let finalWikiContent = wikiContent;
+  /**
+   * Step B: write the Implementation Plan page (or rewrite the previous
+   * generation's) with the design image.
+   * @returns {Promise<Object>} { status: 'done'|'failed', error?, output: { pageId, title, url } }
+   */
+  async _stepImplementationPlan(run) {
+    const { context, options, results, update, wiki, wikiTarget, wikiTitle, wikiContent, wikiSpace, wikiParentId, sharedAttachment, figmaExportUrl, visualDiff, state } = run;
+    this._emitProgress(options, 'B', 'started');
+    // Declared out here for the retry context in the catch
+    let finalWikiTitle = wikiTitle;
+    let safeContent = String(wikiContent || 'No content generated');
+    try {
+      this.logger.info(`docx MCP: Creating/Updating Wiki Page in ${wikiSpace}...`);
 
-          if (jiraWebUrl && jiraIssueKey) {
-              // Add Related Work to the top metadata section
-              const relatedLink = `**Related Work:** [${jiraIssueKey}](${jiraWebUrl})\n`;
-              if (finalWikiContent.includes('**Source:**')) {
-                  finalWikiContent = finalWikiContent.replace('**Source:** Figma Component\n', `**Source:** Figma Component\n${relatedLink}`);
-              } else {
-                  finalWikiContent = relatedLink + '\n' + finalWikiContent;
-              }
-          }
-          
-          // Idempotency: Check if page exists OR create unique if needed
-          let wikiResult = null;
-          let finalWikiTitle = wikiTitle;
+      // Inject Jira Link if available (Wiki -> Jira)
+      let finalWikiContent = this._withRelatedWork(wikiContent, state);
+      
+      // A resumed run may have the QA page from Step E already — link it straight away
+      if (state.qaWikiPageUrl) {
+          finalWikiContent = finalWikiContent.replace('**QA Test Case:** TBD', `**QA Test Case:** [View QA Test Case](${state.qaWikiPageUrl})`);
+      }
+
+      // Idempotency: Check if page exists OR create unique if needed
+      let wikiResult = null;
 
+      // Update mode: rewrite the previous run's page in place (Confluence bumps
+      // its version). Falls through to creation when the page is gone.
+      const existingPage = update ? await this._findWikiPageToUpdate(update.wiki, wikiSpace, wiki) : null;
+      if (existingPage) {
+          finalWikiTitle = existingPage.title;
+          finalWikiContent = this._withDesignChangeNote(finalWikiContent, update, results.visualDiff);
+      } else {
           // Optimization: Try to find a free slot using search first (faster than failing creations)
           try {
-              finalWikiTitle = await this._getUniqueWikiTitle(wikiTitle, wikiSpace);
+              finalWikiTitle = await this._getUniqueWikiTitle(wikiTitle, wikiSpace, wiki);
               this.logger.info(`📄 Determined potential unique Wiki title: "${finalWikiTitle}"`);
           } catch (e) {
               this.logger.warn(`Failed to predict unique title, falling back to sequential creation`, e);
           }
+      }
 
-          // Ensure content is string
-          const safeContent = String(finalWikiContent || 'No content generated');
-          
-          // Robust Creation Loop: Handle race conditions or incorrect predictions
-          let created = false;
-          let loops = 0;
-          const maxLoops = 5;
+      // Ensure content is string
+      safeContent = String(finalWikiContent || 'No content generated');
+      
+      // Robust Creation Loop: Handle race conditions or incorrect predictions
+      let created = false;
+      let loops = 0;
+      const maxLoops = 5;
+
+      if (existingPage) {
+          this.logger.info(`📝 Updating "${finalWikiTitle}" in place (page ${existingPage.id}, v${existingPage.version})`);
+          await wiki.updateWikiPage(existingPage.id, finalWikiTitle, this._wikiPageBody(safeContent, wikiSpace, wiki), existingPage.version);
+          // Same shape as a create result, for the image embed and URL extraction below
+          wikiResult = { id: existingPage.id, version: { number: existingPage.version + 1 }, page: { id: existingPage.id, url: existingPage.url } };
+          created = true;
+          state.wikiPageId = existingPage.id;
+          state.wikiFinalTitle = finalWikiTitle;
+          state.wikiTrackedContent = safeContent;
+      }
 
-          while (!created && loops < maxLoops) {
-              try {
-                  // If we are looping (loops > 0), simple increment logic on top of whatever title we have/started with
-                  // Or better: parse the counter from title and increment?
-                  // Easier: just append timestamp if we are failing loops, or rely on _getUniqueWikiTitle to have done mostly right job.
-                  
-                  // Logic: 
-                  // 1. Try 'finalWikiTitle' (from prediction).
-                  // 2. If fail, derived new title, retry.
-                  
-                  if (loops > 0) {
-                      // Deterministic suffix — guarantees each retry has a different title
-                      finalWikiTitle = `${wikiTitle} (${loops})`;
-                  }
+      while (!created && loops < maxLoops) {
+          try {
+              // If we are looping (loops > 0), simple increment logic on top of whatever title we have/started with
+              // Or better: parse the counter from title and increment?
+              // Easier: just append timestamp if we are failing loops, or rely on _getUniqueWikiTitle to have done mostly right job.
+              
+              // Logic: 
+              // 1. Try 'finalWikiTitle' (from prediction).
+              // 2. If fail, derived new title, retry.
+              
+              if (loops > 0) {
+                  // Deterministic suffix — guarantees each retry has a different title
+                  finalWikiTitle = `${wikiTitle} (${loops})`;
+              }
 
-                  this.logger.info(`🚀 Attempting creation: "${finalWikiTitle}" (Attempt ${loops + 1})`);
-                  wikiResult = await this.mcpAdapter.createWikiPage(finalWikiTitle, safeContent, wikiSpace, wikiParentId);
-                  created = true;
-                  // Hoist for QA link back-patch (Step E)
-                  wikiPageId = wikiResult?.id || wikiResult?.page?.id || null;
-                  wikiFinalTitle = finalWikiTitle;
-                  wikiTrackedContent = safeContent;
-
-              } catch (createErr) {
-                  const msg = (createErr.message || '').toLowerCase();
-                  // Include '500' and 'internal server error' as potential indicators of trash-conflict on some Confluence versions.
-                  // Also include 'error calling tool' — the Confluence MCP wraps ALL underlying errors
-                  // (duplicate title, trash conflict, etc.) in this generic message, so we must
-                  // treat it as retryable and append a unique suffix on the next attempt.
-                  if (msg.includes('exist') || msg.includes('conflict') || msg.includes('unique') || msg.includes('500') || msg.includes('internal server error') || msg.includes('error calling tool')) {
-                      this.logger.warn(`⚠️ Title "${finalWikiTitle}" unavailable or server error (Conflict/Trash?). Retrying with unique suffix... Error: ${msg}`);
-                      loops++;
-                  } else {
-                      // If it's not a conflict, it's a real error. Rethrow.
-                      throw createErr;
-                  }
+              this.logger.info(`🚀 Attempting creation: "${finalWikiTitle}" (Attempt ${loops + 1})`);
+              wikiResult = await wiki.createWikiPage(finalWikiTitle, this._wikiPageBody(safeContent, wikiSpace, wiki), wikiSpace, wikiParentId, this._pageMeta(context, state));
+              created = true;
+              // Hoist for QA link back-patch (Step E)
+              state.wikiPageId = wikiResult?.id || wikiResult?.page?.id || null;
+              state.wikiFinalTitle = finalWikiTitle;
+              state.wikiTrackedContent = safeContent;
+
+          } catch (createErr) {
+              const msg = (createErr.message || '').toLowerCase();
+              // Include '500' and 'internal server error' as potential indicators of trash-conflict on some Confluence versions.
+              // Also include 'error calling tool' — the Confluence MCP wraps ALL underlying errors
+              // (duplicate title, trash conflict, etc.) in this generic message, so we must
+              // treat it as retryable and append a unique suffix on the next attempt.
+              if (msg.includes('exist') || msg.includes('conflict') || msg.includes('unique') || msg.includes('500') || msg.includes('internal server error') || msg.includes('error calling tool')) {
+                  this.logger.warn(`⚠️ Title "${finalWikiTitle}" unavailable or server error (Conflict/Trash?). Retrying with unique suffix... Error: ${msg}`);
+                  loops++;
+              } else {
+                  // If it's not a conflict, it's a real error. Rethrow.
+                  throw createErr;
               }
           }
+      }
 
-          if (!created) {
-              throw new Error(`Failed to create Wiki page after ${maxLoops} attempts due to conflicts.`);
-          }
-          
-          // Two-step image attachment for Confluence:
-          // Step 1: Upload file to page. Step 2: Only if upload confirmed, update page body with image reference.
-          if ((sharedAttachment || figmaExportUrl) && wikiResult && !wikiResult.error) {
-               // Resolve Page ID and version from diverse possible response shapes
-               const pageId = wikiResult.id || wikiResult.page?.id || null;
-               const pageVersion = wikiResult.version?.number ?? wikiResult.page?.version?.number ?? 1;
-               const pageTitle = finalWikiTitle;
-
-               // Resolve Self Link for direct attachment upload.
-               // Prefer _links.self (REST API URL like https://wiki.corp/rest/api/content/12345).
-               // Fall back to deriving the origin from the human-readable page URL.
-               let pageSelfLink = wikiResult._links?.self || wikiResult.page?._links?.self || null;
-               if (!pageSelfLink && pageId) {
-                   const pageWebUrl = wikiResult.page?.url || wikiResult.url;
-                   if (pageWebUrl) {
-                       try {
-                           const origin = new URL(pageWebUrl).origin;
-                           pageSelfLink = `${origin}/rest/api/content/${pageId}`;
-                           this.logger.info(`🔗 Derived Confluence REST URL from page URL: ${pageSelfLink}`);
-                       } catch (e) { /* ignore bad URL */ }
-                   }
+      if (!created) {
+          throw new Error(`Failed to create Wiki page after ${maxLoops} attempts due to conflicts.`);
+      }
+      
+      // Two-step image attachment for Confluence:
+      // Step 1: Upload file to page. Step 2: Only if upload confirmed, update page body with image reference.
+      if ((sharedAttachment || figmaExportUrl) && wikiResult && !wikiResult.error) {
+           // Resolve Page ID and version from diverse possible response shapes
+           const pageId = wikiResult.id || wikiResult.page?.id || null;
+           const pageVersion = wikiResult.version?.number ?? wikiResult.page?.version?.number ?? 1;
+           const pageTitle = finalWikiTitle;
+
+           // Resolve Self Link for direct attachment upload.
+           // Prefer _links.self (REST API URL like https://wiki.corp/rest/api/content/12345).
+           // Fall back to deriving the origin from the human-readable page URL.
+           let pageSelfLink = wikiResult._links?.self || wikiResult.page?._links?.self || null;
+           if (!pageSelfLink && pageId) {
+               const pageWebUrl = wikiResult.page?.url || wikiResult.url;
+               if (pageWebUrl) {
+                   try {
+                       const origin = new URL(pageWebUrl).origin;
+                       pageSelfLink = `${origin}/rest/api/content/${pageId}`;
+                       this.logger.info(`🔗 Derived Confluence REST URL from page URL: ${pageSelfLink}`);
+                   } catch (e) { /* ignore bad URL */ }
                }
+           }
 
-               if (pageId) {
-                   // Determine image markdown to inject.
-                   // Priority: confirmed file upload → Figma export URL fallback.
-                   let imageMarkdownToInject = null;
-
-                   if (sharedAttachment) {
-                       try {
-                           this.logger.info(`📎 [Step 1/2] Uploading screenshot to Confluence page ${pageId}...`);
-                           const wikiAttResult = await this.mcpAdapter.addWikiAttachment(pageId, sharedAttachment.path, pageSelfLink);
-                           if (wikiAttResult?.success === true) {
-                               imageMarkdownToInject = `\n![Design Preview](${sharedAttachment.filename})\n`;
-                               this.logger.info(`📎 [Step 2/2] Confirmed upload. Will embed: ![${sharedAttachment.filename}]`);
-                           } else if (figmaExportUrl) {
-                               imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
-                               this.logger.info(`📎 Upload not confirmed — falling back to Figma export URL.`);
-                           }
-                       } catch (attErr) {
-                           this.logger.warn(`Wiki file upload failed: ${attErr.message}`);
-                           if (figmaExportUrl) {
-                               imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
-                               this.logger.info(`📎 Upload errored — falling back to Figma export URL.`);
-                           }
-                       }
-                   } else if (figmaExportUrl) {
-                       // No local file at all — embed Figma CDN URL directly (no upload step needed)
-                       imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
-                       this.logger.info(`📎 No local attachment — embedding Figma export URL in Confluence page.`);
-                   }
+           if (pageId) {
+               // Determine image markdown to inject.
+               // Priority: confirmed file upload → Figma export URL fallback.
+               let imageMarkdownToInject = null;
 
-                   if (imageMarkdownToInject) {
-                       let updatedContent = finalWikiContent;
-                       if (updatedContent.includes('---\n\n')) {
-                           updatedContent = updatedContent.replace('---\n\n', `---\n\n${imageMarkdownToInject}\n`);
-                       } else {
-                           updatedContent = `${imageMarkdownToInject}\n${updatedContent}`;
+               if (sharedAttachment) {
+                   try {
+                       this.logger.info(`📎 [Step 1/2] Uploading screenshot to Confluence page ${pageId}...`);
+                       const wikiAttResult = await wiki.addWikiAttachment(pageId, sharedAttachment.path, pageSelfLink);
+                       if (wikiAttResult?.success === true) {
+                           imageMarkdownToInject = `\n![Design Preview](${sharedAttachment.filename})\n`;
+                           this.logger.info(`📎 [Step 2/2] Confirmed upload. Will embed: ![${sharedAttachment.filename}]`);
+                       } else if (figmaExportUrl) {
+                           imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
+                           this.logger.info(`📎 Upload not confirmed — falling back to Figma export URL.`);
                        }
-                       try {
-                           await this.mcpAdapter.updateWikiPage(pageId, pageTitle, updatedContent, pageVersion);
-                           this.logger.info(`✅ Confluence page updated with design image (v${pageVersion} → v${pageVersion + 1})`);
-                           wikiTrackedContent = updatedContent; // keep latest content for QA back-patch
-                       } catch (updateErr) {
-                           this.logger.warn(`⚠️ Wiki page image injection failed: ${updateErr.message}`);
+                   } catch (attErr) {
+                       this.logger.warn(`Wiki file upload failed: ${attErr.message}`);
+                       if (figmaExportUrl) {
+                           imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
+                           this.logger.info(`📎 Upload errored — falling back to Figma export URL.`);
                        }
                    }
-               } else {
-                   this.logger.warn('⚠️ Could not determine Page ID for Wiki image embedding', wikiResult);
+               } else if (figmaExportUrl) {
+                   // No local file at all — embed Figma CDN URL directly (no upload step needed)
+                   imageMarkdownToInject = `\n![Design Preview](${figmaExportUrl})\n`;
+                   this.logger.info(`📎 No local attachment — embedding Figma export URL in Confluence page.`);
                }
-          }
 
-          results.wiki = { status: 'created', ...wikiResult, content: finalWikiContent };
-          
-          // Improved URL extraction
-          if (wikiResult && wikiResult.page) {
-             if (wikiResult.page.url) {
-                  // Direct URL provided (often from REST API v2 or simplified response)
-                  wikiPageUrl = wikiResult.page.url;
-             } else if (wikiResult.page._links && wikiResult.page._links.base && wikiResult.page._links.webui) {
-                  // Standard REST API v1 — strip trailing slash from base to avoid double //
-                  wikiPageUrl = `${wikiResult.page._links.base.replace(/\/+$/, '')}${wikiResult.page._links.webui}`;
-             }
-          } else if (wikiResult && wikiResult._links && wikiResult._links.base) {
-             // Fallback for top-level result
-             wikiPageUrl = `${wikiResult._links.base.replace(/\/+$/, '')}${wikiResult._links.webui}`;
-          }
-          
-          // Ensure URL is available in the result for UI
-          results.wiki.url = wikiPageUrl;
-
-        } catch (e) {
-          this.logger.error(`Failed to create Wiki page: ${e.message}`, e);
-          results.wiki.error = e.message;
-          results.wiki.status = 'failed_creation';
-          // Surface enough context for the UI to offer a one-click retry
-          results.wiki.retryContext = { title: finalWikiTitle, content: safeContent, spaceKey: wikiSpace, parentId: wikiParentId };
-        }
+               if (imageMarkdownToInject) {
+                   let updatedContent = finalWikiContent;
+                   if (updatedContent.includes('---\n\n')) {
+                       updatedContent = updatedContent.replace('---\n\n', `---\n\n${imageMarkdownToInject}\n`);
+                   } else {
+                       updatedContent = `${imageMarkdownToInject}\n${updatedContent}`;
+                   }
+                   try {
+                       await wiki.updateWikiPage(pageId, pageTitle, this._wikiPageBody(updatedContent, wikiSpace, wiki), pageVersion);
+                       this.logger.info(`✅ Confluence page updated with design image (v${pageVersion} → v${pageVersion + 1})`);
+                       state.wikiTrackedContent = updatedContent; // keep latest content for QA back-patch
+                   } catch (updateErr) {
+                       this.logger.warn(`⚠️ Wiki page image injection failed: ${updateErr.message}`);
+                   }
+               }
 
-        // --- Step E: Create QA Test Case Wiki Page ---
-        try {
-          this.logger.info(`📋 MCP: Creating QA Test Case wiki page...`);
-
-          // Brief pause to avoid Confluence MCP rate-limiting immediately after solution-wiki creation
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-          // Title: "PageName - JIRA-123 - ComponentName" (parts omitted when redundant)
-          let qaTitle = [
-              pageName && pageName !== context.componentName ? pageName : null,
-              jiraIssueKey,
-              context.componentName
-          ].filter(Boolean).join(' - ');
-          const qaBaseTitle = qaTitle;
-
-          const qaContent = this._buildQaWikiContent({
-              componentName: context.componentName,
-              jiraIssueKey,
-              jiraWebUrl,
-              wikiPageUrl,
-          });
-
-          // Robust retry loop — same pattern as Solution Wiki creation
-          let qaResult = null;
-          let qaCreated = false;
-          let qaLoops = 0;
-          const maxQaLoops = 5;
-
-          while (!qaCreated && qaLoops < maxQaLoops) {
-              try {
-                  const currentQaTitle = qaLoops > 0 ? `${qaBaseTitle} (${qaLoops})` : qaBaseTitle;
-                  this.logger.info(`🚀 QA Attempting creation: "${currentQaTitle}" (Attempt ${qaLoops + 1})`);
-                  qaResult = await this.mcpAdapter.createWikiPage(currentQaTitle, qaContent, wikiSpace, qaWikiParentId);
-                  qaTitle = currentQaTitle; // capture final title (may have suffix)
-                  qaCreated = true;
-              } catch (qaCreateErr) {
-                  const qmsg = (qaCreateErr.message || '').toLowerCase();
-                  if (qmsg.includes('exist') || qmsg.includes('conflict') || qmsg.includes('unique') || qmsg.includes('500') || qmsg.includes('internal server error') || qmsg.includes('error calling tool')) {
-                      this.logger.warn(`⚠️ QA title unavailable or server error (Attempt ${qaLoops + 1}). Retrying... Error: ${qmsg}`);
-                      qaLoops++;
-                  } else {
-                      throw qaCreateErr;
-                  }
+               if (visualDiff?.path) {
+                   try {
+                       const diffUpload = await wiki.addWikiAttachment(pageId, visualDiff.path, pageSelfLink);
+                       results.visualDiff.wiki = diffUpload?.success ? 'attached' : 'failed';
+                   } catch (diffErr) {
+                       this.logger.warn(`Visual diff upload to Confluence failed: ${diffErr.message}`);
+                       results.visualDiff.wiki = 'failed';
+                   }
+               }
+           } else {
+               this.logger.warn('⚠️ Could not determine Page ID for Wiki image embedding', wikiResult);
+           }
+      }
+
+      results.wiki = { status: existingPage ? 'updated' : 'created', target: wikiTarget, ...wikiResult, content: finalWikiContent, title: finalWikiTitle, pageId: state.wikiPageId, space: wikiSpace };
+      
+      // Improved URL extraction
+      if (wikiResult && wikiResult.page) {
+         if (wikiResult.page.url) {
+              // Direct URL provided (often from REST API v2 or simplified response)
+              state.wikiPageUrl = wikiResult.page.url;
+         } else if (wikiResult.page._links && wikiResult.page._links.base && wikiResult.page._links.webui) {
+              // Standard REST API v1 — strip trailing slash from base to avoid double //
+              state.wikiPageUrl = `${wikiResult.page._links.base.replace(/\/+$/, '')}${wikiResult.page._links.webui}`;
+         }
+      } else if (wikiResult && wikiResult._links && wikiResult._links.base) {
+         // Fallback for top-level result
+         state.wikiPageUrl = `${wikiResult._links.base.replace(/\/+$/, '')}${wikiResult._links.webui}`;
+      }
+      
+      // Ensure URL is available in the result for UI
+      results.wiki.url = state.wikiPageUrl;
+      this._emitProgress(options, 'B', 'completed', { url: state.wikiPageUrl, title: state.wikiFinalTitle });
+      return { status: 'done', output: { pageId: state.wikiPageId, title: state.wikiFinalTitle, url: state.wikiPageUrl } };
+
+    } catch (e) {
+      this.logger.error(`Failed to create Wiki page: ${e.message}`, e);
+      results.wiki.error = e.message;
+      results.wiki.status = 'failed_creation';
+      // Surface enough context for the UI to offer a one-click retry
+      results.wiki.retryContext = { title: finalWikiTitle, content: safeContent, spaceKey: wikiSpace, parentId: wikiParentId };
+      this._emitProgress(options, 'B', 'failed', { error: e.message });
+      return { status: 'failed', error: e.message };
+    }
+  }
+
+  /**
+   * A further wiki page from the pipeline (type wikiPage): the Implementation
+   * Plan once more under its own title, space and parent — e.g. in a design
+   * system space. Update mode leaves the page of the original run alone.
+   * @param {Object} run - See _runSteps
+   * @param {Object} step - Pipeline step: id, title, space, parentId
+   * @returns {Promise<Object>} { status: 'done'|'skipped'|'failed', error?, output: { pageId, title, url } }
+   */
+  async _stepWikiPage(run, step) {
+    const { context, options, results, update, wiki, wikiTarget, wikiContent, titleValues, state } = run;
+    const space = step.space || run.wikiSpace;
+    // The plan's parent only makes sense in the plan's space
+    const parentId = step.parentId || (space === run.wikiSpace ? run.wikiParentId : undefined);
+    const baseTitle = renderTitle(step.title, { ...titleValues, issueKey: state.jiraIssueKey });
+    if (update) {
+      results[step.id] = { status: 'skipped', reason: 'Page was written with the original ticket', title: baseTitle, space };
+      this._emitProgress(options, 'B', 'skipped', { step: step.id, reason: results[step.id].reason });
+      return { status: 'skipped', output: {} };
+    }
+    this._emitProgress(options, 'B', 'started', { step: step.id });
+    try {
+      const title = await this._getUniqueWikiTitle(baseTitle, space, wiki);
+      const content = this._withRelatedWork(wikiContent, state);
+      this.logger.info(`📄 Creating wiki page "${title}" in ${space} (pipeline step ${step.id})`);
+      const pageResult = await wiki.createWikiPage(title, this._wikiPageBody(content, space, wiki), space, parentId, this._pageMeta(context, state));
+      const page = { pageId: pageResult?.id || pageResult?.page?.id || null, title, url: this._wikiPageUrl(pageResult), space, content };
+      state.pages[step.id] = page;
+      results[step.id] = { status: 'created', target: wikiTarget, url: page.url, title, pageId: page.pageId, space };
+      this._emitProgress(options, 'B', 'completed', { step: step.id, url: page.url, title });
+      return { status: 'done', output: { pageId: page.pageId, title, url: page.url } };
+    } catch (e) {
+      this.logger.warn(`Wiki page "${baseTitle}" (pipeline step ${step.id}) failed: ${e.message}`);
+      results[step.id] = { status: 'failed', error: e.message, title: baseTitle, space };
+      this._emitProgress(options, 'B', 'failed', { step: step.id, error: e.message });
+      return { status: 'failed', error: e.message };
+    }
+  }
+
+  /**
+   * Step E: write the QA Test Case page and back-patch its link into the
+   * Implementation Plan.
+   * @param {Object} run - See _runSteps
+   * @param {Object} step - Pipeline step: title, space, parentId
+   * @returns {Promise<Object>} { status: 'done'|'failed', error?, output: { pageId, title, url } }
+   */
+  async _stepQaPage(run, step) {
+    const { context, options, results, update, tracker, wiki, titleValues, sharedAttachment, figmaExportUrl, state } = run;
+    // The pipeline can put QA pages in a space of their own
+    const wikiSpace = step.space || run.wikiSpace;
+    // Parent page for QA test case wiki pages: the pipeline's, the profile's or
+    // QA_WIKI_PARENT_ID. Without one the page goes to the top of the space.
+    const qaWikiParentId = step.parentId || options.profile?.qaParentId || process.env.QA_WIKI_PARENT_ID || undefined;
+    this._emitProgress(options, 'E', 'started');
+    // Declared out here for the retry context in the catch
+    let qaBaseTitle = null;
+    let qaContent = null;
+    try {
+      this.logger.info(`📋 MCP: Creating QA Test Case wiki page...`);
+
+      // Brief pause to avoid Confluence MCP rate-limiting immediately after solution-wiki creation
+      if (!options.dryRun) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+
+      // Default title: "PageName - JIRA-123 - ComponentName" (parts omitted when redundant)
+      let qaTitle = renderTitle(step.title || DEFAULT_TITLES.qaPage, { ...titleValues, issueKey: state.jiraIssueKey });
+      qaBaseTitle = qaTitle;
+
+      // Update mode keeps the QA page from the previous run — testers record results on it
+      const existingQa = update?.qa?.url ? update.qa : null;
+      if (existingQa) {
+          qaTitle = existingQa.title || qaTitle;
+          this.logger.info(`📋 Keeping QA Test Case page "${qaTitle}" from the previous generation`);
+      }
+
+      // Component-specific test cases from the LLM; the default table when none answers
+      const qaCases = existingQa ? null : await this._generateQaCases(context);
+      qaContent = this._buildQaWikiContent({
+          componentName: context.componentName,
+          jiraIssueKey: state.jiraIssueKey,
+          jiraWebUrl: state.jiraWebUrl,
+          trackerLabel: tracker.label,
+          wikiPageUrl: state.wikiPageUrl,
+          testCases: qaCases?.testCases,
+      });
+
+      // Robust retry loop — same pattern as Solution Wiki creation
+      let qaResult = existingQa ? { id: existingQa.pageId || null, page: { id: existingQa.pageId || null, url: existingQa.url } } : null;
+      let qaCreated = !!existingQa;
+      let qaLoops = 0;
+      const maxQaLoops = 5;
+
+      while (!qaCreated && qaLoops < maxQaLoops) {
+          try {
+              const currentQaTitle = qaLoops > 0 ? `${qaBaseTitle} (${qaLoops})` : qaBaseTitle;
+              this.logger.info(`🚀 QA Attempting creation: "${currentQaTitle}" (Attempt ${qaLoops + 1})`);
+              qaResult = await wiki.createWikiPage(currentQaTitle, this._wikiPageBody(qaContent, wikiSpace, wiki), wikiSpace, qaWikiParentId, this._pageMeta(context, state));
+              qaTitle = currentQaTitle; // capture final title (may have suffix)
+              qaCreated = true;
+          } catch (qaCreateErr) {
+              const qmsg = (qaCreateErr.message || '').toLowerCase();
+              if (qmsg.includes('exist') || qmsg.includes('conflict') || qmsg.includes('unique') || qmsg.includes('500') || qmsg.includes('internal server error') || qmsg.includes('error calling tool')) {
+                  this.logger.warn(`⚠️ QA title unavailable or server error (Attempt ${qaLoops + 1}). Retrying... Error: ${qmsg}`);
+                  qaLoops++;
+              } else {
+                  throw qaCreateErr;
               }
           }
+      }
 
-          if (!qaCreated) {
-              throw new Error(`Failed to create QA wiki page after ${maxQaLoops} attempts.`);
-          }
+      if (!qaCreated) {
+          throw new Error(`Failed to create QA wiki page after ${maxQaLoops} attempts.`);
+      }
 
-          // Extract page ID and URL from diverse possible response shapes
-          const qaPageId = qaResult?.id || qaResult?.page?.id || null;
-          const qaPageVersion = qaResult?.version?.number ?? qaResult?.page?.version?.number ?? 1;
-          if (qaResult?.page?.url) {
-              qaWikiPageUrl = qaResult.page.url;
-          } else if (qaResult?.page?._links?.base && qaResult?.page?._links?.webui) {
-              qaWikiPageUrl = `${qaResult.page._links.base.replace(/\/+$/, '')}${qaResult.page._links.webui}`;
-          } else if (qaResult?._links?.base) {
-              qaWikiPageUrl = `${qaResult._links.base.replace(/\/+$/, '')}${qaResult._links.webui}`;
-          }
+      // Extract page ID and URL from diverse possible response shapes
+      const qaPageId = qaResult?.id || qaResult?.page?.id || null;
+      const qaPageVersion = qaResult?.version?.number ?? qaResult?.page?.version?.number ?? 1;
+      if (qaResult?.page?.url) {
+          state.qaWikiPageUrl = qaResult.page.url;
+      } else if (qaResult?.page?._links?.base && qaResult?.page?._links?.webui) {
+          state.qaWikiPageUrl = `${qaResult.page._links.base.replace(/\/+$/, '')}${qaResult.page._links.webui}`;
+      } else if (qaResult?._links?.base) {
+          state.qaWikiPageUrl = `${qaResult._links.base.replace(/\/+$/, '')}${qaResult._links.webui}`;
+      }
 
-          results.qa = { status: 'created', url: qaWikiPageUrl };
+      results.qa = { status: existingQa ? 'existing' : 'created', url: state.qaWikiPageUrl, title: qaTitle, pageId: qaPageId, space: wikiSpace };
+      Object.assign(state, { qaPageId, qaTitle, qaTrackedContent: existingQa ? null : qaContent });
+      if (!existingQa) {
+          // Kept with the generation so the cases can be exported later (GET /api/history/:id/tests)
+          const cases = qaCases?.testCases || DEFAULT_TEST_CASES;
+          results.qa.testCases = {
+              source: qaCases ? 'ai' : 'default',
+              count: cases.length,
+              cases,
+              issueKey: state.jiraIssueKey,
+              figmaUrl: this._buildFigmaDeepLink(context),
+          };
+          if (state.jiraIssueKey && options.testExports?.length) {
+              results.qa.exports = await this._attachTestExports(tracker, state.jiraIssueKey, context.componentName, results.qa.testCases, options.testExports);
+          }
+      }
+      if (!existingQa) {
           this.logger.info(`✅ QA Test Case wiki page created: "${qaTitle}"`);
+      }
 
-          // Back-patch the Implementation Plan wiki: swap "QA Test Case: TBD" for the real link
-          if (wikiPageId && wikiFinalTitle && wikiTrackedContent && qaWikiPageUrl) {
-              try {
-                  const patchedImplContent = wikiTrackedContent.replace(
-                      '**QA Test Case:** TBD',
-                      `**QA Test Case:** [View QA Test Case](${qaWikiPageUrl})`
-                  );
-                  await this.mcpAdapter.updateWikiPage(wikiPageId, wikiFinalTitle, patchedImplContent);
-                  wikiTrackedContent = patchedImplContent; // keep in sync
-                  this.logger.info(`✅ Implementation Plan wiki patched with QA Test Case link`);
-              } catch (patchErr) {
-                  this.logger.warn(`Failed to patch QA link into Implementation Plan wiki: ${patchErr.message}`);
-              }
+      // Back-patch the Implementation Plan wiki: swap "QA Test Case: TBD" for the real link
+      if (state.wikiPageId && state.wikiFinalTitle && state.wikiTrackedContent?.includes('**QA Test Case:** TBD') && state.qaWikiPageUrl) {
+          try {
+              const patchedImplContent = state.wikiTrackedContent.replace(
+                  '**QA Test Case:** TBD',
+                  `**QA Test Case:** [View QA Test Case](${state.qaWikiPageUrl})`
+              );
+              await wiki.updateWikiPage(state.wikiPageId, state.wikiFinalTitle, this._wikiPageBody(patchedImplContent, run.wikiSpace, wiki));
+              state.wikiTrackedContent = patchedImplContent; // keep in sync
+              this.logger.info(`✅ Implementation Plan wiki patched with QA Test Case link`);
+          } catch (patchErr) {
+              this.logger.warn(`Failed to patch QA link into Implementation Plan wiki: ${patchErr.message}`);
           }
+      }
 
-          // Attach screenshot to bottom of QA page (reuses sharedAttachment — cleanup happens in finally)
-          if (qaPageId && (sharedAttachment || figmaExportUrl)) {
-              let qaImageMarkdown = null;
+      // Attach screenshot to bottom of QA page (reuses sharedAttachment — cleanup happens in finally)
+      if (qaPageId && !existingQa && (sharedAttachment || figmaExportUrl)) {
+          let qaImageMarkdown = null;
 
-              // Derive Confluence REST self-link for direct upload
-              let qaSelfLink = qaResult?._links?.self || qaResult?.page?._links?.self || null;
-              if (!qaSelfLink && qaPageId) {
-                  const qaWebUrl = qaResult?.page?.url || qaResult?.url;
-                  if (qaWebUrl) {
-                      try { qaSelfLink = `${new URL(qaWebUrl).origin}/rest/api/content/${qaPageId}`; } catch (e) { /* ignore */ }
-                  }
-              }
-              if (!qaSelfLink) {
-                  const confBase = (process.env.CONFLUENCE_BASE_URL || '').replace(/\/+$/, '');
-                  if (confBase) qaSelfLink = `${confBase}/rest/api/content/${qaPageId}`;
+          // Derive Confluence REST self-link for direct upload
+          let qaSelfLink = qaResult?._links?.self || qaResult?.page?._links?.self || null;
+          if (!qaSelfLink && qaPageId) {
+              const qaWebUrl = qaResult?.page?.url || qaResult?.url;
+              if (qaWebUrl) {
+                  try { qaSelfLink = `${new URL(qaWebUrl).origin}/rest/api/content/${qaPageId}`; } catch (e) { /* ignore */ }
               }
+          }
+          if (!qaSelfLink) {
+              const confBase = (process.env.CONFLUENCE_BASE_URL || '').replace(/\/+$/, '');
+              if (confBase) qaSelfLink = `${confBase}/rest/api/content/${qaPageId}`;
+          }
 
-              if (sharedAttachment) {
-                  try {
-                      const qaAttResult = await this.mcpAdapter.addWikiAttachment(qaPageId, sharedAttachment.path, qaSelfLink);
-                      if (qaAttResult?.success === true) {
-                          qaImageMarkdown = `\n![Design Preview](${sharedAttachment.filename})\n`;
-                          this.logger.info(`📎 QA screenshot uploaded: ${sharedAttachment.filename}`);
-                      } else if (figmaExportUrl) {
-                          qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
-                      }
-                  } catch (attErr) {
-                      this.logger.warn(`QA wiki screenshot upload failed: ${attErr.message}`);
-                      if (figmaExportUrl) qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
+          if (sharedAttachment) {
+              try {
+                  const qaAttResult = await wiki.addWikiAttachment(qaPageId, sharedAttachment.path, qaSelfLink);
+                  if (qaAttResult?.success === true) {
+                      qaImageMarkdown = `\n![Design Preview](${sharedAttachment.filename})\n`;
+                      this.logger.info(`📎 QA screenshot uploaded: ${sharedAttachment.filename}`);
+                  } else if (figmaExportUrl) {
+                      qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
                   }
-              } else if (figmaExportUrl) {
-                  qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
+              } catch (attErr) {
+                  this.logger.warn(`QA wiki screenshot upload failed: ${attErr.message}`);
+                  if (figmaExportUrl) qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
               }
+          } else if (figmaExportUrl) {
+              qaImageMarkdown = `\n![Design Preview](${figmaExportUrl})\n`;
+          }
 
-              if (qaImageMarkdown) {
-                  const updatedQaContent = qaContent.replace('<!-- design-preview -->', qaImageMarkdown);
-                  try {
-                      await this.mcpAdapter.updateWikiPage(qaPageId, qaTitle, updatedQaContent, qaPageVersion);
-                      this.logger.info(`✅ QA wiki page updated with design screenshot`);
-                  } catch (updateErr) {
-                      this.logger.warn(`⚠️ QA wiki screenshot injection failed: ${updateErr.message}`);
-                  }
+          if (qaImageMarkdown) {
+              const updatedQaContent = qaContent.replace('<!-- design-preview -->', qaImageMarkdown);
+              try {
+                  await wiki.updateWikiPage(qaPageId, qaTitle, this._wikiPageBody(updatedQaContent, wikiSpace, wiki), qaPageVersion);
+                  state.qaTrackedContent = updatedQaContent;
+                  this.logger.info(`✅ QA wiki page updated with design screenshot`);
+              } catch (updateErr) {
+                  this.logger.warn(`⚠️ QA wiki screenshot injection failed: ${updateErr.message}`);
               }
           }
+      }
+      this._emitProgress(options, 'E', 'completed', { url: state.qaWikiPageUrl, title: qaTitle });
+      return { status: 'done', output: { pageId: qaPageId, title: qaTitle, url: state.qaWikiPageUrl } };
+
+    } catch (qaErr) {
+      this.logger.warn(`QA Test Case wiki creation failed: ${qaErr.message}`);
+      // Surface enough context for the UI to offer a one-click retry
+      results.qa = { status: 'failed', error: qaErr.message, retryContext: { title: qaBaseTitle, content: qaContent, spaceKey: wikiSpace, parentId: qaWikiParentId } };
+      this._emitProgress(options, 'E', 'failed', { error: qaErr.message });
+      return { status: 'failed', error: qaErr.message };
+    }
+  }
 
-        } catch (qaErr) {
-          this.logger.warn(`QA Test Case wiki creation failed: ${qaErr.message}`);
-          // Surface enough context for the UI to offer a one-click retry
-          results.qa = { status: 'failed', error: qaErr.message, retryContext: { title: qaBaseTitle, content: qaContent, spaceKey: wikiSpace, parentId: qaWikiParentId } };
-        }
-
-        } finally {
-            // Shared Cleanup at the very end
-            if (sharedAttachment && sharedAttachment.cleanup) {
-                await sharedAttachment.cleanup();
+  /**
+   * Step C, first half: remote-link the pages from the issue. Failures are
+   * only logged.
+   * @returns {Promise<Object>} { status: 'done', output: { links } }
+   */
+  async _stepRemoteLinks(run) {
+    const { context, options, update, tracker, state } = run;
+    this._emitProgress(options, 'C', 'started');
+    try {
+        // Update mode: the issue already links the pages it reuses; a resumed run
+        // only adds the links it has not made yet.
+        // GitHub and GitLab have no remote links — Related Resources carries them
+        const links = [
+            { url: state.wikiPageUrl, previous: update?.wiki?.url, title: `Implementation Plan: ${context.componentName}`, relationship: 'Confluence Page' },
+            ...Object.values(state.pages).map(page => ({ url: page.url, title: page.title, relationship: 'Confluence Page' })),
+            { url: state.qaWikiPageUrl, previous: update?.qa?.url, title: `QA Test Case: ${context.componentName}`, relationship: 'QA Test Case' },
+        ];
+        for (const { url, previous, title, relationship } of links) {
+            if (state.jiraIssueKey && url && url !== previous && !state.linkedUrls.includes(url)) {
+                await tracker.linkResource(state.jiraIssueKey, { url, title, relationship });
+                state.linkedUrls.push(url);
             }
         }
+    } catch (linkError) {
+         this.logger.warn(`Cross-linking failed: ${linkError.message}`);
+    }
 
-        // --- Step C: Cross-Linking ---
+    // Note: Storybook remote link created once a real URL exists.
+    this._emitProgress(options, 'C', 'completed');
+    return { status: 'done', output: { links: state.linkedUrls } };
+  }
+
+  /**
+   * Step C, second half: write the Related Resources block into the issue
+   * description. Pages the pipeline does not create are left out of it.
+   * Failures are only logged.
+   * @returns {Promise<Object>} { status: 'done', output: { updated } }
+   */
+  async _stepResourcesBlock(run) {
+    const { context, options, results, update, pipeline, tracker, jiraData, state } = run;
+    this._emitProgress(options, 'C', 'started');
+    const creates = type => pipeline.steps.some(step => step.type === type && step.enabled);
+    let updated = false;
+
+    // Inject Related Resources block into the issue description (now that all URLs are known).
+    // An updated issue keeps its description — the change is in the comment.
+    if (state.jiraIssueKey && jiraData.description && !update) {
         try {
-            if (jiraIssueKey && wikiPageUrl) {
-                await this.mcpAdapter.createRemoteLink(
-                    jiraIssueKey,
-                    wikiPageUrl,
-                    `Implementation Plan: ${context.componentName}`,
-                    'Confluence Page'
-                );
+            const links = {
+                figmaUrl: this._buildFigmaDeepLink(context),
+                wikiUrl: creates('implementationPlan') ? state.wikiPageUrl : false,
+                qaUrl: creates('qaPage') ? state.qaWikiPageUrl : false,
+                pages: Object.values(state.pages),
+            };
+            if (results.jira?.linked) {
+                await this._addRelatedResources(tracker, state.jiraIssueKey, links);
+            } else {
+                const updatedDesc = this._withRelatedResources(state.jiraDescription || jiraData.description, tracker.markup, links);
+                await tracker.updateDescription(state.jiraIssueKey, updatedDesc, state.jiraMedia);
             }
-            if (jiraIssueKey && qaWikiPageUrl) {
-                await this.mcpAdapter.createRemoteLink(
-                    jiraIssueKey,
-                    qaWikiPageUrl,
-                    `QA Test Case: ${context.componentName}`,
-                    'QA Test Case'
-                );
-            }
-        } catch (linkError) {
-             this.logger.warn(`Cross-linking failed: ${linkError.message}`);
+            updated = true;
+            this.logger.info(`✅ Injected Related Resources block into ${state.jiraIssueKey} description`);
+        } catch (resErr) {
+            this.logger.warn(`Failed to inject resources block into ${state.jiraIssueKey} description: ${resErr.message}`);
         }
+    }
+    this._emitProgress(options, 'C', 'completed');
+    return { status: 'done', output: { updated } };
+  }
 
-        // Note: Storybook remote link created once a real URL exists.
+  /**
+   * Step D: create the feature branch, named after the issue.
+   * @returns {Promise<Object>} { status: 'done'|'skipped'|'failed', error?, output: { branch } }
+   */
+  async _stepBranch(run) {
+    const { context, options, results, update, tracker, structuredTicket, repoPath, state } = run;
+    // Through the git MCP server (GIT_MCP_URL) or the local git CLI (GIT_PROVIDER=local);
+    // skipped cleanly when neither is configured.
+    const gitProvider = mcpConfig.git?.provider || (process.env.GIT_MCP_URL ? 'mcp' : '');
+    const branchName = this._generateBranchName(context.componentName, 'feature', state.jiraIssueKey && tracker.refKey(state.jiraIssueKey));
+    if (!gitProvider) {
+      this.logger.info('⏭️  Git branch creation skipped — no git provider configured (GIT_PROVIDER / GIT_MCP_URL).');
+      results.git = { status: 'skipped', reason: 'No git provider configured', branch: branchName };
+      this._emitProgress(options, 'D', 'skipped', { reason: results.git.reason });
+      return { status: 'skipped', output: { branch: branchName } };
+    }
+    if (update) {
+      results.git = { status: 'skipped', reason: 'Branch was created with the original ticket', branch: branchName };
+      this._emitProgress(options, 'D', 'skipped', { reason: results.git.reason });
+      return { status: 'skipped', output: { branch: branchName } };
+    }
+    this._emitProgress(options, 'D', 'started');
+    try {
+      const local = gitProvider === 'local';
+      // Dry runs record the branch on the plan whichever provider would create it
+      const git = local && !this.mcpAdapter.dryRun ? this.localGit : this.mcpAdapter;
+      if (!git) {
+        throw new Error('Local git provider is not registered');
+      }
+      const files = local && mcpConfig.git?.scaffold ? componentScaffold({
+        componentName: context.componentName,
+        techStack: context.techStack,
+        dir: mcpConfig.git.scaffoldDir,
+        issueKey: state.jiraIssueKey,
+        issueUrl: state.jiraWebUrl,
+        figmaUrl: this._buildFigmaDeepLink(context),
+        wikiUrl: state.wikiPageUrl,
+        qaUrl: state.qaWikiPageUrl,
+        acceptanceCriteria: structuredTicket?.acceptanceCriteria,
+      }) : {};
+      this.logger.info(`🌿 ${local ? 'Local git' : 'MCP'}: Creating Git Branch ${branchName}...`);
+      const gitResult = await git.createGitBranch(branchName, repoPath, {
+        files,
+        message: `${state.jiraIssueKey ? `${state.jiraIssueKey}: ` : ''}Scaffold ${context.componentName}`,
+      });
+      results.git = { status: 'created', provider: gitProvider, branch: branchName, ...gitResult, content: { branchName, repoPath } };
+      this._emitProgress(options, 'D', 'completed', { branch: branchName });
+      return { status: 'done', output: { branch: branchName } };
+    } catch (e) {
+      // Log explicitly but don't fail the whole request
+      this.logger.error(`Failed to create Git branch: ${e.message}`);
+      results.git.error = e.message;
+      results.git.status = 'failed_creation';
+      this._emitProgress(options, 'D', 'failed', { error: e.message });
+      return { status: 'failed', error: e.message };
+    }
+  }
 
+  /**
+   * Update mode: the Implementation Plan page written by the previous generation.
+   * @param {Object} [previous] - { title, url, pageId } recorded in history
+   * @param {string} space
+   * @param {MCPAdapter|RepoDocsAdapter} [wiki] - See _wikiTarget
+   * @returns {Promise<Object|null>} { id, title, version, url }, or null when the page is gone
+   */
+  async _findWikiPageToUpdate(previous, space, wiki = this.mcpAdapter) {
+    if (!previous?.title) {
+      return null;
+    }
+    const page = await wiki.getWikiPage(previous.title, space);
+    const id = page?.id || page?.page?.id || page?.metadata?.id;
+    if (!id) {
+      this.logger.warn(`⚠️ Wiki page "${previous.title}" from the previous generation not found in ${space}, creating a new one`);
+      return null;
+    }
+    const version = page.version?.number ?? page.page?.version?.number ?? page.metadata?.version ?? 1;
+    return { id, title: previous.title, version: Number(version) || 1, url: page.page?.url || page.metadata?.url || page.url || previous.url };
+  }
 
-        // Inject Related Resources block into Jira description (now that all URLs are known)
-        if (jiraIssueKey && jiraData.description) {
-            try {
-                // Figma deep-link for the Related Resources section
-                const figmaDeepLink = this._buildFigmaDeepLink(context);
-                const figmaLine = figmaDeepLink ? `* [View in Figma|${figmaDeepLink}]\n` : '';
-                const wikiLine = wikiPageUrl
-                    ? `* [Implementation Plan|${wikiPageUrl}]`
-                    : `* Implementation Plan: _TBD_`;
-                const qaLine = qaWikiPageUrl
-                    ? `* [QA Test Case|${qaWikiPageUrl}]`
-                    : `* QA Test Case: _TBD_`;
-                const resourcesBlock =
-                    `h2. Related Resources\n\n` +
-                    figmaLine +
-                    `${wikiLine}\n` +
-                    `* Storybook: _TBD_\n` +
-                    `${qaLine}\n\n`;
-                const marker = '*Generated by Figma AI Ticket Generator*\n\n';
-                let updatedDesc = jiraData.description.includes(marker)
-                    ? jiraData.description.replace(marker, marker + resourcesBlock)
-                    : resourcesBlock + jiraData.description;
-                // Strip redundant AI-generated "Design References" section —
-                // Figma link is now consolidated into Related Resources above.
-                updatedDesc = updatedDesc
-                    .replace(/h2\. Design References\n[\s\S]*?(?=\nh[1-6]\. |\n*$)/, '')
-                    .replace(/\n{3,}/g, '\n\n');
-                await this.mcpAdapter._callMCP('jira_update_issue', {
-                    issue_key: jiraIssueKey,
-                    fields: { description: updatedDesc }
-                });
-                this.logger.info(`✅ Injected Related Resources block into ${jiraIssueKey} description`);
-            } catch (resErr) {
-                this.logger.warn(`Failed to inject resources block into Jira description: ${resErr.message}`);
-            }
-        }
+  /**
+   * Update mode: an info panel under the wiki header saying which revision
+   * this is and what changed in the design.
+   * @param {string} markdown - Implementation Plan page
+   * @param {Object} update - options.update
+   * @returns {string}
+   */
+  _withDesignChangeNote(markdown, update, visualDiff = null) {
+    const changes = update.changes ? designChangeList(update.changes) : null;
+    const summary = changes ? 'Changes to the design since the previous generation:' : 'No token or layer changes detected in the design.';
+    const pixels = visualDiff?.filename ? [this._visualDiffParagraph(visualDiff)] : [];
+    const note = renderMarkdown({ type: 'doc', content: [{
+      type: 'panel',
+      attrs: { panelType: 'info', title: `Design updated — revision ${update.revision}` },
+      content: [{ type: 'paragraph', content: [{ type: 'text', text: summary }] }, ...(changes ? [changes] : []), ...pixels],
+    }] });
+    return markdown.includes('---\n\n') ? markdown.replace('---\n\n', `---\n\n${note}\n\n`) : `${note}\n\n${markdown}`;
+  }
 
-        // --- Step D: Create Git Branch ---
-        // Only attempt if GIT_MCP_URL is explicitly configured; otherwise skip cleanly.
-        const gitMcpUrl = process.env.GIT_MCP_URL || '';
-        if (!gitMcpUrl) {
-          this.logger.info('⏭️  Git branch creation skipped — GIT_MCP_URL not configured.');
-          results.git = { status: 'skipped', reason: 'GIT_MCP_URL not configured' };
-        } else {
-          try {
-            this.logger.info(`🌿 MCP: Creating Git Branch ${branchName}...`);
-            const gitResult = await this.mcpAdapter.createGitBranch(branchName, repoPath);
-            results.git = { status: 'created', ...gitResult, content: { branchName, repoPath } };
-          } catch (e) {
-            // Log explicitly but don't fail the whole request
-            this.logger.error(`Failed to create Git branch: ${e.message}`);
-            results.git.error = e.message;
-            results.git.status = 'failed_creation';
-          }
+  /**
+   * Update mode: comment on the existing issue with what changed in the design,
+   * the new design image and the visual diff when one was attached. Written in
+   * the tracker's markup.
+   * @returns {Promise<Object>} { status: 'added'|'skipped'|'failed', markup }
+   */
+  async _postDesignChangeComment(tracker, issueKey, update, { sharedAttachment, figmaExportUrl, issueSelfUrl, visualDiff = null, visualDiffMedia = {} }) {
+    const changes = update.changes ? designChangeList(update.changes) : null;
+    if (!changes && !visualDiff) {
+      this.logger.info(`⏭️  No design changes detected, not commenting on ${issueKey}`);
+      return { status: 'skipped', reason: 'No design changes detected' };
+    }
+
+    let image = null;
+    let media = {};
+    if (sharedAttachment) {
+      try {
+        const upload = await tracker.attachFiles(issueKey, sharedAttachment.path, issueSelfUrl);
+        if (upload?.success && upload.filenames?.length) {
+          image = upload.filenames[0];
+          media = upload.media?.[image] ? { [image]: upload.media[image] } : {};
         }
+      } catch (error) {
+        this.logger.warn(`${tracker.label} file upload failed: ${error.message}`);
+      }
+    }
+    image = image || figmaExportUrl || null;
+
+    const since = update.since ? ` (previous generation ${String(update.since).slice(0, 10)})` : '';
+    const render = tracker.markup === 'jira' ? renderJira : renderMarkdown;
+    const allMedia = { ...visualDiffMedia, ...media };
+    const markup = [
+      render({ type: 'doc', content: [
+        { type: 'heading', attrs: { level: 3 }, content: [{ type: 'text', text: 'Design changed' }] },
+        { type: 'paragraph', content: [{ type: 'text', text: `Revision ${update.revision}${since}. The Implementation Plan has been regenerated.` }] },
+        ...(changes ? [changes] : []),
+        ...(visualDiff ? [this._visualDiffParagraph(visualDiff)] : []),
+      ] }),
+      visualDiff ? tracker.imageMarkup(visualDiff.filename, allMedia) : null,
+      image ? tracker.imageMarkup(image, allMedia) : null,
+    ].filter(Boolean).join('\n\n');
+
+    const result = await tracker.addComment(issueKey, markup, media);
+    return { status: result ? 'added' : 'failed', markup };
+  }
 
-      } else {
-        this.logger.info('⏸️ Active creation disabled or MCP unavailable. Returning generated content only.');
+  /**
+   * Compare the prepared design image with the node's baseline from the
+   * previous generation, then make it the new baseline (except in dry runs).
+   * @param {Object} context
+   * @param {Object} image - _prepareImage result
+   * @param {Object} options - processWorkItem options
+   * @returns {Promise<Object|null>} { status, changedPercent, changedPixels, totalPixels, sizeChanged, since,
+   *          filename, path, cleanup } — no file when nothing changed; null without a baseline
+   */
+  async _visualDiff(context, image, options) {
+    const fileKey = context.fileContext?.fileKey || context.figmaContext?.fileKey;
+    const nodeId = (context.enhancedFrameData?.[0] || context.frameData?.[0])?.id;
+    if (!this.baselineStore || !image || !fileKey || !nodeId) {
+      return null;
+    }
+
+    try {
+      const png = await fs.readFile(image.path);
+      const current = decodePng(png); // only PNGs become baselines
+      const baseline = await this.baselineStore.get(fileKey, nodeId);
+      if (!options.dryRun) {
+        await this.baselineStore.save(fileKey, nodeId, png, { componentName: context.componentName });
+      }
+      if (!baseline) {
+        return null;
       }
 
-    } catch (error) {
-      this.logger.error('❌ Orchestration failed', error);
-      // Even on failure, return partial results if available
-      return { 
-          results, 
-          error: error.message,
-          content: generatedContentForUI // Return what we generated so far
+      const { image: diffImage, ...stats } = diffImages(decodePng(baseline.png), current);
+      this.logger.info(`🔍 Visual diff for ${nodeId}: ${stats.changedPercent}% of pixels changed since ${baseline.savedAt}`);
+      if (stats.changedPixels === 0) {
+        return { status: 'unchanged', ...stats, since: baseline.savedAt || null };
+      }
+
+      const filename = `${path.basename(image.filename, '.png')}-diff.png`;
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-diff-'));
+      const diffPath = path.join(dir, filename);
+      await fs.writeFile(diffPath, encodePng(diffImage));
+      return {
+        status: 'changed',
+        ...stats,
+        since: baseline.savedAt || null,
+        filename,
+        path: diffPath,
+        cleanup: () => fs.rm(dir, { recursive: true, force: true }),
       };
+    } catch (error) {
+      this.logger.warn(`Visual diff skipped: ${error.message}`);
+      return null;
     }
+  }
 
-    // Return combined result for UI
-    return { 
-        results,
-        content: generatedContentForUI 
-    };
+  // "Visual diff: 3.2% of pixels changed (preview-Hero-diff.png)" as a markup AST paragraph
+  _visualDiffParagraph({ changedPercent, sizeChanged, filename }) {
+    return { type: 'paragraph', content: [
+      { type: 'text', text: 'Visual diff: ', marks: [{ type: 'strong' }] },
+      { type: 'text', text: `${changedPercent}% of pixels changed${sizeChanged ? ', frame size changed' : ''} — changes in red in ` },
+      { type: 'text', text: filename, marks: [{ type: 'code' }] },
+    ] };
   }
 
   async _prepareImage(context, identifier) {
@@ -875,9 +1841,23 @@ export class WorkItemOrchestrator {
      }
   }
 
-  _generateBranchName(componentName, type = 'feature') {
-    const sanitized = componentName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-    return `${type}/${sanitized}`;
+  /**
+   * Branch name from the configured pattern (GIT_BRANCH_PATTERN), e.g.
+   * `{type}/{issueKey}-{slug}` → feature/DS-123-nav-bar.
+   * @param {string} componentName
+   * @param {string} [type='feature']
+   * @param {string} [issueKey] - Without one, the separators around {issueKey} are dropped
+   * @returns {string}
+   */
+  _generateBranchName(componentName, type = 'feature', issueKey = null) {
+    const slug = componentName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const pattern = mcpConfig.git?.branchPattern || '{type}/{issueKey}-{slug}';
+    const values = { type, issueKey: issueKey || '', slug };
+    return pattern
+      .replace(/\{(type|issueKey|slug)\}/g, (_, token) => values[token])
+      .replace(/[-_]+(?=\/)|(?<=\/)[-_]+/g, '')
+      .replace(/([-_/])\1+/g, '$1')
+      .replace(/^[-_/]+|[-_/]+$/g, '');
   }
 
   _formatForJira(markdown) {
@@ -885,7 +1865,87 @@ export class WorkItemOrchestrator {
       // We can also ensure it uses proper ADF or text formatting if we had a converter,
       // but standard Markdown is often accepted by modern Jira APIs or converted automatically.
       // We'll leave it mostly as-is but ensuring it fits the 'User Story' vibe.
-      return `*Generated by Figma AI Ticket Generator*\n\n${markdown}`;
+      return `${this._generatedMarker('jira')}${markdown}`;
+  }
+
+  // First line of every generated description — Related Resources goes after it
+  _generatedMarker(markup) {
+      return markup === 'jira' ? '*Generated by Figma AI Ticket Generator*\n\n' : '_Generated by Figma AI Ticket Generator_\n\n';
+  }
+
+  /**
+   * Add the Related Resources section (Figma, wiki pages, Storybook, QA) under
+   * the generated marker, in the tracker's markup, and drop the AI's own
+   * "Design References" section — the Figma link is consolidated here.
+   * @param {string} description
+   * @param {'jira'|'markdown'} markup
+   * @param {Object} links - { figmaUrl, wikiUrl, qaUrl, pages: [{ title, url }] };
+   *        wikiUrl / qaUrl false leaves the item out (no such page in the pipeline)
+   * @returns {string}
+   */
+  _withRelatedResources(description, markup, links) {
+      const jira = markup === 'jira';
+      const resourcesBlock = this._relatedResourcesBlock(markup, links);
+      const marker = this._generatedMarker(markup);
+      const designReferences = jira
+          ? /h2\. Design References\n[\s\S]*?(?=\nh[1-6]\. |\n*$)/
+          : /## Design References\n[\s\S]*?(?=\n#{1,6} |\n*$)/;
+      return (description.includes(marker) ? description.replace(marker, marker + resourcesBlock) : resourcesBlock + description)
+          .replace(designReferences, '')
+          .replace(/\n{3,}/g, '\n\n');
+  }
+
+  // The Related Resources section on its own, followed by a blank line
+  _relatedResourcesBlock(markup, { figmaUrl, wikiUrl, qaUrl, pages = [] }) {
+      const jira = markup === 'jira';
+      const item = (text, url) => {
+          if (jira) {
+              return url ? `* [${text}|${url}]` : `* ${text}: _TBD_`;
+          }
+          return url ? `- [${text}](${url})` : `- ${text}: _TBD_`;
+      };
+      return `${jira ? 'h2.' : '##'} Related Resources\n\n` +
+          (figmaUrl ? `${item('View in Figma', figmaUrl)}\n` : '') +
+          (wikiUrl !== false ? `${item('Implementation Plan', wikiUrl)}\n` : '') +
+          pages.map(page => `${item(page.title, page.url)}\n`).join('') +
+          `${item('Storybook')}\n` +
+          (qaUrl !== false ? `${item('QA Test Case', qaUrl)}\n` : '') +
+          '\n';
+  }
+
+  /**
+   * Related Resources for an issue picked in the plan (linkIssue). Someone else
+   * wrote its description, so it is read back and only the block is added at
+   * the end (or an earlier block replaced). A description that isn't text
+   * (ADF) gets the block as a comment instead.
+   */
+  async _addRelatedResources(tracker, issueKey, links) {
+      const block = this._relatedResourcesBlock(tracker.markup, links).trimEnd();
+      const description = await tracker.getDescription(issueKey);
+      if (typeof description !== 'string') {
+          await tracker.addComment(issueKey, block);
+          return;
+      }
+      const updated = findSection(description, 'Related Resources')
+          ? replaceSection(description, 'Related Resources', block)
+          : `${description.trimEnd()}\n\n${block}\n`.replace(/^\s+/, '');
+      await tracker.updateDescription(issueKey, updated);
+  }
+
+  // "Related Work" link to the issue in the page's top metadata section
+  _withRelatedWork(content, state) {
+    if (!state.jiraWebUrl || !state.jiraIssueKey) {
+      return content;
+    }
+    const relatedLink = `**Related Work:** [${state.jiraIssueKey}](${state.jiraWebUrl})\n`;
+    return content.includes('**Source:**')
+      ? content.replace('**Source:** Figma Component\n', `**Source:** Figma Component\n${relatedLink}`)
+      : relatedLink + '\n' + content;
+  }
+
+  // Front-matter of repo docs pages (Confluence ignores it)
+  _pageMeta(context, state) {
+    return { figmaUrl: this._buildFigmaDeepLink(context), issueKey: state.jiraIssueKey, issueUrl: state.jiraWebUrl };
   }
 
   _buildFigmaDeepLink(context) {
@@ -902,7 +1962,99 @@ export class WorkItemOrchestrator {
     return url;
   }
 
-  _buildQaWikiContent({ componentName, jiraIssueKey, jiraWebUrl, wikiPageUrl }) {
+  /**
+   * Ask the ticket service for component-specific QA test cases.
+   * @param {Object} context - The orchestration context (frame data, ticket, llmProvider …)
+   * @returns {Promise<Object|null>} { testCases, metadata }, or null to use the default table
+   */
+  async _generateQaCases(context) {
+      if (typeof this.ticketGenerator?.generateQaCases !== 'function') {
+          return null;
+      }
+      try {
+          const result = await this.ticketGenerator.generateQaCases(context);
+          if (result?.testCases?.length) {
+              this.logger.info(`🧪 ${result.testCases.length} QA test cases generated for ${context.componentName}`);
+              return result;
+          }
+      } catch (error) {
+          this.logger.warn(`QA test case generation failed, using the default test cases: ${error.message}`);
+      }
+      return null;
+  }
+
+  /**
+   * Attach the QA test cases to the issue in test-management import formats.
+   * @param {Object} tracker - The run's tracker (see core/trackers)
+   * @param {string} issueKey
+   * @param {string} componentName
+   * @param {Object} testCases - results.qa.testCases ({ cases, issueKey, figmaUrl })
+   * @param {string[]} formats - TEST_EXPORT_FORMATS entries
+   * @returns {Promise<Object>} { status: 'attached'|'failed', files, error? }
+   */
+  async _attachTestExports(tracker, issueKey, componentName, testCases, formats) {
+      const meta = { componentName, issueKey, figmaUrl: testCases.figmaUrl };
+      const files = formats.map(format => exportTestCases(format, testCases.cases, meta));
+      let dir = null;
+      try {
+          dir = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-exports-'));
+          const paths = [];
+          for (const file of files) {
+              const filePath = path.join(dir, file.filename);
+              await fs.writeFile(filePath, file.body);
+              paths.push(filePath);
+          }
+          const upload = await tracker.attachFiles(issueKey, paths);
+          if (upload?.success !== true) {
+              throw new Error(upload?.error || 'upload rejected');
+          }
+          this.logger.info(`📎 QA test case exports attached to ${issueKey}: ${files.map(file => file.filename).join(', ')}`);
+          return { status: 'attached', files: files.map(file => file.filename) };
+      } catch (error) {
+          this.logger.warn(`Failed to attach QA test case exports to ${issueKey}: ${error.message}`);
+          return { status: 'failed', files: files.map(file => file.filename), error: error.message };
+      } finally {
+          if (dir) {
+              await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+          }
+      }
+  }
+
+  /**
+   * Test case table for the QA page: the generated cases when there are any,
+   * otherwise the generic render / responsive / accessibility checklist.
+   */
+  _buildQaTestCaseTable(testCases) {
+      if (!testCases?.length) {
+          return (
+              `| # | Test Scenario | Steps to Reproduce | Expected Result | Actual Result | Pass/Fail |\n` +
+              `|---|---|---|---|---|---|\n` +
+              DEFAULT_TEST_CASES.map((testCase, i) => `| ${i + 1} | ${testCase.title} | ${testCase.steps.join(' ')} | ${testCase.expected} | | |\n`).join('')
+          );
+      }
+      // Built as markup AST so cell text is escaped and steps break onto lines (<br>)
+      const cell = (content, type = 'tableCell') => ({ type, content: [{ type: 'paragraph', content }] });
+      const text = value => (value ? [{ type: 'text', text: value }] : []);
+      const header = ['#', 'Test Scenario', 'Preconditions', 'Steps to Reproduce', 'Expected Result', 'Actual Result', 'Pass/Fail'];
+      const rows = testCases.map((testCase, i) => ({
+          type: 'tableRow',
+          content: [
+              cell(text(String(i + 1))),
+              cell(text(testCase.title)),
+              cell(text(testCase.preconditions)),
+              cell(testCase.steps.flatMap((step, n) => [...(n > 0 ? [{ type: 'hardBreak' }] : []), ...text(`${n + 1}. ${step}`)])),
+              cell(text(testCase.expected)),
+              cell([]),
+              cell([]),
+          ],
+      }));
+      return renderMarkdown({
+          type: 'doc',
+          content: [{ type: 'table', content: [{ type: 'tableRow', content: header.map(name => cell(text(name), 'tableHeader')) }, ...rows] }],
+      }) + '\n';
+  }
+
+  _buildQaWikiContent({ componentName, jiraIssueKey, jiraWebUrl, trackerLabel = 'Jira', wikiPageUrl, testCases }) {
       const today = new Date().toLocaleDateString();
       const jiraLink = jiraIssueKey && jiraWebUrl
           ? `[${jiraIssueKey}](${jiraWebUrl})`
@@ -913,21 +2065,12 @@ export class WorkItemOrchestrator {
       return (
           `# QA Test Case: ${componentName}\n\n` +
           `**Date:** ${today}\n` +
-          `**Related Jira:** ${jiraLink}\n` +
+          `**Related ${trackerLabel}:** ${jiraLink}\n` +
           `**Implementation Plan:** ${wikiLink}\n` +
           `**Storybook:** TBD\n` +
           `---\n\n` +
           `## Test Cases\n\n` +
-          `| # | Test Scenario | Steps to Reproduce | Expected Result | Actual Result | Pass/Fail |\n` +
-          `|---|---|---|---|---|---|\n` +
-          `| 1 | Component renders as designed | Navigate to the component | Matches Figma design | | |\n` +
-          `| 2 | Responsive — mobile (< 768px) | Resize to mobile width | Layout adapts correctly | | |\n` +
-          `| 3 | Responsive — tablet (768–1024px) | Resize to tablet width | Layout adapts correctly | | |\n` +
-          `| 4 | Responsive — desktop (> 1024px) | View at full width | Matches desktop design | | |\n` +
-          `| 5 | Keyboard navigation | Tab through all interactive elements | All reachable and operable | | |\n` +
-          `| 6 | Screen reader compatibility | Run with VoiceOver / NVDA | Correct labels announced | | |\n` +
-          `| 7 | Focus indicator visible | Tab to each interactive element | Visible focus ring present | | |\n` +
-          `| 8 | Interactive states (hover / active) | Hover and click elements | States match design spec | | |\n` +
+          this._buildQaTestCaseTable(testCases) +
           `\n---\n\n` +
           `## Notes\n\n` +
           `_Add testing notes, known issues, or edge cases here._\n\n` +
@@ -940,6 +2083,13 @@ export class WorkItemOrchestrator {
       // Wiki should be more detailed.
       // We can prepend metadata or technical specs.
       // Using standard Markdown as Confluence expects 'markdown' format
+      return this._wikiHeader(context) + this._jiraToMarkdown(markdown);
+  }
+
+  /**
+   * Implementation Plan page header: title, date and design links.
+   */
+  _wikiHeader(context) {
       let header = `# Technical Design: ${context.componentName}\n\n`;
       header += `**Date:** ${new Date().toLocaleDateString()}\n`;
       header += `**Source:** Figma Component\n`;
@@ -950,45 +2100,44 @@ export class WorkItemOrchestrator {
       header += `**Storybook:** TBD\n`;
       header += `**QA Test Case:** TBD\n`;
       header += `---\n\n`;
+      return header;
+  }
 
-      let converted = markdown;
-
-      // Step 1: Convert {code:lang}...{code} to fenced code blocks FIRST
-      // so subsequent regexes don't corrupt the code content.
-      // Mark opening tag with language hint, closing tag stays as ```
-      converted = converted.replace(/\{code:([a-z]+)\}/g, '```$1');
-      converted = converted.replace(/\{code\}/g, '```');
-      converted = converted.replace(/\{noformat\}/g, '```');
-
-      // Step 2: Convert Jira headings
-      converted = converted
-          .replace(/^h1\. (.*)$/gm, '# $1')
-          .replace(/^h2\. (.*)$/gm, '## $1')
-          .replace(/^h3\. (.*)$/gm, '### $1')
-          .replace(/^h4\. (.*)$/gm, '#### $1');
-
-      // Step 3: Convert Jira bullet levels to Markdown.
-      // Must be done BEFORE bold/italic conversions to avoid corrupting ** prefixes.
-      converted = converted
-          .replace(/^\*{3} /gm, '      - ')  // *** → 3rd level
-          .replace(/^\*{2} /gm, '   - ')     // **  → 2nd level
-          .replace(/^\* /gm,    '- ');        // *   → 1st level
-
-      // Step 4: Convert inline {{code}} to `code`
-      converted = converted.replace(/\{\{([^}]+)\}\}/g, '`$1`');
-
-      // Step 5: Convert Jira links [text|url] → [text](url)
-      converted = converted.replace(/\[([^\]|]+)\|([^\]]+)\]/g, '[$1]($2)');
-
-      // Step 6: Convert Jira bold *text* → **text** and italic _text_ → _text_
-      // Use word-boundary-style anchors to avoid matching bullet dashes or loose asterisks.
-      // Only match *...* where preceded/followed by non-asterisk (avoids **bold** already done).
-      converted = converted.replace(/(?<!\*)\*(?!\s)([^*\n]+?)(?<!\s)\*(?!\*)/g, '**$1**');
+  // Web URL of a created page, from the response shapes of the wiki MCP servers and RepoDocsAdapter
+  _wikiPageUrl(result) {
+    if (result?.page?.url) {
+      return result.page.url;
+    }
+    const links = result?.page?._links?.base ? result.page._links : result?._links;
+    return links?.base && links.webui ? `${links.base.replace(/\/+$/, '')}${links.webui}` : null;
+  }
 
-      // Step 7: Normalise horizontal rules
-      converted = converted.replace(/^----$/gm, '---');
+  /**
+   * Wiki page body for a space: the Markdown as built, or storage format where
+   * the space is configured for it (MCPAdapter.formatWikiContent). Repo docs
+   * pages are always Markdown.
+   * @param {string} markdown
+   * @param {string} space
+   * @param {MCPAdapter|RepoDocsAdapter} [wiki] - See _wikiTarget
+   * @returns {string|Object}
+   */
+  _wikiPageBody(markdown, space, wiki = this.mcpAdapter) {
+      return wiki.formatWikiContent?.(markdown, space) ?? markdown;
+  }
 
-      return header + converted;
+  /**
+   * Convert Jira wiki markup to the Markdown the Implementation Plan wiki uses.
+   * Content that is already Markdown (Markdown-platform output) passes through;
+   * in mixed content only the Jira constructs are converted.
+   * @param {string} markup
+   * @returns {string}
+   */
+  _jiraToMarkdown(markup) {
+      const format = detectMarkup(markup);
+      if (format === 'mixed') {
+          return mixedToMarkdown(markup);
+      }
+      return format === 'jira' ? jiraToMarkdown(markup) : markup;
   }
 
 }
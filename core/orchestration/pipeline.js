@@ -0,0 +1,272 @@
+/**
+ * Orchestration pipelines — which active-phase steps WorkItemOrchestrator
+ * runs for a project, in what order, and with which page titles, spaces and
+ * parent pages.
+ *
+ * One YAML file per pipeline under PIPELINE_DIR (default config/pipelines):
+ *
+ *   name: design-system
+ *   projects: [DS]                # project keys / repositories that use it
+ *   steps:
+ *     - id: jira
+ *     - id: implementationPlan
+ *       parentId: '123456'
+ *     - id: componentDocs
+ *       type: wikiPage            # the plan once more, in another space
+ *       space: DSDOCS
+ *       title: 'Component: {componentName}'
+ *     - id: qaPage
+ *       enabled: false
+ *     - id: remoteLinks
+ *     - id: subtasks              # Jira sub-tasks under the issue (opt-in)
+ *       issueType: Subtask
+ *
+ * A run uses the pipeline it names (the generate route's `pipeline`), else
+ * the one listing its project, else `default`. Steps run in file order;
+ * `type` defaults to the id. validatePipeline() is also what
+ * `npm run validate:yaml` checks the files with.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+export const DEFAULT_PIPELINE_DIR = fileURLToPath(new URL('../../config/pipelines/', import.meta.url));
+
+// Step types and the keys each accepts besides id, type and enabled
+export const STEP_TYPES = {
+  jira: ['title'],
+  implementationPlan: ['title', 'space', 'parentId'],
+  qaPage: ['title', 'space', 'parentId'],
+  wikiPage: ['title', 'space', 'parentId'],
+  remoteLinks: [],
+  resourcesBlock: [],
+  gitBranch: [],
+  subtasks: ['issueType', 'estimates'],
+};
+
+// Tokens for title templates; separators left by an empty token are dropped
+export const TITLE_TOKENS = ['componentName', 'pageName', 'issueKey', 'projectKey', 'summary'];
+
+// Page titles when a step has none. The issue keeps its generated summary.
+export const DEFAULT_TITLES = {
+  implementationPlan: 'Implementation Plan: {componentName} — {pageName}',
+  wikiPage: 'Implementation Plan: {componentName} — {pageName}',
+  qaPage: '{pageName} - {issueKey} - {componentName}',
+};
+
+// Only further wiki pages can appear more than once
+const REPEATABLE = ['wikiPage'];
+// These write to the issue, so the jira step has to come first
+const NEEDS_ISSUE = ['remoteLinks', 'resourcesBlock', 'subtasks'];
+// Keys of the orchestrator's results — a wikiPage step's result is stored under its id
+const RESERVED_IDS = ['jira', 'wiki', 'qa', 'git', 'visualDiff', 'subtasks'];
+const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+const EMPTY = '\u0000';
+
+/**
+ * Check a parsed pipeline file and normalise it: `type` and `enabled`
+ * filled in, page steps given their default title, parent IDs as strings.
+ * @param {Object} value
+ * @returns {{ valid: boolean, errors: string[], pipeline: Object|null }}
+ */
+export function validatePipeline(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['pipeline must be a mapping'], pipeline: null };
+  }
+  const errors = [];
+  const unknownKeys = Object.keys(value).filter(key => !['name', 'description', 'projects', 'steps'].includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`unknown key(s) ${unknownKeys.join(', ')}`);
+  }
+  if (typeof value.name !== 'string' || !ID_PATTERN.test(value.name)) {
+    errors.push('name must start with a letter and contain only letters, digits, "-" and "_"');
+  }
+  const projects = value.projects ?? [];
+  if (!Array.isArray(projects) || projects.some(project => typeof project !== 'string' || !project)) {
+    errors.push('projects must be a list of project keys');
+  }
+  if (!Array.isArray(value.steps) || value.steps.length === 0) {
+    errors.push('steps must be a non-empty list');
+    return { valid: false, errors, pipeline: null };
+  }
+
+  const steps = value.steps.map((raw, i) => {
+    const where = `steps[${i}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`${where} must be a mapping`);
+      return null;
+    }
+    const { id, type = id, enabled = true, ...settings } = raw;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      errors.push(`${where}.id must start with a letter and contain only letters, digits, "-" and "_"`);
+      return null;
+    }
+    if (!STEP_TYPES[type]) {
+      errors.push(`${where} (${id}): unknown type "${type}" (expected ${Object.keys(STEP_TYPES).join(', ')})`);
+      return null;
+    }
+    if (typeof enabled !== 'boolean') {
+      errors.push(`${where} (${id}): enabled must be true or false`);
+    }
+    const extra = Object.keys(settings).filter(key => !STEP_TYPES[type].includes(key));
+    if (extra.length > 0) {
+      errors.push(`${where} (${id}): ${type} steps do not take ${extra.join(', ')}`);
+    }
+    if (type === 'wikiPage' && RESERVED_IDS.includes(id)) {
+      errors.push(`${where}: "${id}" is reserved — pick another id for the wikiPage step`);
+    }
+    const step = { id, type, enabled };
+    if (settings.title !== undefined || DEFAULT_TITLES[type]) {
+      step.title = settings.title ?? DEFAULT_TITLES[type];
+      const unknownTokens = typeof step.title === 'string'
+        ? [...step.title.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(token => !TITLE_TOKENS.includes(token))
+        : [];
+      if (typeof step.title !== 'string' || !step.title.trim()) {
+        errors.push(`${where} (${id}): title must be a non-empty string`);
+      } else if (unknownTokens.length > 0) {
+        errors.push(`${where} (${id}): unknown title token(s) ${unknownTokens.map(token => `{${token}}`).join(', ')} (expected ${TITLE_TOKENS.map(token => `{${token}}`).join(' ')})`);
+      }
+    }
+    if (settings.space !== undefined) {
+      if (typeof settings.space !== 'string' || !settings.space) {
+        errors.push(`${where} (${id}): space must be a space key`);
+      }
+      step.space = settings.space;
+    }
+    if (settings.parentId !== undefined) {
+      if (!['string', 'number'].includes(typeof settings.parentId) || settings.parentId === '') {
+        errors.push(`${where} (${id}): parentId must be a page ID`);
+      }
+      step.parentId = String(settings.parentId);
+    }
+    if (settings.issueType !== undefined) {
+      if (typeof settings.issueType !== 'string' || !settings.issueType.trim()) {
+        errors.push(`${where} (${id}): issueType must be an issue type name`);
+      }
+      step.issueType = settings.issueType;
+    }
+    if (settings.estimates !== undefined) {
+      if (typeof settings.estimates !== 'boolean') {
+        errors.push(`${where} (${id}): estimates must be true or false`);
+      }
+      step.estimates = settings.estimates;
+    }
+    return step;
+  }).filter(Boolean);
+
+  const ids = new Set();
+  steps.forEach((step, i) => {
+    if (ids.has(step.id)) {
+      errors.push(`step id "${step.id}" is used more than once`);
+    }
+    ids.add(step.id);
+    if (!REPEATABLE.includes(step.type) && steps.findIndex(other => other.type === step.type) !== i) {
+      errors.push(`only one ${step.type} step is allowed`);
+    }
+    if (step.enabled && NEEDS_ISSUE.includes(step.type) && !steps.slice(0, i).some(other => other.type === 'jira' && other.enabled)) {
+      errors.push(`${step.id} needs an enabled jira step before it`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, pipeline: null };
+  }
+  return { valid: true, errors: [], pipeline: { name: value.name, projects, steps } };
+}
+
+// Used when PIPELINE_DIR has no default.yml — every step, in the original order
+export const DEFAULT_PIPELINE = validatePipeline({
+  name: 'default',
+  steps: ['jira', 'implementationPlan', 'qaPage', 'remoteLinks', 'resourcesBlock', 'gitBranch'].map(id => ({ id })),
+}).pipeline;
+
+/**
+ * Read and validate every *.yml / *.yaml file in the directory. Names and
+ * projects must be unique across the files.
+ * @param {string} [dir] - PIPELINE_DIR when omitted
+ * @returns {Promise<{ pipelines: Object[], errors: string[] }>} Errors as "file: message"
+ */
+export async function readPipelines(dir = process.env.PIPELINE_DIR || DEFAULT_PIPELINE_DIR) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => /\.ya?ml$/.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { pipelines: [], errors: [] };
+    }
+    throw error;
+  }
+
+  const pipelines = [];
+  const errors = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = yaml.load(await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      continue;
+    }
+    const { valid, errors: fileErrors, pipeline } = validatePipeline(parsed);
+    if (!valid) {
+      errors.push(...fileErrors.map(message => `${file}: ${message}`));
+      continue;
+    }
+    const sameName = pipelines.find(other => other.name === pipeline.name);
+    if (sameName) {
+      errors.push(`${file}: name "${pipeline.name}" is already used by ${sameName.file}`);
+    }
+    for (const project of pipeline.projects) {
+      const claimed = pipelines.find(other => other.projects.includes(project));
+      if (claimed) {
+        errors.push(`${file}: project ${project} already uses ${claimed.file}`);
+      }
+    }
+    pipelines.push({ ...pipeline, file });
+  }
+  return { pipelines, errors };
+}
+
+/**
+ * The pipeline for a run. Any invalid file fails the run rather than quietly
+ * running steps a team switched off.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Pipeline asked for by name
+ * @param {string} [options.projectKey] - Jira project key, repository or project path
+ * @param {string} [options.dir] - PIPELINE_DIR when omitted
+ * @returns {Promise<Object>} { name, projects, steps: [{ id, type, enabled, title?, space?, parentId?, issueType?, estimates? }] }
+ */
+export async function loadPipeline({ name, projectKey, dir } = {}) {
+  const { pipelines, errors } = await readPipelines(dir);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline configuration: ${errors.join('; ')}`);
+  }
+  const fallback = pipelines.find(pipeline => pipeline.name === 'default') || DEFAULT_PIPELINE;
+  if (name) {
+    const named = name === 'default' ? fallback : pipelines.find(pipeline => pipeline.name === name);
+    if (!named) {
+      throw new Error(`Unknown pipeline "${name}"`);
+    }
+    return named;
+  }
+  return pipelines.find(pipeline => projectKey && pipeline.projects.includes(projectKey)) || fallback;
+}
+
+/**
+ * Fill a title template. An empty token takes one neighbouring separator
+ * (" - ", " — ", ": ", " | ") with it, so "{pageName} - {issueKey} - {componentName}"
+ * without a page name becomes "DS-7 - Nav Bar".
+ * @param {string} template
+ * @param {Object} values - TITLE_TOKENS values
+ * @returns {string}
+ */
+export function renderTitle(template, values) {
+  return template
+    .replace(/\{(\w+)\}/g, (_, token) => (values[token] ? String(values[token]) : EMPTY))
+    .replace(new RegExp(`\\s*[-—–:|]\\s*${EMPTY}`, 'g'), '')
+    .replace(new RegExp(`${EMPTY}\\s*[-—–:|]\\s*`, 'g'), '')
+    .replaceAll(EMPTY, '')
+    .trim();
+}
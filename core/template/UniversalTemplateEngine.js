@@ -13,6 +13,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
 import { Logger } from '../utils/logger.js';
+import { jiraToMarkdown, markdownToJira } from '../formats/markup-converter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -204,7 +205,7 @@ export class UniversalTemplateEngine {
     if (templateContent && typeof templateContent === 'string') {
       // Merge base template variables into context if available
       const enrichedContext = this.enrichContextWithTemplate(context, template);
-      return this.substituteVariables(templateContent, enrichedContext, template);
+      return this.formatOutput(this.substituteVariables(templateContent, enrichedContext, template), template);
     }
 
     // If it's an object template, process each field
@@ -217,6 +218,21 @@ export class UniversalTemplateEngine {
     return `# ${context.figma?.component_name || 'Component'}\n\nTemplate structure could not be rendered.\nTemplate keys: ${Object.keys(template).join(', ')}`;
   }
 
+  /**
+   * Convert rendered text to the markup the target platform reads. Templates
+   * are written in Markdown (or Jira markup with `meta.format: jira`); Jira and
+   * Confluence output is Jira wiki markup.
+   */
+  formatOutput(text, template) {
+    const platform = String(template._meta?.platform || template.meta?.platform || '').toLowerCase();
+    const target = ['jira', 'confluence'].includes(platform) ? 'jira' : 'markdown';
+    const source = template.meta?.format === 'jira' ? 'jira' : 'markdown';
+    if (source === target) {
+      return text;
+    }
+    return target === 'jira' ? markdownToJira(text) : jiraToMarkdown(text);
+  }
+
   /**
    * Process object-based templates (like Jira ticket structure)
    */
@@ -0,0 +1,104 @@
+/**
+ * Component Scaffold — starter files committed on the feature branch
+ *
+ * A README stub that links the branch to its Jira issue, Figma frame and wiki
+ * pages (with the acceptance criteria as a checklist), plus empty component
+ * files for the tech stack: React (.tsx + barrel), Vue (SFC) or AEM (HTL +
+ * component node). Other stacks get the README only.
+ */
+
+/**
+ * @param {Object} params
+ * @param {string} params.componentName
+ * @param {string|string[]} [params.techStack]
+ * @param {string} [params.dir='components'] - Repo-relative parent directory
+ * @param {string} [params.issueKey]
+ * @param {string} [params.issueUrl]
+ * @param {string} [params.figmaUrl]
+ * @param {string} [params.wikiUrl] - Implementation Plan page
+ * @param {string} [params.qaUrl] - QA Test Case page
+ * @param {string[]} [params.acceptanceCriteria]
+ * @returns {Object<string, string>} Repo-relative path → file content
+ */
+export function componentScaffold({ componentName, techStack = '', dir = 'components', ...links }) {
+  const stack = [].concat(techStack).join(' ').toLowerCase();
+  const pascal = pascalCase(componentName);
+  const slug = slugify(componentName);
+  const base = dir.replace(/^\/+|\/+$/g, '');
+  const at = (folder, file) => [base, folder, file].filter(Boolean).join('/');
+
+  if (/react|next/.test(stack)) {
+    return {
+      [at(pascal, 'README.md')]: readme(componentName, links),
+      [at(pascal, `${pascal}.tsx`)]: `export interface ${pascal}Props {}
+
+export function ${pascal}(_props: ${pascal}Props) {
+  return <div className="${slug}" />;
+}
+
+export default ${pascal};
+`,
+      [at(pascal, 'index.ts')]: `export * from './${pascal}';\n`,
+    };
+  }
+  if (/vue/.test(stack)) {
+    return {
+      [at(pascal, 'README.md')]: readme(componentName, links),
+      [at(pascal, `${pascal}.vue`)]: `<template>
+  <div class="${slug}"></div>
+</template>
+
+<script setup lang="ts">
+</script>
+`,
+    };
+  }
+  if (/aem/.test(stack)) {
+    return {
+      [at(slug, 'README.md')]: readme(componentName, links),
+      [at(slug, '.content.xml')]: `<?xml version="1.0" encoding="UTF-8"?>
+<jcr:root xmlns:cq="http://www.day.com/jcr/cq/1.0" xmlns:jcr="http://www.jcp.org/jcr/1.0"
+    jcr:primaryType="cq:Component"
+    jcr:title="${escapeXml(componentName)}"
+    componentGroup="Components"/>
+`,
+      [at(slug, `${slug}.html`)]: `<div class="${slug}" data-sly-use.model="">
+</div>
+`,
+    };
+  }
+  return { [at(slug, 'README.md')]: readme(componentName, links) };
+}
+
+function readme(componentName, { issueKey, issueUrl, figmaUrl, wikiUrl, qaUrl, acceptanceCriteria = [] }) {
+  const link = (label, url) => (url ? `[${label}](${url})` : label);
+  const lines = [
+    `# ${componentName}`,
+    '',
+    'Scaffolded from the Figma design handoff — replace this stub as the component takes shape.',
+    '',
+    issueKey && `- Jira: ${link(issueKey, issueUrl)}`,
+    figmaUrl && `- Figma: ${link('Design', figmaUrl)}`,
+    wikiUrl && `- Implementation Plan: ${link('Wiki', wikiUrl)}`,
+    qaUrl && `- QA Test Case: ${link('Wiki', qaUrl)}`,
+  ].filter(line => typeof line === 'string');
+  if (acceptanceCriteria.length > 0) {
+    lines.push('', '## Acceptance Criteria', '', ...acceptanceCriteria.map(criterion => `- [ ] ${criterion}`));
+  }
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n')}\n`;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'component';
+}
+
+function pascalCase(name) {
+  const words = String(name).match(/[A-Za-z0-9]+/g) || ['Component'];
+  const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  // Identifiers can't start with a digit
+  return /^[0-9]/.test(pascal) ? `C${pascal}` : pascal;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,96 @@
+/**
+ * DryRunTracker — records a REST tracker's writes on a dry-run plan
+ *
+ * The REST counterpart of DryRunMCPAdapter, which Jira gets for free since
+ * its tracker goes through the MCP adapter. Duplicate searches and
+ * description reads are forwarded when the tracker has a token; every write
+ * is appended to the recorder's plan (tool `<tracker>_<action>`) and answered
+ * with a synthetic result.
+ */
+
+import path from 'path';
+
+export class DryRunTracker {
+  /**
+   * @param {RestTracker} tracker - Real tracker, used for reads
+   * @param {DryRunMCPAdapter} recorder - Owns the plan and the synthetic issue counter
+   */
+  constructor(tracker, recorder) {
+    this.tracker = tracker;
+    this.recorder = recorder;
+    this.dryRun = true;
+    this.name = tracker.name;
+    this.label = tracker.label;
+    this.markup = tracker.markup;
+    this.defaultProject = tracker.defaultProject;
+    this.defaultParent = tracker.defaultParent;
+    this.isAvailable = true;
+  }
+
+  issueUrl(issueKey) {
+    return `dry-run://${this.name}/${issueKey}`;
+  }
+
+  refKey(issueKey) {
+    return this.tracker.refKey(issueKey);
+  }
+
+  imageMarkup(source, media) {
+    return this.tracker.imageMarkup(source, media);
+  }
+
+  // ---- Reads (forwarded) -------------------------------------------------
+
+  async findDuplicate(project, summary) {
+    return this.tracker.isAvailable ? this.tracker.findDuplicate(project, summary) : null;
+  }
+
+  async getDescription(issueKey) {
+    return this.tracker.isAvailable ? this.tracker.getDescription(issueKey) : '';
+  }
+
+  // ---- Writes (recorded) -------------------------------------------------
+
+  async createIssue(fields) {
+    const project = fields.projectKey || this.defaultProject;
+    const key = `${project}#DRY-RUN-${++this.recorder.issueCount}`;
+    this._record('createIssue', 'create_issue', `Create ${this.label} issue "${fields.summary}" in ${project}`, { fields });
+    return { issue: { key, url: this.issueUrl(key) }, dryRun: true };
+  }
+
+  async updateDescription(issueKey, description) {
+    this._record('updateDescription', 'update_issue', `Update ${issueKey} description`, { issueKey, description });
+    return { success: true, dryRun: true };
+  }
+
+  async attachFiles(issueKey, filePaths) {
+    const filenames = [].concat(filePaths).map(filePath => path.basename(filePath));
+    this._record('attachFiles', 'upload', `Attach ${filenames.join(', ')} to ${issueKey}`, { issueKey, filenames });
+    return { success: true, filenames, media: {}, dryRun: true };
+  }
+
+  async embedImage(issueKey, description, source) {
+    this._record('embedImage', 'update_issue', `Embed design image ${source} in ${issueKey} description`, { issueKey, source });
+    return { success: true, description: `${description || ''}\n\n${this.imageMarkup(source)}`, media: {}, dryRun: true };
+  }
+
+  async addComment(issueKey, body) {
+    this._record('addComment', 'add_comment', `Comment on ${issueKey}`, { issueKey, body });
+    return { success: true, dryRun: true };
+  }
+
+  async linkResource() {
+    return null;
+  }
+
+  async addToParent(issueKey, milestone) {
+    this._record('addToParent', 'set_milestone', `Add ${issueKey} to milestone ${milestone}`, { issueKey, milestone });
+    return { success: true, dryRun: true };
+  }
+
+  _record(method, action, summary, params) {
+    return this.recorder._record(method, `${this.name}_${action}`, summary, params);
+  }
+}
+
+export default DryRunTracker;
@@ -0,0 +1,127 @@
+/**
+ * GitHub Tracker — work items as GitHub Issues (REST API v3)
+ *
+ * The project is the repository (`owner/name`, GITHUB_REPO or the request's
+ * ticketProjectKey); epics map to milestones. The API has no file upload for
+ * issues, so the design image is embedded from the Figma export URL and
+ * attachments (test exports, visual diffs) are not available.
+ */
+
+import path from 'path';
+import mcpConfig from '../../config/mcp.config.js';
+import { RestTracker } from './RestTracker.js';
+
+export class GitHubTracker extends RestTracker {
+  // owner/name
+  static PROJECT_PATH = /^[\w.-]+\/[\w.-]+$/;
+  static PROJECT_EXAMPLE = 'owner/name';
+
+  /**
+   * @param {Object} [options] - Overrides for mcpConfig.trackers.github
+   */
+  constructor(options = {}) {
+    const config = { ...mcpConfig.trackers?.github, ...options };
+    super({
+      name: 'github',
+      label: 'GitHub',
+      apiUrl: config.url || 'https://api.github.com',
+      token: config.token,
+      defaultProject: config.repo,
+      defaultParent: config.milestone,
+    });
+    // github.com or GitHub Enterprise (https://ghe.example.com/api/v3)
+    this.webUrl = this.apiUrl === 'https://api.github.com' ? 'https://github.com' : this.apiUrl.replace(/\/api\/v3$/, '');
+  }
+
+  issueUrl(issueKey) {
+    const { project, number } = this._parseKey(issueKey);
+    return `${this.webUrl}/${project}/issues/${number}`;
+  }
+
+  async findDuplicate(repo, summary) {
+    const title = summary.replace(/"/g, '');
+    const query = `repo:${this._project(repo)} is:issue is:open in:title "${title}"`;
+    const result = await this._request('GET', `/search/issues?q=${encodeURIComponent(query)}&per_page=10`);
+    // in:title is a word match — require the exact title
+    const match = (result?.items || []).find(item => item.title.trim().toLowerCase() === title.trim().toLowerCase());
+    return match ? { key: `${this._project(repo)}#${match.number}`, url: match.html_url, summary: match.title } : null;
+  }
+
+  /**
+   * Jira-only fields (issueType, additionalFields) are ignored.
+   * @returns {Promise<Object>} { issue: { key, url, self, number } }
+   */
+  async createIssue({ projectKey, summary, description, assignee }) {
+    const repo = this._project(projectKey);
+    this.logger.info(`🎫 Creating GitHub issue in ${repo}...`, { summary });
+    const issue = await this._request('POST', `/repos/${repo}/issues`, {
+      title: summary,
+      body: description,
+      ...(assignee && { assignees: [assignee] }),
+    });
+    this.logger.info(`✅ GitHub issue ${repo}#${issue.number} created`);
+    return { issue: { key: `${repo}#${issue.number}`, url: issue.html_url, self: issue.url, number: issue.number } };
+  }
+
+  async getDescription(issueKey) {
+    const { project, number } = this._parseKey(issueKey);
+    const issue = await this._request('GET', `/repos/${project}/issues/${number}`);
+    return issue?.body || '';
+  }
+
+  updateDescription(issueKey, body) {
+    const { project, number } = this._parseKey(issueKey);
+    return this._request('PATCH', `/repos/${project}/issues/${number}`, { body });
+  }
+
+  async attachFiles(issueKey, filePaths) {
+    const filenames = [].concat(filePaths).map(filePath => path.basename(filePath));
+    this.logger.info(`⏭️  Not attaching ${filenames.join(', ')} to ${issueKey} — GitHub issues take no uploads over the API`);
+    return { success: false, filenames, error: 'GitHub issues do not accept file attachments over the API' };
+  }
+
+  async addComment(issueKey, body) {
+    const { project, number } = this._parseKey(issueKey);
+    try {
+      return await this._request('POST', `/repos/${project}/issues/${number}/comments`, { body });
+    } catch (error) {
+      this.logger.error(`❌ Failed to comment on ${issueKey}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Rollback: close the issue as not planned, with the reason as a comment.
+   * @returns {Promise<Object>} { issueKey, state: 'closed' }
+   */
+  async archiveIssue(issueKey, reason) {
+    const { project, number } = this._parseKey(issueKey);
+    await this.addComment(issueKey, reason);
+    await this._request('PATCH', `/repos/${project}/issues/${number}`, { state: 'closed', state_reason: 'not_planned' });
+    this.logger.info(`🗄️ Closed GitHub ${issueKey}`);
+    return { issueKey, state: 'closed' };
+  }
+
+  _authHeaders() {
+    return { Authorization: `Bearer ${this.token}`, Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': '2022-11-28' };
+  }
+
+  async _findMilestone(repo, milestone) {
+    const milestones = await this._request('GET', `/repos/${repo}/milestones?state=open&per_page=100`);
+    const wanted = String(milestone).trim().toLowerCase();
+    const match = (milestones || []).find(item => String(item.number) === wanted || item.title.trim().toLowerCase() === wanted);
+    return match ? { key: match.number, url: match.html_url } : null;
+  }
+
+  async _createMilestone(repo, title) {
+    const milestone = await this._request('POST', `/repos/${repo}/milestones`, { title, description: 'Design handoff from Figma' });
+    return { key: milestone.number, url: milestone.html_url };
+  }
+
+  _setMilestone(issueKey, milestone) {
+    const { project, number } = this._parseKey(issueKey);
+    return this._request('PATCH', `/repos/${project}/issues/${number}`, { milestone: milestone.key });
+  }
+}
+
+export default GitHubTracker;
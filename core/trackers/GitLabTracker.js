@@ -0,0 +1,166 @@
+/**
+ * GitLab Tracker — work items as GitLab Issues (REST API v4)
+ *
+ * The project is its full path (`group/name`, GITLAB_PROJECT or the
+ * request's ticketProjectKey); epics map to milestones, which every tier has.
+ * Files go through project uploads: images are embedded in the description
+ * by the orchestrator, other files are listed in a comment so they show on
+ * the issue.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import mcpConfig from '../../config/mcp.config.js';
+import { RestTracker } from './RestTracker.js';
+
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|svg)$/i;
+
+export class GitLabTracker extends RestTracker {
+  // group/name, or group/subgroup/…/name
+  static PROJECT_PATH = /^[\w.-]+(?:\/[\w.-]+)+$/;
+  static PROJECT_EXAMPLE = 'group/name';
+
+  /**
+   * @param {Object} [options] - Overrides for mcpConfig.trackers.gitlab
+   */
+  constructor(options = {}) {
+    const config = { ...mcpConfig.trackers?.gitlab, ...options };
+    const webUrl = (config.url || 'https://gitlab.com').replace(/\/+$/, '');
+    super({
+      name: 'gitlab',
+      label: 'GitLab',
+      apiUrl: `${webUrl}/api/v4`,
+      token: config.token,
+      defaultProject: config.project,
+      defaultParent: config.milestone,
+    });
+    this.webUrl = webUrl;
+  }
+
+  issueUrl(issueKey) {
+    const { project, number } = this._parseKey(issueKey);
+    return `${this.webUrl}/${project}/-/issues/${number}`;
+  }
+
+  async findDuplicate(project, summary) {
+    const title = summary.trim();
+    const id = this._projectId(project);
+    const issues = await this._request('GET', `/projects/${id}/issues?state=opened&in=title&search=${encodeURIComponent(title)}&per_page=20`);
+    // search is a substring match — require the exact title
+    const match = (issues || []).find(issue => issue.title.trim().toLowerCase() === title.toLowerCase());
+    return match ? { key: `${this._project(project)}#${match.iid}`, url: match.web_url, summary: match.title } : null;
+  }
+
+  /**
+   * Jira-only fields (issueType, additionalFields) are ignored; the assignee
+   * is a username.
+   * @returns {Promise<Object>} { issue: { key, url, self, number } }
+   */
+  async createIssue({ projectKey, summary, description, assignee }) {
+    const project = this._project(projectKey);
+    this.logger.info(`🎫 Creating GitLab issue in ${project}...`, { summary });
+    const assigneeIds = assignee ? await this._userIds(assignee) : [];
+    const issue = await this._request('POST', `/projects/${this._projectId(project)}/issues`, {
+      title: summary,
+      description,
+      ...(assigneeIds.length > 0 && { assignee_ids: assigneeIds }),
+    });
+    this.logger.info(`✅ GitLab issue ${project}#${issue.iid} created`);
+    return { issue: { key: `${project}#${issue.iid}`, url: issue.web_url, self: issue._links?.self, number: issue.iid } };
+  }
+
+  async getDescription(issueKey) {
+    const { project, number } = this._parseKey(issueKey);
+    const issue = await this._request('GET', `/projects/${this._projectId(project)}/issues/${number}`);
+    return issue?.description || '';
+  }
+
+  updateDescription(issueKey, description) {
+    const { project, number } = this._parseKey(issueKey);
+    return this._request('PUT', `/projects/${this._projectId(project)}/issues/${number}`, { description });
+  }
+
+  /**
+   * Upload files to the issue's project.
+   * @returns {Promise<Object|null>} { success, filenames, media } — media maps each
+   *          filename to { url } for imageMarkup; null when an upload failed
+   */
+  async attachFiles(issueKey, filePaths) {
+    const paths = [].concat(filePaths);
+    const filenames = paths.map(filePath => path.basename(filePath));
+    try {
+      const { project } = this._parseKey(issueKey);
+      const media = {};
+      for (const filePath of paths) {
+        const form = new FormData();
+        form.append('file', new Blob([fs.readFileSync(filePath)]), path.basename(filePath));
+        const upload = await this._request('POST', `/projects/${this._projectId(project)}/uploads`, form);
+        media[path.basename(filePath)] = { url: upload.url };
+      }
+      // An upload nothing links to stays invisible; images are embedded by the caller
+      const files = filenames.filter(filename => !IMAGE_FILE.test(filename));
+      if (files.length > 0) {
+        await this.addComment(issueKey, `Attached: ${files.map(filename => `[${filename}](${media[filename].url})`).join(', ')}`);
+      }
+      this.logger.info(`✅ Uploaded to GitLab ${issueKey}: ${filenames.join(', ')}`);
+      return { success: true, filenames, media };
+    } catch (error) {
+      this.logger.error(`❌ Failed to upload to GitLab ${issueKey}`, { message: error.message });
+      return null;
+    }
+  }
+
+  async addComment(issueKey, body) {
+    const { project, number } = this._parseKey(issueKey);
+    try {
+      return await this._request('POST', `/projects/${this._projectId(project)}/issues/${number}/notes`, { body });
+    } catch (error) {
+      this.logger.error(`❌ Failed to comment on ${issueKey}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Rollback: close the issue, with the reason as a comment.
+   * @returns {Promise<Object>} { issueKey, state: 'closed' }
+   */
+  async archiveIssue(issueKey, reason) {
+    const { project, number } = this._parseKey(issueKey);
+    await this.addComment(issueKey, reason);
+    await this._request('PUT', `/projects/${this._projectId(project)}/issues/${number}`, { state_event: 'close' });
+    this.logger.info(`🗄️ Closed GitLab ${issueKey}`);
+    return { issueKey, state: 'closed' };
+  }
+
+  _authHeaders() {
+    return { 'PRIVATE-TOKEN': this.token };
+  }
+
+  _projectId(project) {
+    return encodeURIComponent(this._project(project));
+  }
+
+  async _userIds(username) {
+    const users = await this._request('GET', `/users?username=${encodeURIComponent(username)}`);
+    return (users || []).map(user => user.id);
+  }
+
+  async _findMilestone(project, milestone) {
+    const milestones = await this._request('GET', `/projects/${this._projectId(project)}/milestones?state=active&per_page=100`);
+    const wanted = String(milestone).trim().toLowerCase();
+    const match = (milestones || []).find(item => String(item.id) === wanted || item.title.trim().toLowerCase() === wanted);
+    return match ? { key: match.id, url: match.web_url } : null;
+  }
+
+  async _createMilestone(project, title) {
+    const milestone = await this._request('POST', `/projects/${this._projectId(project)}/milestones`, { title, description: 'Design handoff from Figma' });
+    return { key: milestone.id, url: milestone.web_url };
+  }
+
+  _setMilestone(issueKey, milestone) {
+    const { project, number } = this._parseKey(issueKey);
+    return this._request('PUT', `/projects/${this._projectId(project)}/issues/${number}`, { milestone_id: milestone.key });
+  }
+}
+
+export default GitLabTracker;
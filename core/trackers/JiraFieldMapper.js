@@ -0,0 +1,302 @@
+/**
+ * Jira Field Mapper — logical issue fields to a project's real Jira fields
+ *
+ * Step A describes the issue with logical fields (storyPoints, team,
+ * components, labels, sprint, fixVersion, priority). Their IDs differ per
+ * Jira instance, and whether they are on the create screen, which values
+ * they allow and which other fields are required differ per project and
+ * issue type. The mapper finds out and builds additionalFields, so a bad
+ * value fails Step A with the field named instead of a bare 400 from Jira.
+ *
+ *   IDs        JIRA_FIELD_MAP (storyPoints=customfield_10016,team=customfield_10100),
+ *              then by name from the jira_search_fields MCP tool
+ *   Screen     required fields and allowed values from Jira REST createmeta
+ *              (JIRA_BASE_URL) — without it values are sent unchecked
+ *
+ * Both are cached for JIRA_FIELD_CACHE_TTL seconds (Redis when connected).
+ * A payload that fails against cached metadata is checked once more against
+ * fresh metadata, so a component added in Jira is picked up straight away.
+ * Keys that look like field IDs (customfield_12345) pass through as they are.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+// Logical fields: a system field ID, or the names the custom field usually has
+export const LOGICAL_FIELDS = {
+  storyPoints: { names: ['Story Points', 'Story point estimate'], type: 'number' },
+  team: { names: ['Team'] },
+  components: { id: 'components', type: 'array', items: 'component' },
+  labels: { id: 'labels', type: 'array', items: 'string' },
+  sprint: { names: ['Sprint'], type: 'sprint' },
+  fixVersion: { id: 'fixVersions', type: 'array', items: 'version' },
+  priority: { id: 'priority', type: 'priority' },
+};
+
+const FIELD_ID = /^customfield_\d+$/;
+const SPRINT_TYPE = 'com.pyxis.greenhopper.jira:gh-sprint';
+// Required fields the issue payload itself covers, or that Jira fills in
+const SET_BY_PAYLOAD = ['project', 'issuetype', 'summary', 'description', 'assignee', 'reporter'];
+
+/**
+ * Parse "storyPoints=customfield_10016,team=customfield_10100"
+ * @param {string} [value]
+ * @returns {Object} Logical name → field ID
+ */
+export function parseFieldMap(value) {
+  return Object.fromEntries((value || '').split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([name, id]) => name && id));
+}
+
+/**
+ * Shape errors in a jiraFields object (profile setting or request field).
+ * Values are only checked against Jira when the issue is created.
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function jiraFieldsErrors(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['jiraFields must be an object of field name → value'];
+  }
+  const errors = [];
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (!Object.hasOwn(LOGICAL_FIELDS, key) && !FIELD_ID.test(key)) {
+      errors.push(`jiraFields: unknown field "${key}" (expected ${Object.keys(LOGICAL_FIELDS).join(', ')} or a customfield_ ID)`);
+    } else if (!isFieldValue(fieldValue) && !(Array.isArray(fieldValue) && fieldValue.every(isFieldValue))) {
+      errors.push(`jiraFields.${key} must be a string, a number or a list of them`);
+    }
+  }
+  return errors;
+}
+
+export class JiraFieldMapper {
+  /**
+   * @param {Object} [options]
+   * @param {MCPAdapter} [options.mcpAdapter] - Real adapter — discovery only reads
+   * @param {RedisClient} [options.redis] - Shared cache while connected; an in-process cache otherwise
+   * @param {Object} [options.fieldMap] - Logical name → field ID (JIRA_FIELD_MAP)
+   * @param {number} [options.ttl] - Cache lifetime in seconds (JIRA_FIELD_CACHE_TTL, default 3600)
+   */
+  constructor({ mcpAdapter = null, redis = null, fieldMap, ttl } = {}) {
+    this.logger = new Logger('JiraFieldMapper');
+    this.mcpAdapter = mcpAdapter;
+    this.redis = redis;
+    this.fieldMap = fieldMap || parseFieldMap(process.env.JIRA_FIELD_MAP);
+    this.ttl = ttl || parseInt(process.env.JIRA_FIELD_CACHE_TTL, 10) || 3600;
+    this.cache = new Map();
+  }
+
+  /**
+   * Map and check the logical fields of an issue payload.
+   * @param {Object} ticketData - { projectKey, issueType, assignee, additionalFields, fields?, fieldMap? }
+   *   fields: logical name or field ID → value; fieldMap: per-run ID overrides
+   * @returns {Promise<Object>} The payload with the fields in additionalFields (fields and fieldMap removed)
+   * @throws {Error} Naming the field: unknown, not on the create screen, a value Jira won't take, or a required field left out
+   */
+  async apply(ticketData) {
+    const { fields = {}, fieldMap = {}, ...payload } = ticketData;
+    const values = Object.entries(fields).filter(([, value]) => !isEmpty(value));
+    try {
+      return await this._apply(payload, values, fieldMap, false);
+    } catch (error) {
+      if (!error.fieldMapping) {
+        throw error;
+      }
+      this.logger.info(`Jira field check failed (${error.message}) — retrying with fresh metadata`);
+      return this._apply(payload, values, fieldMap, true);
+    }
+  }
+
+  /**
+   * Every field of the instance, or null when jira_search_fields is unavailable.
+   * @param {boolean} [fresh] - Skip the cache
+   */
+  async fields(fresh = false) {
+    if (!this.mcpAdapter?.isAvailable || typeof this.mcpAdapter.searchJiraFields !== 'function') {
+      return null;
+    }
+    return this._cached('jira-fields', fresh, () => this.mcpAdapter.searchJiraFields());
+  }
+
+  /**
+   * The create screen of a project's issue type, or null when it can't be read.
+   * @param {string} projectKey
+   * @param {string} issueType
+   * @param {boolean} [fresh] - Skip the cache
+   * @returns {Promise<Object|null>} { issueTypes, fields: { [fieldId]: field } | null }
+   */
+  async createMeta(projectKey, issueType, fresh = false) {
+    if (typeof this.mcpAdapter?.getJiraCreateMeta !== 'function') {
+      return null;
+    }
+    return this._cached(`jira-createmeta:${projectKey}:${issueType}`, fresh, async () => {
+      const meta = await this.mcpAdapter.getJiraCreateMeta(projectKey, issueType);
+      return meta && {
+        issueTypes: meta.issueTypes,
+        fields: meta.fields && Object.fromEntries(meta.fields.map(field => [field.fieldId || field.key, field])),
+      };
+    });
+  }
+
+  // ---- Internals -----------------------------------------------------------
+
+  async _apply(payload, values, fieldMap, fresh) {
+    const { projectKey, issueType } = payload;
+    // The create screen is read even without fields: it says what Jira requires
+    const [catalog, meta] = await Promise.all([
+      values.length > 0 ? this.fields(fresh) : null,
+      this.createMeta(projectKey, issueType, fresh),
+    ]);
+    const where = `${projectKey} ${issueType}`;
+
+    if (meta && !meta.fields) {
+      throw mappingError(`Jira issue type "${issueType}" does not exist in ${projectKey} (available: ${meta.issueTypes.join(', ')})`);
+    }
+
+    const additionalFields = { ...payload.additionalFields };
+    for (const [key, value] of values) {
+      const fieldId = this._fieldId(key, catalog, meta, { ...this.fieldMap, ...fieldMap });
+      if (!fieldId) {
+        throw mappingError(catalog
+          ? `Jira field ${key}: no field named ${LOGICAL_FIELDS[key].names.map(name => `"${name}"`).join(' or ')} — map it with JIRA_FIELD_MAP=${key}=customfield_…`
+          : `Jira field ${key}: field discovery is unavailable — map it with JIRA_FIELD_MAP=${key}=customfield_…`);
+      }
+      const screenField = meta?.fields[fieldId];
+      const label = `"${screenField?.name || catalog?.find(field => field.id === fieldId)?.name || key}" (${fieldId})`;
+      if (meta && !screenField) {
+        throw mappingError(`Jira field ${label} is not on the create screen of ${where}`);
+      }
+      const schema = screenField?.schema || catalog?.find(field => field.id === fieldId)?.schema || {};
+      additionalFields[fieldId] = this._format(key, value, schema, screenField?.allowedValues, label);
+    }
+
+    if (meta) {
+      const missing = Object.entries(meta.fields).filter(([fieldId, field]) => field.required && !field.hasDefaultValue
+        && !SET_BY_PAYLOAD.includes(fieldId) && isEmpty(additionalFields[fieldId]));
+      if (missing.length > 0) {
+        throw mappingError(`Jira requires ${missing.map(([fieldId, field]) => `"${field.name}" (${fieldId})`).join(', ')} for ${where} — set it in jiraFields`);
+      }
+    }
+    return { ...payload, additionalFields };
+  }
+
+  _fieldId(key, catalog, meta, fieldMap) {
+    if (FIELD_ID.test(key)) {
+      return key;
+    }
+    const logical = LOGICAL_FIELDS[key];
+    if (fieldMap[key] || logical.id) {
+      return fieldMap[key] || logical.id;
+    }
+    const names = logical.names.map(name => name.toLowerCase());
+    const candidates = (catalog || []).filter(field => names.includes(String(field.name).toLowerCase()));
+    // Several fields can share a name (team-managed projects) — prefer the one on the screen
+    return (candidates.find(field => meta?.fields?.[field.id]) || candidates[0])?.id || null;
+  }
+
+  /**
+   * A value in the shape the field's schema asks for. Values with a list of
+   * allowed values are matched by name or value and sent by ID.
+   */
+  _format(key, value, schema, allowedValues, label) {
+    const logical = LOGICAL_FIELDS[key] || {};
+    const type = schema.custom === SPRINT_TYPE ? 'sprint' : schema.type || logical.type;
+    const items = schema.items || logical.items;
+
+    if (type === 'array') {
+      const list = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      if (items === 'string') {
+        const spaced = list.find(item => /\s/.test(item));
+        if (spaced) {
+          throw mappingError(`Jira field ${label}: "${spaced}" can't contain spaces`);
+        }
+        return list.map(String);
+      }
+      return list.map(item => this._option(item, items, allowedValues, label));
+    }
+    if (type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw mappingError(`Jira field ${label}: "${value}" is not a number`);
+      }
+      return number;
+    }
+    if (type === 'sprint') {
+      // Sprints are set by ID; names would need the agile API
+      if (!/^\d+$/.test(String(value))) {
+        throw mappingError(`Jira field ${label}: "${value}" is not a sprint ID`);
+      }
+      return Number(value);
+    }
+    if (type === 'string') {
+      return String(value);
+    }
+    if (allowedValues || ['option', 'priority', 'component', 'version'].includes(type)) {
+      return this._option(value, type, allowedValues, label);
+    }
+    return value;
+  }
+
+  _option(value, type, allowedValues, label) {
+    if (!allowedValues) {
+      return type === 'option' ? { value: String(value) } : { name: String(value) };
+    }
+    const wanted = String(value).toLowerCase();
+    const match = allowedValues.find(allowed => [allowed.name, allowed.value, allowed.id]
+      .some(candidate => candidate !== undefined && String(candidate).toLowerCase() === wanted));
+    if (!match) {
+      const allowed = allowedValues.map(allowed => allowed.name ?? allowed.value).filter(Boolean);
+      throw mappingError(`Jira field ${label} has no value "${value}" (allowed: ${allowed.join(', ') || 'none'})`);
+    }
+    return { id: String(match.id) };
+  }
+
+  async _cached(key, fresh, load) {
+    if (!fresh) {
+      const hit = this._useRedis() ? await this.redis.get(key).catch(() => null) : this._memoryGet(key);
+      if (hit) {
+        return hit;
+      }
+    }
+    let value;
+    try {
+      value = await load();
+    } catch (error) {
+      // Not cached, so the next run tries again
+      this.logger.warn(`Jira field metadata unavailable (${key}): ${error.message}`);
+      return null;
+    }
+    if (this._useRedis()) {
+      await this.redis.set(key, value, this.ttl).catch(error => this.logger.warn(`Failed to cache ${key}: ${error.message}`));
+    } else {
+      this.cache.set(key, { value, expires: Date.now() + this.ttl * 1000 });
+    }
+    return value;
+  }
+
+  _useRedis() {
+    return !!this.redis?.isConnected?.();
+  }
+
+  _memoryGet(key) {
+    const entry = this.cache.get(key);
+    return entry && entry.expires > Date.now() ? entry.value : null;
+  }
+}
+
+function isFieldValue(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function mappingError(message) {
+  const error = new Error(message);
+  // Lets apply() tell a bad payload from a failed request
+  error.fieldMapping = true;
+  return error;
+}
+
+export default JiraFieldMapper;
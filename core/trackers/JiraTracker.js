@@ -0,0 +1,233 @@
+/**
+ * Jira Tracker — work items as Jira issues through the Jira MCP server
+ *
+ * A thin layer over MCPAdapter's Jira methods, so dry runs keep recording
+ * the same MCP calls through DryRunMCPAdapter. Descriptions and comments are
+ * Jira wiki markup (converted to ADF by the adapter where configured).
+ */
+
+import { Logger } from '../utils/logger.js';
+import mcpConfig from '../../config/mcp.config.js';
+import { jiraImageMarkup } from '../adapters/MCPAdapter.js';
+import { isAdf } from '../formats/jira-adf.js';
+import { keyTerms, rankSimilar } from './issue-similarity.js';
+
+// Open issues fetched per similarity search, before they are scored
+const SIMILAR_CANDIDATES = 50;
+
+export class JiraTracker {
+  /**
+   * Whether a value is a Jira project key (DS, WEB_2).
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isProjectKey(value) {
+    return typeof value === 'string' && /^[A-Z][A-Z0-9_]*$/i.test(value);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {MCPAdapter|DryRunMCPAdapter} options.mcpAdapter
+   * @param {JiraFieldMapper} [options.fieldMapper] - Maps and checks the logical fields of new issues
+   */
+  constructor({ mcpAdapter, fieldMapper = null }) {
+    this.logger = new Logger('JiraTracker');
+    this.mcpAdapter = mcpAdapter;
+    this.fieldMapper = fieldMapper;
+    this.name = 'jira';
+    this.label = 'Jira';
+    this.markup = 'jira';
+    this.defaultProject = mcpConfig.defaults.jiraProjectKey;
+    this.defaultParent = process.env.JIRA_DEFAULT_EPIC || null;
+  }
+
+  get isAvailable() {
+    return !!this.mcpAdapter?.isAvailable;
+  }
+
+  issueUrl(issueKey) {
+    const jiraBase = (process.env.JIRA_BASE_URL || process.env.JIRA_URL || '').replace(/\/$/, '');
+    return jiraBase ? `${jiraBase}/browse/${issueKey}` : null;
+  }
+
+  // Jira keys are already branch-safe
+  refKey(issueKey) {
+    return issueKey;
+  }
+
+  async findDuplicate(projectKey, summary) {
+    const jql = `project = "${projectKey}" AND summary ~ "\\"${summary}\\"" AND statusCategory != Done`;
+    const searchResult = await this.mcpAdapter.searchJiraIssues(jql, 1);
+    return searchResult?.issues?.[0] || null;
+  }
+
+  /**
+   * Open issues that read like the one about to be filed, even when worded
+   * differently. Candidates sharing a key term with the summary or description
+   * are fetched with JQL and scored locally (issue-similarity.js).
+   * @param {string} projectKey
+   * @param {{ summary: string, description?: string }} ticket
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Minimum score; JIRA_DUPLICATE_THRESHOLD, else 0.5
+   * @param {number} [options.limit=5]
+   * @returns {Promise<Array<{ key: string, summary: string, status: string|null, url: string|null, score: number }>>} Best first
+   */
+  async findSimilar(projectKey, ticket, { threshold = Number(process.env.JIRA_DUPLICATE_THRESHOLD) || 0.5, limit = 5 } = {}) {
+    const terms = keyTerms(ticket);
+    if (terms.length === 0) {
+      return [];
+    }
+    const text = terms.map(term => `summary ~ "${term}" OR description ~ "${term}"`).join(' OR ');
+    const jql = `project = "${projectKey}" AND statusCategory != Done AND (${text}) ORDER BY updated DESC`;
+    const searchResult = await this.mcpAdapter.searchJiraIssues(jql, SIMILAR_CANDIDATES, 'summary,status,description');
+    const candidates = (searchResult?.issues || []).map(issue => ({
+      key: issue.key,
+      summary: issue.fields?.summary || issue.summary || '',
+      description: plainText(issue.fields?.description ?? issue.description),
+      status: issue.fields?.status?.name || issue.status?.name || (typeof issue.status === 'string' ? issue.status : null),
+      url: this.issueUrl(issue.key),
+    }));
+    return rankSimilar(ticket, candidates, { threshold, limit })
+      .map(({ description: _description, ...candidate }) => candidate);
+  }
+
+  /**
+   * @param {Object} fields - createJiraTicket payload; logical fields (storyPoints,
+   *   components, …) in fields.fields are mapped to additionalFields first
+   * @throws {Error} When the field mapper rejects a field — nothing is created
+   */
+  async createIssue(fields) {
+    const { fields: _logical, fieldMap: _fieldMap, ...ticketData } = fields;
+    return this.mcpAdapter.createJiraTicket(this.fieldMapper ? await this.fieldMapper.apply(fields) : ticketData);
+  }
+
+  async getDescription(issueKey) {
+    const issue = await this.mcpAdapter._callMCP('jira_get_issue', { issue_key: issueKey });
+    return issue?.fields?.description ?? issue?.description ?? '';
+  }
+
+  updateDescription(issueKey, markup, media = {}) {
+    // An ADF document (an edited Jira Cloud description) is sent as it is
+    const description = isAdf(markup) ? markup : this.mcpAdapter.formatJiraDescription?.(markup, media) ?? markup;
+    return this.mcpAdapter._callMCP('jira_update_issue', {
+      issue_key: issueKey,
+      fields: { description }
+    });
+  }
+
+  attachFiles(issueKey, filePaths, issueSelfUrl) {
+    return this.mcpAdapter.addJiraAttachment(issueKey, filePaths, issueSelfUrl);
+  }
+
+  embedImage(issueKey, description, source, attachment) {
+    return this.mcpAdapter.updateJiraDescription(issueKey, description, source, attachment);
+  }
+
+  imageMarkup(source) {
+    return jiraImageMarkup(source);
+  }
+
+  addComment(issueKey, markup, media = {}) {
+    return this.mcpAdapter.addJiraComment(issueKey, markup, media);
+  }
+
+  linkResource(issueKey, { url, title, relationship }) {
+    return this.mcpAdapter.createRemoteLink(issueKey, url, title, relationship);
+  }
+
+  /**
+   * Rollback: label the issue "archived" and comment why. It is not closed —
+   * that takes a workflow transition, and workflows differ per project.
+   * The labels it was created with (jiraFields.labels) are kept: the update
+   * replaces the whole list, so the current one is read first.
+   * @returns {Promise<Object>} { issueKey, label }
+   */
+  async archiveIssue(issueKey, reason) {
+    const issue = await this.mcpAdapter._callMCP('jira_get_issue', { issue_key: issueKey, fields: 'labels' });
+    const labels = issue?.fields?.labels ?? issue?.labels ?? [];
+    if (!labels.includes('archived')) {
+      await this.mcpAdapter._callMCP('jira_update_issue', { issue_key: issueKey, fields: { labels: [...labels, 'archived'] } });
+    }
+    await this.addComment(issueKey, reason);
+    this.logger.info(`🗄️ Labelled ${issueKey} archived`);
+    return { issueKey, label: 'archived' };
+  }
+
+  /**
+   * Sub-tasks already under an issue.
+   * @returns {Promise<Array<{ key: string, summary: string }>>}
+   */
+  async listSubtasks(issueKey) {
+    const searchResult = await this.mcpAdapter.searchJiraIssues(`parent = "${issueKey}"`, 50);
+    return (searchResult?.issues || []).map(issue => ({ key: issue.key, summary: issue.fields?.summary || issue.summary || '' }));
+  }
+
+  /**
+   * File a sub-task under an issue — through the field mapper like any issue,
+   * so the sub-task type and its estimate are checked against the create screen.
+   * @param {string} issueKey - Parent issue
+   * @param {Object} fields - As for createIssue; issueType is the project's sub-task type
+   */
+  createSubtask(issueKey, fields) {
+    return this.createIssue({ ...fields, additionalFields: { ...fields.additionalFields, parent: { key: issueKey } } });
+  }
+
+  addToParent(issueKey, epicKey) {
+    return this.mcpAdapter.linkIssueToEpic(issueKey, epicKey);
+  }
+
+  /**
+   * Find an open Epic with the given name or create one.
+   * @param {string} name - Epic summary
+   * @param {string} projectKey
+   * @returns {Promise<Object>} { key, url, status: 'existing'|'created' }
+   */
+  async ensureParent(name, projectKey) {
+    const summary = name.replace(/"/g, '');
+
+    try {
+      const jql = `project = "${projectKey}" AND issuetype = Epic AND summary ~ "\\"${summary}\\"" AND statusCategory != Done`;
+      const searchResult = await this.mcpAdapter.searchJiraIssues(jql, 5);
+      // summary ~ is a fuzzy match — require an exact (case-insensitive) title
+      const match = (searchResult?.issues || []).find(issue =>
+        (issue.fields?.summary || issue.summary || '').trim().toLowerCase() === summary.trim().toLowerCase()
+      );
+      if (match) {
+        this.logger.info(`♻️ Reusing existing epic ${match.key} for "${summary}"`);
+        return { key: match.key, url: this.issueUrl(match.key), status: 'existing' };
+      }
+    } catch (searchErr) {
+      this.logger.warn(`Epic search failed, creating a new one: ${searchErr.message}`);
+    }
+
+    // Jira Server/DC requires the "Epic Name" custom field on create
+    const additionalFields = {};
+    if (process.env.JIRA_EPIC_NAME_FIELD) {
+      additionalFields[process.env.JIRA_EPIC_NAME_FIELD] = summary;
+    }
+
+    const created = await this.mcpAdapter.createJiraTicket({
+      projectKey,
+      summary,
+      description: `Design handoff for Figma page *${summary}*.\n\n*Generated by Figma AI Ticket Generator*`,
+      issueType: 'Epic',
+      additionalFields
+    });
+    const key = created?.issue?.key;
+    if (!key) {
+      throw new Error(`Epic creation for "${summary}" returned no issue key`);
+    }
+    this.logger.info(`✅ Created epic ${key} for "${summary}"`);
+    return { key, url: this.issueUrl(key), status: 'created' };
+  }
+}
+
+// Descriptions come back as wiki markup or, from Jira Cloud, as ADF
+function plainText(value) {
+  if (!value || typeof value === 'string') {
+    return value || '';
+  }
+  return [value.text, ...(value.content || []).map(plainText)].filter(Boolean).join(' ');
+}
+
+export default JiraTracker;
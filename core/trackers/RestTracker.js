@@ -0,0 +1,161 @@
+/**
+ * Rest Tracker — shared base of the trackers spoken to over their REST API
+ *
+ * GitHub and GitLab issues are Markdown, keyed `<project>#<number>`
+ * (octo/web#42), and have no remote links: the Related Resources section the
+ * orchestrator writes into the description is what links the issue to the
+ * Figma frame and wiki pages.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+export class RestTracker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Tracker id (TRACKERS entry)
+   * @param {string} options.label - Display name
+   * @param {string} options.apiUrl - REST API root, no trailing slash
+   * @param {string} [options.token]
+   * @param {string} [options.defaultProject] - Repository / project path
+   * @param {string} [options.defaultParent] - Milestone every issue goes into
+   */
+  constructor({ name, label, apiUrl, token, defaultProject, defaultParent }) {
+    this.logger = new Logger(`${label}Tracker`);
+    this.name = name;
+    this.label = label;
+    this.markup = 'markdown';
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.token = token || '';
+    this.defaultProject = defaultProject || '';
+    this.defaultParent = defaultParent || null;
+  }
+
+  get isAvailable() {
+    return !!this.token;
+  }
+
+  /**
+   * Whether a project path is well-formed for this tracker. Request-supplied
+   * paths go into API URLs sent with the server's token, so "." / ".." segments
+   * and anything outside [\w.-] are refused.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isProjectKey(value) {
+    return typeof value === 'string' && this.PROJECT_PATH.test(value) && !value.split('/').some(segment => /^\.+$/.test(segment));
+  }
+
+  // Branch names take the number only: feature/42-nav-bar
+  refKey(issueKey) {
+    return String(issueKey).split('#').pop();
+  }
+
+  imageMarkup(source, media = {}) {
+    const url = media[source]?.url || source;
+    const alt = /^https?:\/\//i.test(source) ? 'Design' : source;
+    return `![${alt}](${url})`;
+  }
+
+  /**
+   * Append an image to the description (see MCPAdapter.updateJiraDescription).
+   * @returns {Promise<Object|null>} { success, description, media }, or null when the update failed
+   */
+  async embedImage(issueKey, description, source, attachment) {
+    const media = attachment ? { [source]: attachment } : {};
+    const updated = `${description || ''}\n\n${this.imageMarkup(source, media)}`;
+    try {
+      await this.updateDescription(issueKey, updated);
+      return { success: true, description: updated, media };
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to embed image in ${issueKey}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async linkResource() {
+    return null;
+  }
+
+  /**
+   * Attach the issue to a milestone, given by number or title.
+   * @returns {Promise<Object|null>} The updated issue, or null when it failed
+   */
+  async addToParent(issueKey, milestone) {
+    try {
+      const { project } = this._parseKey(issueKey);
+      const found = await this._findMilestone(project, milestone);
+      if (!found) {
+        throw new Error(`Milestone "${milestone}" not found in ${project}`);
+      }
+      return await this._setMilestone(issueKey, found);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to add ${issueKey} to milestone ${milestone}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find an open milestone with the given title or create one.
+   * @returns {Promise<Object>} { key, url, status: 'existing'|'created' }
+   */
+  async ensureParent(name, project) {
+    const repo = this._project(project);
+    const existing = await this._findMilestone(repo, name);
+    if (existing) {
+      this.logger.info(`♻️ Reusing existing milestone "${name}" in ${repo}`);
+      return { key: String(existing.key), url: existing.url, status: 'existing' };
+    }
+    const created = await this._createMilestone(repo, name);
+    this.logger.info(`✅ Created milestone "${name}" in ${repo}`);
+    return { key: String(created.key), url: created.url, status: 'created' };
+  }
+
+  _project(project) {
+    const value = project || this.defaultProject;
+    if (!this.constructor.isProjectKey(value)) {
+      throw new Error(`${this.label} project must be a path like "${this.constructor.PROJECT_EXAMPLE}" (got "${value || ''}")`);
+    }
+    return value;
+  }
+
+  _parseKey(issueKey) {
+    const key = String(issueKey);
+    const at = key.lastIndexOf('#');
+    const project = key.slice(0, at);
+    const number = key.slice(at + 1);
+    if (at < 1 || !/^\d+$/.test(number) || !this.constructor.isProjectKey(project)) {
+      throw new Error(`Not a ${this.label} issue key: ${issueKey}`);
+    }
+    return { project, number };
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} apiPath - Path under the API root
+   * @param {Object|FormData} [body]
+   * @returns {Promise<Object|null>} Parsed JSON response
+   * @throws {Error} Without a token or on a non-2xx response
+   */
+  async _request(method, apiPath, body) {
+    if (!this.token) {
+      throw new Error(`${this.label} token not configured`);
+    }
+    const isForm = body instanceof FormData;
+    const headers = { Accept: 'application/json', ...this._authHeaders() };
+    if (body !== undefined && !isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(`${this.apiUrl}${apiPath}`, {
+      method,
+      headers,
+      body: body === undefined || isForm ? body : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`${this.label} ${method} ${apiPath} failed: ${response.status} ${text}`.trim());
+    }
+    return response.status === 204 ? null : response.json();
+  }
+}
+
+export default RestTracker;
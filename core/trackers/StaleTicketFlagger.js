@@ -0,0 +1,182 @@
+/**
+ * Stale Ticket Flagger — marks the Jira issues of a Figma file whose design
+ * changed after the ticket was cut.
+ *
+ * Driven by Figma's FILE_UPDATE / FILE_VERSION_UPDATE webhooks
+ * (POST /api/webhooks/figma). The issues are found by the Figma link Step A
+ * writes into their Related Resources block: a JQL text search for the file
+ * key, then each description is checked for a link to that file and the
+ * frames (node-id) it points at. Figma's payloads don't say which nodes
+ * changed, so every open issue linked to the file is flagged, with its own
+ * frames listed in the comment.
+ *
+ * The label is the flag: an issue that already carries it is left alone, so
+ * Figma's frequent FILE_UPDATE events don't pile up comments. Removing the
+ * label once the ticket matches the design re-arms it.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { renderJira } from '../formats/markup-converter.js';
+
+// Webhook events that mean the design changed
+export const FIGMA_EVENTS = ['FILE_UPDATE', 'FILE_VERSION_UPDATE'];
+
+export const FLAG_ACTIONS = ['label', 'comment'];
+
+// Issues looked at per event
+const MAX_ISSUES = 50;
+
+export class StaleTicketFlagger {
+  /**
+   * @param {Object} options
+   * @param {MCPAdapter} options.mcpAdapter
+   * @param {string} [options.label] - FIGMA_STALE_LABEL, else "design-updated"
+   * @param {string[]} [options.actions] - FLAG_ACTIONS to take; FIGMA_WEBHOOK_ACTIONS, else both
+   */
+  constructor({ mcpAdapter, label = process.env.FIGMA_STALE_LABEL || 'design-updated', actions = parseActions(process.env.FIGMA_WEBHOOK_ACTIONS) }) {
+    this.logger = new Logger('StaleTicketFlagger');
+    this.mcpAdapter = mcpAdapter;
+    this.label = label;
+    this.actions = actions;
+  }
+
+  /**
+   * Flag the open issues linked to the file of a webhook event.
+   * @param {Object} event - Figma webhook payload (file_key, file_name, timestamp; label,
+   *   description, triggered_by for FILE_VERSION_UPDATE)
+   * @returns {Promise<Object>} { fileKey, issues: [{ key, nodeIds, status: 'flagged'|'already-flagged'|'failed', error? }] }
+   * @throws {Error} When the Jira MCP is unavailable or the search fails
+   */
+  async flag(event) {
+    const fileKey = event.file_key;
+    const tickets = await this.findTickets(fileKey);
+    this.logger.info(`🎨 ${event.event_type} for ${event.file_name || fileKey}: ${tickets.length} linked open issue(s)`);
+
+    const issues = [];
+    for (const ticket of tickets) {
+      const { key, nodeIds } = ticket;
+      if (this.actions.includes('label') && ticket.labels.includes(this.label)) {
+        issues.push({ key, nodeIds, status: 'already-flagged' });
+        continue;
+      }
+      try {
+        if (this.actions.includes('label')) {
+          await this.mcpAdapter._callMCP('jira_update_issue', { issue_key: key, fields: { labels: [...ticket.labels, this.label] } });
+        }
+        if (this.actions.includes('comment')) {
+          const comment = await this.mcpAdapter.addJiraComment(key, this.comment(event, nodeIds));
+          if (!comment) {
+            throw new Error('comment was not added');
+          }
+        }
+        this.logger.info(`🏷️ Flagged ${key} (${this.actions.join(' + ')})`);
+        issues.push({ key, nodeIds, status: 'flagged' });
+      } catch (error) {
+        this.logger.warn(`Could not flag ${key}: ${error.message}`);
+        issues.push({ key, nodeIds, status: 'failed', error: error.message });
+      }
+    }
+    return { fileKey, issues };
+  }
+
+  /**
+   * Open issues whose description links to the Figma file.
+   * @param {string} fileKey
+   * @returns {Promise<Array<{ key: string, summary: string, labels: string[], nodeIds: string[] }>>}
+   *   nodeIds: the frames the links point at (empty for a link to the whole file)
+   */
+  async findTickets(fileKey) {
+    if (!this.mcpAdapter?.isAvailable) {
+      throw new Error('Jira MCP is unavailable');
+    }
+    const jql = `description ~ "${fileKey}" AND statusCategory != Done ORDER BY updated DESC`;
+    const searchResult = await this.mcpAdapter.searchJiraIssues(jql, MAX_ISSUES, 'summary,description,labels');
+    // The text search is fuzzy — keep the issues that really link to the file
+    return (searchResult?.issues || []).flatMap(issue => {
+      const nodeIds = figmaNodeIds(issue.fields?.description ?? issue.description, fileKey);
+      return nodeIds ? [{
+        key: issue.key,
+        summary: issue.fields?.summary || issue.summary || '',
+        labels: issue.fields?.labels || issue.labels || [],
+        nodeIds,
+      }] : [];
+    });
+  }
+
+  /**
+   * Jira wiki markup comment about the design change.
+   * @param {Object} event - Figma webhook payload
+   * @param {string[]} nodeIds - The issue's frames
+   * @returns {string}
+   */
+  comment(event, nodeIds) {
+    const text = value => ({ type: 'text', text: value });
+    const link = (label, href) => ({ type: 'text', text: label, marks: [{ type: 'link', attrs: { href } }] });
+    const fileUrl = `https://www.figma.com/design/${event.file_key}`;
+    const version = event.event_type === 'FILE_VERSION_UPDATE'
+      ? ` — new version${event.label ? ` "${event.label}"` : ''}${event.triggered_by?.handle ? ` by ${event.triggered_by.handle}` : ''}`
+      : '';
+    const when = event.timestamp ? ` (${String(event.timestamp).replace('T', ' ').slice(0, 16)} UTC)` : '';
+    const frames = nodeIds.length > 0
+      ? nodeIds.map(id => link(`Frame ${id}`, `${fileUrl}?node-id=${id.replace(/:/g, '-')}`))
+      : [link(event.file_name || event.file_key, fileUrl)];
+
+    return renderJira({ type: 'doc', content: [
+      { type: 'heading', attrs: { level: 3 }, content: [text('Design updated in Figma')] },
+      { type: 'paragraph', content: [text(`${event.file_name || event.file_key} changed${version}${when}, after this ticket was written.`)] },
+      ...(event.description ? [{ type: 'blockquote', content: [{ type: 'paragraph', content: [text(event.description)] }] }] : []),
+      { type: 'paragraph', content: [text('Check the ticket, the Implementation Plan and the QA test cases against:')] },
+      { type: 'bulletList', content: frames.map(frame => ({ type: 'listItem', content: [{ type: 'paragraph', content: [frame] }] })) },
+      ...(this.actions.includes('label')
+        ? [{ type: 'paragraph', content: [{ type: 'text', text: `Remove the ${this.label} label once the ticket matches the design.`, marks: [{ type: 'em' }] }] }]
+        : []),
+    ] });
+  }
+}
+
+/**
+ * Frames a description links to in a Figma file, as node IDs ("1:2").
+ * @param {string|Object} description - Wiki markup, Markdown or ADF
+ * @param {string} fileKey
+ * @returns {string[]|null} null when nothing links to the file; [] for links to the whole file
+ */
+export function figmaNodeIds(description, fileKey) {
+  const pattern = new RegExp(`figma\\.com/(?:design|file|proto)/${fileKey}(?![\\w])[^\\s|\\])"]*`, 'g');
+  const links = urls(description).flatMap(url => url.match(pattern) || []);
+  if (links.length === 0) {
+    return null;
+  }
+  const nodeIds = links
+    .map(link => link.match(/[?&]node-id=([^&#]+)/)?.[1])
+    .filter(Boolean)
+    .flatMap(id => {
+      try {
+        return [decodeURIComponent(id).replace(/-/g, ':')];
+      } catch {
+        // A malformed escape (node-id=%E0) drops that link, not the whole issue
+        return [];
+      }
+    });
+  return [...new Set(nodeIds)];
+}
+
+// The text of a description plus the link targets of an ADF one
+function urls(value) {
+  if (!value || typeof value === 'string') {
+    return value ? [value] : [];
+  }
+  return [
+    value.text,
+    value.attrs?.href,
+    value.attrs?.url,
+    ...(value.marks || []).map(mark => mark.attrs?.href),
+    ...(value.content || []).flatMap(urls),
+  ].filter(Boolean);
+}
+
+function parseActions(value) {
+  const actions = String(value || '').split(',').map(action => action.trim()).filter(action => FLAG_ACTIONS.includes(action));
+  return actions.length > 0 ? actions : FLAG_ACTIONS;
+}
+
+export default StaleTicketFlagger;
@@ -0,0 +1,70 @@
+/**
+ * Trackers — where Step A files the work item
+ *
+ * WorkItemOrchestrator talks to every tracker through the same surface:
+ *
+ *   name, label, markup       'jira'|'github'|'gitlab', display name, and the
+ *                             markup descriptions and comments are written in
+ *                             ('jira' wiki markup or 'markdown')
+ *   defaultProject            Jira project key / repository / project path
+ *   defaultParent             Epic or milestone new issues go into
+ *   issueUrl(key)             Browse URL
+ *   refKey(key)               The key as it appears in branch names
+ *   findDuplicate(project, summary)          Open issue with that title, or null
+ *   findSimilar(project, { summary, description })   Open issues worded alike, scored (Jira only)
+ *   createIssue(fields)                      { issue: { key, url, self } }
+ *   getDescription(key) / updateDescription(key, body, media)
+ *   attachFiles(key, paths, self)            { success, filenames, media } or null
+ *   embedImage(key, description, source, attachment) / imageMarkup(source, media)
+ *   addComment(key, body, media)
+ *   linkResource(key, { url, title, relationship })   Remote link (Jira only)
+ *   addToParent(key, parent) / ensureParent(name, project)   Epic or milestone
+ *   archiveIssue(key, reason)                Rollback: close (GitHub, GitLab) or label (Jira)
+ *   listSubtasks(key) / createSubtask(key, fields)   Jira only — the subtasks step skips other trackers
+ *
+ * Keys are self-contained — DS-123, octo/web#42, group/web#42 — so a key from
+ * history is enough to find the issue again.
+ */
+
+import mcpConfig from '../../config/mcp.config.js';
+import { JiraTracker } from './JiraTracker.js';
+import { GitHubTracker } from './GitHubTracker.js';
+import { GitLabTracker } from './GitLabTracker.js';
+
+export const TRACKERS = ['jira', 'github', 'gitlab'];
+
+/**
+ * @param {string} [name] - TRACKERS entry; the configured default (TRACKER) when omitted
+ * @param {Object} [options]
+ * @param {MCPAdapter|DryRunMCPAdapter} [options.mcpAdapter] - Jira goes through it
+ * @param {JiraFieldMapper} [options.fieldMapper] - Jira custom fields for new issues
+ * @returns {JiraTracker|GitHubTracker|GitLabTracker}
+ * @throws {Error} For unknown trackers
+ */
+export function createTracker(name, { mcpAdapter, fieldMapper } = {}) {
+  const tracker = name || mcpConfig.trackers?.default || 'jira';
+  switch (tracker) {
+    case 'jira':
+      return new JiraTracker({ mcpAdapter, fieldMapper });
+    case 'github':
+      return new GitHubTracker();
+    case 'gitlab':
+      return new GitLabTracker();
+    default:
+      throw new Error(`Unknown tracker "${tracker}" (expected ${TRACKERS.join(', ')})`);
+  }
+}
+
+/**
+ * Whether a request's project (ticketProjectKey) is well-formed for the
+ * tracker: a Jira key, owner/name, or a GitLab namespace path.
+ * @param {string} [name] - TRACKERS entry; any tracker when omitted
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isProjectKey(name, value) {
+  const classes = { jira: JiraTracker, github: GitHubTracker, gitlab: GitLabTracker };
+  return name ? !!classes[name]?.isProjectKey(value) : Object.values(classes).some(Tracker => Tracker.isProjectKey(value));
+}
+
+export { JiraTracker, GitHubTracker, GitLabTracker };
@@ -0,0 +1,142 @@
+/**
+ * Issue similarity — how close an open issue is to the ticket about to be
+ * filed, for the duplicate check in Step A.
+ *
+ * The exact-title check (findDuplicate) misses rewordings: "Implement Header —
+ * Home" and "Build Home page header" are the same work. Here both texts are
+ * reduced to terms (lowercased, camelCase split, plurals folded, stop words
+ * and ticket boilerplate dropped) and compared as TF-IDF vectors by cosine
+ * similarity. IDF is computed over the query and its candidates, so words
+ * every candidate shares count for less than the ones that set an issue
+ * apart. Summary and description are scored separately and weighted.
+ */
+
+// Common English words and the vocabulary every generated ticket shares
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before',
+  'below', 'between', 'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'for', 'from', 'has', 'have',
+  'how', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more', 'must', 'new', 'no', 'not', 'of', 'on', 'one',
+  'only', 'or', 'other', 'our', 'out', 'over', 'per', 'same', 'should', 'so', 'such', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'under', 'up', 'use', 'used',
+  'using', 'via', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'within',
+  'would', 'you', 'your',
+  // Ticket boilerplate
+  'acceptance', 'add', 'build', 'component', 'create', 'criteria', 'description', 'design', 'develop',
+  'figma', 'generated', 'implement', 'implementation', 'make', 'overview', 'page', 'plan', 'requirement',
+  'screen', 'section', 'support', 'task', 'technical', 'ticket', 'update',
+]);
+
+// Summary similarity weighs more than the longer, noisier description
+const FIELD_WEIGHTS = { summary: 0.6, description: 0.4 };
+
+/**
+ * Terms of a text, in order, repeats kept.
+ * "Build the NavBar headers" → ['nav', 'bar', 'header']
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    // Headings, Jira links and URLs: keep the heading and link text only
+    .replace(/^h[1-6]\.\s/gm, ' ')
+    .replace(/\[([^|\]]*)\|[^\]]*\]/g, '$1')
+    .replace(/\b(?:https?|dry-run):\/\/\S+/g, ' ')
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(stem)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term) && !/^\d+$/.test(term));
+}
+
+/**
+ * The distinctive terms of a ticket, for the candidate search: every summary
+ * term, then the most frequent description terms.
+ * @param {{ summary: string, description?: string }} ticket
+ * @param {number} [max=10]
+ * @returns {string[]}
+ */
+export function keyTerms({ summary, description }, max = 10) {
+  const counts = new Map();
+  for (const term of tokenize(description)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  const frequent = [...counts].sort((a, b) => b[1] - a[1]).map(([term]) => term);
+  return [...new Set([...tokenize(summary), ...frequent])].slice(0, max);
+}
+
+/**
+ * Score candidates against a query ticket, best first.
+ * @param {{ summary: string, description?: string }} query
+ * @param {Array<{ summary: string, description?: string }>} candidates - Extra properties are kept
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0] - Minimum score (0–1)
+ * @param {number} [options.limit=Infinity] - Most candidates returned
+ * @returns {Object[]} The candidates above the threshold, each with `score` (0–1, two decimals)
+ */
+export function rankSimilar(query, candidates, { threshold = 0, limit = Infinity } = {}) {
+  const fields = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => {
+    const docs = [query, ...candidates].map(doc => tokenize(doc[field]));
+    const vectors = tfIdf(docs);
+    return [field, { vectors, empty: docs.map(doc => doc.length === 0) }];
+  }));
+
+  return candidates
+    .map((candidate, i) => {
+      // Only the fields both sides have count, so a candidate without a description isn't penalised
+      let total = 0;
+      let weights = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const { vectors, empty } = fields[field];
+        if (!empty[0] && !empty[i + 1]) {
+          total += weight * cosine(vectors[0], vectors[i + 1]);
+          weights += weight;
+        }
+      }
+      return { ...candidate, score: weights > 0 ? Math.round((total / weights) * 100) / 100 : 0 };
+    })
+    .filter(candidate => candidate.score > 0 && candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Plural folding: headers → header, categories → category; "class", "status" stay
+function stem(term) {
+  if (term.length > 4 && term.endsWith('ies')) {
+    return `${term.slice(0, -3)}y`;
+  }
+  if (term.length > 3 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) {
+    return term.slice(0, -1);
+  }
+  return term;
+}
+
+// Sublinear TF times smoothed IDF, one Map(term → weight) per document
+function tfIdf(docs) {
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+  return docs.map(doc => {
+    const tf = new Map();
+    for (const term of doc) {
+      tf.set(term, (tf.get(term) || 0) + 1);
+    }
+    const vector = new Map();
+    for (const [term, count] of tf) {
+      vector.set(term, (1 + Math.log(count)) * (Math.log((1 + docs.length) / (1 + df.get(term))) + 1));
+    }
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    dot += weight * (b.get(term) || 0);
+  }
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+}
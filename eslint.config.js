@@ -34,6 +34,9 @@ export default [
         exports: 'readonly',
         performance: 'readonly',
         URL: 'readonly',
+        AbortSignal: 'readonly',
+        FormData: 'readonly',
+        Blob: 'readonly',
         // Figma API Types
         SceneNode: 'readonly',
         FrameNode: 'readonly',
@@ -2,7 +2,8 @@
 
 /**
  * YAML Validation Script
- * Validates all YAML template files for syntax errors and structure
+ * Validates all YAML template files for syntax errors and structure,
+ * and the orchestration pipelines in PIPELINE_DIR (default config/pipelines)
  */
 
 import { readFile, readdir } from 'fs/promises';
@@ -10,6 +11,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
 import chalk from 'chalk';
+import { DEFAULT_PIPELINE_DIR, readPipelines } from '../core/orchestration/pipeline.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -176,6 +178,25 @@ class YAMLValidator {
     }
   }
 
+  async validatePipelines(dirPath) {
+    // Same checks the orchestrator runs before every active run
+    const { pipelines, errors } = await readPipelines(dirPath);
+    for (const pipeline of pipelines) {
+      console.log(`📝 Validating: ${join(dirPath, pipeline.file)}`);
+      console.log(`  ${chalk.green('✅ Valid')} (${pipeline.steps.map(step => step.enabled ? step.id : `${step.id} [disabled]`).join(' → ')})`);
+      this.validated.push(join(dirPath, pipeline.file));
+    }
+    for (const message of errors) {
+      const [file, ...details] = message.split(': ');
+      this.errors.push({
+        file: join(dirPath, file),
+        error: 'Pipeline Error',
+        details: details.join(': ')
+      });
+      console.log(`  ${chalk.red('❌ Pipeline Error')}: ${message}`);
+    }
+  }
+
   printSummary() {
     console.log('\n' + '='.repeat(60));
     console.log(chalk.bold('🔍 YAML VALIDATION SUMMARY'));
@@ -222,6 +243,11 @@ async function main() {
   console.log('-'.repeat(60));
   
   await validator.validateDirectory(templatesDir);
+
+  const pipelinesDir = process.env.PIPELINE_DIR || DEFAULT_PIPELINE_DIR;
+  console.log(`\n📁 Scanning pipelines: ${pipelinesDir}`);
+  console.log('-'.repeat(60));
+  await validator.validatePipelines(pipelinesDir);
   
   const isValid = validator.printSummary();
   process.exit(isValid ? 0 : 1);
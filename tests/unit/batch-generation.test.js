@@ -0,0 +1,254 @@
+/**
+ * Batch generation — POST /api/generate/batch route helpers and
+ * WorkItemOrchestrator.ensureEpic.
+ *
+ * The single-frame pipeline (_runGeneration) is stubbed so no LLM or MCP
+ * server is involved; we only verify the per-frame fan-out and the matrix.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    trackers: { github: { token: 'gh-token', repo: 'octo/web' } },
+    defaults: { jiraProjectKey: 'DS' },
+  },
+}));
+
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const FRAMES = [
+  { id: '1:1', name: 'Nav Bar' },
+  { id: '1:2', name: 'Hero' },
+  { id: '1:3', name: 'Footer' },
+];
+
+function orchestrationFor(issueKey, overrides = {}) {
+  return {
+    jira: { status: 'created', issueKey, url: `https://jira.test/browse/${issueKey}`, epic: { key: 'DS-1', linked: true } },
+    wiki: { status: 'created', url: 'https://wiki.test/plan' },
+    qa: { status: 'created', url: 'https://wiki.test/qa' },
+    git: { status: 'skipped' },
+    ...overrides,
+  };
+}
+
+function makeRoute(services = {}) {
+  return new GenerateRoutes({ get: vi.fn((name) => services[name]) });
+}
+
+describe('GenerateRoutes — batch generation', () => {
+  let orchestrator;
+  let route;
+
+  beforeEach(() => {
+    orchestrator = { ensureEpic: vi.fn().mockResolvedValue({ key: 'DS-1', url: 'https://jira.test/browse/DS-1', status: 'created' }) };
+    route = makeRoute({ workItemOrchestrator: orchestrator });
+  });
+
+  it('rejects empty, oversized and id-less batches', () => {
+    expect(route._validateBatch({ enhancedFrameData: [] }).valid).toBe(false);
+    expect(route._validateBatch({ enhancedFrameData: Array.from({ length: 31 }, (_, i) => ({ id: `${i}` })) }).valid).toBe(false);
+    expect(route._validateBatch({ enhancedFrameData: [{ name: 'no id' }] }).valid).toBe(false);
+    expect(route._validateBatch({ enhancedFrameData: FRAMES }).valid).toBe(true);
+  });
+
+  it('creates the page epic and runs one generation per frame with it', async () => {
+    route._runGeneration = vi.fn(async (req) => ({
+      content: `# ${req.componentName}`,
+      strategy: 'gemini',
+      metadata: { orchestration: orchestrationFor(`DS-${req.frameData[0].id.split(':')[1]}0`) },
+    }));
+
+    const request = route._normalizeRequest({
+      enhancedFrameData: FRAMES,
+      enableActiveCreation: true,
+      ticketProjectKey: 'DS',
+      fileContext: { fileKey: 'abc', pageName: 'Homepage' },
+      screenshot: 'data:image/png;base64,SELECTION',
+    });
+    const result = await route._runBatch(request);
+
+    expect(orchestrator.ensureEpic).toHaveBeenCalledWith('Homepage', 'DS', undefined);
+    expect(route._runGeneration).toHaveBeenCalledTimes(3);
+
+    const firstCall = route._runGeneration.mock.calls[0][0];
+    expect(firstCall.componentName).toBe('Nav Bar');
+    expect(firstCall.frameData).toEqual([FRAMES[0]]);
+    expect(firstCall.epicKey).toBe('DS-1');
+    // Selection screenshot covers several frames — must not be reused per frame
+    expect(firstCall.screenshot).toBeUndefined();
+
+    expect(result.epic.key).toBe('DS-1');
+    expect(result.frames.map(r => r.jira.issueKey)).toEqual(['DS-10', 'DS-20', 'DS-30']);
+    expect(result.summary).toEqual({ total: 3, succeeded: 3, partial: 0, failed: 0 });
+  });
+
+  it('reuses a provided epic key without searching', async () => {
+    route._runGeneration = vi.fn(async () => ({ content: 'x', strategy: 'gemini', metadata: { orchestration: orchestrationFor('DS-9') } }));
+    const request = route._normalizeRequest({ enhancedFrameData: [FRAMES[0]], enableActiveCreation: true, epicKey: 'DS-77' });
+
+    const result = await route._runBatch(request);
+
+    expect(orchestrator.ensureEpic).not.toHaveBeenCalled();
+    expect(result.epic).toEqual({ key: 'DS-77', status: 'provided' });
+    expect(route._runGeneration.mock.calls[0][0].epicKey).toBe('DS-77');
+  });
+
+  it('records failed and partial frames without stopping the batch', async () => {
+    route._runGeneration = vi.fn()
+      .mockRejectedValueOnce(new Error('LLM quota exceeded'))
+      .mockResolvedValueOnce({ content: 'x', strategy: 'gemini', metadata: { orchestration: orchestrationFor('DS-20', { wiki: { status: 'failed_creation', error: 'timeout' } }) } })
+      .mockResolvedValueOnce({ content: 'x', strategy: 'gemini', metadata: { orchestration: orchestrationFor('DS-30') } });
+    const request = route._normalizeRequest({ enhancedFrameData: FRAMES, enableActiveCreation: true });
+
+    const result = await route._runBatch(request);
+
+    expect(result.frames.map(r => r.status)).toEqual(['failed', 'partial', 'completed']);
+    expect(result.frames[0].error).toBe('LLM quota exceeded');
+    expect(result.summary).toEqual({ total: 3, succeeded: 1, partial: 1, failed: 1 });
+  });
+
+  it('still generates children when the epic cannot be resolved', async () => {
+    orchestrator.ensureEpic.mockRejectedValue(new Error('MCP Adapter unavailable'));
+    route._runGeneration = vi.fn(async () => ({ content: 'x', strategy: 'gemini', metadata: {} }));
+    const request = route._normalizeRequest({ enhancedFrameData: FRAMES, enableActiveCreation: true });
+
+    const result = await route._runBatch(request);
+
+    expect(result.epic).toMatchObject({ key: null, status: 'failed' });
+    expect(route._runGeneration.mock.calls[0][0].epicKey).toBeUndefined();
+    expect(result.summary.succeeded).toBe(3);
+  });
+
+  it('finishes an earlier partial batch: keeps, resumes or reruns each frame', async () => {
+    const record = { id: 'run-2', status: 'failed' };
+    const orchestrationStore = { get: vi.fn().mockResolvedValue(record), save: vi.fn().mockResolvedValue(record) };
+    orchestrator.resume = vi.fn().mockResolvedValue({ results: orchestrationFor('DS-20') });
+    route = makeRoute({ workItemOrchestrator: orchestrator, orchestrationStore });
+    route._runGeneration = vi.fn(async () => ({ content: 'x', strategy: 'gemini', metadata: { orchestration: orchestrationFor('DS-30') } }));
+    const previous = {
+      epic: { key: 'DS-1', status: 'created' },
+      frames: [
+        { index: 0, nodeId: '1:1', name: 'Nav Bar', status: 'completed', jira: { status: 'created', issueKey: 'DS-10' } },
+        { index: 1, nodeId: '1:2', name: 'Hero', status: 'partial', orchestrationId: 'run-2', content: '# Hero', qa: { status: 'failed' } },
+        { index: 2, nodeId: '1:3', name: 'Footer', status: 'failed', error: 'LLM quota exceeded' },
+      ],
+    };
+
+    const result = await route._runBatch(route._normalizeRequest({ enhancedFrameData: FRAMES, enableActiveCreation: true }), null, previous);
+
+    expect(orchestrator.ensureEpic).not.toHaveBeenCalled();
+    expect(orchestrator.resume).toHaveBeenCalledWith(record, { onProgress: null });
+    expect(orchestrationStore.save).toHaveBeenCalledWith(expect.objectContaining({ status: 'running' }));
+    expect(route._runGeneration).toHaveBeenCalledTimes(1);
+    expect(route._runGeneration.mock.calls[0][0]).toMatchObject({ componentName: 'Footer', epicKey: 'DS-1' });
+    expect(result.frames.map(row => [row.status, row.jira?.issueKey])).toEqual([['completed', 'DS-10'], ['completed', 'DS-20'], ['completed', 'DS-30']]);
+    expect(result.frames[1]).toMatchObject({ orchestrationId: 'run-2', content: '# Hero' });
+    expect(result.summary).toEqual({ total: 3, succeeded: 3, partial: 0, failed: 0 });
+  });
+
+  it('keeps a partial batch for the retry only once it created something', () => {
+    const failedBatch = { epic: { key: null, status: 'failed' }, frames: [{ status: 'failed' }], summary: { total: 1, succeeded: 0, partial: 0, failed: 1 } };
+    const partialBatch = { ...failedBatch, frames: [{ status: 'partial', jira: { status: 'created' }, qa: { status: 'failed' } }] };
+
+    expect(route._outcome(failedBatch)).toBe('failed');
+    expect(route._outcome(partialBatch)).toBe('partial');
+    expect(route._outcome({ epic: null, frames: [], summary: { failed: 0, partial: 0 } })).toBe('completed');
+  });
+
+  describe('with a GitHub tracker and no MCP', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('creates the milestone over REST', async () => {
+      const fetchMock = vi.fn()
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve([]) })
+        .mockResolvedValueOnce({ ok: true, status: 201, json: () => Promise.resolve({ number: 4, html_url: 'https://github.com/octo/web/milestone/4' }) });
+      vi.stubGlobal('fetch', fetchMock);
+      const services = { mcpAdapter: { isAvailable: false } };
+      route = makeRoute({ workItemOrchestrator: new WorkItemOrchestrator({ get: name => services[name] }) });
+      route._runGeneration = vi.fn(async () => ({ content: 'x', strategy: 'gemini', metadata: {} }));
+      const request = route._normalizeRequest({
+        enhancedFrameData: FRAMES.slice(0, 1), enableActiveCreation: true, tracker: 'github', fileContext: { fileKey: 'abc', pageName: 'Homepage' },
+      });
+
+      const result = await route._runBatch(request);
+
+      expect(result.epic).toEqual({ key: '4', url: 'https://github.com/octo/web/milestone/4', status: 'created' });
+      expect(fetchMock.mock.calls[1][0]).toBe('https://api.github.com/repos/octo/web/milestones');
+      expect(route._runGeneration.mock.calls[0][0].epicKey).toBe('4');
+    });
+  });
+
+  it('tags progress events with the frame they belong to', async () => {
+    route._runGeneration = vi.fn(async (_req, onProgress) => {
+      onProgress({ phase: 'generation', status: 'started' });
+      return { content: 'x', strategy: 'gemini', metadata: {} };
+    });
+    const events = [];
+    const request = route._normalizeRequest({ enhancedFrameData: FRAMES.slice(0, 2) });
+
+    await route._runBatch(request, (e) => events.push(e));
+
+    const generationEvents = events.filter(e => e.phase === 'generation');
+    expect(generationEvents.map(e => e.frame.nodeId)).toEqual(['1:1', '1:2']);
+  });
+});
+
+describe('WorkItemOrchestrator.ensureEpic', () => {
+  let mcpAdapter;
+  let orchestrator;
+
+  beforeEach(() => {
+    mcpAdapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn(),
+      createJiraTicket: vi.fn(),
+    };
+    orchestrator = new WorkItemOrchestrator({ get: (name) => (name === 'mcpAdapter' ? mcpAdapter : {}) });
+  });
+
+  it('reuses an open epic whose summary matches exactly', async () => {
+    mcpAdapter.searchJiraIssues.mockResolvedValue({
+      issues: [
+        { key: 'DS-5', fields: { summary: 'Homepage v2' } },
+        { key: 'DS-4', fields: { summary: 'Homepage' } },
+      ],
+    });
+
+    const epic = await orchestrator.ensureEpic('Homepage', 'DS');
+
+    expect(epic).toMatchObject({ key: 'DS-4', status: 'existing' });
+    expect(mcpAdapter.searchJiraIssues.mock.calls[0][0]).toContain('issuetype = Epic');
+    expect(mcpAdapter.createJiraTicket).not.toHaveBeenCalled();
+  });
+
+  it('creates an Epic when no exact match exists', async () => {
+    mcpAdapter.searchJiraIssues.mockResolvedValue({ issues: [{ key: 'DS-5', fields: { summary: 'Homepage v2' } }] });
+    mcpAdapter.createJiraTicket.mockResolvedValue({ issue: { key: 'DS-6' } });
+
+    const epic = await orchestrator.ensureEpic('Homepage', 'DS');
+
+    expect(epic).toMatchObject({ key: 'DS-6', status: 'created' });
+    expect(mcpAdapter.createJiraTicket.mock.calls[0][0]).toMatchObject({ projectKey: 'DS', summary: 'Homepage', issueType: 'Epic' });
+  });
+
+  it('throws when creation returns no key', async () => {
+    mcpAdapter.searchJiraIssues.mockResolvedValue({ issues: [] });
+    mcpAdapter.createJiraTicket.mockResolvedValue({});
+
+    await expect(orchestrator.ensureEpic('Homepage', 'DS')).rejects.toThrow(/no issue key/);
+  });
+
+  it('still needs MCP for a Jira epic', async () => {
+    mcpAdapter.isAvailable = false;
+
+    await expect(orchestrator.ensureEpic('Homepage', 'DS')).rejects.toThrow('MCP Adapter unavailable — cannot create epic');
+    expect(mcpAdapter.searchJiraIssues).not.toHaveBeenCalled();
+  });
+});
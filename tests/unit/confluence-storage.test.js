@@ -0,0 +1,175 @@
+/**
+ * Confluence storage format — the Markdown → XHTML writer, MCPAdapter writing
+ * storage-format pages over REST for opted-in spaces, and the orchestrator
+ * routing the Implementation Plan and QA pages through it.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {
+      confluence: { url: 'http://confluence.test/mcp/', auth: 'Token test-wiki-key', storageSpaces: 'eng, DOCS' },
+      default: { url: 'http://localhost:3000/api/mcp', auth: null },
+    },
+    routes: { confluence_create_page: 'confluence', confluence_update_page: 'confluence' },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { markdownToStorage, isStorageBody } from '../../core/formats/confluence-storage.js';
+import { MCPAdapter } from '../../core/adapters/MCPAdapter.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+describe('markdownToStorage', () => {
+  it('writes fenced code as a code macro with the Confluence language name', () => {
+    expect(markdownToStorage('```ts\nconst a = "]]>";\n```')).toBe(
+      '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">typescript</ac:parameter>'
+      + '<ac:plain-text-body><![CDATA[const a = "]]]]><![CDATA[>";]]></ac:plain-text-body></ac:structured-macro>',
+    );
+  });
+
+  it('embeds uploaded images as sized attachments and URLs as ri:url', () => {
+    expect(markdownToStorage('![Design Preview](preview-Button.png)')).toBe(
+      '<p><ac:image ac:align="center" ac:width="800" ac:alt="Design Preview"><ri:attachment ri:filename="preview-Button.png" /></ac:image></p>',
+    );
+    expect(markdownToStorage('![](https://cdn.figma.com/a.png?x=1&y=2)', { imageWidth: 600 })).toBe(
+      '<p><ac:image ac:align="center" ac:width="600"><ri:url ri:value="https://cdn.figma.com/a.png?x=1&amp;y=2" /></ac:image></p>',
+    );
+  });
+
+  it('maps alerts to panel macros', () => {
+    expect(markdownToStorage('> [!WARNING]\n> Deprecated in **v3**.')).toBe(
+      '<ac:structured-macro ac:name="warning"><ac:rich-text-body><p>Deprecated in <strong>v3</strong>.</p></ac:rich-text-body></ac:structured-macro>',
+    );
+    expect(markdownToStorage('> [!TIP]\n> Ship it.')).toContain('ac:name="tip"');
+  });
+
+  it('turns a link to an issue labelled with its key into the Jira macro', () => {
+    expect(markdownToStorage('**Related Jira:** [DS-12](https://jira.test/browse/DS-12)')).toBe(
+      '<p><strong>Related Jira:</strong> <ac:structured-macro ac:name="jira"><ac:parameter ac:name="key">DS-12</ac:parameter></ac:structured-macro></p>',
+    );
+    expect(markdownToStorage('[the ticket](https://jira.test/browse/DS-12)')).toBe('<p><a href="https://jira.test/browse/DS-12">the ticket</a></p>');
+  });
+
+  it('adds a table of contents before the first section heading', () => {
+    const storage = markdownToStorage('# Plan\n\nIntro\n\n## Overview\n\nText');
+    expect(storage.split('\n')).toEqual([
+      '<h1>Plan</h1>',
+      '<p>Intro</p>',
+      '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro>',
+      '<h2>Overview</h2>',
+      '<p>Text</p>',
+    ]);
+    expect(markdownToStorage('## Overview', { toc: false })).toBe('<h2>Overview</h2>');
+  });
+
+  it('writes tables and nested lists, escapes text and drops HTML comment placeholders', () => {
+    expect(markdownToStorage('| # | A & B |\n|---|---|\n| 1 | <x> |\n\n- a\n  - b\n\n<!-- design-preview -->')).toBe(
+      '<table><tbody><tr><th>#</th><th>A &amp; B</th></tr><tr><td>1</td><td>&lt;x&gt;</td></tr></tbody></table>\n'
+      + '<ul><li>a<ul><li>b</li></ul></li></ul>',
+    );
+  });
+});
+
+describe('MCPAdapter — storage-format spaces', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+  });
+
+  it('selects storage format per space, case-insensitively', () => {
+    const adapter = new MCPAdapter();
+    expect(adapter.usesStorageFormat('ENG')).toBe(true);
+    expect(adapter.usesStorageFormat('docs')).toBe(true);
+    expect(adapter.usesStorageFormat('DCUX')).toBe(false);
+    expect(adapter.usesStorageFormat()).toBe(true);
+    expect(adapter.formatWikiContent('# Page', 'DCUX')).toBe('# Page');
+    expect(adapter.formatWikiContent('# Page', 'ENG')).toEqual({ representation: 'storage', value: '<h1>Page</h1>', markdown: '# Page' });
+  });
+
+  it('creates the page through the MCP, then writes the storage body over REST', async () => {
+    vi.stubEnv('CONFLUENCE_BASE_URL', 'https://wiki.test/');
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ version: { number: 2 } }) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: '42' }) });
+    vi.stubGlobal('fetch', fetchMock);
+    const adapter = new MCPAdapter();
+    adapter._callMCP = vi.fn().mockResolvedValue({ id: '42' });
+
+    const result = await adapter.createWikiPage('Plan', adapter.formatWikiContent('# Plan', 'ENG'), 'ENG', '7');
+
+    expect(result).toEqual({ id: '42' });
+    expect(adapter._callMCP).toHaveBeenCalledWith('confluence_create_page', expect.objectContaining({ title: 'Plan', content: '# Plan', space_key: 'ENG' }));
+    expect(fetchMock.mock.calls[0][0]).toBe('https://wiki.test/rest/api/content/42?expand=version');
+    const [url, request] = fetchMock.mock.calls[1];
+    expect(url).toBe('https://wiki.test/rest/api/content/42');
+    expect(request.method).toBe('PUT');
+    expect(JSON.parse(request.body)).toEqual({
+      id: '42',
+      type: 'page',
+      title: 'Plan',
+      version: { number: 3 },
+      body: { storage: { value: '<h1>Plan</h1>', representation: 'storage' } },
+    });
+  });
+
+  it('falls back to a Markdown update when the REST write fails', async () => {
+    vi.stubEnv('CONFLUENCE_BASE_URL', 'https://wiki.test');
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 403 }));
+    const adapter = new MCPAdapter();
+    adapter._callMCP = vi.fn().mockResolvedValue({ id: '42' });
+
+    await adapter.updateWikiPage('42', 'Plan', adapter.formatWikiContent('# Plan', 'ENG'));
+
+    expect(adapter._callMCP).toHaveBeenCalledWith('confluence_update_page', { page_id: '42', title: 'Plan', content: '# Plan' });
+  });
+});
+
+describe('WorkItemOrchestrator — storage-format wiki pages', () => {
+  function makeAdapter() {
+    const real = new MCPAdapter();
+    return {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      usesStorageFormat: space => real.usesStorageFormat(space),
+      formatWikiContent: (markdown, space) => real.formatWikiContent(markdown, space),
+    };
+  }
+
+  it('writes the Implementation Plan and QA pages in storage format for the space', async () => {
+    const orchestrator = new WorkItemOrchestrator({ get: (name) => (name === 'mcpAdapter' ? makeAdapter() : {}) });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Hero', generatedContent: 'h1. Hero\n\nh2. Overview\n{code:javascript}\nrender();\n{code}', fileContext: {} },
+      { dryRun: true, wikiSpace: 'ENG' },
+    );
+
+    const pages = outcome.plan.filter(entry => entry.method === 'createWikiPage').map(entry => entry.params.content);
+    expect(pages).toHaveLength(2);
+    expect(pages.every(isStorageBody)).toBe(true);
+    expect(pages[0].value).toContain('<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">javascript</ac:parameter>');
+    expect(pages[1].value).toContain('<th>Test Scenario</th>');
+    expect(pages[1].value).toContain('<a href="dry-run://jira/DRY-RUN-1">DRY-RUN-1</a>');
+  });
+
+  it('skips section pushes to storage-format pages', async () => {
+    const adapter = { ...makeAdapter(), getWikiPage: vi.fn().mockResolvedValue({ id: '42', content: '## Overview\nold' }), updateWikiPage: vi.fn() };
+    const orchestrator = new WorkItemOrchestrator({ get: () => adapter });
+
+    const result = await orchestrator.updateSection({ section: 'Overview', sectionContent: 'new', wikiTitle: 'Plan', wikiSpace: 'ENG' });
+
+    expect(result.wiki).toMatchObject({ status: 'skipped', reason: 'Pages in ENG are written in storage format' });
+    expect(adapter.updateWikiPage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Update mode — design snapshots and diffs, the generate route finding the
+ * previous generation of a frame, and the orchestrator commenting on the
+ * existing issue and rewriting its wiki page in place.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { designSnapshot, diffDesign, designChangeList } from '../../core/context/design-diff.js';
+import { renderJira } from '../../core/formats/markup-converter.js';
+import { HistoryStore } from '../../core/data/history-store.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+function frame({ colors = ['#ff0000'], typography = ['Inter-16px'], spacing = [8, 16], layers, width = 320 } = {}) {
+  return {
+    id: '1:2',
+    name: 'Hero',
+    width,
+    height: 200,
+    hierarchy: {
+      layers: layers || [
+        { id: '1:2', name: 'Hero', type: 'FRAME', depth: 1 },
+        { id: '1:3', name: 'Title', type: 'TEXT', depth: 2 },
+        { id: '1:4', name: 'CTA', type: 'INSTANCE', depth: 2 },
+      ],
+      designTokens: { colors, typography, spacing, borderRadius: [4], shadows: [] },
+    },
+  };
+}
+
+describe('design diff', () => {
+  it('snapshots layers and tokens, normalising color case', () => {
+    const snapshot = designSnapshot([frame({ colors: ['#ff0000', '#00AA00'] })]);
+
+    expect(snapshot.frames).toEqual([{ id: '1:2', name: 'Hero', width: 320, height: 200 }]);
+    expect(snapshot.layers.map(layer => layer.name)).toEqual(['Hero', 'Title', 'CTA']);
+    expect(snapshot.tokens.colors).toEqual(['#00AA00', '#FF0000']);
+    expect(snapshot.tokens.spacing).toEqual([8, 16]);
+  });
+
+  it('falls back to fills and font info for frames without hierarchy data', () => {
+    const snapshot = designSnapshot([{ id: '9:9', name: 'Old', fills: [{ hex: '#abcdef' }], fontSize: 14, fontName: { family: 'Roboto' } }]);
+
+    expect(snapshot.layers).toEqual([{ id: '9:9', name: 'Old', type: '' }]);
+    expect(snapshot.tokens).toMatchObject({ colors: ['#ABCDEF'], typography: ['Roboto-14px'] });
+  });
+
+  it('reports token, layer and size changes', () => {
+    const before = designSnapshot([frame()]);
+    const after = designSnapshot([frame({
+      colors: ['#0000FF'],
+      spacing: [8, 16, 24],
+      width: 360,
+      layers: [
+        { id: '1:2', name: 'Hero', type: 'FRAME' },
+        { id: '1:3', name: 'Headline', type: 'TEXT' },
+        { id: '1:5', name: 'Badge', type: 'FRAME' },
+      ],
+    })]);
+
+    const diff = diffDesign(before, after);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.tokens.colors).toEqual({ added: ['#0000FF'], removed: ['#FF0000'] });
+    expect(diff.tokens.spacing).toEqual({ added: [24], removed: [] });
+    expect(diff.tokens.typography).toEqual({ added: [], removed: [] });
+    expect(diff.layers.added.map(layer => layer.name)).toEqual(['Badge']);
+    expect(diff.layers.removed.map(layer => layer.name)).toEqual(['CTA']);
+    expect(diff.layers.renamed).toEqual([{ id: '1:3', from: 'Title', to: 'Headline' }]);
+    expect(diff.resized).toEqual([{ id: '1:2', name: 'Hero', from: '320×200', to: '360×200' }]);
+    expect(diffDesign(before, designSnapshot([frame()])).changed).toBe(false);
+  });
+
+  it('lists the changes as markup that renders for Jira', () => {
+    const diff = diffDesign(designSnapshot([frame()]), designSnapshot([frame({ colors: ['#0000FF'] })]));
+
+    expect(renderJira({ type: 'doc', content: [designChangeList(diff)] })).toBe('* Colors added: {{#0000FF}}\n* Colors removed: {{#FF0000}}');
+    expect(designChangeList(diffDesign({}, {}))).toBeNull();
+  });
+});
+
+describe('GenerateRoutes — previous generation lookup', () => {
+  let dir;
+  let historyStore;
+  let route;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    historyStore = new HistoryStore({ isConnected: () => false }, { dir });
+    route = new GenerateRoutes({ get: vi.fn((name) => ({ historyStore })[name]) });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function request(frames) {
+    return route._normalizeRequest({ enhancedFrameData: frames, fileContext: { fileKey: 'abc' }, enableActiveCreation: true, updateExisting: true });
+  }
+
+  it('diffs against the latest real generation of the frame that created an issue', async () => {
+    const first = request([frame()]);
+    await route._recordHistory(first, {
+      content: '# Hero',
+      metadata: {
+        orchestration: {
+          jira: { status: 'created', issueKey: 'DS-7', url: 'https://jira.test/browse/DS-7' },
+          wiki: { status: 'created', title: 'Implementation Plan: Hero', pageId: '42', url: 'https://wiki.test/42' },
+          qa: { status: 'created', title: 'DS-7 - Hero', url: 'https://wiki.test/43' },
+        },
+      },
+    }, Date.now());
+    // A later dry run of the same frame is not a generation to update
+    await route._recordHistory({ ...first, dryRun: true }, { content: '# Hero', metadata: {} }, Date.now());
+
+    const update = await route._findPreviousGeneration(request([frame({ colors: ['#0000FF'] })]));
+
+    expect(update).toMatchObject({
+      revision: 2,
+      issueKey: 'DS-7',
+      issueUrl: 'https://jira.test/browse/DS-7',
+      wiki: { title: 'Implementation Plan: Hero', pageId: '42', url: 'https://wiki.test/42' },
+      qa: { title: 'DS-7 - Hero', url: 'https://wiki.test/43' },
+    });
+    expect(update.changes.tokens.colors).toEqual({ added: ['#0000FF'], removed: ['#FF0000'] });
+    expect(route._updateSummary(update)).toMatchObject({ status: 'updating', issueKey: 'DS-7', revision: 2 });
+  });
+
+  it('returns null for a frame generated for the first time', async () => {
+    expect(await route._findPreviousGeneration(request([frame()]))).toBeNull();
+    expect(route._updateSummary(null)).toEqual({ status: 'no-previous' });
+  });
+});
+
+describe('WorkItemOrchestrator — update mode', () => {
+  const update = {
+    previousId: 'h-1',
+    since: '2026-10-01T09:00:00.000Z',
+    revision: 2,
+    issueKey: 'DS-7',
+    issueUrl: 'https://jira.test/browse/DS-7',
+    wiki: { title: 'Implementation Plan: Hero', pageId: '42', url: 'https://wiki.test/42' },
+    qa: { title: 'DS-7 - Hero', url: 'https://wiki.test/43', pageId: '43' },
+    changes: diffDesign(designSnapshot([frame()]), designSnapshot([frame({ colors: ['#0000FF'] })])),
+  };
+
+  function makeAdapter(existingPage) {
+    return {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn(async (title) => (title === 'Implementation Plan: Hero' ? existingPage : null)),
+    };
+  }
+
+  async function plan(adapter) {
+    const orchestrator = new WorkItemOrchestrator({ get: () => adapter });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    return orchestrator.run(
+      { componentName: 'Hero', generatedContent: 'h1. Hero\n\nh2. Overview\nA banner.', fileContext: {} },
+      { dryRun: true, update },
+    );
+  }
+
+  it('comments on the issue and rewrites the wiki page in place', async () => {
+    const adapter = makeAdapter({ id: '42', version: { number: 3 }, page: { url: 'https://wiki.test/42' } });
+    const outcome = await plan(adapter);
+
+    expect(adapter.searchJiraIssues).not.toHaveBeenCalled();
+    expect(outcome.plan.map(entry => entry.method)).toEqual(['addJiraComment', 'updateWikiPage', 'updateWikiPage']);
+
+    const comment = outcome.plan[0].params;
+    expect(comment.issueKey).toBe('DS-7');
+    expect(comment.markup).toContain('h3. Design changed');
+    expect(comment.markup).toContain('* Colors added: {{#0000FF}}');
+
+    const [rewrite, qaPatch] = outcome.plan.slice(1).map(entry => entry.params);
+    expect(rewrite).toMatchObject({ pageId: '42', title: 'Implementation Plan: Hero', version: 3 });
+    expect(rewrite.content).toContain('> [!NOTE]\n> **Design updated — revision 2**');
+    // The reused QA page is linked back in, not recreated
+    expect(qaPatch.content).toContain('**QA Test Case:** [View QA Test Case](https://wiki.test/43)');
+
+    expect(outcome.results.jira).toMatchObject({ status: 'updated', issueKey: 'DS-7', comment: { status: 'added' } });
+    expect(outcome.results.wiki).toMatchObject({ status: 'updated', pageId: '42', url: 'https://wiki.test/42' });
+    expect(outcome.results.qa).toMatchObject({ status: 'existing', url: 'https://wiki.test/43' });
+  });
+
+  it('creates a new page when the previous one is gone', async () => {
+    const outcome = await plan(makeAdapter(null));
+
+    expect(outcome.plan.map(entry => entry.method)).toContain('createWikiPage');
+    expect(outcome.plan.find(entry => entry.method === 'createWikiPage').params.title).toBe('Implementation Plan: Hero');
+    expect(outcome.results.wiki.status).toBe('created');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Dry run — DryRunMCPAdapter and WorkItemOrchestrator.planWorkItem.
+ *
+ * The real adapter is a stub whose write methods fail the test if called;
+ * reads (title lookups) are answered so the plan reflects them.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { DryRunMCPAdapter } from '../../core/adapters/DryRunMCPAdapter.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const WRITES = [
+  'createJiraTicket', 'linkIssueToEpic', 'addJiraAttachment', 'updateJiraDescription',
+  'createRemoteLink', 'createWikiPage', 'updateWikiPage', 'addWikiAttachment', 'createGitBranch',
+];
+
+function makeAdapter() {
+  const adapter = {
+    isAvailable: true,
+    searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+    // "Implementation Plan: Hero" is taken, so the plan should pick "(1)"
+    getWikiPage: vi.fn(async (title) => (title === 'Implementation Plan: Hero' ? { id: '42' } : null)),
+    _callMCP: vi.fn().mockResolvedValue({}),
+  };
+  for (const method of WRITES) {
+    adapter[method] = vi.fn(() => { throw new Error(`${method} must not be called in a dry run`); });
+  }
+  return adapter;
+}
+
+describe('DryRunMCPAdapter', () => {
+  it('forwards reads and records writes with synthetic results', async () => {
+    const adapter = makeAdapter();
+    const recorder = new DryRunMCPAdapter(adapter);
+
+    await recorder.getWikiPage('Implementation Plan: Hero', 'ENG');
+    const ticket = await recorder.createJiraTicket({ projectKey: 'DS', summary: 'Implement Hero', issueType: 'Story' });
+    const page = await recorder.createWikiPage('Plan', '# body', 'ENG', '123');
+    await recorder._callMCP('jira_get_issue', { issue_key: 'DS-1' });
+    await recorder._callMCP('jira_update_issue', { issue_key: ticket.issue.key });
+
+    expect(adapter.getWikiPage).toHaveBeenCalledWith('Implementation Plan: Hero', 'ENG');
+    expect(adapter._callMCP).toHaveBeenCalledTimes(1);
+    expect(ticket.issue.key).toBe('DRY-RUN-1');
+    expect(page.page.url).toMatch(/^dry-run:\/\/wiki\//);
+    expect(recorder.plan.map(entry => entry.tool)).toEqual([
+      'jira_create_issue', 'confluence_create_page', 'jira_update_issue',
+    ]);
+    expect(recorder.plan[0].summary).toBe('Create Story "Implement Hero" in DS');
+    expect(recorder.plan[2].summary).toBe('jira_update_issue on DRY-RUN-1');
+  });
+
+  it('still produces a plan when the MCP servers are unreachable', async () => {
+    const recorder = new DryRunMCPAdapter({ isAvailable: false });
+
+    expect(await recorder.getWikiPage('Anything', 'ENG')).toBeNull();
+    expect(await recorder.searchJiraIssues('project = DS')).toEqual({ issues: [] });
+    await recorder.createGitBranch('feature/hero');
+    expect(recorder.plan).toHaveLength(1);
+  });
+});
+
+describe('WorkItemOrchestrator — dry run', () => {
+  let adapter;
+  let orchestrator;
+
+  beforeEach(() => {
+    adapter = makeAdapter();
+    orchestrator = new WorkItemOrchestrator({ get: (name) => (name === 'mcpAdapter' ? adapter : {}) });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+  });
+
+  it('returns the ordered plan of writes without calling the real adapter', async () => {
+    const events = [];
+    const outcome = await orchestrator.run(
+      { componentName: 'Hero', generatedContent: '# Hero\n\nA hero banner.', fileContext: {} },
+      { dryRun: true, onProgress: (event) => events.push(event) },
+    );
+
+    expect(outcome.dryRun).toBe(true);
+    for (const method of WRITES) {
+      expect(adapter[method]).not.toHaveBeenCalled();
+    }
+
+    const plan = outcome.plan.map(entry => [entry.step, entry.method]);
+    expect(plan.slice(0, 5)).toEqual([
+      ['A', 'createJiraTicket'],
+      ['B', 'createWikiPage'],
+      ['E', 'createWikiPage'],
+      ['E', 'updateWikiPage'],
+      ['C', 'createRemoteLink'],
+    ]);
+    expect(outcome.plan.map(entry => entry.seq)).toEqual(outcome.plan.map((_, i) => i + 1));
+    expect(outcome.plan[1].params.title).toBe('Implementation Plan: Hero (1)');
+    expect(outcome.results.jira.issueKey).toBe('DRY-RUN-1');
+    expect(events.some(event => event.name === 'jira' && event.status === 'started')).toBe(true);
+  });
+
+  it('does not plan anything for a normal run', async () => {
+    adapter.isAvailable = false;
+    const outcome = await orchestrator.run({ componentName: 'Hero', generatedContent: '# Hero' }, {});
+
+    expect(outcome.dryRun).toBeUndefined();
+    expect(outcome.plan).toBeUndefined();
+  });
+});
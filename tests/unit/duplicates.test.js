@@ -0,0 +1,140 @@
+/**
+ * Semantic duplicate detection — open Jira issues worded like the new ticket,
+ * scored by TF-IDF similarity, offered from the dry-run plan and used in place
+ * of a new issue when the user picks one.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { keyTerms, rankSimilar, tokenize } from '../../core/trackers/issue-similarity.js';
+import { JiraTracker } from '../../core/trackers/JiraTracker.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const TICKET = {
+  summary: 'Implement Header — Home',
+  description: 'h2. Overview\nSticky site header with the logo, primary navigation and search.\nh2. Acceptance Criteria\n* Logo links to [home|https://example.com]',
+};
+
+const ISSUES = [
+  { key: 'DS-3', fields: { summary: 'Footer — Home', description: 'Legal links and newsletter signup', status: { name: 'To Do' } } },
+  { key: 'DS-5', fields: { summary: 'Build Home page header', status: { name: 'In Progress' },
+    description: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Logo, navigation links and a search box.' }] }] } } },
+];
+
+describe('issue similarity', () => {
+  it('reduces text to comparable terms', () => {
+    expect(tokenize('Build the NavBar headers — see [spec|https://wiki/x] for categories')).toEqual(['nav', 'bar', 'header', 'see', 'spec', 'category']);
+    expect(keyTerms(TICKET, 4)).toEqual(['header', 'home', 'logo', 'sticky']);
+  });
+
+  it('ranks reworded tickets above unrelated ones', () => {
+    const ranked = rankSimilar(TICKET, [
+      { key: 'A', summary: 'Search results header', description: 'Result count and sort dropdown' },
+      { key: 'B', summary: 'Build Home page header', description: 'Logo, navigation links and a search box' },
+      { key: 'C', summary: 'Card grid' },
+    ]);
+
+    expect(ranked.map(issue => issue.key)).toEqual(['B', 'A']);
+    expect(ranked[0].score).toBeGreaterThan(0.7);
+    expect(ranked[1].score).toBeLessThan(0.5);
+    expect(rankSimilar(TICKET, [{ summary: 'Search results header' }], { threshold: 0.5 })).toEqual([]);
+  });
+});
+
+describe('JiraTracker.findSimilar', () => {
+  it('fetches open candidates by key term and returns the close ones', async () => {
+    const mcpAdapter = { searchJiraIssues: vi.fn().mockResolvedValue({ issues: ISSUES }) };
+    const tracker = new JiraTracker({ mcpAdapter });
+
+    const similar = await tracker.findSimilar('DS', TICKET);
+
+    const [jql, limit, fields] = mcpAdapter.searchJiraIssues.mock.calls[0];
+    expect(jql).toMatch(/^project = "DS" AND statusCategory != Done AND \(summary ~ "header" OR description ~ "header" OR summary ~ "home"/);
+    expect([limit, fields]).toEqual([50, 'summary,status,description']);
+    expect(similar).toEqual([{ key: 'DS-5', summary: 'Build Home page header', status: 'In Progress', url: null, score: expect.any(Number) }]);
+  });
+});
+
+describe('WorkItemOrchestrator — similar issues', () => {
+  function makeOrchestrator(adapter) {
+    const orchestrator = new WorkItemOrchestrator({ get: name => (name === 'mcpAdapter' ? adapter : {}) });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    return orchestrator;
+  }
+
+  it('reports them with the dry-run plan', async () => {
+    const adapter = {
+      isAvailable: true,
+      // The exact-title check (limit 1) finds nothing
+      searchJiraIssues: vi.fn((_jql, limit) => Promise.resolve({ issues: limit === 1 ? [] : ISSUES })),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      _callMCP: vi.fn().mockResolvedValue({}),
+    };
+
+    const outcome = await makeOrchestrator(adapter).run(
+      { componentName: 'Header', generatedContent: TICKET.description, fileContext: {} },
+      { dryRun: true },
+    );
+
+    expect(outcome.results.jira.status).toBe('created');
+    expect(outcome.results.jira.similar.map(issue => issue.key)).toEqual(['DS-5']);
+    expect(outcome.plan[0].method).toBe('createJiraTicket');
+  });
+
+  it('uses the issue picked in the plan instead of creating one', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: ISSUES }),
+      createJiraTicket: vi.fn(),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      createWikiPage: vi.fn().mockResolvedValue({ id: '77', page: { id: '77', url: 'https://wiki/77' } }),
+      updateWikiPage: vi.fn().mockResolvedValue({}),
+      createRemoteLink: vi.fn().mockResolvedValue({}),
+      _callMCP: vi.fn().mockResolvedValue({}),
+    };
+
+    const outcome = await makeOrchestrator(adapter).run(
+      { componentName: 'Header', generatedContent: TICKET.description, fileContext: {} },
+      { enableActiveCreation: true, linkIssue: 'DS-5' },
+    );
+
+    expect(adapter.createJiraTicket).not.toHaveBeenCalled();
+    expect(adapter.searchJiraIssues).not.toHaveBeenCalled();
+    expect(outcome.results.jira).toMatchObject({ status: 'existing', issueKey: 'DS-5', linked: true });
+    expect(adapter.createRemoteLink).toHaveBeenCalledWith('DS-5', expect.any(String), expect.any(String), expect.anything());
+  }, 10000);
+
+  it('keeps the description of the picked issue and only adds Related Resources', async () => {
+    const original = 'Header for the marketing site, agreed with Sam.\n\n* Logo left\n* Search right';
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: ISSUES }),
+      createJiraTicket: vi.fn(),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      createWikiPage: vi.fn().mockResolvedValue({ id: '77', page: { id: '77', url: 'https://wiki/77' } }),
+      updateWikiPage: vi.fn().mockResolvedValue({}),
+      createRemoteLink: vi.fn().mockResolvedValue({}),
+      _callMCP: vi.fn((tool) => Promise.resolve(tool === 'jira_get_issue' ? { key: 'DS-5', fields: { description: original } } : {})),
+    };
+
+    await makeOrchestrator(adapter).run(
+      { componentName: 'Header', generatedContent: TICKET.description, fileContext: { fileKey: 'abc123' } },
+      { enableActiveCreation: true, linkIssue: 'DS-5' },
+    );
+
+    const updates = adapter._callMCP.mock.calls.filter(([tool, args]) => tool === 'jira_update_issue' && args.fields?.description);
+    expect(updates).toHaveLength(1);
+    const description = updates[0][1].fields.description;
+    expect(description.startsWith(`${original}\n\nh2. Related Resources`)).toBe(true);
+    expect(description).toContain('* [View in Figma|https://www.figma.com/design/abc123');
+    expect(description).not.toContain('Sticky site header');
+  }, 10000);
+});
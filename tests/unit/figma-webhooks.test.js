@@ -0,0 +1,202 @@
+/**
+ * Figma webhooks — recorded FILE_UPDATE / FILE_VERSION_UPDATE / PING payloads
+ * (fixtures/figma-webhooks) posted to POST /api/webhooks/figma, which finds
+ * the open Jira issues linked to the file and labels and comments on them
+ * through a stub Jira MCP server speaking JSON-RPC over HTTP.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import express from 'express';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { MCPAdapter } from '../../core/adapters/MCPAdapter.js';
+import { StaleTicketFlagger, figmaNodeIds } from '../../core/trackers/StaleTicketFlagger.js';
+import { WebhookRoutes } from '../../app/routes/webhooks.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures/figma-webhooks');
+const fixture = (name) => JSON.parse(readFileSync(join(FIXTURES, `${name}.json`), 'utf8'));
+
+const FILE_KEY = 'hX2rQ9mZp4LkWvB7tYcN3e';
+const DESIGN_URL = `https://www.figma.com/design/${FILE_KEY}/Web-Design-System`;
+
+// Open issues the Jira search answers with
+const ISSUES = [
+  { key: 'WEB-11', fields: { summary: 'Implement Header', labels: ['frontend'],
+    description: `h2. Related Resources\n\n* [View in Figma|${DESIGN_URL}?node-id=12-40]\n* [Implementation Plan|https://wiki/1]` } },
+  { key: 'WEB-12', fields: { summary: 'Implement Footer', labels: ['design-updated'],
+    description: `* [View in Figma|${DESIGN_URL}?node-id=12-88]` } },
+  // Mentions the key, but links to another file
+  { key: 'WEB-13', fields: { summary: 'Icon audit', labels: [],
+    description: `Compare with ${FILE_KEY} — see https://www.figma.com/design/aB3dE5fG7hI9jK1lM3nO5p/Icons` } },
+  // Jira Cloud: an ADF description, the link in a mark
+  { key: 'WEB-14', fields: { summary: 'Implement Nav Item', labels: [],
+    description: { type: 'doc', content: [{ type: 'bulletList', content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [
+      { type: 'text', text: 'View in Figma', marks: [{ type: 'link', attrs: { href: `${DESIGN_URL}?node-id=I12-40%3B3-7` } }] },
+    ] }] }] }] } } },
+  // A malformed escape in one link must not stop the others being read
+  { key: 'WEB-15', fields: { summary: 'Implement Card', labels: [],
+    description: `* [Old frame|${DESIGN_URL}?node-id=%E0]\n* [View in Figma|${DESIGN_URL}?node-id=12-99]` } },
+];
+
+/**
+ * Minimal streamable-HTTP MCP server: the initialize handshake, then
+ * tools/call answered from `tools` and recorded in `calls`.
+ */
+function startMcpStub(tools) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = JSON.parse(body || '{}');
+      if (message.method === 'initialize') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'mcp-session-id': 'stub-session' });
+        return res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: '2024-11-05', capabilities: { tools: {} } } }));
+      }
+      if (message.method !== 'tools/call') {
+        res.writeHead(202);
+        return res.end();
+      }
+      const { name, arguments: args } = message.params;
+      calls.push({ name, args });
+      let result;
+      try {
+        result = { content: [{ type: 'text', text: JSON.stringify(tools[name](args)) }] };
+      } catch (error) {
+        result = { isError: true, content: [{ type: 'text', text: error.message }] };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, calls, url: `http://127.0.0.1:${server.address().port}/mcp/` })));
+}
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('POST /api/webhooks/figma', () => {
+  let mcp;
+  let api;
+  let commentFails;
+
+  beforeAll(async () => {
+    mcp = await startMcpStub({
+      jira_search: () => ({ issues: ISSUES }),
+      jira_update_issue: ({ issue_key }) => ({ key: issue_key }),
+      jira_add_comment: ({ issue_key }) => {
+        if (issue_key === commentFails) {
+          throw new Error('You do not have permission to comment');
+        }
+        return { id: '10001' };
+      },
+    });
+    const mcpAdapter = new MCPAdapter({ servers: { jira: { url: mcp.url }, default: { url: mcp.url } }, timeout: 5000 });
+    mcpAdapter.isAvailable = true;
+    const services = { staleTicketFlagger: new StaleTicketFlagger({ mcpAdapter }) };
+
+    const app = express();
+    app.use(express.json());
+    const router = express.Router();
+    new WebhookRoutes({ get: name => services[name] }).registerRoutes(router);
+    app.use(router);
+    api = await listen(app);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => api.server.close(resolve));
+    await new Promise(resolve => mcp.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.FIGMA_WEBHOOK_PASSCODE = 'figma-webhook-secret';
+    commentFails = null;
+    mcp.calls.length = 0;
+  });
+
+  afterEach(() => {
+    delete process.env.FIGMA_WEBHOOK_PASSCODE;
+  });
+
+  const post = async (payload) => {
+    const res = await fetch(`${api.url}/api/webhooks/figma`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('labels and comments on the open issues that link to the file', async () => {
+    const { status, body } = await post(fixture('file-version-update'));
+
+    expect(status).toBe(200);
+    expect(body.data.issues).toEqual([
+      { key: 'WEB-11', nodeIds: ['12:40'], status: 'flagged' },
+      { key: 'WEB-12', nodeIds: ['12:88'], status: 'already-flagged' },
+      { key: 'WEB-14', nodeIds: ['I12:40;3:7'], status: 'flagged' },
+      { key: 'WEB-15', nodeIds: ['12:99'], status: 'flagged' },
+    ]);
+    expect(body.message).toBe('3 of 4 linked issue(s) flagged');
+
+    const [search, ...writes] = mcp.calls;
+    expect(search).toEqual({ name: 'jira_search', args: {
+      jql: `description ~ "${FILE_KEY}" AND statusCategory != Done ORDER BY updated DESC`, limit: 50, fields: 'summary,description,labels',
+    } });
+    expect(writes.map(call => [call.name, call.args.issue_key])).toEqual([
+      ['jira_update_issue', 'WEB-11'], ['jira_add_comment', 'WEB-11'],
+      ['jira_update_issue', 'WEB-14'], ['jira_add_comment', 'WEB-14'],
+      ['jira_update_issue', 'WEB-15'], ['jira_add_comment', 'WEB-15'],
+    ]);
+    expect(writes[0].args.fields).toEqual({ labels: ['frontend', 'design-updated'] });
+
+    const comment = writes[1].args.comment;
+    expect(comment).toContain('h3. Design updated in Figma');
+    expect(comment).toContain('Web — Design System changed — new version "v2.4" by Sam Rivera (2026-10-19 15:41 UTC)');
+    expect(comment).toContain('bq. Header: new search field, logo moved left');
+    expect(comment).toContain(`* [Frame 12:40|https://www.figma.com/design/${FILE_KEY}?node-id=12-40]`);
+    expect(comment).toContain('_Remove the design-updated label once the ticket matches the design._');
+  });
+
+  it('reports the issues it could not flag', async () => {
+    commentFails = 'WEB-14';
+
+    const { status, body } = await post(fixture('file-update'));
+
+    expect(status).toBe(200);
+    expect(body.data.issues.map(issue => [issue.key, issue.status])).toEqual([
+      ['WEB-11', 'flagged'], ['WEB-12', 'already-flagged'], ['WEB-14', 'failed'], ['WEB-15', 'flagged'],
+    ]);
+    expect(body.data.issues[2].error).toBe('comment was not added');
+    expect(mcp.calls.find(call => call.name === 'jira_add_comment').args.comment).toContain('Web — Design System changed (2026-10-19 14:02 UTC)');
+  });
+
+  it('checks the passcode and ignores events that are not design changes', async () => {
+    expect((await post({ ...fixture('file-update'), passcode: 'guess' })).status).toBe(401);
+    expect((await post({ ...fixture('file-update'), passcode: undefined })).status).toBe(401);
+
+    const ping = await post(fixture('ping'));
+    expect(ping.status).toBe(200);
+    expect(ping.body.data).toEqual({ event: 'PING', ignored: true });
+
+    expect((await post({ ...fixture('file-update'), file_key: '" OR project = X' })).status).toBe(400);
+    expect(mcp.calls).toEqual([]);
+
+    delete process.env.FIGMA_WEBHOOK_PASSCODE;
+    expect((await post(fixture('ping'))).status).toBe(503);
+  });
+});
+
+describe('figmaNodeIds', () => {
+  it('reads the frames a description links to in the file', () => {
+    expect(figmaNodeIds(`[View|${DESIGN_URL}?node-id=1-2] and [file](https://www.figma.com/file/${FILE_KEY})`, FILE_KEY)).toEqual(['1:2']);
+    expect(figmaNodeIds(`https://www.figma.com/design/${FILE_KEY}`, FILE_KEY)).toEqual([]);
+    expect(figmaNodeIds(`https://www.figma.com/design/${FILE_KEY}x/Other`, FILE_KEY)).toBeNull();
+    expect(figmaNodeIds(`${DESIGN_URL}?node-id=%E0 ${DESIGN_URL}?node-id=3-4`, FILE_KEY)).toEqual(['3:4']);
+  });
+});
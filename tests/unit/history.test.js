@@ -0,0 +1,124 @@
+/**
+ * Generation history — HistoryStore (file fallback) and the generate
+ * route's history recording.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HistoryStore } from '../../core/data/history-store.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+
+function entry(componentName, fileKey, nodeIds, extra = {}) {
+  return {
+    request: { componentName, fileKey, nodeIds },
+    generation: { strategy: 'gemini' },
+    content: `# ${componentName}`,
+    orchestration: { jira: { status: 'created', issueKey: 'DS-1', url: 'https://jira.test/browse/DS-1' } },
+    timing: { durationMs: 1200 },
+    ...extra,
+  };
+}
+
+describe('HistoryStore — file fallback', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    // Memory-only RedisClient reports not connected → files are used
+    store = new HistoryStore({ isConnected: () => false }, { dir, maxEntries: 3 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('stores full records and lists newest-first summaries', async () => {
+    const first = await store.record(entry('Hero', 'abc', ['1:2']));
+    await store.record(entry('Footer', 'abc', ['1:3']));
+
+    const { entries, total } = await store.list();
+    expect(total).toBe(2);
+    expect(entries.map(e => e.componentName)).toEqual(['Footer', 'Hero']);
+    expect(entries[1]).toMatchObject({ id: first.id, fileKey: 'abc', jiraKey: 'DS-1', strategy: 'gemini' });
+
+    // A new store instance (restart) reads the same files
+    const reopened = await new HistoryStore({ isConnected: () => false }, { dir }).get(first.id);
+    expect(reopened.content).toBe('# Hero');
+    expect(reopened.orchestration.jira.url).toBe('https://jira.test/browse/DS-1');
+  });
+
+  it('filters by fileKey, nodeId, component and date', async () => {
+    await store.record(entry('Hero Banner', 'abc', ['1:2']));
+    await store.record(entry('Footer', 'xyz', ['1:3', '1:4']));
+
+    expect((await store.list({ fileKey: 'xyz' })).entries.map(e => e.componentName)).toEqual(['Footer']);
+    expect((await store.list({ nodeId: '1:4' })).total).toBe(1);
+    expect((await store.list({ component: 'hero' })).entries[0].componentName).toBe('Hero Banner');
+    expect((await store.list({ to: '2000-01-01' })).total).toBe(0);
+    const today = new Date().toISOString().slice(0, 10);
+    expect((await store.list({ from: today, to: today })).total).toBe(2);
+  });
+
+  it('drops the oldest entries beyond maxEntries', async () => {
+    const oldest = await store.record(entry('One', 'abc', ['1:1']));
+    for (const name of ['Two', 'Three', 'Four']) {
+      await store.record(entry(name, 'abc', ['1:1']));
+    }
+
+    expect((await store.list()).total).toBe(3);
+    expect(await store.get(oldest.id)).toBeNull();
+  });
+
+  it('rejects ids that are not UUIDs', async () => {
+    expect(await store.get('../../package')).toBeNull();
+  });
+});
+
+describe('GenerateRoutes — history recording', () => {
+  it('records each generation and returns its historyId', async () => {
+    const historyStore = { record: vi.fn(async (e) => ({ ...e, id: 'h-1' })) };
+    const route = new GenerateRoutes({ get: vi.fn((name) => ({ historyStore })[name]) });
+
+    const result = {
+      content: '# Hero',
+      format: 'jira',
+      strategy: 'gemini',
+      metadata: {
+        provider: 'gemini',
+        model: 'gemini-2.0-flash',
+        debugContext: { sentAt: 'now' },
+        orchestration: {
+          jira: { status: 'created', issueKey: 'DS-7', url: 'https://jira.test/browse/DS-7', content: { summary: 'x' } },
+          wiki: { status: 'created', url: 'https://wiki.test/plan', retryContext: { content: 'big' } },
+        },
+      },
+    };
+    const request = route._normalizeRequest({
+      enhancedFrameData: [{ id: '1:2', name: 'Hero' }],
+      fileContext: { fileKey: 'abc', pageName: 'Home' },
+      enableActiveCreation: true,
+    });
+    await route._recordHistory(request, result, Date.now() - 50);
+
+    const stored = historyStore.record.mock.calls[0][0];
+    expect(stored.request).toMatchObject({ componentName: 'Hero', fileKey: 'abc', nodeIds: ['1:2'] });
+    expect(stored.generation).toMatchObject({ provider: 'gemini', model: 'gemini-2.0-flash', strategy: 'gemini' });
+    expect(stored.orchestration.jira).toEqual({ status: 'created', issueKey: 'DS-7', url: 'https://jira.test/browse/DS-7' });
+    expect(stored.orchestration.wiki.retryContext).toBeUndefined();
+    expect(stored.debugContext).toEqual({ sentAt: 'now' });
+    expect(stored.timing.durationMs).toBeGreaterThanOrEqual(50);
+    expect(result.metadata.historyId).toBe('h-1');
+  });
+
+  it('never fails the request when history cannot be written', async () => {
+    const historyStore = { record: vi.fn().mockRejectedValue(new Error('disk full')) };
+    const route = new GenerateRoutes({ get: vi.fn(() => historyStore) });
+    const result = { content: '# Hero', metadata: {} };
+
+    await expect(route._recordHistory(route._normalizeRequest({ frameData: [{ id: '1:2' }] }), result, Date.now())).resolves.toBeUndefined();
+    expect(result.metadata.historyId).toBeUndefined();
+  });
+});
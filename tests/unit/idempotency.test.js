@@ -0,0 +1,316 @@
+/**
+ * Idempotency — IdempotencyStore and the generate route's replay behaviour.
+ *
+ * Uses an in-memory stand-in for RedisClient; the generation pipeline is
+ * stubbed so repeated requests can be counted, except for the retry of a run
+ * that failed part-way, which goes through a real WorkItemOrchestrator.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    docs: { target: 'confluence', dir: 'docs/design', baseUrl: '' },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { IdempotencyStore } from '../../core/data/idempotency-store.js';
+import { OrchestrationStore } from '../../core/data/orchestration-store.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+import { RedisClient } from '../../core/data/redis-client.js';
+
+function makeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? JSON.parse(data.get(key)) : null; },
+    async setex(key, _seconds, value) { data.set(key, value); return 'OK'; },
+    async del(key) { return data.delete(key) ? 1 : 0; },
+  };
+}
+
+function makeRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = vi.fn((code) => { res.statusCode = code; return res; });
+  res.json = vi.fn((body) => { res.body = body; return res; });
+  res.set = vi.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+}
+
+function makeReq(body, headers = {}) {
+  return {
+    body,
+    method: 'POST',
+    url: '/api/generate',
+    query: {},
+    headers,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+const BODY = {
+  enhancedFrameData: [{ id: '1:2', name: 'Hero', width: 1440 }],
+  fileContext: { fileKey: 'abc123', pageName: 'Homepage' },
+  techStack: 'React',
+  enableActiveCreation: true,
+};
+
+describe('IdempotencyStore', () => {
+  let redis;
+  let store;
+  beforeEach(() => {
+    redis = makeRedis();
+    store = new IdempotencyStore(redis, { ttl: 60, lockTtl: 10 });
+  });
+
+  it('derives a key from fileKey, node IDs and the design version', () => {
+    const request = { ...BODY, fileContext: { ...BODY.fileContext, version: '42' } };
+    expect(store.deriveKey('generate', request)).toMatch(/^generate:abc123:1:2:42:[0-9a-f]{16}$/);
+
+    // Without a Figma version, editing the frame data changes the key
+    const edited = { ...BODY, enhancedFrameData: [{ ...BODY.enhancedFrameData[0], width: 1280 }] };
+    expect(store.deriveKey('generate', BODY)).not.toBe(store.deriveKey('generate', edited));
+    expect(store.deriveKey('generate', { enhancedFrameData: BODY.enhancedFrameData })).toBeNull();
+  });
+
+  it('fingerprints every field that changes what gets created', () => {
+    const variants = [
+      { profile: 'web-team' },
+      { tracker: 'github' },
+      { wikiTarget: 'repo' },
+      { pipeline: 'docs-only' },
+      { jiraFields: { storyPoints: 5 } },
+      { linkIssue: 'DS-5' },
+      { updateExisting: true },
+    ];
+    const keys = [BODY, ...variants.map(variant => ({ ...BODY, ...variant }))].map(request => store.deriveKey('generate', request));
+
+    expect(new Set(keys).size).toBe(variants.length + 1);
+    expect(store.fingerprint({ ...BODY, tracker: undefined })).toBe(store.fingerprint(BODY));
+  });
+
+  it('claims once, then reports in-progress and completed states', async () => {
+    const fp = store.fingerprint(BODY);
+    expect((await store.begin('k', fp)).state).toBe('claimed');
+    expect((await store.begin('k', fp)).state).toBe('in_progress');
+
+    await store.complete('k', { content: 'done' });
+    const repeat = await store.begin('k', fp);
+    expect(repeat.state).toBe('completed');
+    expect(repeat.record.response).toEqual({ content: 'done' });
+  });
+
+  it('survives a restart via the cache and rejects a different request under the same key', async () => {
+    await store.begin('k', 'fp-1');
+    await store.complete('k', { content: 'done' });
+
+    const restarted = new IdempotencyStore(redis);
+    expect((await restarted.begin('k', 'fp-1')).state).toBe('completed');
+    expect((await restarted.begin('k', 'fp-2')).state).toBe('mismatch');
+  });
+
+  it('hands a partial result to the next identical request, one at a time', async () => {
+    await store.begin('k', 'fp');
+    await store.track('k', async () => ({ content: 'half' }), () => 'partial');
+
+    const retry = await store.begin('k', 'fp');
+    expect(retry).toMatchObject({ state: 'partial', record: { response: { content: 'half' } } });
+    expect((await store.begin('k', 'fp')).state).toBe('in_progress');
+
+    // A resume that throws leaves the partial result for the next retry
+    await expect(store.track('k', async () => { throw new Error('MCP down'); })).rejects.toThrow();
+    expect((await store.begin('k', 'fp')).state).toBe('partial');
+    await store.track('k', async () => ({ content: 'whole' }));
+    expect((await store.begin('k', 'fp')).record.response).toEqual({ content: 'whole' });
+  });
+
+  it('releases the claim when the tracked body fails', async () => {
+    await store.begin('k', 'fp');
+    await expect(store.track('k', async () => { throw new Error('MCP down'); })).rejects.toThrow('MCP down');
+    expect((await store.begin('k', 'fp')).state).toBe('claimed');
+  });
+});
+
+describe('GenerateRoutes — idempotent active creation', () => {
+  let route;
+  let run;
+
+  beforeEach(() => {
+    const services = { idempotencyStore: new IdempotencyStore(makeRedis()) };
+    route = new GenerateRoutes({ get: vi.fn((name) => services[name]) });
+    run = vi.fn(async () => ({
+      content: '# Hero',
+      metadata: { orchestration: { jira: { issueKey: 'DS-7', url: 'https://jira.test/browse/DS-7' } } },
+    }));
+    route._runGeneration = run;
+  });
+
+  it('replays the original result for a repeated request instead of re-running it', async () => {
+    const first = makeRes();
+    await route.handleGenerate(makeReq(BODY), first);
+    const second = makeRes();
+    await route.handleGenerate(makeReq(BODY), second);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(second.statusCode).toBe(200);
+    expect(second.headers['Idempotent-Replayed']).toBe('true');
+    expect(second.body.data.metadata.orchestration.jira.issueKey).toBe('DS-7');
+  });
+
+  it('honours an explicit Idempotency-Key and rejects reuse with a different body', async () => {
+    await route.handleGenerate(makeReq(BODY, { 'idempotency-key': 'retry-1' }), makeRes());
+    const conflict = makeRes();
+    await route.handleGenerate(makeReq({ ...BODY, techStack: 'Vue' }, { 'idempotency-key': 'retry-1' }), conflict);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(conflict.statusCode).toBe(422);
+  });
+
+  it('treats the same frames for another tracker or profile as a new request', async () => {
+    await route.handleGenerate(makeReq(BODY), makeRes());
+    const otherTracker = makeRes();
+    await route.handleGenerate(makeReq({ ...BODY, tracker: 'gitlab' }), otherTracker);
+    const reusedKey = makeRes();
+    await route.handleGenerate(makeReq(BODY, { 'idempotency-key': 'retry-2' }), makeRes());
+    await route.handleGenerate(makeReq({ ...BODY, wikiTarget: 'repo' }, { 'idempotency-key': 'retry-2' }), reusedKey);
+
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(otherTracker.headers['Idempotent-Replayed']).toBeUndefined();
+    expect(reusedKey.statusCode).toBe(422);
+  });
+
+  it('answers 409 while an identical sync request is still running', async () => {
+    let finish;
+    route._runGeneration = vi.fn(() => new Promise((resolve) => { finish = resolve; }));
+
+    const pending = route.handleGenerate(makeReq(BODY), makeRes());
+    await vi.waitFor(() => expect(route._runGeneration).toHaveBeenCalled());
+    const busy = makeRes();
+    await route.handleGenerate(makeReq(BODY), busy);
+    finish({ content: '# Hero', metadata: {} });
+    await pending;
+
+    expect(busy.statusCode).toBe(409);
+  });
+
+  it('runs a retry again when the first run failed to create the issue', async () => {
+    run.mockResolvedValueOnce({
+      content: '# Hero',
+      metadata: { orchestration: { jira: { status: 'failed', error: 'Jira returned 503' } } },
+    });
+    run.mockResolvedValueOnce({ content: '# Hero', metadata: { orchestrationError: 'Confluence timed out' } });
+
+    const failed = makeRes();
+    await route.handleGenerate(makeReq(BODY), failed);
+    await route.handleGenerate(makeReq(BODY), makeRes());
+    const retry = makeRes();
+    await route.handleGenerate(makeReq(BODY), retry);
+    const replay = makeRes();
+    await route.handleGenerate(makeReq(BODY), replay);
+
+    expect(failed.body.data.metadata.orchestration.jira.status).toBe('failed');
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(retry.headers['Idempotent-Replayed']).toBeUndefined();
+    expect(retry.body.data.metadata.orchestration.jira.issueKey).toBe('DS-7');
+    expect(replay.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('does not claim dry runs or plain generation', async () => {
+    await route.handleGenerate(makeReq({ ...BODY, dryRun: true }), makeRes());
+    await route.handleGenerate(makeReq({ ...BODY, dryRun: true }), makeRes());
+    await route.handleGenerate(makeReq({ ...BODY, enableActiveCreation: false }), makeRes());
+    await route.handleGenerate(makeReq({ ...BODY, enableActiveCreation: false }), makeRes());
+
+    expect(run).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('GenerateRoutes — retrying a run that failed part-way', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resumes the failed QA page instead of creating a second Implementation Plan', async () => {
+    const mcpAdapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      createJiraTicket: vi.fn().mockResolvedValue({ issue: { key: 'DS-7', url: 'https://jira/browse/DS-7' } }),
+      createRemoteLink: vi.fn().mockResolvedValue({}),
+      _callMCP: vi.fn().mockResolvedValue({}),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      updateWikiPage: vi.fn().mockResolvedValue({}),
+      createWikiPage: vi.fn()
+        .mockResolvedValueOnce({ id: '100', page: { id: '100', url: 'https://wiki/100' } })
+        .mockRejectedValueOnce(new Error('Permission denied'))
+        .mockResolvedValueOnce({ id: '200', page: { id: '200', url: 'https://wiki/200' } }),
+    };
+    const services = {
+      mcpAdapter,
+      ticketService: {},
+      orchestrationStore: new OrchestrationStore(null, { dir }),
+      idempotencyStore: new IdempotencyStore(makeRedis()),
+    };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    orchestrator._prepareImage = vi.fn().mockResolvedValue(null);
+    services.workItemOrchestrator = orchestrator;
+    const route = new GenerateRoutes({ get: name => services[name] });
+    const request = { ...BODY, generatedContent: 'h2. Overview\n\nSticky header' };
+    const headers = { 'idempotency-key': 'handoff-1' };
+
+    const first = makeRes();
+    await route.handleGenerate(makeReq(request, headers), first);
+    const retry = makeRes();
+    await route.handleGenerate(makeReq(request, headers), retry);
+    const replay = makeRes();
+    await route.handleGenerate(makeReq(request, headers), replay);
+
+    expect(first.body.data.metadata.orchestration.wiki.status).toBe('created');
+    expect(first.body.data.metadata.orchestration.qa).toMatchObject({ status: 'failed', error: 'Permission denied' });
+    expect(retry.body.data.metadata.orchestration.qa).toMatchObject({ status: 'created', url: 'https://wiki/200' });
+    expect(retry.body.data.metadata.orchestrationId).toBe(first.body.data.metadata.orchestrationId);
+    const titles = mcpAdapter.createWikiPage.mock.calls.map(([title]) => title);
+    expect(titles.filter(title => title.startsWith('Implementation Plan'))).toEqual(['Implementation Plan: Hero — Homepage']);
+    expect(mcpAdapter.createWikiPage).toHaveBeenCalledTimes(3);
+    expect(mcpAdapter.createJiraTicket).toHaveBeenCalledTimes(1);
+    expect(replay.headers['Idempotent-Replayed']).toBe('true');
+    expect(replay.body.data.metadata.orchestration.qa.status).toBe('created');
+  }, 10000);
+});
+
+describe('IdempotencyStore — memory-mode RedisClient', () => {
+  it('lets a failed request be retried straight away', async () => {
+    const redis = new RedisClient();
+    const store = new IdempotencyStore(redis);
+    try {
+      await store.begin('k', 'fp');
+      await expect(store.track('k', async () => { throw new Error('MCP down'); })).rejects.toThrow();
+
+      // A fresh process sees only the cache, which must not still hold the claim
+      expect((await new IdempotencyStore(redis).begin('k', 'fp')).state).toBe('claimed');
+    } finally {
+      redis.destroyMemoryCache();
+    }
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * jiraToAdf — Jira wiki markup to Atlassian Document Format, and the
+ * orchestrator writing ADF descriptions when the Jira instance asks for it.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { jiraToAdf, isAdf } from '../../core/formats/jira-adf.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+
+describe('jiraToAdf — blocks', () => {
+  it('converts headings, paragraphs and line breaks', () => {
+    const doc = jiraToAdf('h1. Hero Banner\n\nFirst line\nsecond line\n\nh3. Notes');
+
+    expect(isAdf(doc)).toBe(true);
+    expect(doc.content).toEqual([
+      { type: 'heading', attrs: { level: 1 }, content: [text('Hero Banner')] },
+      paragraph(text('First line'), { type: 'hardBreak' }, text('second line')),
+      { type: 'heading', attrs: { level: 3 }, content: [text('Notes')] },
+    ]);
+  });
+
+  it('nests bullet and ordered lists', () => {
+    const [list] = jiraToAdf('* One\n** One a\n*# Step 1\n* Two').content;
+
+    expect(list.type).toBe('bulletList');
+    expect(list.content).toHaveLength(2);
+    const [first] = list.content;
+    expect(first.content.map(node => node.type)).toEqual(['paragraph', 'bulletList', 'orderedList']);
+    expect(first.content[2].content[0].content[0]).toEqual(paragraph(text('Step 1')));
+  });
+
+  it('builds tables with header cells and keeps pipes inside links', () => {
+    const [table] = jiraToAdf('|| Token || Value ||\n| [Spec|https://x.test] | {{16px}} |').content;
+
+    expect(table.content[0].content.map(cell => cell.type)).toEqual(['tableHeader', 'tableHeader']);
+    expect(table.content[1].content[0].content[0]).toEqual(
+      paragraph(text('Spec', [{ type: 'link', attrs: { href: 'https://x.test' } }])),
+    );
+    expect(table.content[1].content[1].content[0]).toEqual(paragraph(text('16px', [{ type: 'code' }])));
+  });
+
+  it('converts code blocks, panels and rules', () => {
+    const doc = jiraToAdf('{code:tsx}\nconst a = <b>*x*</b>;\n{code}\n{info:title=Heads up}\nCheck _tokens_.\n{info}\n----');
+
+    expect(doc.content).toEqual([
+      { type: 'codeBlock', attrs: { language: 'tsx' }, content: [text('const a = <b>*x*</b>;')] },
+      {
+        type: 'panel',
+        attrs: { panelType: 'info' },
+        content: [
+          paragraph(text('Heads up', [{ type: 'strong' }])),
+          paragraph(text('Check '), text('tokens', [{ type: 'em' }]), text('.')),
+        ],
+      },
+      { type: 'rule' },
+    ]);
+  });
+
+  it('embeds uploaded media, external images and names unknown attachments', () => {
+    const doc = jiraToAdf('!preview.png|thumbnail!\n!https://cdn.figma.com/x.png!\n!missing.png!', {
+      media: { 'preview.png': { id: 'abc-123' } },
+    });
+
+    expect(doc.content.map(node => node.content[0].attrs ?? node.content[0].text)).toEqual([
+      { type: 'file', id: 'abc-123', collection: '' },
+      { type: 'external', url: 'https://cdn.figma.com/x.png' },
+      'Attachment: missing.png',
+    ]);
+  });
+});
+
+describe('jiraToAdf — inline', () => {
+  it('nests marks and leaves escaped characters literal', () => {
+    const [para] = jiraToAdf('*Open [Figma|https://figma.test] now* and \\*not bold\\* {color:red}alert{color}').content;
+
+    expect(para.content).toEqual([
+      text('Open ', [{ type: 'strong' }]),
+      text('Figma', [{ type: 'strong' }, { type: 'link', attrs: { href: 'https://figma.test' } }]),
+      text(' now', [{ type: 'strong' }]),
+      text(' and *not bold* '),
+      text('alert', [{ type: 'textColor', attrs: { color: '#ff5630' } }]),
+    ]);
+  });
+
+  it('does not treat hyphenated words or snake_case as marks', () => {
+    const [para] = jiraToAdf('read-only flag_name_here stays plain').content;
+    expect(para.content).toEqual([text('read-only flag_name_here stays plain')]);
+  });
+});
+
+describe('WorkItemOrchestrator — ADF descriptions', () => {
+  it('keeps the embedded image when injecting Related Resources', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      formatJiraDescription: vi.fn(markup => jiraToAdf(markup)),
+    };
+    const orchestrator = new WorkItemOrchestrator({ get: (name) => (name === 'mcpAdapter' ? adapter : {}) });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue('https://cdn.figma.com/hero.png');
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Hero', generatedContent: 'h1. Hero\n\nh2. Overview\nBanner.', fileContext: {} },
+      { dryRun: true },
+    );
+
+    const update = outcome.plan.find(entry => entry.tool === 'jira_update_issue' && entry.method === '_callMCP').params;
+    const { content } = update.fields.description;
+    expect(isAdf(update.fields.description)).toBe(true);
+    expect(content.map(node => node.type)).toContain('mediaSingle');
+    expect(content.find(node => node.type === 'mediaSingle').content[0].attrs.url).toBe('https://cdn.figma.com/hero.png');
+    expect(content.some(node => node.type === 'heading' && node.content[0].text === 'Related Resources')).toBe(true);
+  });
+});
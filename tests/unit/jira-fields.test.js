@@ -0,0 +1,134 @@
+/**
+ * Jira field mapping — logical fields resolved to the instance's field IDs,
+ * formatted and checked against a project's create screen, with the field
+ * metadata cached between issues.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { JiraFieldMapper, jiraFieldsErrors, parseFieldMap } from '../../core/trackers/JiraFieldMapper.js';
+import { JiraTracker } from '../../core/trackers/JiraTracker.js';
+
+const CATALOG = [
+  { id: 'summary', name: 'Summary', schema: { type: 'string', system: 'summary' } },
+  { id: 'components', name: 'Component/s', schema: { type: 'array', items: 'component', system: 'components' } },
+  { id: 'customfield_10016', name: 'Story point estimate', custom: true, schema: { type: 'number' } },
+  { id: 'customfield_10020', name: 'Sprint', custom: true, schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } },
+  { id: 'customfield_10100', name: 'Team', custom: true, schema: { type: 'option' } },
+];
+
+const SCREEN = [
+  { fieldId: 'summary', name: 'Summary', required: true, schema: { type: 'string' } },
+  { fieldId: 'issuetype', name: 'Issue Type', required: true, schema: { type: 'issuetype' } },
+  { fieldId: 'components', name: 'Component/s', required: false, schema: { type: 'array', items: 'component' },
+    allowedValues: [{ id: '10001', name: 'Web' }, { id: '10002', name: 'Mobile' }] },
+  { fieldId: 'labels', name: 'Labels', required: false, schema: { type: 'array', items: 'string' } },
+  { fieldId: 'priority', name: 'Priority', required: false, hasDefaultValue: true, schema: { type: 'priority' },
+    allowedValues: [{ id: '2', name: 'High' }, { id: '3', name: 'Medium' }] },
+  { fieldId: 'customfield_10016', name: 'Story point estimate', required: false, schema: { type: 'number' } },
+  { fieldId: 'customfield_10020', name: 'Sprint', required: false, schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } },
+  { fieldId: 'customfield_10100', name: 'Team', required: true, schema: { type: 'option' },
+    allowedValues: [{ id: '30', value: 'Design Systems' }] },
+];
+
+const TICKET = { projectKey: 'WEB', summary: 'Nav Bar', issueType: 'Story', additionalFields: {} };
+
+function jiraAdapter(screen = SCREEN) {
+  return {
+    isAvailable: true,
+    searchJiraFields: vi.fn().mockResolvedValue(CATALOG),
+    getJiraCreateMeta: vi.fn((_project, issueType) => Promise.resolve({
+      issueTypes: ['Story', 'Bug'],
+      fields: ['Story', 'Bug'].includes(issueType) ? screen : null,
+    })),
+  };
+}
+
+describe('JiraFieldMapper', () => {
+  it('maps logical fields to the field IDs and values Jira expects', async () => {
+    const mapper = new JiraFieldMapper({ mcpAdapter: jiraAdapter(), fieldMap: {} });
+
+    const ticket = await mapper.apply({
+      ...TICKET,
+      fields: { storyPoints: '5', team: 'design systems', components: 'Web, Mobile', labels: ['design-system'], sprint: '42', priority: 'High', fixVersion: '' },
+      fieldMap: {},
+    });
+
+    expect(ticket).not.toHaveProperty('fields');
+    expect(ticket.additionalFields).toEqual({
+      customfield_10016: 5,
+      customfield_10100: { id: '30' },
+      components: [{ id: '10001' }, { id: '10002' }],
+      labels: ['design-system'],
+      customfield_10020: 42,
+      priority: { id: '2' },
+    });
+  });
+
+  it('names the offending field when Jira would reject the payload', async () => {
+    const mapper = new JiraFieldMapper({ mcpAdapter: jiraAdapter(), fieldMap: {} });
+    const team = { team: 'Design Systems' };
+
+    await expect(mapper.apply({ ...TICKET, fields: { ...team, components: ['Tablet'] } }))
+      .rejects.toThrow('Jira field "Component/s" (components) has no value "Tablet" (allowed: Web, Mobile)');
+    await expect(mapper.apply({ ...TICKET, fields: { ...team, labels: 'design system' } }))
+      .rejects.toThrow('"design system" can\'t contain spaces');
+    await expect(mapper.apply({ ...TICKET, fields: { storyPoints: 3 } }))
+      .rejects.toThrow('Jira requires "Team" (customfield_10100) for WEB Story');
+    await expect(mapper.apply({ ...TICKET, fields: { ...team, fixVersion: '1.0' } }))
+      .rejects.toThrow('Jira field "fixVersion" (fixVersions) is not on the create screen of WEB Story');
+    await expect(mapper.apply({ ...TICKET, issueType: 'Epic', fields: team }))
+      .rejects.toThrow('Jira issue type "Epic" does not exist in WEB (available: Story, Bug)');
+  });
+
+  it('caches metadata and checks a failing payload once more against fresh metadata', async () => {
+    const adapter = jiraAdapter();
+    const mapper = new JiraFieldMapper({ mcpAdapter: adapter, fieldMap: {} });
+
+    await mapper.apply({ ...TICKET, fields: { team: 'Design Systems', components: 'Web' } });
+    await mapper.apply({ ...TICKET, fields: { team: 'Design Systems', components: 'Mobile' } });
+    expect(adapter.searchJiraFields).toHaveBeenCalledTimes(1);
+    expect(adapter.getJiraCreateMeta).toHaveBeenCalledTimes(1);
+
+    // A component added in Jira since the metadata was cached
+    const tablet = SCREEN.map(field => field.fieldId === 'components'
+      ? { ...field, allowedValues: [...field.allowedValues, { id: '10003', name: 'Tablet' }] }
+      : field);
+    adapter.getJiraCreateMeta.mockResolvedValue({ issueTypes: ['Story'], fields: tablet });
+
+    const ticket = await mapper.apply({ ...TICKET, fields: { team: 'Design Systems', components: 'Tablet' } });
+    expect(ticket.additionalFields.components).toEqual([{ id: '10003' }]);
+    expect(adapter.getJiraCreateMeta).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends mapped fields unchecked when Jira metadata is unavailable', async () => {
+    const mapper = new JiraFieldMapper({ mcpAdapter: { isAvailable: false }, fieldMap: parseFieldMap('storyPoints = customfield_10003, team=') });
+
+    const ticket = await mapper.apply({ ...TICKET, fields: { storyPoints: '2', components: ['Web'], priority: 'High' } });
+
+    expect(ticket.additionalFields).toEqual({ customfield_10003: 2, components: [{ name: 'Web' }], priority: { name: 'High' } });
+    await expect(mapper.apply({ ...TICKET, fields: { team: 'Design Systems' } }))
+      .rejects.toThrow('Jira field team: field discovery is unavailable — map it with JIRA_FIELD_MAP=team=customfield_…');
+  });
+
+  it('checks the shape of jiraFields settings', () => {
+    expect(jiraFieldsErrors({ storyPoints: 3, components: ['Web'], customfield_10200: 'x' })).toEqual([]);
+    expect(jiraFieldsErrors(['Web'])).toEqual(['jiraFields must be an object of field name → value']);
+    expect(jiraFieldsErrors({ component: 'Web', labels: [{ name: 'a' }] })).toEqual([
+      expect.stringMatching(/^jiraFields: unknown field "component"/),
+      'jiraFields.labels must be a string, a number or a list of them',
+    ]);
+  });
+});
+
+describe('JiraTracker — field mapping', () => {
+  it('creates nothing when a field is rejected', async () => {
+    const mcpAdapter = { ...jiraAdapter(), createJiraTicket: vi.fn() };
+    const tracker = new JiraTracker({ mcpAdapter, fieldMapper: new JiraFieldMapper({ mcpAdapter, fieldMap: {} }) });
+
+    await expect(tracker.createIssue({ ...TICKET, fields: { team: 'Platform' } })).rejects.toThrow(/"Team" \(customfield_10100\) has no value "Platform"/);
+    expect(mcpAdapter.createJiraTicket).not.toHaveBeenCalled();
+
+    await tracker.createIssue({ ...TICKET, fields: { team: 'Design Systems' }, fieldMap: {} });
+    expect(mcpAdapter.createJiraTicket).toHaveBeenCalledWith({ ...TICKET, additionalFields: { customfield_10100: { id: '30' } } });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * JobStore — Unit tests for async job lifecycle and progress fan-out.
+ *
+ * Uses an in-memory stand-in for RedisClient so nothing touches a real cache.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { JobStore } from '../../core/data/job-store.js';
+
+function makeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? JSON.parse(data.get(key)) : null; },
+    async setex(key, _seconds, value) { data.set(key, value); return 'OK'; },
+  };
+}
+
+describe('JobStore', () => {
+  let redis;
+  let store;
+  beforeEach(() => {
+    redis = makeRedis();
+    store = new JobStore(redis, { ttl: 60 });
+  });
+
+  it('creates a queued job and persists it', async () => {
+    const job = await store.create('generate', { componentName: 'Button' });
+    expect(job.status).toBe('queued');
+    expect(job.events).toEqual([]);
+    expect(redis.data.has(`job:${job.id}`)).toBe(true);
+  });
+
+  it('numbers events and moves the job to running', async () => {
+    const job = await store.create('generate');
+    const first = await store.appendEvent(job.id, { phase: 'generation', status: 'started' });
+    const second = await store.appendEvent(job.id, { phase: 'generation', status: 'completed' });
+    expect(first.seq).toBe(1);
+    expect(second.seq).toBe(2);
+    expect((await store.get(job.id)).status).toBe('running');
+  });
+
+  it('drops events for unknown jobs', async () => {
+    expect(await store.appendEvent('missing', { phase: 'x' })).toBeNull();
+  });
+
+  it('run() completes with the body result and notifies subscribers', async () => {
+    const job = await store.create('generate');
+    const updates = [];
+    store.subscribe(job.id, (u) => updates.push(u.type));
+
+    await store.run(job, async (onProgress) => {
+      await onProgress({ phase: 'orchestration', step: 'A', status: 'started' });
+      return { content: 'done' };
+    });
+
+    const settled = await store.get(job.id);
+    expect(settled.status).toBe('completed');
+    expect(settled.result).toEqual({ content: 'done' });
+    expect(settled.events.map(e => e.phase)).toEqual(['job', 'orchestration']);
+    expect(updates).toEqual(['progress', 'progress', 'done']);
+    expect(store.isTerminal(settled)).toBe(true);
+  });
+
+  it('run() records failures without throwing', async () => {
+    const job = await store.create('generate');
+    await store.run(job, async () => { throw new Error('Gemini unavailable'); });
+
+    const settled = await store.get(job.id);
+    expect(settled.status).toBe('failed');
+    expect(settled.error).toBe('Gemini unavailable');
+  });
+
+  it('unsubscribe stops further notifications', async () => {
+    const job = await store.create('generate');
+    let calls = 0;
+    const unsubscribe = store.subscribe(job.id, () => { calls++; });
+    await store.appendEvent(job.id, { phase: 'a' });
+    unsubscribe();
+    await store.appendEvent(job.id, { phase: 'b' });
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * LLM providers — request shapes for the HTTP providers and the
+ * LLMProviderChain fallback order.
+ *
+ * fetch is mocked per test; UnifiedContextBuilder is stubbed so generate()
+ * runs without Figma data.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@google/generative-ai', () => {
+  class GoogleGenerativeAI {
+    constructor() {}
+    getGenerativeModel() { return {}; }
+  }
+  return { GoogleGenerativeAI };
+});
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+import { OpenAICompatibleProvider } from '../../core/ai/providers/OpenAICompatibleProvider.js';
+import { OllamaProvider } from '../../core/ai/providers/OllamaProvider.js';
+import { LLMProviderChain } from '../../core/ai/LLMProviderChain.js';
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  };
+}
+
+function stubProvider(name, impl) {
+  return { name, generate: vi.fn(impl), healthCheck: () => ({ provider: name }) };
+}
+
+// ── OpenAICompatibleProvider ──────────────────────────────────────────────────
+
+describe('OpenAICompatibleProvider', () => {
+  beforeEach(() => { globalThis.fetch = vi.fn(); });
+
+  it('requires baseUrl and model', () => {
+    expect(() => new OpenAICompatibleProvider({ model: 'x' })).toThrow(/baseUrl/);
+    expect(() => new OpenAICompatibleProvider({ baseUrl: 'http://llm' })).toThrow(/model/);
+  });
+
+  it('posts a chat completion with bearer auth and returns the message text', async () => {
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'h1. Button' } }] }));
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.internal/v1/', apiKey: 'k', model: 'qwen2.5' });
+
+    const text = await provider._complete({ prompt: 'Describe', imageBase64: null });
+
+    expect(text).toBe('h1. Button');
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://llm.internal/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer k');
+    const body = JSON.parse(init.body);
+    expect(body.model).toBe('qwen2.5');
+    expect(body.messages[0]).toEqual({ role: 'user', content: 'Describe' });
+  });
+
+  it('sends the screenshot as an image_url part', async () => {
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'ok' } }] }));
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm/v1', model: 'gpt-4o' });
+
+    await provider._complete({ prompt: 'Describe', imageBase64: 'AAAA' });
+
+    const { messages } = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } });
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  it('surfaces HTTP errors with the status code', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: 'quota' }, 429));
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm/v1', model: 'gpt-4o', maxRetries: 0 });
+
+    await expect(provider._callWithRetry({ prompt: 'x' })).rejects.toThrow(/429/);
+  });
+});
+
+// ── OllamaProvider ────────────────────────────────────────────────────────────
+
+describe('OllamaProvider', () => {
+  beforeEach(() => { globalThis.fetch = vi.fn(); });
+
+  it('defaults to a text-only local model', () => {
+    const provider = new OllamaProvider({});
+    expect(provider.baseUrl).toBe('http://localhost:11434');
+    expect(provider.modelName).toBe('llama3.1');
+    expect(provider.supportsVision).toBe(false);
+  });
+
+  it('calls /api/chat without streaming and cleans the response', async () => {
+    fetch.mockResolvedValue(jsonResponse({ message: { content: '```jira\nh1. Card\n```' } }));
+    const provider = new OllamaProvider({ baseUrl: 'http://gpu-box:11434', model: 'mistral' });
+
+    const result = await provider.generate({ componentName: 'Card', platform: 'Jira', screenshot: 'data:image/png;base64,AAAA' });
+
+    expect(result.content).toBe('h1. Card');
+    expect(result.metadata).toMatchObject({ provider: 'ollama', model: 'mistral', hasScreenshot: false });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://gpu-box:11434/api/chat');
+    const body = JSON.parse(init.body);
+    expect(body.stream).toBe(false);
+    expect(body.messages[0].images).toBeUndefined();
+  });
+
+  it('attaches images when vision is enabled', async () => {
+    fetch.mockResolvedValue(jsonResponse({ message: { content: 'ok' } }));
+    const provider = new OllamaProvider({ model: 'llava', vision: true });
+
+    await provider._complete({ prompt: 'x', imageBase64: 'AAAA' });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].images).toEqual(['AAAA']);
+  });
+});
+
+// ── LLMProviderChain ──────────────────────────────────────────────────────────
+
+describe('LLMProviderChain', () => {
+  it('falls through to the next provider and records the failures', async () => {
+    const gemini = stubProvider('gemini', async () => { throw new Error('quota exceeded'); });
+    const ollama = stubProvider('ollama', async () => ({ content: 'ok', metadata: { model: 'llama3.1' } }));
+    const chain = new LLMProviderChain(new Map([['gemini', gemini], ['ollama', ollama]]), { order: ['gemini', 'ollama'] });
+
+    const result = await chain.generate({ componentName: 'Nav' });
+
+    expect(result.content).toBe('ok');
+    expect(result.metadata.provider).toBe('ollama');
+    expect(result.metadata.providerFailures).toEqual([{ provider: 'gemini', error: 'quota exceeded' }]);
+  });
+
+  it('throws with every failure when all providers fail', async () => {
+    const a = stubProvider('gemini', async () => { throw new Error('down'); });
+    const b = stubProvider('openai', async () => { throw new Error('401'); });
+    const chain = new LLMProviderChain(new Map([['gemini', a], ['openai', b]]));
+
+    await expect(chain.generate({})).rejects.toThrow('All LLM providers failed — gemini: down; openai: 401');
+  });
+
+  it('restricts the chain to the requested provider and never leaks it downstream', async () => {
+    const gemini = stubProvider('gemini', async () => ({ content: 'external', metadata: {} }));
+    const ollama = stubProvider('ollama', async () => ({ content: 'internal', metadata: {} }));
+    const chain = new LLMProviderChain(new Map([['gemini', gemini], ['ollama', ollama]]));
+
+    const result = await chain.generate({ componentName: 'Nav', provider: 'ollama' });
+
+    expect(result.content).toBe('internal');
+    expect(gemini.generate).not.toHaveBeenCalled();
+    expect(ollama.generate.mock.calls[0][0]).toEqual({ componentName: 'Nav' });
+  });
+
+  it('fails fast when the requested provider is not configured', async () => {
+    const chain = new LLMProviderChain(new Map([['gemini', stubProvider('gemini', async () => ({}))]]));
+    await expect(chain.generate({ provider: 'ollama' })).rejects.toThrow(/No LLM provider available matching "ollama"/);
+  });
+
+  it('rotates the starting provider in round-robin mode', () => {
+    const providers = new Map([['a', stubProvider('a')], ['b', stubProvider('b')], ['c', stubProvider('c')]]);
+    const chain = new LLMProviderChain(providers, { strategy: 'round-robin' });
+
+    expect(chain.resolveOrder()).toEqual(['a', 'b', 'c']);
+    expect(chain.resolveOrder()).toEqual(['b', 'c', 'a']);
+    expect(chain.resolveOrder()).toEqual(['c', 'a', 'b']);
+  });
+
+  describe('fromConfig', () => {
+    const baseConfig = {
+      primaryProvider: 'ollama',
+      providers: {
+        gemini: { enabled: false },
+        internal: { type: 'openai', enabled: true, baseUrl: 'http://llm.internal/v1', model: 'qwen2.5', vision: { enabled: false } },
+        ollama: { type: 'ollama', enabled: true, model: 'llama3.1' },
+        broken: { type: 'openai', enabled: true },
+      },
+      fallback: { enabled: true, strategy: 'waterfall', order: ['gemini', 'internal', 'broken', 'standard'] },
+    };
+
+    it('puts the primary first, skips disabled/unconstructible providers and the template entry', () => {
+      const chain = LLMProviderChain.fromConfig(baseConfig);
+      expect(chain.order).toEqual(['ollama', 'internal']);
+      expect(chain.providers.get('internal')).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(chain.providers.get('internal').supportsVision).toBe(false);
+    });
+
+    it('only uses the primary when fallback is disabled', () => {
+      const chain = LLMProviderChain.fromConfig({ ...baseConfig, fallback: { ...baseConfig.fallback, enabled: false } });
+      expect(chain.resolveOrder()).toEqual(['ollama']);
+    });
+
+    it('starts with no providers instead of throwing when nothing is configured', async () => {
+      const chain = LLMProviderChain.fromConfig({ primaryProvider: 'gemini', providers: { gemini: { enabled: false } }, fallback: { order: [] } });
+      expect(chain.order).toEqual([]);
+      await expect(chain.generate({})).rejects.toThrow(/No LLM provider available/);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Local git provider — branch naming, the component scaffold, LocalGitAdapter
+ * against a throwaway repository and Step D in a dry-run plan.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    git: { provider: 'local', branchPattern: '{type}/{issueKey}-{slug}', scaffold: true, scaffoldDir: 'src/components' },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG', repoPath: '/repo' },
+  },
+}));
+
+import { LocalGitAdapter } from '../../core/adapters/LocalGitAdapter.js';
+import { componentScaffold } from '../../core/template/component-scaffold.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const IDENTITY = {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+};
+
+describe('WorkItemOrchestrator._generateBranchName', () => {
+  const orchestrator = new WorkItemOrchestrator({ get: () => ({}) });
+
+  it('puts the Jira key into the branch name', () => {
+    expect(orchestrator._generateBranchName('Nav Bar', 'feature', 'DS-123')).toBe('feature/DS-123-nav-bar');
+  });
+
+  it('drops the separators of a missing key', () => {
+    expect(orchestrator._generateBranchName('Nav Bar')).toBe('feature/nav-bar');
+  });
+});
+
+describe('componentScaffold', () => {
+  it('writes React files and a README stub with links and criteria', () => {
+    const files = componentScaffold({
+      componentName: 'Nav Bar',
+      techStack: ['React', 'TypeScript'],
+      issueKey: 'DS-123',
+      issueUrl: 'https://jira/browse/DS-123',
+      acceptanceCriteria: ['Collapses below 768px'],
+    });
+
+    expect(Object.keys(files)).toEqual(['components/NavBar/README.md', 'components/NavBar/NavBar.tsx', 'components/NavBar/index.ts']);
+    expect(files['components/NavBar/README.md']).toContain('- Jira: [DS-123](https://jira/browse/DS-123)');
+    expect(files['components/NavBar/README.md']).toContain('- [ ] Collapses below 768px');
+    expect(files['components/NavBar/NavBar.tsx']).toContain('export function NavBar(');
+  });
+
+  it('writes only the README for unknown stacks', () => {
+    expect(Object.keys(componentScaffold({ componentName: 'Nav Bar', techStack: 'Svelte', dir: 'ui/' }))).toEqual(['ui/nav-bar/README.md']);
+  });
+});
+
+describe('LocalGitAdapter', () => {
+  let root;
+  let repo;
+  let remote;
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, env: { ...process.env, ...IDENTITY } }).toString().trim();
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-git-'));
+    repo = path.join(root, 'repo');
+    remote = path.join(root, 'remote.git');
+    fs.mkdirSync(repo);
+    git(repo, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repo, 'package.json'), '{}\n');
+    git(repo, 'add', '.');
+    git(repo, 'commit', '-q', '-m', 'init');
+    git(root, 'init', '-q', '--bare', remote);
+    git(repo, 'remote', 'add', 'origin', remote);
+    Object.assign(process.env, IDENTITY);
+  });
+
+  afterEach(() => {
+    Object.keys(IDENTITY).forEach(key => delete process.env[key]);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('commits the scaffold on a new branch and pushes it without touching the checkout', async () => {
+    const adapter = new LocalGitAdapter({ repoPath: repo, remote: 'origin' });
+    const result = await adapter.createGitBranch('feature/DS-1-nav-bar', undefined, {
+      files: { 'components/nav-bar/README.md': '# Nav Bar\n' },
+      message: 'DS-1: Scaffold Nav Bar',
+    });
+
+    expect(result).toMatchObject({ branch: 'feature/DS-1-nav-bar', files: ['components/nav-bar/README.md'], pushed: true });
+    expect(git(repo, 'show', 'feature/DS-1-nav-bar:components/nav-bar/README.md')).toBe('# Nav Bar');
+    expect(git(repo, 'log', '-1', '--format=%s', 'feature/DS-1-nav-bar')).toBe('DS-1: Scaffold Nav Bar');
+    expect(git(remote, 'rev-parse', 'feature/DS-1-nav-bar')).toBe(result.commit);
+    expect(git(repo, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('main');
+    expect(git(repo, 'status', '--porcelain')).toBe('');
+    expect(fs.existsSync(path.join(repo, 'components'))).toBe(false);
+  });
+
+  it('points the branch at the base without files and refuses existing branches', async () => {
+    const adapter = new LocalGitAdapter({ repoPath: repo, remote: '' });
+    const result = await adapter.createGitBranch('feature/nav-bar');
+
+    expect(result.commit).toBe(git(repo, 'rev-parse', 'main'));
+    expect(result.pushed).toBe(false);
+    await expect(adapter.createGitBranch('feature/nav-bar')).rejects.toThrow('already exists');
+    await expect(adapter.createGitBranch('feature/bad..name')).rejects.toThrow('git check-ref-format failed');
+  });
+
+  it('keeps the branch when the push fails', async () => {
+    const adapter = new LocalGitAdapter({ repoPath: repo, remote: 'missing' });
+    const result = await adapter.createGitBranch('feature/nav-bar');
+
+    expect(result.pushed).toBe(false);
+    expect(result.pushError).toContain('git push failed');
+    expect(git(repo, 'rev-parse', 'feature/nav-bar')).toBe(result.commit);
+  });
+
+  it('archives a branch by renaming it locally and on the remote', async () => {
+    const adapter = new LocalGitAdapter({ repoPath: repo, remote: 'origin' });
+    const created = await adapter.createGitBranch('feature/nav-bar');
+
+    const result = await adapter.archiveBranch('feature/nav-bar');
+
+    expect(result).toEqual({ branch: 'archive/feature/nav-bar', commit: created.commit, pushed: true });
+    expect(git(repo, 'branch', '--list', 'feature/*')).toBe('');
+    expect(git(remote, 'rev-parse', 'archive/feature/nav-bar')).toBe(created.commit);
+    expect(git(remote, 'branch', '--list', 'feature/*')).toBe('');
+    await expect(adapter.archiveBranch('main')).rejects.toThrow('checked out');
+  });
+});
+
+describe('WorkItemOrchestrator — Step D with the local provider', () => {
+  it('plans the key-named branch with the scaffold files', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const localGitAdapter = { createGitBranch: vi.fn() };
+    const services = { mcpAdapter: adapter, localGitAdapter, ticketService: {} };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Nav Bar', generatedContent: 'h1. Nav Bar', fileContext: {}, techStack: 'Vue' },
+      { dryRun: true },
+    );
+
+    const entry = outcome.plan.find(item => item.method === 'createGitBranch');
+    expect(entry.params).toEqual({
+      branchName: 'feature/DRY-RUN-1-nav-bar',
+      repoPath: '/repo',
+      files: ['src/components/NavBar/README.md', 'src/components/NavBar/NavBar.vue'],
+    });
+    expect(outcome.results.git).toMatchObject({ status: 'created', provider: 'local', branch: 'feature/DRY-RUN-1-nav-bar' });
+    expect(localGitAdapter.createGitBranch).not.toHaveBeenCalled();
+  });
+});
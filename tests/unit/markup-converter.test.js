@@ -0,0 +1,151 @@
+/**
+ * Markup converter — golden files for Jira wiki markup ⇄ Markdown, format
+ * detection, and the callers that rely on it (LLM response cleanup, template
+ * output).
+ *
+ * Each fixtures/markup/<case>.jira converts to <case>.md. Converting the .md
+ * back gives the .jira again, or <case>.md.jira where the round trip
+ * normalises (escapes, table padding, {color} that Markdown can't express).
+ * mixed.txt uses both markups, as LLM output does, and converts to mixed.md.
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('@google/generative-ai', () => {
+  class GoogleGenerativeAI {
+    constructor() {}
+    getGenerativeModel() { return {}; }
+  }
+  return { GoogleGenerativeAI };
+});
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+import {
+  jiraToMarkdown, markdownToJira, mixedToMarkdown, parseJira, parseMarkdown, detectMarkup,
+} from '../../core/formats/markup-converter.js';
+import { GeminiService } from '../../core/ai/GeminiService.js';
+import { UniversalTemplateEngine } from '../../core/template/UniversalTemplateEngine.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures/markup');
+const read = (name) => readFileSync(join(FIXTURES, name), 'utf8').trimEnd();
+const cases = readdirSync(FIXTURES)
+  .filter(name => name.endsWith('.jira') && !name.endsWith('.md.jira'))
+  .map(name => name.replace(/\.jira$/, ''));
+
+describe('markup converter — golden files', () => {
+  it('has fixtures to run', () => {
+    expect(cases.length).toBeGreaterThan(0);
+  });
+
+  for (const name of cases) {
+    it(`${name}: Jira → Markdown`, () => {
+      expect(jiraToMarkdown(read(`${name}.jira`))).toBe(read(`${name}.md`));
+    });
+
+    it(`${name}: Markdown → Jira`, () => {
+      const expected = existsSync(join(FIXTURES, `${name}.md.jira`)) ? read(`${name}.md.jira`) : read(`${name}.jira`);
+      expect(markdownToJira(read(`${name}.md`))).toBe(expected);
+    });
+
+    it(`${name}: both parsers agree on the tree`, () => {
+      const jira = existsSync(join(FIXTURES, `${name}.md.jira`)) ? read(`${name}.md.jira`) : read(`${name}.jira`);
+      expect(parseMarkdown(read(`${name}.md`))).toEqual(parseJira(jira));
+    });
+  }
+});
+
+describe('markup converter — cases the regex conversion got wrong', () => {
+  it('keeps a link inside bold text as one bold span', () => {
+    expect(jiraToMarkdown('*see [spec|https://x.io] now*')).toBe('**see [spec](https://x.io) now**');
+  });
+
+  it('keeps escaped asterisks literal in both directions', () => {
+    // Only the opening asterisk needs escaping once it can't start bold
+    expect(jiraToMarkdown('2 \\* 3 \\*not bold\\*')).toBe('2 * 3 \\*not bold*');
+    expect(markdownToJira('2 \\* 3 \\*not bold\\*')).toBe('2 * 3 \\*not bold*');
+  });
+
+  it('nests ordered lists under bullets', () => {
+    expect(markdownToJira('- a\n  1. one\n  2. two\n- b')).toBe('* a\n*# one\n*# two\n* b');
+  });
+
+  it('maps panels to GitHub alerts and back', () => {
+    expect(jiraToMarkdown('{tip}\nShip it.\n{tip}')).toBe('> [!TIP]\n> Ship it.');
+    expect(markdownToJira('> [!CAUTION]\n> Breaking change.')).toBe('{warning}\nBreaking change.\n{warning}');
+  });
+
+  it('writes a panel title as a bold first paragraph', () => {
+    expect(jiraToMarkdown('{note:title=Heads up}\nRead this.\n{note}')).toBe('> [!IMPORTANT]\n> **Heads up**\n>\n> Read this.');
+  });
+});
+
+describe('detectMarkup', () => {
+  it.each([
+    ['h2. Overview\n* item', 'jira'],
+    ['## Overview\n- item', 'markdown'],
+    ['Use {{Button}} and [docs|https://x.io]', 'jira'],
+    ['Use `Button` and [docs](https://x.io)', 'markdown'],
+    ['h2. Overview\n**bold**', 'mixed'],
+    ['Plain sentence.', null],
+    ['', null],
+  ])('%j → %s', (text, expected) => {
+    expect(detectMarkup(text)).toBe(expected);
+  });
+});
+
+describe('mixedToMarkdown', () => {
+  it('converts the Jira half of mixed.txt and keeps its Markdown', () => {
+    expect(mixedToMarkdown(read('mixed.txt'))).toBe(read('mixed.md'));
+  });
+
+  it('escapes nothing and adds no second table separator', () => {
+    const converted = mixedToMarkdown('h2. Notes\n**Bold** [docs](https://x.io)\n```css\na {}\n```\n|| a || b ||\n| --- | --- |');
+
+    expect(converted).toBe('## Notes\n**Bold** [docs](https://x.io)\n```css\na {}\n```\n| a | b |\n| --- | --- |');
+  });
+});
+
+describe('BaseLLMProvider._cleanResponse — markup repair', () => {
+  const svc = new GeminiService({ apiKey: 'test-key-12345' });
+
+  it('converts a Markdown answer to Jira markup for Jira', () => {
+    expect(svc._cleanResponse('## Overview\n\n- **Focus:** keyboard', 'jira')).toBe('h2. Overview\n\n* *Focus:* keyboard');
+  });
+
+  it('converts a Jira answer to Markdown for the wiki', () => {
+    expect(svc._cleanResponse('h2. Overview\n\n* item', 'Wiki')).toBe('## Overview\n\n- item');
+  });
+
+  it('leaves an answer already in the expected markup alone', () => {
+    expect(svc._cleanResponse('h2. Overview\n* item', 'Jira')).toBe('h2. Overview\n* item');
+  });
+});
+
+describe('UniversalTemplateEngine.formatOutput', () => {
+  const engine = new UniversalTemplateEngine();
+
+  it('converts Markdown templates to Jira markup for Jira and Confluence', async () => {
+    const template = { meta: { platform: 'jira' }, template: '## {{ figma.component_name }}\n\n- **Owner:** design' };
+    await expect(engine.renderTemplate(template, { figma: { component_name: 'Button' } }))
+      .resolves.toBe('h2. Button\n\n* *Owner:* design');
+    expect(engine.formatOutput('# Page', { meta: { platform: 'confluence' } })).toBe('h1. Page');
+  });
+
+  it('leaves Markdown output alone for other platforms', () => {
+    expect(engine.formatOutput('# Page', { meta: { platform: 'wiki' } })).toBe('# Page');
+  });
+
+  it('converts Jira-authored templates for Markdown platforms', () => {
+    expect(engine.formatOutput('h1. Page', { meta: { platform: 'wiki', format: 'jira' } })).toBe('# Page');
+  });
+});
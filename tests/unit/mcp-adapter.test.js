@@ -120,11 +120,12 @@ describe('MCPAdapter.updateJiraDescription', () => {
     expect(params.fields.description).toContain('!preview-nav.png|thumbnail!');
   });
 
-  it('appends markdown image markup when filename is a URL', async () => {
+  it('appends Jira wiki external image markup when filename is a URL', async () => {
     await adapter.updateJiraDescription('PROJ-2', '', 'https://cdn.figma.com/image.png');
 
     const [, params] = adapter._callMCP.mock.calls[0];
-    expect(params.fields.description).toContain('![Design Preview](https://cdn.figma.com/image.png)');
+    expect(params.fields.description).toContain('!https://cdn.figma.com/image.png!');
+    expect(params.fields.description).not.toContain('![');
   });
 
   it('prepends the existing description before the image markup', async () => {
@@ -149,9 +150,24 @@ describe('MCPAdapter.updateJiraDescription', () => {
     expect(params.issue_key).toBe('PROJ-42');
   });
 
-  it('returns { success: true } on success', async () => {
-    const result = await adapter.updateJiraDescription('PROJ-5', '', 'img.png');
-    expect(result).toEqual({ success: true });
+  it('returns the updated description on success', async () => {
+    const result = await adapter.updateJiraDescription('PROJ-5', 'Body', 'img.png');
+    expect(result).toEqual({ success: true, description: 'Body\n\n!img.png|thumbnail!', media: {} });
+  });
+
+  it('sends ADF with the uploaded media when the instance is configured for it', async () => {
+    adapter.jiraDescriptionFormat = 'adf';
+    await adapter.updateJiraDescription('PROJ-7', 'h2. Preview', 'img.png', { id: 'media-123' });
+
+    const [, params] = adapter._callMCP.mock.calls[0];
+    expect(params.fields.description).toEqual({
+      version: 1,
+      type: 'doc',
+      content: [
+        { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Preview' }] },
+        { type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: { type: 'file', id: 'media-123', collection: '' } }] },
+      ],
+    });
   });
 
   it('returns null (does not throw) when _callMCP rejects', async () => {
@@ -0,0 +1,213 @@
+/**
+ * Resumable orchestration — runs saved step by step in an OrchestrationStore,
+ * resumed from the failed step, and rolled back.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    docs: { target: 'confluence', dir: 'docs/design', baseUrl: '' },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { OrchestrationStore } from '../../core/data/orchestration-store.js';
+import { RepoDocsAdapter } from '../../core/adapters/RepoDocsAdapter.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+import { OrchestrationRoutes } from '../../app/routes/orchestrations.js';
+import { JiraTracker } from '../../core/trackers/JiraTracker.js';
+
+const CONTEXT = { componentName: 'Nav Bar', generatedContent: 'h2. Overview\n\nSticky header', screenshot: 'data:image/png;base64,AAAA', fileContext: {} };
+
+function jiraAdapter(overrides = {}) {
+  return {
+    isAvailable: true,
+    searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+    createJiraTicket: vi.fn().mockResolvedValue({ issue: { key: 'DS-7', url: 'https://jira/browse/DS-7' } }),
+    createRemoteLink: vi.fn().mockResolvedValue({}),
+    addJiraComment: vi.fn().mockResolvedValue({}),
+    _callMCP: vi.fn().mockResolvedValue({}),
+    getWikiPage: vi.fn().mockResolvedValue(null),
+    updateWikiPage: vi.fn().mockResolvedValue({}),
+    ...overrides,
+  };
+}
+
+describe('WorkItemOrchestrator — resumable runs', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrations-'));
+    store = new OrchestrationStore(null, { dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function makeOrchestrator(mcpAdapter, extra = {}) {
+    const services = { mcpAdapter, ticketService: {}, orchestrationStore: store, ...extra };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    orchestrator._prepareImage = vi.fn().mockResolvedValue(null);
+    return orchestrator;
+  }
+
+  it('resumes at the failed QA page, then back-patches and links it', async () => {
+    const mcpAdapter = jiraAdapter({
+      createWikiPage: vi.fn()
+        .mockResolvedValueOnce({ id: '100', page: { id: '100', url: 'https://wiki/100' } })
+        .mockRejectedValueOnce(new Error('Permission denied'))
+        .mockResolvedValueOnce({ id: '200', page: { id: '200', url: 'https://wiki/200' } }),
+    });
+    const orchestrator = makeOrchestrator(mcpAdapter);
+
+    const first = await orchestrator.run(CONTEXT, { enableActiveCreation: true });
+
+    expect(first.results.qa).toMatchObject({ status: 'failed', error: 'Permission denied' });
+    const saved = await store.get(first.orchestrationId);
+    expect(saved.status).toBe('failed');
+    expect(Object.fromEntries(Object.entries(saved.steps).map(([step, entry]) => [step, entry.status])))
+      .toEqual({ jira: 'done', implementationPlan: 'done', qaPage: 'failed', remoteLinks: 'done', resourcesBlock: 'done', gitBranch: 'skipped' });
+    expect(saved.pipeline.name).toBe('default');
+    expect(saved.steps.implementationPlan.output).toEqual({ pageId: '100', title: 'Implementation Plan: Nav Bar', url: 'https://wiki/100' });
+    expect(saved.input.context.screenshot).toBeUndefined();
+
+    const resumed = await orchestrator.resume(saved);
+
+    expect(resumed.results.jira).toMatchObject({ status: 'created', issueKey: 'DS-7' });
+    expect(resumed.results.qa).toMatchObject({ status: 'created', url: 'https://wiki/200' });
+    expect(mcpAdapter.createJiraTicket).toHaveBeenCalledTimes(1);
+    const patch = mcpAdapter.updateWikiPage.mock.calls.find(([pageId]) => pageId === '100');
+    expect(patch[2]).toContain('**QA Test Case:** [View QA Test Case](https://wiki/200)');
+    // The plan's remote link from the first run is not made again
+    expect(mcpAdapter.createRemoteLink.mock.calls.map(call => call[1])).toEqual(['https://wiki/100', 'https://wiki/200']);
+    const description = mcpAdapter._callMCP.mock.calls.filter(([tool]) => tool === 'jira_update_issue').pop()[1].fields.description;
+    expect(description).toContain('[QA Test Case|https://wiki/200]');
+    expect((await store.get(saved.id)).status).toBe('completed');
+  }, 10000);
+
+  it('rolls back the issue and pages the run created', async () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-docs-'));
+    try {
+      const mcpAdapter = jiraAdapter();
+      const orchestrator = makeOrchestrator(mcpAdapter, {
+        repoDocsAdapter: new RepoDocsAdapter({ repoPath: repo, dir: 'docs/design', baseUrl: '' }),
+      });
+      const outcome = await orchestrator.run(CONTEXT, { enableActiveCreation: true, wikiTarget: 'repo' });
+      const record = await store.get(outcome.orchestrationId);
+
+      const rollback = await orchestrator.rollback(record);
+
+      expect(rollback.artifacts).toMatchObject({
+        git: { status: 'skipped' },
+        qa: { status: 'archived', id: 'docs/design/archive/ds-7-nav-bar.md' },
+        wiki: { status: 'archived', id: 'docs/design/archive/implementation-plan-nav-bar.md' },
+        jira: { status: 'archived', issueKey: 'DS-7' },
+      });
+      expect(fs.existsSync(path.join(repo, 'docs/design/archive/implementation-plan-nav-bar.md'))).toBe(true);
+      expect(fs.readFileSync(path.join(repo, 'docs/design/index.md'), 'utf8')).not.toContain('nav-bar.md');
+      expect(mcpAdapter._callMCP).toHaveBeenCalledWith('jira_update_issue', { issue_key: 'DS-7', fields: { labels: ['archived'] } });
+      expect(mcpAdapter.addJiraComment).toHaveBeenCalledWith('DS-7', expect.stringContaining(record.id), {});
+      expect((await store.get(record.id)).status).toBe('rolled_back');
+
+      // A second rollback keeps what is already archived
+      const again = await orchestrator.rollback(record);
+      expect(again.artifacts.wiki.status).toBe('archived');
+      expect(mcpAdapter.addJiraComment).toHaveBeenCalledTimes(1);
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  }, 10000);
+
+  it('keeps the labels the issue was created with when archiving it', async () => {
+    const mcpAdapter = jiraAdapter({
+      _callMCP: vi.fn((tool) => Promise.resolve(tool === 'jira_get_issue' ? { key: 'DS-7', fields: { labels: ['frontend', 'team-web'] } } : {})),
+    });
+
+    await new JiraTracker({ mcpAdapter }).archiveIssue('DS-7', 'Rolled back');
+
+    expect(mcpAdapter._callMCP).toHaveBeenCalledWith('jira_update_issue', { issue_key: 'DS-7', fields: { labels: ['frontend', 'team-web', 'archived'] } });
+  });
+
+  it('does not save dry runs', async () => {
+    const outcome = await makeOrchestrator({ isAvailable: true, getWikiPage: vi.fn().mockResolvedValue(null) })
+      .run(CONTEXT, { dryRun: true });
+
+    expect(outcome.orchestrationId).toBeUndefined();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('OrchestrationRoutes', () => {
+  it('only resumes runs that failed or were interrupted', () => {
+    const route = new OrchestrationRoutes({ get: vi.fn() });
+    const now = new Date().toISOString();
+    const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    expect(route._resumeConflict({ id: 'a', status: 'completed', updatedAt: now })).toMatch(/nothing to resume/);
+    expect(route._resumeConflict({ id: 'a', status: 'rolled_back', updatedAt: now })).toMatch(/rolled back/);
+    expect(route._resumeConflict({ id: 'a', status: 'running', updatedAt: now })).toMatch(/still running/);
+    expect(route._resumeConflict({ id: 'a', status: 'running', updatedAt: stale })).toBeNull();
+    expect(route._resumeConflict({ id: 'a', status: 'failed', updatedAt: now })).toBeNull();
+  });
+
+  it('lets only one of two concurrent resumes run, and saves it as running first', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrations-'));
+    try {
+      const store = new OrchestrationStore(null, { dir });
+      const { id } = await store.create({ status: 'failed', steps: { qa: { status: 'failed' } }, results: {} });
+      let finish;
+      const orchestrator = {
+        resume: vi.fn(async (record) => {
+          // What other requests (and processes) read while the steps run
+          expect((await store.get(record.id)).status).toBe('running');
+          await new Promise(resolve => { finish = resolve; });
+          record.status = 'completed';
+          return { results: {} };
+        }),
+      };
+      const services = { orchestrationStore: store, workItemOrchestrator: orchestrator };
+      const route = new OrchestrationRoutes({ get: name => services[name] });
+      const makeRes = () => {
+        const res = { statusCode: 200, body: null };
+        res.status = vi.fn((code) => { res.statusCode = code; return res; });
+        res.json = vi.fn((body) => { res.body = body; return res; });
+        return res;
+      };
+      const req = { params: { id }, method: 'POST', url: `/api/orchestrations/${id}/resume`, headers: {} };
+
+      const first = makeRes();
+      const second = makeRes();
+      const running = route.handleResume(req, first);
+      await route.handleResume(req, second);
+      await vi.waitFor(() => expect(finish).toBeTypeOf('function'));
+      finish();
+      await running;
+
+      expect(orchestrator.resume).toHaveBeenCalledTimes(1);
+      expect(second.statusCode).toBe(409);
+      expect(first.statusCode).toBe(200);
+      expect(route.resuming.size).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
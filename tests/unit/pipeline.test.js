@@ -0,0 +1,176 @@
+/**
+ * Orchestration pipelines — validation, title templates, selection from
+ * PIPELINE_DIR and a dry run that follows a project's pipeline.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { DEFAULT_PIPELINE, loadPipeline, readPipelines, renderTitle, validatePipeline } from '../../core/orchestration/pipeline.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const DESIGN_SYSTEM = `
+name: design-system
+projects: [DS]
+steps:
+  - id: jira
+    title: '{summary} [{projectKey}]'
+  - id: implementationPlan
+  - id: componentDocs
+    type: wikiPage
+    space: DSDOCS
+    parentId: 42
+    title: 'Component: {componentName}'
+  - id: qaPage
+    enabled: false
+  - id: remoteLinks
+  - id: resourcesBlock
+`;
+
+describe('validatePipeline', () => {
+  it('fills in types, default titles and string parent IDs', () => {
+    const { valid, pipeline } = validatePipeline({
+      name: 'web',
+      steps: [{ id: 'jira' }, { id: 'qaPage', parentId: 874419925 }, { id: 'docs', type: 'wikiPage', space: 'DOCS' }],
+    });
+
+    expect(valid).toBe(true);
+    expect(pipeline.steps).toEqual([
+      { id: 'jira', type: 'jira', enabled: true },
+      { id: 'qaPage', type: 'qaPage', enabled: true, title: '{pageName} - {issueKey} - {componentName}', parentId: '874419925' },
+      { id: 'docs', type: 'wikiPage', enabled: true, title: 'Implementation Plan: {componentName} — {pageName}', space: 'DOCS' },
+    ]);
+  });
+
+  it('reports every problem with the steps', () => {
+    const { valid, errors } = validatePipeline({
+      name: 'broken',
+      steps: [
+        { id: 'remoteLinks' },
+        { id: 'jira', title: 'Build {component}' },
+        { id: 'wiki', type: 'wikiPage' },
+        { id: 'gitBranch', space: 'ENG' },
+        { id: 'jira' },
+        { id: 'storybook' },
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'steps[1] (jira): unknown title token(s) {component} (expected {componentName} {pageName} {issueKey} {projectKey} {summary})',
+      'steps[2]: "wiki" is reserved — pick another id for the wikiPage step',
+      'steps[3] (gitBranch): gitBranch steps do not take space',
+      'steps[5] (storybook): unknown type "storybook" (expected jira, implementationPlan, qaPage, wikiPage, remoteLinks, resourcesBlock, gitBranch, subtasks)',
+      'remoteLinks needs an enabled jira step before it',
+      'step id "jira" is used more than once',
+      'only one jira step is allowed',
+    ]);
+  });
+});
+
+describe('renderTitle', () => {
+  it('drops the separator next to an empty token', () => {
+    const values = { componentName: 'Nav Bar', pageName: '', issueKey: 'DS-7' };
+    expect(renderTitle('{pageName} - {issueKey} - {componentName}', values)).toBe('DS-7 - Nav Bar');
+    expect(renderTitle('Implementation Plan: {componentName} — {pageName}', values)).toBe('Implementation Plan: Nav Bar');
+    expect(renderTitle('{pageName} - {issueKey} - {componentName}', { componentName: 'Nav Bar', pageName: 'Home' })).toBe('Home - Nav Bar');
+  });
+});
+
+describe('loadPipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipelines-'));
+    fs.writeFileSync(path.join(dir, 'design-system.yml'), DESIGN_SYSTEM);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('picks the named pipeline, then the project\'s, then the default', async () => {
+    expect((await loadPipeline({ projectKey: 'DS', dir })).name).toBe('design-system');
+    expect(await loadPipeline({ projectKey: 'WEB', dir })).toBe(DEFAULT_PIPELINE);
+    expect((await loadPipeline({ name: 'design-system', projectKey: 'WEB', dir })).name).toBe('design-system');
+    await expect(loadPipeline({ name: 'no-qa', dir })).rejects.toThrow('Unknown pipeline "no-qa"');
+  });
+
+  it('refuses to run with an invalid file or a project listed twice', async () => {
+    fs.writeFileSync(path.join(dir, 'copy.yml'), DESIGN_SYSTEM.replace('name: design-system', 'name: copy'));
+
+    expect((await readPipelines(dir)).errors).toEqual(['design-system.yml: project DS already uses copy.yml']);
+    await expect(loadPipeline({ projectKey: 'WEB', dir })).rejects.toThrow('Invalid pipeline configuration');
+  });
+
+  it('ships a default pipeline with the original steps', async () => {
+    const { pipelines, errors } = await readPipelines();
+    expect(errors).toEqual([]);
+    const shipped = pipelines.find(pipeline => pipeline.name === 'default');
+    expect(shipped.steps).toEqual(DEFAULT_PIPELINE.steps);
+  });
+});
+
+describe('WorkItemOrchestrator — project pipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipelines-'));
+    fs.writeFileSync(path.join(dir, 'design-system.yml'), DESIGN_SYSTEM);
+    process.env.PIPELINE_DIR = dir;
+  });
+
+  afterEach(() => {
+    delete process.env.PIPELINE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('plans the steps, titles and spaces the pipeline asks for', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const services = { mcpAdapter: adapter, ticketService: {} };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview', fileContext: {}, projectKey: 'DS' },
+      { dryRun: true },
+    );
+
+    expect(outcome.plan.find(item => item.method === 'createJiraTicket').params.ticketData.summary).toBe('Implement Nav Bar [DS]');
+    expect(outcome.plan.filter(item => item.method === 'createWikiPage').map(item => [item.params.title, item.params.spaceKey, item.params.parentId])).toEqual([
+      ['Implementation Plan: Nav Bar', 'ENG', undefined],
+      ['Component: Nav Bar', 'DSDOCS', '42'],
+    ]);
+    expect(outcome.results.qa).toMatchObject({ status: 'skipped', reason: 'Disabled in the design-system pipeline' });
+    expect(outcome.results.git).toMatchObject({ status: 'skipped', reason: 'Not in the design-system pipeline' });
+    expect(outcome.results.componentDocs).toMatchObject({ status: 'created', space: 'DSDOCS', title: 'Component: Nav Bar' });
+
+    const description = outcome.plan.filter(item => item.tool === 'jira_update_issue').pop().params.fields.description;
+    expect(description).toContain('* [Component: Nav Bar|dry-run://wiki/Component%3A%20Nav%20Bar]');
+    expect(description).not.toContain('QA Test Case');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Project profiles — storage and validation in ConfigurationService, the
+ * generate route's profile lookup, and a dry run that takes its project,
+ * issue defaults and wiki locations from a profile.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { ConfigurationService } from '../../app/services/ConfigurationService.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const WEB = {
+  label: 'Web team',
+  projectKey: 'WEB',
+  issueType: 'Story',
+  assignee: 'jdoe',
+  epicKey: 'WEB-1',
+  storyPointsField: 'customfield_10016',
+  storyPoints: '3',
+  priority: 'High',
+  jiraFields: { labels: ['design-system'] },
+  wikiSpace: 'WEBDOCS',
+  wikiParentId: 1200,
+  qaParentId: '1300',
+};
+
+describe('ConfigurationService — project profiles', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    service = new ConfigurationService(null, { profilesFile: path.join(dir, 'profiles.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves, lists, replaces and deletes profiles without Redis', async () => {
+    const saved = await service.saveProfile('web', { ...WEB, tracker: '' });
+
+    expect(saved).toMatchObject({ valid: true, created: true });
+    expect(saved.profile).toMatchObject({ name: 'web', storyPoints: 3, wikiParentId: '1200' });
+    expect(saved.profile).not.toHaveProperty('tracker');
+    await service.saveProfile('apps', { projectKey: 'APP' });
+    expect((await service.listProfiles()).map(profile => profile.name)).toEqual(['apps', 'web']);
+
+    const replaced = await service.saveProfile('web', { projectKey: 'WEB2' });
+    expect(replaced.created).toBe(false);
+    expect(await service.getProfile('web')).toMatchObject({ name: 'web', projectKey: 'WEB2' });
+    expect((await service.getProfile('web')).issueType).toBeUndefined();
+
+    expect(await service.deleteProfile('web')).toBe(true);
+    expect(await service.deleteProfile('web')).toBe(false);
+    expect(await service.getProfile('toString')).toBeNull();
+    const write = vi.spyOn(service, '_writeProfiles');
+    expect(await service.deleteProfile('constructor')).toBe(false);
+    expect(await service.deleteProfile('__proto__')).toBe(false);
+    expect(write).not.toHaveBeenCalled();
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'profiles.json'), 'utf8'))).toEqual({ apps: expect.objectContaining({ projectKey: 'APP' }) });
+  });
+
+  it('stores nothing when the profile is invalid', async () => {
+    const result = await service.saveProfile('web', { tracker: 'linear', wikiTarget: 'notion', storyPoints: 'a few', component: 'Nav' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'storyPoints must be a number',
+      expect.stringMatching(/^unknown setting "component"/),
+      'Unknown tracker "linear" (expected jira, github, gitlab)',
+      'Unknown wikiTarget "notion" (expected confluence, repo)',
+    ]);
+    expect(service.validateProfile('web team', {}).errors).toEqual(['name must start with a letter and contain only letters, digits, "-" and "_"']);
+    expect(await service.listProfiles()).toEqual([]);
+  });
+
+  it('keeps profiles in Redis when it is connected', async () => {
+    const store = {};
+    const redis = {
+      isConnected: () => true,
+      get: vi.fn(key => Promise.resolve(store[key] ?? null)),
+      set: vi.fn((key, value) => { store[key] = value; return Promise.resolve(true); }),
+    };
+    const redisService = new ConfigurationService(redis, { profilesFile: path.join(dir, 'profiles.json') });
+
+    await redisService.saveProfile('web', WEB);
+
+    expect(redis.set).toHaveBeenCalledWith('project-profiles', { web: expect.objectContaining({ projectKey: 'WEB' }) });
+    expect(fs.existsSync(path.join(dir, 'profiles.json'))).toBe(false);
+  });
+});
+
+describe('GenerateRoutes — profile lookup', () => {
+  it('rejects unknown profiles and loads known ones onto the request', async () => {
+    const configurationService = { getProfile: vi.fn(name => Promise.resolve(name === 'web' ? { name: 'web', projectKey: 'WEB' } : null)) };
+    const route = new GenerateRoutes({ get: () => configurationService });
+
+    expect(route._validate({ figmaUrl: 'https://figma.com/x', profile: 'web team' }).errors).toEqual(['profile must be a profile name']);
+    expect(await route._resolveProfile({ profile: 'mobile' })).toBe('Unknown profile "mobile"');
+    const request = { profile: 'web' };
+    expect(await route._resolveProfile(request)).toBeNull();
+    expect(request.projectProfile.projectKey).toBe('WEB');
+  });
+});
+
+describe('WorkItemOrchestrator — project profile', () => {
+  it('files the issue and pages where the profile says', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const services = { mcpAdapter: adapter, ticketService: {} };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    const { profile } = new ConfigurationService(null).validateProfile('web', WEB);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview', fileContext: {} },
+      { dryRun: true, profile },
+    );
+
+    const ticket = outcome.plan.find(item => item.method === 'createJiraTicket').params.ticketData;
+    expect(ticket).toMatchObject({
+      projectKey: 'WEB',
+      issueType: 'Story',
+      assignee: 'jdoe',
+      additionalFields: { customfield_10016: 3, priority: { name: 'High' }, labels: ['design-system'] },
+    });
+    expect(ticket.additionalFields).not.toHaveProperty('customfield_10003');
+    expect(outcome.results.jira.epic).toMatchObject({ key: 'WEB-1' });
+    expect(outcome.plan.filter(item => item.method === 'createWikiPage').map(item => [item.params.spaceKey, item.params.parentId])).toEqual([
+      ['WEBDOCS', '1200'],
+      ['WEBDOCS', '1300'],
+    ]);
+  });
+});
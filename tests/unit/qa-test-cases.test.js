@@ -0,0 +1,162 @@
+/**
+ * QA test cases — the design facts read from frame data, the QA schema,
+ * the provider's generation pass and the orchestrator writing the generated
+ * cases (or the default table) into the QA Test Case page.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Login Form' }, design: { states: { disabled: 'Opacity: 0.5' } } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { qaDesignFacts } from '../../core/context/qa-context.js';
+import { validateQaCases, MAX_TEST_CASES } from '../../core/ai/qa-schema.js';
+import { OllamaProvider } from '../../core/ai/providers/OllamaProvider.js';
+import { TicketGenerationService } from '../../app/services/TicketGenerationService.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const FRAMES = [{
+  id: '1:1',
+  name: 'Login Form',
+  hierarchy: {
+    layers: [
+      { id: '1:1', name: 'Login Form', type: 'FRAME', semanticRole: 'container' },
+      { id: '1:2', name: 'Email', type: 'INSTANCE', semanticRole: 'component-instance', masterComponent: { name: 'Text Field' } },
+      { id: '1:3', name: 'Title', type: 'TEXT', semanticRole: 'text', text: 'Sign in to  your account' },
+      {
+        id: '1:4',
+        name: 'Submit',
+        type: 'INSTANCE',
+        semanticRole: 'component-instance',
+        masterComponent: { name: 'Button/Primary' },
+        reactions: [{ trigger: 'ON_CLICK', action: 'NAVIGATE', destinationId: '2:1' }],
+      },
+      { id: '2:1', name: 'Dashboard', type: 'FRAME', semanticRole: 'container' },
+    ],
+  },
+}];
+
+const CASES = [
+  { title: 'Submit with valid credentials', preconditions: 'Registered user', steps: ['Enter email', 'Click "Submit"'], expected: 'Dashboard opens' },
+  { title: 'Email | password hints', steps: ['Focus Email'], expected: 'Hint reads "name@company.com"' },
+];
+
+describe('qaDesignFacts', () => {
+  it('lists controls, prototype interactions and copy from the layers', () => {
+    const facts = qaDesignFacts(FRAMES);
+
+    expect(facts.interactive).toEqual([{ name: 'Email', kind: 'field' }, { name: 'Submit', kind: 'button' }]);
+    expect(facts.interactions).toEqual([{ element: 'Submit', trigger: 'on click', action: 'navigate', destination: 'Dashboard' }]);
+    expect(facts.text).toEqual(['Sign in to your account']);
+    expect(qaDesignFacts()).toEqual({ interactive: [], interactions: [], text: [] });
+  });
+});
+
+describe('QA schema', () => {
+  it('normalises valid cases and reports invalid ones', () => {
+    const { valid, testCases } = validateQaCases({ testCases: [{ title: ' A ', steps: ['one', ' '], expected: 'B' }] });
+    expect(valid).toBe(true);
+    expect(testCases).toEqual([{ title: 'A', preconditions: '', steps: ['one'], expected: 'B' }]);
+
+    expect(validateQaCases({ testCases: [] }).valid).toBe(false);
+    expect(validateQaCases({ testCases: [{ title: 'A', steps: [] }] }).errors).toEqual([
+      'testCases[0].expected must be a non-empty string',
+      'testCases[0].steps must be a non-empty array of strings',
+    ]);
+    const many = Array.from({ length: MAX_TEST_CASES + 5 }, () => CASES[0]);
+    expect(validateQaCases({ testCases: many }).testCases).toHaveLength(MAX_TEST_CASES);
+  });
+});
+
+describe('BaseLLMProvider.generateQaCases', () => {
+  function makeProvider(...responses) {
+    const provider = new OllamaProvider({ model: 'llama3' });
+    provider._complete = vi.fn();
+    responses.forEach(response => provider._complete.mockResolvedValueOnce(response));
+    return provider;
+  }
+
+  const params = {
+    componentName: 'Login Form',
+    enhancedFrameData: FRAMES,
+    ticket: { acceptanceCriteria: ['Submit is disabled until the email is valid'], states: [] },
+  };
+
+  it('prompts with the design facts, states and acceptance criteria', async () => {
+    const provider = makeProvider(JSON.stringify({ testCases: CASES }));
+    const result = await provider.generateQaCases(params);
+
+    expect(result.testCases).toHaveLength(2);
+    const { prompt, schema } = provider._complete.mock.calls[0][0];
+    expect(schema.required).toEqual(['testCases']);
+    expect(prompt).toContain('- Submit (button)');
+    expect(prompt).toContain('- Submit: on click → navigate "Dashboard"');
+    expect(prompt).toContain('- "Sign in to your account"');
+    expect(prompt).toContain('- disabled: Opacity: 0.5');
+    expect(prompt).toContain('- Submit is disabled until the email is valid');
+  });
+
+  it('retries once with the validation errors, then fails', async () => {
+    const provider = makeProvider('{"testCases": []}', 'not json');
+
+    await expect(provider.generateQaCases(params)).rejects.toThrow('AI QA generation failed');
+    expect(provider._complete.mock.calls[1][0].prompt).toContain('- testCases must contain at least one test case');
+  });
+
+  it('resolves to null in the ticket service when no LLM answers', async () => {
+    const service = new TicketGenerationService({ generateQaCases: vi.fn().mockRejectedValue(new Error('All LLM providers failed')) });
+
+    expect(await service.generateQaCases(params)).toBeNull();
+    expect(await new TicketGenerationService({ generate: vi.fn() }).generateQaCases(params)).toBeNull();
+  });
+});
+
+describe('WorkItemOrchestrator — QA test cases', () => {
+  async function plan(ticketService) {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const services = { mcpAdapter: adapter, ticketService };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name] });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    const outcome = await orchestrator.run({ componentName: 'Login Form', generatedContent: 'h1. Login Form', fileContext: {} }, { dryRun: true });
+    const qaPage = outcome.plan.filter(entry => entry.method === 'createWikiPage')[1].params;
+    return { outcome, qaPage };
+  }
+
+  it('writes the generated cases with preconditions and numbered steps', async () => {
+    const ticketService = { generateQaCases: vi.fn().mockResolvedValue({ testCases: CASES }) };
+    const { outcome, qaPage } = await plan(ticketService);
+
+    expect(qaPage.content).toContain('| # | Test Scenario | Preconditions | Steps to Reproduce | Expected Result | Actual Result | Pass/Fail |');
+    expect(qaPage.content).toContain('| 1 | Submit with valid credentials | Registered user | 1. Enter email<br>2. Click "Submit" | Dashboard opens |');
+    expect(qaPage.content).toContain('| 2 | Email \\| password hints |');
+    expect(qaPage.content).not.toContain('Screen reader compatibility');
+    expect(outcome.results.qa.testCases).toMatchObject({ source: 'ai', count: 2, cases: CASES, issueKey: 'DRY-RUN-1' });
+    expect(ticketService.generateQaCases.mock.calls[0][0].componentName).toBe('Login Form');
+  });
+
+  it('falls back to the default table without an LLM', async () => {
+    const { outcome, qaPage } = await plan({ generateQaCases: vi.fn().mockResolvedValue(null) });
+
+    expect(qaPage.content).toContain('| 6 | Screen reader compatibility |');
+    expect(outcome.results.qa.testCases).toMatchObject({ source: 'default', count: 8 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Docs-as-code wiki target — RepoDocsAdapter against a temporary folder and
+ * Steps B and E writing Markdown pages instead of Confluence pages.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    docs: { target: 'confluence', dir: 'docs/design', baseUrl: '' },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { RepoDocsAdapter } from '../../core/adapters/RepoDocsAdapter.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const read = (...parts) => fs.readFileSync(path.join(...parts), 'utf8');
+
+describe('RepoDocsAdapter', () => {
+  let repo;
+  let docs;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-docs-'));
+    docs = new RepoDocsAdapter({ repoPath: repo, dir: 'docs/design', baseUrl: 'https://github.com/octo/web/blob/main/docs/design/' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('writes the page with front-matter and lists it in the index', async () => {
+    const result = await docs.createWikiPage('Implementation Plan: Nav Bar', '# Technical Design: Nav Bar\n\n**Storybook:** TBD\n---\n\nBody', 'ENG', null, {
+      figmaUrl: 'https://figma.com/design/abc?node-id=1-2', issueKey: 'DS-7', issueUrl: 'https://jira/browse/DS-7',
+    });
+
+    expect(result.page).toMatchObject({ id: 'docs/design/implementation-plan-nav-bar.md', url: 'https://github.com/octo/web/blob/main/docs/design/implementation-plan-nav-bar.md' });
+    const page = read(repo, 'docs/design/implementation-plan-nav-bar.md');
+    expect(page).toMatch(/^---\ntitle: "Implementation Plan: Nav Bar"\nfigma: "https:\/\/figma.com\/design\/abc\?node-id=1-2"\nissue: "DS-7"\nissueUrl: "https:\/\/jira\/browse\/DS-7"\ndate: "\d{4}-\d{2}-\d{2}"\n---\n\n# Technical Design/);
+    // A rule directly under a paragraph would turn it into a heading
+    expect(page).toContain('**Storybook:** TBD\n\n---\n\nBody');
+    expect(read(repo, 'docs/design/index.md')).toContain('| [Implementation Plan: Nav Bar](implementation-plan-nav-bar.md) | [DS-7](https://jira/browse/DS-7) | [View Design](https://figma.com/design/abc?node-id=1-2) |');
+  });
+
+  it('refuses to overwrite a page and keeps the front-matter on updates', async () => {
+    await docs.createWikiPage('QA: Nav Bar', 'v1', 'ENG', null, { issueKey: 'DS-7' });
+    await expect(docs.createWikiPage('QA: Nav Bar', 'v2')).rejects.toThrow(/already exists/);
+
+    await docs.updateWikiPage('docs/design/qa-nav-bar.md', 'QA: Nav Bar', 'v2');
+
+    const page = await docs.getWikiPage('QA: Nav Bar');
+    expect(page).toMatchObject({ id: 'docs/design/qa-nav-bar.md', title: 'QA: Nav Bar', content: 'v2' });
+    expect(read(repo, 'docs/design/qa-nav-bar.md')).toContain('issue: "DS-7"');
+  });
+
+  it('copies attachments next to the page', async () => {
+    const image = path.join(repo, 'preview.png');
+    fs.writeFileSync(image, 'png');
+    await docs.createWikiPage('Plan', 'body');
+
+    expect(await docs.addWikiAttachment('docs/design/plan.md', image)).toEqual({ success: true, filename: 'preview.png' });
+    expect(read(repo, 'docs/design/preview.png')).toBe('png');
+  });
+});
+
+describe('WorkItemOrchestrator — repo docs target', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-docs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  function makeOrchestrator(mcpAdapter) {
+    const services = { mcpAdapter, ticketService: {}, repoDocsAdapter: new RepoDocsAdapter({ repoPath: repo, dir: 'docs/design', baseUrl: '' }) };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    return orchestrator;
+  }
+
+  it('writes both pages to the repo and back-patches the QA link', async () => {
+    const mcpAdapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      createJiraTicket: vi.fn().mockResolvedValue({ issue: { key: 'DS-7', url: 'https://jira/browse/DS-7' } }),
+      createRemoteLink: vi.fn().mockResolvedValue({}),
+      _callMCP: vi.fn().mockResolvedValue({}),
+      createWikiPage: vi.fn(),
+    };
+
+    const outcome = await makeOrchestrator(mcpAdapter).run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview\n\nSticky header', fileContext: {} },
+      { enableActiveCreation: true, wikiTarget: 'repo' },
+    );
+
+    expect(mcpAdapter.createWikiPage).not.toHaveBeenCalled();
+    expect(outcome.results.wiki).toMatchObject({ status: 'created', target: 'repo', url: 'docs/design/implementation-plan-nav-bar.md' });
+    expect(outcome.results.qa).toMatchObject({ status: 'created', url: 'docs/design/ds-7-nav-bar.md' });
+    const plan = read(repo, 'docs/design/implementation-plan-nav-bar.md');
+    expect(plan).toContain('issue: "DS-7"');
+    expect(plan).toContain('**Related Work:** [DS-7](https://jira/browse/DS-7)');
+    expect(plan).toContain('**QA Test Case:** [View QA Test Case](ds-7-nav-bar.md)');
+    expect(read(repo, 'docs/design/ds-7-nav-bar.md')).toContain('**Implementation Plan:** [View Implementation Plan](implementation-plan-nav-bar.md)');
+  }, 10000);
+
+  it('records the page writes on a dry-run plan', async () => {
+    const outcome = await makeOrchestrator({ isAvailable: true }).run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview', fileContext: {} },
+      { dryRun: true, wikiTarget: 'repo' },
+    );
+
+    const writes = outcome.plan.filter(entry => entry.tool === 'docs_write_page');
+    expect(writes.map(entry => entry.params.path)).toEqual(expect.arrayContaining([
+      'docs/design/implementation-plan-nav-bar.md',
+      'docs/design/dry-run-1-nav-bar.md',
+    ]));
+    expect(outcome.plan.some(entry => entry.tool === 'confluence_create_page')).toBe(false);
+    expect(fs.existsSync(path.join(repo, 'docs'))).toBe(false);
+  });
+});
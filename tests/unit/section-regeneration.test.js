@@ -0,0 +1,253 @@
+/**
+ * Section regeneration — ticket-sections helpers, the provider's
+ * generateSection prompt, POST /api/generate/section and the orchestrator's
+ * push of a single section into Jira / the wiki.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({}); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { findAdfSection, findSection, parseSections, replaceAdfSection, replaceSection } from '../../core/ai/ticket-sections.js';
+import { jiraToAdf } from '../../core/formats/jira-adf.js';
+import { OllamaProvider } from '../../core/ai/providers/OllamaProvider.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const TICKET = [
+  'h1. Hero Banner',
+  '',
+  'h2. Component Overview',
+  'Full-width banner.',
+  '',
+  'h2. Accessibility Requirements',
+  '* Alt text on the image',
+  'h3. Keyboard',
+  '* CTA reachable by Tab',
+  '',
+  'h2. Acceptance Criteria',
+  '* Matches Figma',
+  '',
+].join('\n');
+
+function makeRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = vi.fn((code) => { res.statusCode = code; return res; });
+  res.json = vi.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+function makeReq(body) {
+  return { body, method: 'POST', url: '/api/generate/section', query: {}, headers: {}, get: () => undefined };
+}
+
+describe('ticket-sections', () => {
+  it('parses Jira and Markdown headings with nested subsections', () => {
+    const titles = parseSections(TICKET).map(s => s.title);
+    expect(titles).toEqual(['Hero Banner', 'Component Overview', 'Accessibility Requirements', 'Keyboard', 'Acceptance Criteria']);
+
+    const a11y = findSection(TICKET, 'accessibility');
+    expect(a11y.text).toContain('CTA reachable by Tab');
+    expect(a11y.text).not.toContain('Acceptance Criteria');
+
+    expect(findSection('# Plan\n\n## 3. ♿ Accessibility\n- ok\n', 'Accessibility').level).toBe(2);
+  });
+
+  it('replaces only the named section and keeps its heading', () => {
+    const updated = replaceSection(TICKET, 'Accessibility', '* WCAG AA contrast\n\nh2. Acceptance Criteria\n* invented');
+
+    expect(updated).toContain('h2. Accessibility Requirements\n* WCAG AA contrast\n\nh2. Acceptance Criteria\n* Matches Figma');
+    expect(updated).not.toContain('Alt text');
+    expect(updated).not.toContain('invented');
+    expect(updated.startsWith('h1. Hero Banner\n\nh2. Component Overview\nFull-width banner.')).toBe(true);
+    expect(() => replaceSection(TICKET, 'Performance', 'x')).toThrow(/not found/);
+  });
+
+  it('replaces a section of an ADF document and keeps the nodes around it', () => {
+    const doc = { ...jiraToAdf(TICKET), version: 1 };
+    const media = { type: 'mediaSingle', content: [{ type: 'media', attrs: { id: 'f1', type: 'file', collection: '' } }] };
+    doc.content.splice(3, 0, media);
+
+    expect(findAdfSection(doc, 'accessibility')).toMatchObject({ title: 'Accessibility Requirements', level: 2 });
+    const updated = replaceAdfSection(doc, 'Accessibility', jiraToAdf('* WCAG AA contrast\n\nh2. Acceptance Criteria\n* invented'));
+
+    expect(updated.version).toBe(1);
+    expect(updated.content.map(node => node.type)).toEqual(['heading', 'heading', 'paragraph', 'mediaSingle', 'heading', 'bulletList', 'heading', 'bulletList']);
+    expect(JSON.stringify(updated)).toContain('WCAG AA contrast');
+    expect(JSON.stringify(updated)).not.toMatch(/Alt text|Keyboard|invented/);
+    expect(() => replaceAdfSection(doc, 'Performance', jiraToAdf('x'))).toThrow(/not found/);
+  });
+});
+
+describe('BaseLLMProvider.generateSection', () => {
+  it('prompts with the current section and guidance and returns only the new section', async () => {
+    const provider = new OllamaProvider({ model: 'llama3' });
+    provider._complete = vi.fn().mockResolvedValue('h2. Accessibility Requirements\n* Focus ring on CTA');
+
+    const result = await provider.generateSection({
+      componentName: 'Hero Banner',
+      content: TICKET,
+      section: 'Accessibility',
+      guidance: 'Cover focus order',
+    });
+
+    const { prompt } = provider._complete.mock.calls[0][0];
+    expect(prompt).toContain('Rewrite ONLY the "Accessibility Requirements" section');
+    expect(prompt).toContain('* CTA reachable by Tab');
+    expect(prompt).toContain('## Guidance\nCover focus order');
+    expect(result.content).toBe('h2. Accessibility Requirements\n* Focus ring on CTA');
+    expect(result.metadata.section).toBe('Accessibility Requirements');
+  });
+});
+
+describe('GenerateRoutes — POST /api/generate/section', () => {
+  function makeRoute(services) {
+    const route = new GenerateRoutes({ get: vi.fn((name) => services[name]) });
+    route._recordHistory = vi.fn();
+    return route;
+  }
+
+  it('splices the regenerated section into the content', async () => {
+    const llmService = {
+      generateSection: vi.fn().mockResolvedValue({
+        content: 'h2. Accessibility Requirements\n* Focus ring on CTA',
+        metadata: { provider: 'gemini' },
+      }),
+    };
+    const res = makeRes();
+    await makeRoute({ llmService }).handleSectionGenerate(
+      makeReq({ content: TICKET, section: 'Accessibility', guidance: 'focus', frameData: [{ id: '1:2', name: 'Hero Banner' }] }),
+      res,
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(llmService.generateSection.mock.calls[0][0]).toMatchObject({ componentName: 'Hero Banner', section: 'Accessibility', guidance: 'focus' });
+    expect(res.body.data.section.title).toBe('Accessibility Requirements');
+    expect(res.body.data.content).toContain('* Focus ring on CTA\n\nh2. Acceptance Criteria');
+    expect(res.body.data.push).toBeUndefined();
+  });
+
+  it('rejects unknown sections with the available headings', async () => {
+    const res = makeRes();
+    await makeRoute({}).handleSectionGenerate(makeReq({ content: TICKET, section: 'Performance' }), res);
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.metadata.availableSections).toContain('Acceptance Criteria');
+  });
+
+  it('pushes the section through the orchestrator when asked', async () => {
+    const llmService = { generateSection: vi.fn().mockResolvedValue({ content: 'h2. Acceptance Criteria\n* New', metadata: {} }) };
+    const workItemOrchestrator = { updateSection: vi.fn().mockResolvedValue({ jira: { status: 'updated', issueKey: 'DS-7' } }) };
+    const res = makeRes();
+    await makeRoute({ llmService, workItemOrchestrator }).handleSectionGenerate(
+      makeReq({ content: TICKET, section: 'Acceptance Criteria', push: true, issueKey: 'DS-7' }),
+      res,
+    );
+
+    expect(workItemOrchestrator.updateSection).toHaveBeenCalledWith(expect.objectContaining({
+      section: 'Acceptance Criteria', sectionContent: 'h2. Acceptance Criteria\n* New', issueKey: 'DS-7',
+    }));
+    expect(res.body.data.push.jira.status).toBe('updated');
+  });
+});
+
+describe('WorkItemOrchestrator.updateSection', () => {
+  it('updates the section in the Jira description and the Markdown wiki page', async () => {
+    const adapter = {
+      isAvailable: true,
+      _callMCP: vi.fn(async (tool) => (tool === 'jira_get_issue' ? { fields: { description: TICKET } } : {})),
+      getWikiPage: vi.fn().mockResolvedValue({ id: '42', content: '# Technical Design\n\n## Accessibility Requirements\n- old\n\n## Testing Strategy\n- unit\n' }),
+      updateWikiPage: vi.fn().mockResolvedValue({}),
+    };
+    const orchestrator = new WorkItemOrchestrator({ get: () => adapter });
+
+    const result = await orchestrator.updateSection({
+      section: 'Accessibility',
+      sectionContent: 'h2. Accessibility Requirements\n* Use {{aria-label}}',
+      issueKey: 'DS-7',
+      wikiTitle: 'Implementation Plan: Hero',
+    });
+
+    const [, update] = adapter._callMCP.mock.calls.find(([tool]) => tool === 'jira_update_issue');
+    expect(update.fields.description).toContain('h2. Accessibility Requirements\n* Use {{aria-label}}\n\nh2. Acceptance Criteria');
+    expect(adapter.getWikiPage).toHaveBeenCalledWith('Implementation Plan: Hero', 'ENG');
+    expect(adapter.updateWikiPage.mock.calls[0][2]).toBe(
+      '# Technical Design\n\n## Accessibility Requirements\n\n- Use `aria-label`\n\n## Testing Strategy\n- unit\n',
+    );
+    expect(result.jira.status).toBe('updated');
+    expect(result.wiki).toMatchObject({ status: 'updated', pageId: '42' });
+  });
+
+  it('skips a target that lacks the section', async () => {
+    const adapter = { isAvailable: true, _callMCP: vi.fn().mockResolvedValue({ fields: { description: 'h2. Other\nx' } }) };
+    const result = await new WorkItemOrchestrator({ get: () => adapter }).updateSection({ section: 'Accessibility', sectionContent: 'x', issueKey: 'DS-7' });
+
+    expect(result.jira.status).toBe('skipped');
+    expect(adapter._callMCP).toHaveBeenCalledTimes(1);
+  });
+
+  it('edits the section inside an ADF description and sends the document back', async () => {
+    const media = { type: 'mediaSingle', content: [{ type: 'media', attrs: { id: 'f1', type: 'file', collection: '' } }] };
+    const description = { ...jiraToAdf(TICKET), version: 1 };
+    description.content.push(media);
+    const adapter = {
+      isAvailable: true,
+      _callMCP: vi.fn(async (tool) => (tool === 'jira_get_issue' ? { fields: { description } } : {})),
+      formatJiraDescription: vi.fn(markup => jiraToAdf(markup)),
+    };
+
+    const result = await new WorkItemOrchestrator({ get: () => adapter }).updateSection({
+      section: 'Accessibility', sectionContent: 'h2. Accessibility Requirements\n* Use {{aria-label}}', issueKey: 'DS-7',
+    });
+
+    const [, update] = adapter._callMCP.mock.calls.find(([tool]) => tool === 'jira_update_issue');
+    expect(result.jira.status).toBe('updated');
+    expect(adapter.formatJiraDescription).not.toHaveBeenCalled();
+    expect(update.fields.description.content.at(-1)).toEqual(media);
+    expect(JSON.stringify(update.fields.description)).toContain('aria-label');
+    expect(JSON.stringify(update.fields.description)).not.toContain('Alt text');
+  });
+
+  it('updates GitHub issues and repo docs without MCP, but not Jira', async () => {
+    const repoDocs = {
+      getWikiPage: vi.fn().mockResolvedValue({ id: 'docs/hero.md', content: '# Plan\n\n## Accessibility\n- old\n' }),
+      updateWikiPage: vi.fn().mockResolvedValue({}),
+    };
+    const services = { mcpAdapter: { isAvailable: false }, repoDocsAdapter: repoDocs };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    const github = {
+      name: 'github',
+      markup: 'markdown',
+      getDescription: vi.fn().mockResolvedValue('## Accessibility\n- old\n'),
+      updateDescription: vi.fn().mockResolvedValue({}),
+      issueUrl: key => `https://github.com/acme/web/issues/${key.split('#')[1]}`,
+    };
+    vi.spyOn(orchestrator, '_tracker').mockReturnValue(github);
+
+    const pushed = await orchestrator.updateSection({
+      section: 'Accessibility', sectionContent: 'h2. Accessibility\n* new', issueKey: 'acme/web#7', tracker: 'github', wikiTitle: 'Hero', wikiTarget: 'repo',
+    });
+    expect(pushed.jira.status).toBe('updated');
+    expect(github.updateDescription.mock.calls[0][1]).toContain('- new');
+    expect(pushed.wiki.status).toBe('updated');
+
+    orchestrator._tracker.mockRestore();
+    const jira = await orchestrator.updateSection({ section: 'Accessibility', sectionContent: 'x', issueKey: 'DS-7', wikiTitle: 'Hero', wikiTarget: 'confluence' });
+    expect(jira.jira).toMatchObject({ status: 'failed', error: 'MCP Adapter unavailable — cannot update section' });
+    expect(jira.wiki.status).toBe('failed');
+  });
+});
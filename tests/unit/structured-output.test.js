@@ -0,0 +1,194 @@
+/**
+ * Structured output — ticket schema validation, the platform renderers,
+ * the provider's JSON generation path and the orchestrator using the
+ * ticket object for title and bodies.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('@google/generative-ai', () => {
+  class GoogleGenerativeAI {
+    constructor() {}
+    getGenerativeModel() { return { generateContent: vi.fn() }; }
+  }
+  return { GoogleGenerativeAI };
+});
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() { return Promise.resolve({ figma: { live_link: 'https://www.figma.com/design/abc?node-id=1-2' } }); }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { parseTicketJson, validateTicket, TICKET_SCHEMA } from '../../core/ai/ticket-schema.js';
+import { renderTicket } from '../../core/ai/ticket-renderers.js';
+import { findSection } from '../../core/ai/ticket-sections.js';
+import { GeminiService } from '../../core/ai/GeminiService.js';
+import { OllamaProvider } from '../../core/ai/providers/OllamaProvider.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const TICKET = {
+  summary: 'Implement Hero Banner',
+  overview: 'Full-width banner with a headline and one CTA.',
+  tokens: [{ name: 'color-primary', value: '#1A73E8', usage: 'CTA | background' }],
+  implementation: ['Render the CTA as `<a>` with `href` from the dialog'],
+  responsive: [],
+  states: [{ name: 'Hover', description: 'CTA darkens 10%' }],
+  a11y: ['Image has alt text'],
+  testing: ['Snapshot at each breakpoint'],
+  acceptanceCriteria: ['Matches the Figma frame at 1440px', 'CTA is keyboard reachable'],
+  risks: ['Headline length is not capped'],
+};
+
+describe('ticket schema', () => {
+  it('parses fenced JSON and normalises a valid ticket', () => {
+    const parsed = parseTicketJson('```json\n' + JSON.stringify({ ...TICKET, summary: '  Implement Hero Banner ', responsive: undefined }) + '\n```');
+    const { valid, ticket } = validateTicket(parsed);
+
+    expect(valid).toBe(true);
+    expect(ticket.summary).toBe('Implement Hero Banner');
+    expect(ticket.responsive).toEqual([]);
+  });
+
+  it('reports every schema violation', () => {
+    const { valid, errors } = validateTicket({ ...TICKET, summary: '', tokens: [{ name: 'x' }], a11y: 'none', acceptanceCriteria: [], risks: undefined });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'risks is required',
+      'summary must be a non-empty string',
+      'a11y must be an array of strings',
+      'tokens[0].value must be a non-empty string',
+      'acceptanceCriteria must contain at least one criterion',
+    ]));
+    expect(() => parseTicketJson('Sorry, I cannot help')).toThrow(/no JSON/);
+  });
+
+  it('only uses schema keywords Gemini accepts', () => {
+    const keywords = new Set();
+    const walk = (node) => {
+      Object.keys(node).forEach(key => keywords.add(key));
+      Object.values(node.properties || {}).forEach(walk);
+      if (node.items) {
+        walk(node.items);
+      }
+    };
+    walk(TICKET_SCHEMA);
+    expect([...keywords].every(key => ['type', 'properties', 'required', 'items', 'description'].includes(key))).toBe(true);
+  });
+});
+
+describe('renderTicket', () => {
+  it('renders Jira wiki markup with the standard section names', () => {
+    const jira = renderTicket(TICKET, 'jira', { figmaUrl: 'https://figma.test/x' });
+
+    expect(jira.startsWith('h1. Implement Hero Banner\n\nh2. Component Overview\n')).toBe(true);
+    expect(jira).toContain('h2. Design References\n* [View in Figma|https://figma.test/x]');
+    expect(jira).toContain('|| Token || Value || Usage ||\n| color-primary | #1A73E8 | CTA \\| background |');
+    expect(jira).toContain('* Render the CTA as {{<a>}} with {{href}} from the dialog');
+    expect(jira).toContain('* *Hover:* CTA darkens 10%');
+    expect(jira).toContain('h2. Acceptance Criteria\n# Matches the Figma frame at 1440px\n# CTA is keyboard reachable');
+    expect(jira).not.toContain('Responsive Behavior');
+    expect(findSection(jira, 'Accessibility').title).toBe('Accessibility Requirements');
+  });
+
+  it('renders Markdown, and Confluence Markdown without the title heading', () => {
+    const markdown = renderTicket(TICKET, 'markdown');
+    expect(markdown).toContain('# Implement Hero Banner');
+    expect(markdown).toContain('| Token | Value | Usage |\n|---|---|---|');
+    expect(markdown).toContain('- **Hover:** CTA darkens 10%');
+    expect(markdown).toContain('1. Matches the Figma frame at 1440px\n2. CTA is keyboard reachable');
+    expect(markdown).not.toContain('Design References');
+
+    const confluence = renderTicket(TICKET, 'confluence');
+    expect(confluence.startsWith('## Component Overview')).toBe(true);
+    expect(() => renderTicket(TICKET, 'html')).toThrow(/Unknown ticket format/);
+  });
+});
+
+describe('BaseLLMProvider — structured output', () => {
+  function makeProvider(...responses) {
+    const provider = new OllamaProvider({ model: 'llama3', structuredOutput: true });
+    provider._complete = vi.fn();
+    responses.forEach(response => provider._complete.mockResolvedValueOnce(response));
+    return provider;
+  }
+
+  it('requests schema JSON and returns the rendered content with the ticket', async () => {
+    const provider = makeProvider(JSON.stringify(TICKET));
+    const result = await provider.generate({ componentName: 'Hero Banner', platform: 'Jira' });
+
+    const request = provider._complete.mock.calls[0][0];
+    expect(request.schema).toBe(TICKET_SCHEMA);
+    expect(request.prompt).toContain('Return ONLY a JSON object');
+    expect(result.ticket.summary).toBe('Implement Hero Banner');
+    expect(result.content).toContain('* [View in Figma|https://www.figma.com/design/abc?node-id=1-2]');
+    expect(result.metadata).toMatchObject({ structured: true, generationMethod: 'ollama-structured' });
+  });
+
+  it('retries once with the validation errors, then gives up', async () => {
+    const fixed = makeProvider('{"summary": "x"}', JSON.stringify(TICKET));
+    await fixed.generate({ componentName: 'Hero Banner', platform: 'Markdown' });
+    expect(fixed._complete.mock.calls[1][0].prompt).toContain('## Previous Response Rejected\n- overview is required');
+
+    const broken = makeProvider('not json', 'still not json');
+    await expect(broken.generate({ componentName: 'Hero Banner' })).rejects.toThrow(/Structured output failed validation/);
+  });
+
+  it('keeps markup generation for wiki documents', async () => {
+    const provider = makeProvider('h1. Hero Banner');
+    const result = await provider.generate({ componentName: 'Hero Banner', documentType: 'wiki' });
+
+    expect(provider._complete.mock.calls[0][0].schema).toBeUndefined();
+    expect(result.ticket).toBeUndefined();
+  });
+
+  it('passes the schema to Gemini as a JSON response schema', async () => {
+    const gemini = new GeminiService({ apiKey: 'test-key' });
+    expect(gemini.structuredOutput).toBe(true);
+    gemini.model.generateContent.mockResolvedValue({ response: { text: () => '{}' } });
+
+    await gemini._complete({ prompt: 'p', imageBase64: 'AAAA', schema: TICKET_SCHEMA });
+
+    const [request] = gemini.model.generateContent.mock.calls[0];
+    expect(request.generationConfig).toMatchObject({ responseMimeType: 'application/json', responseSchema: TICKET_SCHEMA });
+    expect(request.contents[0].parts[1].inlineData.data).toBe('AAAA');
+  });
+});
+
+describe('WorkItemOrchestrator — structured ticket', () => {
+  it('takes the Jira title from the ticket and renders both bodies from it', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+      _callMCP: vi.fn().mockResolvedValue({}),
+    };
+    const orchestrator = new WorkItemOrchestrator({ get: (name) => (name === 'mcpAdapter' ? adapter : {}) });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Hero', generatedContent: 'h1. Hero', ticket: TICKET, fileContext: {} },
+      { dryRun: true },
+    );
+
+    const jira = outcome.plan.find(entry => entry.method === 'createJiraTicket').params.ticketData;
+    expect(jira.summary).toBe('Implement Hero Banner');
+    expect(jira.description).toContain('h2. Acceptance Criteria\n# Matches the Figma frame at 1440px');
+    expect(jira.description).not.toContain('Design References');
+
+    const wiki = outcome.plan.find(entry => entry.method === 'createWikiPage').params.content;
+    expect(wiki).toContain('# Technical Design: Hero');
+    expect(wiki).toContain('## Accessibility Requirements\n- Image has alt text');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Sub-task breakdown — the ticket split by tech stack into markup, logic,
+ * styling, accessibility and QA sub-tasks, and the pipeline step that files
+ * them under the issue and resumes the ones that failed.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { breakdownSubtasks, renderSubtask } from '../../core/ai/subtask-breakdown.js';
+import { OrchestrationStore } from '../../core/data/orchestration-store.js';
+import { JiraFieldMapper } from '../../core/trackers/JiraFieldMapper.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const TICKET = {
+  summary: 'Implement Nav Bar',
+  overview: 'Sticky site header',
+  tokens: [{ name: 'color-primary', value: '#1A73E8', usage: 'active link' }],
+  implementation: [
+    'HTL template renders the link list',
+    'Touch UI dialog for logo and links',
+    'Sling Model exposes the navigation tree',
+    'Cache the tree per site root',
+  ],
+  responsive: ['Collapses into a burger menu below 768px'],
+  states: [{ name: 'hover', description: 'underline' }],
+  a11y: ['nav landmark with aria-label'],
+  testing: ['Unit test the Sling Model'],
+  acceptanceCriteria: ['Links match the site tree', 'Menu opens with Enter'],
+  risks: [],
+};
+
+describe('breakdownSubtasks', () => {
+  it('splits a structured ticket along the AEM conventions', () => {
+    const subtasks = breakdownSubtasks({ ticket: TICKET, techStack: 'AEM 6.5', componentName: 'Nav Bar' });
+
+    expect(subtasks.map(({ kind, summary, estimate }) => [kind, summary, estimate])).toEqual([
+      ['markup', 'HTL markup and dialog: Nav Bar', 1],
+      ['logic', 'Sling Model: Nav Bar', 2],
+      ['styling', 'Styling: Nav Bar', 1],
+      ['a11y', 'Accessibility: Nav Bar', 1],
+      ['qa', 'QA and tests: Nav Bar', 2],
+    ]);
+    expect(subtasks[0].items).toEqual(['HTL template renders the link list', 'Touch UI dialog for logo and links']);
+    expect(subtasks[1].rules).toEqual(['Specify OSGi bundle requirements and JCR node structure']);
+    expect(subtasks[2].items).toEqual(['color-primary: #1A73E8 — active link', 'Collapses into a burger menu below 768px', 'hover: underline']);
+
+    const description = renderSubtask(subtasks[1], 'DS-7');
+    expect(description).toContain('Part of DS-7.');
+    expect(description).toContain('h3. Scope\n* Sling Model exposes the navigation tree\n* Cache the tree per site root');
+    expect(description).toContain('h3. Estimate\n2 story points (2 items)');
+  });
+
+  it('reads the sections of free-form content and leaves out empty kinds', () => {
+    const content = [
+      'h1. Nav Bar',
+      'h2. Technical Implementation',
+      '* JSX structure: header > nav > ul',
+      '* useState for the open menu',
+      '** Close on route change',
+      'h2. Testing Requirements',
+      '# Renders every link',
+      'h2. Acceptance Criteria',
+      '* Menu opens with Enter',
+    ].join('\n');
+
+    const subtasks = breakdownSubtasks({ content, techStack: ['React', 'TypeScript'], componentName: 'Nav Bar' });
+
+    expect(subtasks.map(subtask => subtask.summary)).toEqual(['Component markup (JSX): Nav Bar', 'Props, state and hooks: Nav Bar', 'QA and tests: Nav Bar']);
+    expect(subtasks[1].items).toEqual(['useState for the open menu', 'Close on route change']);
+    expect(subtasks[1].rules).toContain('Use strict typing — no `any` types');
+    expect(subtasks[2].rules).toEqual(['Include testing guidance with React Testing Library']);
+  });
+});
+
+describe('WorkItemOrchestrator — subtasks step', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtasks-'));
+    fs.mkdirSync(path.join(dir, 'pipelines'));
+    fs.writeFileSync(path.join(dir, 'pipelines', 'default.yml'), [
+      'name: default',
+      'steps:',
+      '  - id: jira',
+      '  - id: subtasks',
+      '    issueType: Subtask',
+    ].join('\n'));
+    process.env.PIPELINE_DIR = path.join(dir, 'pipelines');
+  });
+
+  afterEach(() => {
+    delete process.env.PIPELINE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('files the sub-tasks under the issue and resumes the one that failed', async () => {
+    let issueNumber = 6;
+    const mcpAdapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      createJiraTicket: vi.fn(ticketData => ticketData.summary.startsWith('Accessibility') && issueNumber === 10
+        ? Promise.reject(new Error('Sub-task type is not enabled'))
+        : Promise.resolve({ issue: { key: `DS-${++issueNumber}`, url: `https://jira/browse/DS-${issueNumber}` } })),
+      _callMCP: vi.fn().mockResolvedValue({}),
+    };
+    const store = new OrchestrationStore(null, { dir: path.join(dir, 'orchestrations') });
+    const jiraFieldMapper = new JiraFieldMapper({ mcpAdapter, fieldMap: { storyPoints: 'customfield_10016' } });
+    const services = { mcpAdapter, ticketService: {}, orchestrationStore: store, jiraFieldMapper };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const first = await orchestrator.run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview', ticket: TICKET, techStack: 'AEM 6.5', fileContext: {} },
+      { enableActiveCreation: true },
+    );
+
+    expect(first.results.subtasks).toMatchObject({ status: 'failed', error: 'Accessibility: Nav Bar: Sub-task type is not enabled' });
+    const subtask = mcpAdapter.createJiraTicket.mock.calls[2][0];
+    expect(subtask).toMatchObject({
+      projectKey: 'DS',
+      summary: 'Sling Model: Nav Bar',
+      issueType: 'Subtask',
+      additionalFields: { parent: { key: 'DS-7' }, customfield_10016: 2 },
+    });
+    expect(subtask.description).toContain('* Cache the tree per site root');
+
+    const resumed = await orchestrator.resume(await store.get(first.orchestrationId));
+
+    expect(mcpAdapter.createJiraTicket).toHaveBeenCalledTimes(7);
+    expect(mcpAdapter.createJiraTicket.mock.calls[6][0].summary).toBe('Accessibility: Nav Bar');
+    expect(resumed.results.subtasks.status).toBe('created');
+    expect(resumed.results.subtasks.issues.map(issue => [issue.kind, issue.key])).toEqual([
+      ['markup', 'DS-8'],
+      ['logic', 'DS-9'],
+      ['styling', 'DS-10'],
+      ['a11y', 'DS-12'],
+      ['qa', 'DS-11'],
+    ]);
+    expect((await store.get(first.orchestrationId)).status).toBe('completed');
+  }, 10000);
+});
@@ -0,0 +1,151 @@
+/**
+ * QA test case exports — the Xray, TestRail and Gherkin writers, the
+ * history route serving them and the orchestrator attaching them to the issue.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { exportTestCases, toXrayJson, toTestRailCsv, toGherkin } from '../../core/formats/test-exports.js';
+import { HistoryRoutes } from '../../app/routes/history.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+
+const CASES = [
+  { title: 'Submit with valid credentials', preconditions: 'Registered user', steps: ['Enter email', 'Click "Submit", then wait'], expected: 'Dashboard opens' },
+  { title: 'Empty email', preconditions: '', steps: ['Click Submit'], expected: 'Error "Email is required"\nis shown' },
+];
+const META = { componentName: 'Login Form', issueKey: 'DS-7', figmaUrl: 'https://www.figma.com/design/abc?node-id=1-2' };
+
+function makeRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = vi.fn((code) => { res.statusCode = code; return res; });
+  res.json = vi.fn((body) => { res.body = body; return res; });
+  res.send = vi.fn((body) => { res.body = body; return res; });
+  res.set = vi.fn((headers) => { Object.assign(res.headers, headers); return res; });
+  return res;
+}
+
+describe('test exports', () => {
+  it('writes Xray manual tests linked to the issue, expected result on the last step', () => {
+    const [first] = JSON.parse(toXrayJson(CASES, META));
+
+    expect(first.testtype).toBe('Manual');
+    expect(first.fields).toMatchObject({ summary: 'Login Form: Submit with valid credentials', project: { key: 'DS' } });
+    expect(first.fields.description).toBe(`Preconditions: Registered user\nJira: DS-7\nFigma: ${META.figmaUrl}`);
+    expect(first.update.issuelinks[0].add).toEqual({ type: { name: 'Test' }, outwardIssue: { key: 'DS-7' } });
+    expect(first.steps).toEqual([
+      { action: 'Enter email', data: '', result: '' },
+      { action: 'Click "Submit", then wait', data: '', result: 'Dashboard opens' },
+    ]);
+  });
+
+  it('only links Xray tests to Jira keys, naming other trackers\' issues in the description', () => {
+    const [first] = JSON.parse(toXrayJson(CASES, { ...META, issueKey: 'octo/web#42' }));
+
+    expect(first.fields.project).toBeUndefined();
+    expect(first.update).toBeUndefined();
+    expect(first.fields.description).toBe(`Preconditions: Registered user\nIssue: octo/web#42\nFigma: ${META.figmaUrl}`);
+  });
+
+  it('writes TestRail CSV with quoted fields and the issue as reference', () => {
+    expect(toTestRailCsv(CASES, META)).toBe([
+      'Title,Section,Template,Type,Preconditions,Steps,Expected Result,References',
+      `Submit with valid credentials,Login Form,Test Case (Text),Functional,"Registered user\nDesign: ${META.figmaUrl}","1. Enter email\n2. Click ""Submit"", then wait",Dashboard opens,DS-7`,
+      `Empty email,Login Form,Test Case (Text),Functional,Design: ${META.figmaUrl},1. Click Submit,"Error ""Email is required""\nis shown",DS-7`,
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes a Gherkin feature with one tagged scenario per case', () => {
+    expect(toGherkin(CASES, META)).toBe([
+      '@DS-7',
+      'Feature: Login Form',
+      '  Jira: DS-7',
+      `  Figma: ${META.figmaUrl}`,
+      '',
+      '  @DS-7',
+      '  Scenario: Submit with valid credentials',
+      '    Given Registered user',
+      '    When Enter email',
+      '    And Click "Submit", then wait',
+      '    Then Dashboard opens',
+      '',
+      '  @DS-7',
+      '  Scenario: Empty email',
+      '    When Click Submit',
+      '    Then Error "Email is required" is shown',
+      '',
+    ].join('\n'));
+  });
+
+  it('names files after the issue and component, and rejects unknown formats', () => {
+    expect(exportTestCases('gherkin', CASES, META).filename).toBe('DS-7-login-form.feature');
+    expect(exportTestCases('testrail', CASES, {}).filename).toBe('component-testrail.csv');
+    expect(() => exportTestCases('excel', CASES, META)).toThrow('Unknown test export format "excel"');
+  });
+});
+
+describe('GET /api/history/:id/tests', () => {
+  const entry = {
+    request: { componentName: 'Login Form' },
+    testCases: { source: 'ai', cases: CASES, issueKey: 'DS-7', figmaUrl: META.figmaUrl },
+  };
+
+  function handle(query, stored = entry) {
+    const historyStore = { get: vi.fn().mockResolvedValue(stored) };
+    const route = new HistoryRoutes({ get: vi.fn(() => historyStore) });
+    const res = makeRes();
+    return route.handleTests({ params: { id: 'h-1' }, query }, res).then(() => res);
+  }
+
+  it('serves the export as a download', async () => {
+    const res = await handle({ format: 'xray' });
+
+    expect(res.headers['Content-Disposition']).toBe('attachment; filename="DS-7-login-form-xray.json"');
+    expect(res.headers['Content-Type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(res.body)).toHaveLength(2);
+  });
+
+  it('rejects unknown formats and entries without test cases', async () => {
+    expect((await handle({ format: 'excel' })).statusCode).toBe(400);
+    expect((await handle({ format: 'gherkin' }, { request: {}, testCases: null })).statusCode).toBe(404);
+    expect((await handle({ format: 'gherkin' }, null)).statusCode).toBe(404);
+  });
+
+  it('validates testExports on the generate request', () => {
+    const route = new GenerateRoutes({ get: vi.fn() });
+    const request = route._normalizeRequest({ frameData: [{ id: '1:2' }], testExports: ['xray', 'excel'] });
+
+    expect(route._validate(request).errors).toEqual(['Unknown testExports format(s): excel (expected xray, testrail, gherkin)']);
+  });
+});
+
+describe('WorkItemOrchestrator — test exports', () => {
+  it('attaches the requested formats to the issue', async () => {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const orchestrator = new WorkItemOrchestrator({ get: name => ({ mcpAdapter: adapter })[name] });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Login Form', generatedContent: 'h1. Login Form', fileContext: { fileKey: 'abc' }, enhancedFrameData: [{ id: '1:2' }] },
+      { dryRun: true, testExports: ['xray', 'gherkin'] },
+    );
+
+    const attach = outcome.plan.find(entry => entry.method === 'addJiraAttachment');
+    expect(attach.params).toEqual({ issueKey: 'DRY-RUN-1', filenames: ['DRY-RUN-1-login-form-xray.json', 'DRY-RUN-1-login-form.feature'] });
+    expect(outcome.results.qa.exports).toEqual({ status: 'attached', files: attach.params.filenames });
+    expect(outcome.results.qa.testCases).toMatchObject({ source: 'default', figmaUrl: 'https://www.figma.com/design/abc?node-id=1-2' });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Issue trackers — the GitHub and GitLab REST trackers against a stubbed
+ * fetch, tracker selection, and a dry-run plan filed in GitHub.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../core/data/unified-context-builder.js', () => {
+  class UnifiedContextBuilder {
+    constructor() {}
+    buildUnifiedContext() {
+      return Promise.resolve({ figma: { component_name: 'Nav Bar' } });
+    }
+  }
+  return { UnifiedContextBuilder };
+});
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    trackers: {
+      default: 'jira',
+      github: { token: 'gh-token', repo: 'octo/web' },
+      gitlab: { url: 'https://gitlab.example.com', token: 'gl-token', project: 'group/web' },
+    },
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { createTracker, GitHubTracker, GitLabTracker, JiraTracker } from '../../core/trackers/index.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+import { GenerateRoutes } from '../../app/routes/generate.js';
+
+function respond(body, status = 200) {
+  return Promise.resolve({
+    ok: status < 300,
+    status,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  });
+}
+
+describe('createTracker', () => {
+  it('falls back to the configured default and rejects unknown trackers', () => {
+    expect(createTracker(undefined, { mcpAdapter: {} })).toBeInstanceOf(JiraTracker);
+    expect(createTracker('gitlab')).toBeInstanceOf(GitLabTracker);
+    expect(() => createTracker('linear')).toThrow(/Unknown tracker "linear"/);
+  });
+});
+
+describe('GitHubTracker', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('creates the issue in the default repository', async () => {
+    fetchMock.mockReturnValue(respond({ number: 42, html_url: 'https://github.com/octo/web/issues/42', url: 'https://api.github.com/repos/octo/web/issues/42' }, 201));
+
+    const result = await new GitHubTracker().createIssue({ summary: 'Implement Nav Bar', description: '## Overview' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.github.com/repos/octo/web/issues');
+    expect(init.method).toBe('POST');
+    expect(init.headers.Authorization).toBe('Bearer gh-token');
+    expect(JSON.parse(init.body)).toEqual({ title: 'Implement Nav Bar', body: '## Overview' });
+    expect(result.issue).toMatchObject({ key: 'octo/web#42', url: 'https://github.com/octo/web/issues/42' });
+  });
+
+  it('only reports an open issue with the exact title as a duplicate', async () => {
+    fetchMock.mockReturnValue(respond({ items: [
+      { number: 7, title: 'Implement Nav Bar v2', html_url: 'https://github.com/octo/web/issues/7' },
+      { number: 8, title: 'Implement Nav Bar', html_url: 'https://github.com/octo/web/issues/8' },
+    ] }));
+
+    const duplicate = await new GitHubTracker().findDuplicate('octo/web', 'Implement Nav Bar');
+
+    expect(decodeURIComponent(fetchMock.mock.calls[0][0])).toContain('repo:octo/web is:issue is:open in:title "Implement Nav Bar"');
+    expect(duplicate).toMatchObject({ key: 'octo/web#8', url: 'https://github.com/octo/web/issues/8' });
+  });
+
+  it('builds browse URLs and branch refs from the key', () => {
+    const tracker = new GitHubTracker();
+    expect(tracker.issueUrl('octo/web#42')).toBe('https://github.com/octo/web/issues/42');
+    expect(tracker.refKey('octo/web#42')).toBe('42');
+  });
+
+  it('archives an issue by closing it as not planned', async () => {
+    fetchMock.mockReturnValue(respond({}));
+
+    await new GitHubTracker().archiveIssue('octo/web#42', 'Rolled back');
+
+    expect(fetchMock.mock.calls.map(([url, init]) => [init.method, url, JSON.parse(init.body)])).toEqual([
+      ['POST', 'https://api.github.com/repos/octo/web/issues/42/comments', { body: 'Rolled back' }],
+      ['PATCH', 'https://api.github.com/repos/octo/web/issues/42', { state: 'closed', state_reason: 'not_planned' }],
+    ]);
+  });
+});
+
+describe('GitLabTracker', () => {
+  let fetchMock;
+  let dir;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlab-tracker-'));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uploads files to the project and lists non-images in a comment', async () => {
+    const image = path.join(dir, 'design.png');
+    const feature = path.join(dir, 'nav-bar.feature');
+    fs.writeFileSync(image, 'png');
+    fs.writeFileSync(feature, 'Feature: Nav Bar');
+    fetchMock
+      .mockReturnValueOnce(respond({ url: '/uploads/a1/design.png' }, 201))
+      .mockReturnValueOnce(respond({ url: '/uploads/b2/nav-bar.feature' }, 201))
+      .mockReturnValueOnce(respond({ id: 1 }, 201));
+
+    const result = await new GitLabTracker().attachFiles('group/web#5', [image, feature]);
+
+    expect(fetchMock.mock.calls[0][0]).toBe('https://gitlab.example.com/api/v4/projects/group%2Fweb/uploads');
+    expect(fetchMock.mock.calls[0][1].headers['PRIVATE-TOKEN']).toBe('gl-token');
+    expect(fetchMock.mock.calls[2][0]).toBe('https://gitlab.example.com/api/v4/projects/group%2Fweb/issues/5/notes');
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body).body).toBe('Attached: [nav-bar.feature](/uploads/b2/nav-bar.feature)');
+    expect(result).toEqual({
+      success: true,
+      filenames: ['design.png', 'nav-bar.feature'],
+      media: { 'design.png': { url: '/uploads/a1/design.png' }, 'nav-bar.feature': { url: '/uploads/b2/nav-bar.feature' } },
+    });
+  });
+
+  it('reuses an active milestone with the same title', async () => {
+    fetchMock.mockReturnValue(respond([{ id: 9, title: 'Homepage', web_url: 'https://gitlab.example.com/group/web/-/milestones/3' }]));
+
+    const parent = await new GitLabTracker().ensureParent('homepage', 'group/web');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(parent).toEqual({ key: '9', url: 'https://gitlab.example.com/group/web/-/milestones/3', status: 'existing' });
+  });
+
+  it('rejects a project that is not a path', async () => {
+    await expect(new GitLabTracker().createIssue({ projectKey: 'DS', summary: 'x' })).rejects.toThrow(/group\/name/);
+  });
+
+  it('never puts a path that leaves the project into an API URL', async () => {
+    const tracker = new GitLabTracker();
+    await expect(tracker.createIssue({ projectKey: 'group/../../users', summary: 'x' })).rejects.toThrow(/group\/name/);
+    await expect(new GitHubTracker().createIssue({ projectKey: 'a/../../user', summary: 'x' })).rejects.toThrow(/owner\/name/);
+    await expect(tracker.getDescription('group/web#1/../../../users')).rejects.toThrow('Not a GitLab issue key');
+    await expect(tracker.getDescription('../web#1')).rejects.toThrow('Not a GitLab issue key');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    expect(GitLabTracker.isProjectKey('group/sub.team/web-app')).toBe(true);
+    expect(GitHubTracker.isProjectKey('group/sub/web')).toBe(false);
+  });
+});
+
+describe('WorkItemOrchestrator — GitHub tracker', () => {
+  it('plans the issue in GitHub with a Markdown description', async () => {
+    const adapter = { isAvailable: true, getWikiPage: vi.fn().mockResolvedValue(null) };
+    const services = { mcpAdapter: adapter, ticketService: {} };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    vi.stubGlobal('fetch', vi.fn().mockReturnValue(respond({ items: [] })));
+
+    const outcome = await orchestrator.run(
+      { componentName: 'Nav Bar', generatedContent: 'h2. Overview\n\n* *Sticky* header\n\nh2. Design References\n\n* Frame 1:2', fileContext: {} },
+      { dryRun: true, tracker: 'github' },
+    );
+    vi.unstubAllGlobals();
+
+    const create = outcome.plan.find(item => item.tool === 'github_create_issue');
+    expect(create.params.fields.projectKey).toBe('octo/web');
+    expect(create.params.fields.description).toContain('## Overview');
+    expect(outcome.results.jira).toMatchObject({ status: 'created', tracker: 'github', issueKey: 'octo/web#DRY-RUN-1' });
+
+    const resources = outcome.plan.filter(item => item.tool === 'github_update_issue').pop();
+    expect(resources.params.description).toContain('## Related Resources');
+    expect(resources.params.description).not.toContain('Design References');
+    expect(outcome.plan.some(item => item.tool === 'jira_create_issue')).toBe(false);
+  });
+
+  it('keeps the Jira Related Resources block in wiki markup', () => {
+    const orchestrator = new WorkItemOrchestrator({ get: () => ({}) });
+    const description = orchestrator._withRelatedResources('*Generated by Figma AI Ticket Generator*\n\nh2. Overview', 'jira', {
+      figmaUrl: 'https://figma.com/x', wikiUrl: 'https://wiki/plan', qaUrl: null,
+    });
+    expect(description).toBe(
+      '*Generated by Figma AI Ticket Generator*\n\nh2. Related Resources\n\n* [View in Figma|https://figma.com/x]\n' +
+      '* [Implementation Plan|https://wiki/plan]\n* Storybook: _TBD_\n* QA Test Case: _TBD_\n\nh2. Overview',
+    );
+  });
+});
+
+describe('GenerateRoutes — tracker validation', () => {
+  it('rejects an unknown tracker', () => {
+    const route = new GenerateRoutes({ get: vi.fn() });
+    expect(route._validate({ figmaUrl: 'https://figma.com/x', tracker: 'linear' }).errors).toEqual([
+      'Unknown tracker "linear" (expected jira, github, gitlab)',
+    ]);
+    expect(route._validate({ figmaUrl: 'https://figma.com/x', tracker: 'gitlab' }).valid).toBe(true);
+  });
+
+  it('rejects a ticketProjectKey that is not a project of the tracker', () => {
+    const route = new GenerateRoutes({ get: vi.fn() });
+    const errors = (body) => route._validate({ figmaUrl: 'https://figma.com/x', ...body }).errors;
+
+    expect(errors({ tracker: 'github', ticketProjectKey: 'a/../../user' })).toEqual([
+      'ticketProjectKey must be a Jira project key, a GitHub owner/name or a GitLab group/name path (got "a/../../user")',
+    ]);
+    expect(errors({ ticketProjectKey: 'octo/web?per_page=100' })).toHaveLength(1);
+    expect(errors({ tracker: 'github', ticketProjectKey: 'group/sub/web' })).toHaveLength(1);
+    expect(errors({ tracker: 'gitlab', ticketProjectKey: 'group/sub/web' })).toEqual([]);
+    expect(errors({ ticketProjectKey: 'octo/web' })).toEqual([]);
+    expect(errors({ tracker: 'jira', ticketProjectKey: 'DS' })).toEqual([]);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Visual diff — the PNG codec, the pixel diff, baseline storage and the
+ * orchestrator attaching the diff to the issue and the Implementation Plan.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+vi.mock('../../config/mcp.config.js', () => ({
+  default: {
+    servers: {},
+    routes: {},
+    defaults: { jiraProjectKey: 'DS', confluenceSpaceKey: 'ENG' },
+  },
+}));
+
+import { decodePng, encodePng } from '../../core/formats/png.js';
+import { diffImages, diffPngs } from '../../core/context/visual-diff.js';
+import { BaselineStore } from '../../core/data/baseline-store.js';
+import { WorkItemOrchestrator } from '../../core/orchestration/WorkItemOrchestrator.js';
+import { DryRunMCPAdapter } from '../../core/adapters/DryRunMCPAdapter.js';
+
+// width × height RGBA image filled with one color, with optional [x, y, color] overrides
+function image(width, height, fill, overrides = []) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(fill, i * 4);
+  }
+  for (const [x, y, color] of overrides) {
+    data.set(color, (y * width + x) * 4);
+  }
+  return { width, height, data };
+}
+
+// Hand-built PNG: rows are [filterType, ...bytes]
+function rawPng({ width, height, bitDepth, colorType }, rows, extra = []) {
+  const chunk = (type, body) => {
+    const out = Buffer.alloc(body.length + 12);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, 'latin1');
+    body.copy(out, 8);
+    out.writeUInt32BE(zlib.crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...extra.map(([type, body]) => chunk(type, Buffer.from(body))),
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows.flat()))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+const WHITE = [255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+
+describe('png', () => {
+  it('round-trips RGBA images', () => {
+    const original = image(3, 2, [10, 20, 30, 255], [[1, 1, [200, 100, 50, 128]]]);
+    expect(decodePng(encodePng(original))).toEqual(original);
+  });
+
+  it('undoes every row filter', () => {
+    // RGB, 2×4: Sub, Up, Average and Paeth rows over the same pixels
+    const png = rawPng({ width: 2, height: 4, bitDepth: 8, colorType: 2 }, [
+      [1, 10, 20, 30, 5, 5, 5],
+      [2, 0, 0, 0, 0, 0, 0],
+      [3, 5, 10, 15, 5, 5, 5],
+      [4, 0, 0, 0, 0, 0, 0],
+    ]);
+    const { data } = decodePng(png);
+    const pixels = Array.from({ length: 8 }, (_, i) => Array.from(data.subarray(i * 4, i * 4 + 4)));
+    expect(pixels).toEqual([
+      [10, 20, 30, 255], [15, 25, 35, 255],
+      [10, 20, 30, 255], [15, 25, 35, 255],
+      [10, 20, 30, 255], [17, 27, 37, 255],
+      [10, 20, 30, 255], [17, 27, 37, 255],
+    ]);
+  });
+
+  it('expands palettes with transparency and low bit depth gray', () => {
+    const palette = rawPng({ width: 3, height: 1, bitDepth: 2, colorType: 3 }, [[0, 0b00011000]], [
+      ['PLTE', [255, 0, 0, 0, 255, 0, 0, 0, 255]],
+      ['tRNS', [255, 0]],
+    ]);
+    expect(Array.from(decodePng(palette).data)).toEqual([255, 0, 0, 255, 0, 255, 0, 0, 0, 0, 255, 255]);
+
+    const gray = rawPng({ width: 2, height: 1, bitDepth: 1, colorType: 0 }, [[0, 0b10000000]]);
+    expect(Array.from(decodePng(gray).data)).toEqual([255, 255, 255, 255, 0, 0, 0, 255]);
+  });
+
+  it('rejects other files', () => {
+    expect(() => decodePng(Buffer.from('GIF89a'))).toThrow('Not a PNG image');
+  });
+
+  it('refuses oversized images and decompression bombs before allocating them', () => {
+    // 100 000 × 100 000 claimed by a tiny file
+    const huge = rawPng({ width: 100000, height: 100000, bitDepth: 8, colorType: 6 }, [[0, 0, 0, 0, 0]]);
+    expect(() => decodePng(huge)).toThrow('over the 25000000 pixel limit');
+    expect(() => decodePng(encodePng(image(3, 2, WHITE)), { maxPixels: 5 })).toThrow('pixel limit');
+
+    // 2 × 1 header, 4 MB of zeros in a ~4 kB stream
+    const bomb = rawPng({ width: 2, height: 1, bitDepth: 8, colorType: 6 }, [new Array(4_000_000).fill(0)]);
+    expect(bomb.length).toBeLessThan(10_000);
+    expect(() => decodePng(bomb)).toThrow('more image data than the header allows');
+  });
+});
+
+describe('diffImages', () => {
+  it('counts changed pixels and paints them red', () => {
+    const diff = diffImages(image(4, 4, WHITE), image(4, 4, WHITE, [[0, 0, [0, 0, 0, 255]], [3, 3, [0, 0, 255, 255]]]));
+
+    expect(diff).toMatchObject({ changedPixels: 2, totalPixels: 16, changedPercent: 12.5, sizeChanged: false });
+    expect(Array.from(diff.image.data.subarray(0, 4))).toEqual(RED);
+    expect(Array.from(diff.image.data.subarray(4, 8))).toEqual(WHITE);
+  });
+
+  it('ignores differences below the threshold', () => {
+    const nearlyWhite = image(2, 2, [250, 250, 250, 255]);
+
+    expect(diffImages(image(2, 2, WHITE), nearlyWhite).changedPixels).toBe(0);
+    expect(diffImages(image(2, 2, WHITE), nearlyWhite, { threshold: 0.01 }).changedPixels).toBe(4);
+  });
+
+  it('compares over the larger canvas when the size changed', () => {
+    const diff = diffImages(image(2, 2, WHITE), image(2, 3, WHITE));
+
+    expect(diff).toMatchObject({ width: 2, height: 3, changedPixels: 2, sizeChanged: true });
+  });
+
+  it('diffs PNG files and encodes the result', () => {
+    const diff = diffPngs(encodePng(image(2, 1, WHITE)), encodePng(image(2, 1, WHITE, [[1, 0, RED]])));
+
+    expect(diff.changedPercent).toBe(50);
+    expect(decodePng(diff.png).width).toBe(2);
+  });
+});
+
+describe('BaselineStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baselines-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the last image per node, inside its directory', async () => {
+    const store = new BaselineStore({ dir });
+    expect(await store.get('abc', '1:2')).toBeNull();
+
+    await store.save('abc', '1:2', Buffer.from('png-1'), { componentName: 'Hero' });
+    await store.save('abc', '1:2', Buffer.from('png-2'));
+    const baseline = await store.get('abc', '1:2');
+
+    expect(baseline.png.toString()).toBe('png-2');
+    expect(baseline).toMatchObject({ fileKey: 'abc', nodeId: '1:2' });
+    expect(await store.get('../abc', '1:2')).toBeNull();
+    expect(await fs.readdir(dir)).toEqual(['abc']);
+  });
+});
+
+describe('WorkItemOrchestrator — visual diff', () => {
+  const before = encodePng(image(4, 4, WHITE));
+  const after = encodePng(image(4, 4, WHITE, [[0, 0, RED], [1, 0, RED]]));
+
+  function makeOrchestrator(baselineStore) {
+    const adapter = {
+      isAvailable: true,
+      searchJiraIssues: vi.fn().mockResolvedValue({ issues: [] }),
+      getWikiPage: vi.fn().mockResolvedValue(null),
+    };
+    const services = { mcpAdapter: adapter, baselineStore };
+    const orchestrator = new WorkItemOrchestrator({ get: name => services[name], has: name => name in services });
+    orchestrator._getFigmaExportUrl = vi.fn().mockResolvedValue(null);
+    return orchestrator;
+  }
+
+  function run(orchestrator) {
+    return orchestrator.run({
+      componentName: 'Hero',
+      generatedContent: 'h1. Hero',
+      screenshot: `data:image/png;base64,${after.toString('base64')}`,
+      fileContext: { fileKey: 'abc' },
+      enhancedFrameData: [{ id: '1:2', name: 'Hero' }],
+    }, { dryRun: true });
+  }
+
+  it('attaches the highlighted diff to the issue and the Implementation Plan', async () => {
+    const baselineStore = { get: vi.fn().mockResolvedValue({ png: before, savedAt: '2026-10-01T09:00:00.000Z' }), save: vi.fn() };
+    const outcome = await run(makeOrchestrator(baselineStore));
+
+    const attachments = outcome.plan
+      .filter(entry => /Attachment$/.test(entry.method))
+      .map(entry => [entry.method, entry.params.filenames?.[0] ?? entry.params.filename]);
+    expect(attachments).toContainEqual(['addJiraAttachment', 'preview-Hero-diff.png']);
+    expect(attachments).toContainEqual(['addWikiAttachment', 'preview-Hero-diff.png']);
+    expect(outcome.results.visualDiff).toMatchObject({
+      status: 'changed', changedPixels: 2, changedPercent: 12.5, since: '2026-10-01T09:00:00.000Z', jira: 'attached', wiki: 'attached',
+    });
+    // Dry runs leave the baseline alone
+    expect(baselineStore.get).toHaveBeenCalledWith('abc', '1:2');
+    expect(baselineStore.save).not.toHaveBeenCalled();
+  });
+
+  it('reports the wiki upload as failed when the MCP answer is not a success', async () => {
+    const baselineStore = { get: vi.fn().mockResolvedValue({ png: before }), save: vi.fn() };
+    const upload = vi.spyOn(DryRunMCPAdapter.prototype, 'addWikiAttachment')
+      .mockResolvedValue({ content: [{ type: 'text', text: 'Attachment upload failed' }], isError: true });
+    try {
+      const outcome = await run(makeOrchestrator(baselineStore));
+      expect(outcome.results.visualDiff).toMatchObject({ jira: 'attached', wiki: 'failed' });
+    } finally {
+      upload.mockRestore();
+    }
+  });
+
+  it('skips the diff when the screenshot is over the pixel limit', async () => {
+    const baselineStore = { get: vi.fn().mockResolvedValue({ png: before }), save: vi.fn() };
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'huge-'));
+    try {
+      const file = path.join(dir, 'preview-Hero.png');
+      await fs.writeFile(file, rawPng({ width: 100000, height: 100000, bitDepth: 8, colorType: 6 }, [[0, 0, 0, 0, 0]]));
+
+      const visualDiff = await makeOrchestrator(baselineStore)._visualDiff(
+        { fileContext: { fileKey: 'abc' }, enhancedFrameData: [{ id: '1:2' }] },
+        { path: file, filename: 'preview-Hero.png' },
+        {},
+      );
+
+      expect(visualDiff).toBeNull();
+      expect(baselineStore.save).not.toHaveBeenCalled();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('has nothing to compare on the first generation', async () => {
+    const outcome = await run(makeOrchestrator({ get: vi.fn().mockResolvedValue(null), save: vi.fn() }));
+
+    expect(outcome.results.visualDiff).toBeUndefined();
+    expect(outcome.plan.some(entry => entry.params.filenames?.[0] === 'preview-Hero-diff.png')).toBe(false);
+  });
+});